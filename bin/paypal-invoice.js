@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+
+/**
+ * paypal-invoice - non-interactive command line entry point
+ * 
+ * Usage: paypal-invoice <command> [options]   (paypal-invoice --help for the command list)
+ */
+
+require('dotenv').config();
+const { run } = require('../src/cli');
+
+run().then(code => {
+    process.exitCode = code;
+});
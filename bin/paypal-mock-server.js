@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * paypal-mock-server - local fake of the PayPal invoicing API for offline development
+ * 
+ * Usage: paypal-mock-server [--port 4010] [--fault 429:POST:/v2/invoicing/invoices:2] ...
+ * Then: PAYPAL_API_BASE_URL=http://127.0.0.1:4010 paypal-invoice <command>
+ */
+
+const chalk = require('chalk');
+const { Command, InvalidArgumentError } = require('commander');
+const PayPalMockServer = require('../src/paypalMockServer');
+const { parseCount } = require('../src/cli/parsers');
+
+function parseFault(value, faults = []) {
+    try {
+        return faults.concat(PayPalMockServer.parseFault(value));
+    } catch (error) {
+        throw new InvalidArgumentError(error.message);
+    }
+}
+
+const program = new Command('paypal-mock-server')
+    .description('Stateful local fake of the PayPal OAuth2 and invoicing v2 APIs')
+    .option('--port <port>', 'port to listen on', parseCount, 4010)
+    .option('--host <host>', 'interface to bind', '127.0.0.1')
+    .option('--fault <spec>', 'fail matching requests: STATUS[:METHOD[:PATH[:TIMES]]] or reset[:METHOD[:PATH[:TIMES]]] (repeatable)', parseFault, [])
+    .option('--client-id <id>', 'only accept this client ID')
+    .option('--client-secret <secret>', 'only accept this client secret')
+    .option('--representation', 'answer invoice creation with the full invoice instead of a link')
+    .addHelpText('after', `
+Faults can also be injected while running:
+  $ curl -X POST localhost:4010/__mock/faults -H 'Content-Type: application/json' \\
+      -d '{"status": 500, "path": "/send", "times": 3}'
+  $ curl -X DELETE localhost:4010/__mock/faults     # clear pending faults
+  $ curl -X POST localhost:4010/__mock/reset        # forget all invoices
+  $ curl localhost:4010/__mock/state                # invoices, faults, request log
+
+Examples:
+  $ paypal-mock-server --port 4010
+  $ paypal-mock-server --fault 401:GET:/v2/invoicing/invoices --fault 429:POST::2`)
+    .action(async options => {
+        const mock = new PayPalMockServer({
+            clientId: options.clientId,
+            clientSecret: options.clientSecret,
+            returnRepresentation: options.representation,
+            faults: options.fault
+        });
+        const url = await mock.start(options.port, options.host);
+
+        console.log(chalk.green(`🧪 PayPal mock API listening on ${url}`));
+        console.log(chalk.gray(`   Point the tool at it: PAYPAL_API_BASE_URL=${url} paypal-invoice <command>`));
+        options.fault.forEach(fault => {
+            console.log(chalk.yellow(`   Fault: ${fault.reset ? 'connection reset' : fault.status} for ${fault.method || 'any'} ${fault.path || '*'} × ${fault.times}`));
+        });
+        console.log(chalk.gray('   Ctrl+C to stop'));
+
+        await new Promise(resolve => {
+            const stop = () => mock.stop().then(resolve);
+            process.once('SIGINT', stop);
+            process.once('SIGTERM', stop);
+        });
+    });
+
+program.parseAsync().catch(error => {
+    console.error(chalk.red('❌ Mock server failed:'), error.message);
+    process.exitCode = 1;
+});
@@ -12,16 +12,22 @@
  * - Real-time invoice preview
  * - Automatic email sending via PayPal
  * - Invoice list management
+ * - Customer directory management (saved customers with defaults)
  * - Production and sandbox environment support
  * 
- * Usage: node index.js
+ * Usage: node index.js [--profile <business-profile-id>]
  * Requires: .env file with PayPal credentials and business information
+ *           (or config/profiles.json with named business profiles)
  */
 
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const InvoiceManager = require('./src/invoiceManager');
 const CustomerTemplates = require('./src/customerTemplates');
+const CustomerStore = require('./src/customerStore');
+const BusinessProfiles = require('./src/businessProfiles');
+const Currency = require('./src/currency');
+const ScheduledSends = require('./src/scheduledSends');
 require('dotenv').config();
 
 /**
@@ -33,9 +39,23 @@ require('dotenv').config();
 class InvoiceApp {
     /**
      * Initialize application with invoice manager
+     * 
+     * @param {Object} [options={}] - Application options
+     * @param {string} [options.profile] - Business profile to bill from (prompted if several exist)
+     */
+    constructor(options = {}) {
+        this.profileSelected = Boolean(options.profile);
+        this.invoiceManager = new InvoiceManager({ profile: options.profile });
+        this.customerStore = new CustomerStore();
+    }
+
+    /**
+     * ID of the business profile invoices are currently billed from
+     * 
+     * @returns {string} Business profile ID
      */
-    constructor() {
-        this.invoiceManager = new InvoiceManager();
+    get profileId() {
+        return this.invoiceManager.profile.id;
     }
 
     /**
@@ -48,8 +68,12 @@ class InvoiceApp {
         // Display welcome screen and environment info
         console.log(chalk.bold.blue('\n🧾 PayPal Invoice Generator'));
         console.log(chalk.blue('================================\n'));
-        console.log(chalk.green(`Environment: ${process.env.PAYPAL_ENVIRONMENT || 'SANDBOX'}`));
-        console.log(chalk.green(`Business: ${process.env.BUSINESS_NAME || 'Not configured'}\n`));
+
+        // Ask which business to bill from when several profiles exist and none was given
+        if (!this.profileSelected && new BusinessProfiles().list().length > 1) {
+            await this.switchProfile();
+        }
+        this.showProfileInfo();
 
         // Main application loop
         while (true) {
@@ -63,8 +87,15 @@ class InvoiceApp {
                 case 'create_custom':
                     await this.createCustomInvoice();
                     break;
-                case 'sencha_test':
-                    await this.createSenchaTestInvoice();
+                case 'saved_customer':
+                    await this.createSavedCustomerInvoice();
+                    break;
+                case 'customers':
+                    await this.manageCustomers();
+                    break;
+                case 'profile':
+                    await this.switchProfile();
+                    this.showProfileInfo();
                     break;
                 case 'preview':
                     await this.previewInvoice();
@@ -75,6 +106,12 @@ class InvoiceApp {
                 case 'send':
                     await this.sendExistingInvoice();
                     break;
+                case 'payment':
+                    await this.recordExternalTransaction('payment');
+                    break;
+                case 'refund':
+                    await this.recordExternalTransaction('refund');
+                    break;
                 case 'exit':
                     console.log(chalk.green('\n👋 Goodbye!'));
                     process.exit(0);
@@ -83,6 +120,39 @@ class InvoiceApp {
         }
     }
 
+    /**
+     * Display the active business profile and PayPal environment
+     */
+    showProfileInfo() {
+        const profile = this.invoiceManager.profile;
+        console.log(chalk.green(`Environment: ${this.invoiceManager.paypal.getEnvironment()}`));
+        console.log(chalk.green(`Business: ${profile.name || 'Not configured'} (profile: ${profile.id})\n`));
+    }
+
+    /**
+     * Let the user choose which business profile to bill from
+     * 
+     * Recreates the invoice manager so the profile's PayPal credentials are used
+     */
+    async switchProfile() {
+        const profiles = new BusinessProfiles().list();
+
+        const { profile } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'profile',
+                message: 'Bill from which business?',
+                default: this.profileId,
+                choices: profiles.map(p => ({
+                    name: `${p.name} [${p.id}] (${p.paypal.environment})`,
+                    value: p.id
+                }))
+            }
+        ]);
+
+        this.invoiceManager = new InvoiceManager({ profile });
+    }
+
     /**
      * Display main menu and get user selection
      * 
@@ -97,10 +167,14 @@ class InvoiceApp {
                 choices: [
                     { name: '🚀 Create Quick Guest Post Invoice', value: 'create_quick' },
                     { name: '⚙️  Create Custom Invoice', value: 'create_custom' },
-                    { name: '🧪 Test Sencha Invoice (Live)', value: 'sencha_test' },
+                    { name: '📇 Invoice Saved Customer', value: 'saved_customer' },
                     { name: '👁️  Preview Invoice', value: 'preview' },
                     { name: '📋 List Recent Invoices', value: 'list' },
                     { name: '📧 Send Existing Invoice', value: 'send' },
+                    { name: '💵 Record External Payment', value: 'payment' },
+                    { name: '↩️  Record Refund', value: 'refund' },
+                    { name: '👥 Manage Customers', value: 'customers' },
+                    { name: '🏢 Switch Business Profile', value: 'profile' },
                     { name: '🚪 Exit', value: 'exit' }
                 ]
             }
@@ -131,10 +205,11 @@ class InvoiceApp {
                 message: 'Company/Client name:',
                 validate: input => input.trim().length > 0 || 'Company name is required'
             },
+            this.currencyQuestion(),
             {
                 type: 'number',
                 name: 'price',
-                message: 'Price (USD):',
+                message: answers => `Price (${answers.currency}):`,
                 validate: input => input > 0 || 'Price must be greater than 0'
             },
             {
@@ -161,67 +236,75 @@ class InvoiceApp {
             answers.companyName,
             answers.price,
             answers.url,
-            answers.title
+            answers.title,
+            { profile: this.profileId, currency: answers.currency }
         );
 
         await this.processInvoice(invoiceData, answers.sendNow);
     }
 
     /**
-     * Sencha customer test invoice workflow
+     * Saved customer invoice workflow
      * 
-     * Pre-configured invoice for Sencha customer with safety confirmations
-     * Used for testing and as example of customer-specific templates
+     * Invoices a customer from the customer directory
+     * Prices, currency and notes default to the values stored with the customer
      * WARNING: Creates real invoices in production environment
      */
-    async createSenchaTestInvoice() {
-        console.log(chalk.yellow('\n🧪 Creating Sencha Test Invoice (LIVE ENVIRONMENT)'));
-        console.log(chalk.red('⚠️  This will create a REAL invoice that will be sent to the customer!'));
-        
-        // Safety confirmation for live invoice creation
-        const { confirm } = await inquirer.prompt([
-            {
-                type: 'confirm',
-                name: 'confirm',
-                message: 'Are you sure you want to create a LIVE invoice for Sencha?',
-                default: false
-            }
-        ]);
-
-        if (!confirm) {
-            console.log(chalk.yellow('Operation cancelled.'));
+    async createSavedCustomerInvoice() {
+        const customer = await this.selectCustomer();
+        if (!customer) {
             return;
         }
 
-        const { price } = await inquirer.prompt([
+        console.log(chalk.yellow(`\n📇 Invoice for ${this.formatCustomerName(customer)}`));
+
+        const answers = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'type',
+                message: 'Service type:',
+                choices: [
+                    { name: 'Guest Post Publication', value: 'guest_post' },
+                    { name: 'Link Insertion Service', value: 'link_insertion' }
+                ]
+            },
+            this.currencyQuestion(customer.defaultCurrency),
             {
                 type: 'number',
                 name: 'price',
-                message: 'Invoice amount (USD):',
-                default: 30,
+                message: answers => `Price (${answers.currency}):`,
+                default: answers => customer.defaultPrices[answers.type],
                 validate: input => input > 0 || 'Price must be greater than 0'
-            }
-        ]);
-
-        const { sendNow } = await inquirer.prompt([
+            },
+            {
+                type: 'input',
+                name: 'url',
+                message: answers => answers.type === 'guest_post'
+                    ? 'Published article URL (optional):'
+                    : 'Target URL (optional):'
+            },
+            {
+                type: 'input',
+                name: 'title',
+                message: 'Article title (optional):',
+                when: answers => answers.type === 'guest_post'
+            },
+            {
+                type: 'input',
+                name: 'anchorText',
+                message: 'Anchor text (optional):',
+                when: answers => answers.type === 'link_insertion'
+            },
             {
                 type: 'confirm',
                 name: 'sendNow',
-                message: 'Send invoice to raj.vuyyuru@idera.com immediately?',
+                message: `Send invoice to ${customer.email} immediately?`,
                 default: true
             }
         ]);
 
-        // Generate Sencha-specific invoice with provided price
-        const invoiceData = CustomerTemplates.createSenchaInvoice(price);
-        
-        // Display invoice summary for final review
-        console.log(chalk.blue('\n📋 Invoice Details:'));
-        console.log(`Customer: ${invoiceData.customer.businessName}`);
-        console.log(`Email: ${invoiceData.customer.email}`);
-        console.log(`Amount: $${price} USD`);
-        console.log(`Service: Guest Post Publication`);
-        console.log(`Article Title: ${invoiceData.items[0].description.split('\n')[1]?.replace('Article Title: ', '') || 'Not specified'}`);
+        const { sendNow, ...serviceData } = answers;
+        const invoiceData = CustomerTemplates.createForCustomer(customer.id, serviceData, { profile: this.profileId });
 
         await this.processInvoice(invoiceData, sendNow);
     }
@@ -251,7 +334,8 @@ class InvoiceApp {
         const serviceInfo = await inquirer.prompt([
             { type: 'input', name: 'serviceName', message: 'Service name:', default: 'Guest Post Publication' },
             { type: 'input', name: 'description', message: 'Service description:' },
-            { type: 'number', name: 'price', message: 'Price (USD):', validate: input => input > 0 },
+            this.currencyQuestion(),
+            { type: 'number', name: 'price', message: answers => `Price (${answers.currency}):`, validate: input => input > 0 },
             { type: 'input', name: 'url', message: 'Article/Service URL (optional):' }
         ]);
 
@@ -272,7 +356,8 @@ class InvoiceApp {
                     countryCode: 'US'
                 } : null
             },
-            serviceInfo
+            serviceInfo,
+            { profile: this.profileId }
         );
 
         await this.processInvoice(invoiceData, sendNow);
@@ -317,7 +402,9 @@ class InvoiceApp {
                 const result = await this.invoiceManager.createAndSendInvoice(invoiceData);
                 
                 if (result.success) {
-                    console.log(chalk.green('\n✅ Invoice created and sent successfully!'));
+                    console.log(chalk.green(result.duplicate
+                        ? '\n♻️ This invoice already existed; no duplicate was created.'
+                        : '\n✅ Invoice created and sent successfully!'));
                     console.log(chalk.blue(`📋 Invoice ID: ${result.invoiceId}`));
                     console.log(chalk.blue(`🔢 Invoice Number: ${result.invoiceNumber}`));
                     console.log(chalk.blue(`💰 Amount: ${result.currency} ${result.totalAmount}`));
@@ -325,6 +412,8 @@ class InvoiceApp {
                     
                     if (result.sent) {
                         console.log(chalk.green('📧 Email sent to customer successfully!'));
+                    } else if (result.duplicate) {
+                        console.log(chalk.yellow(`📧 Not sent again: the invoice is already ${result.status}.`));
                     } else {
                         console.log(chalk.yellow('⚠️ Invoice created but email failed to send.'));
                     }
@@ -336,12 +425,18 @@ class InvoiceApp {
                 const result = await this.invoiceManager.createInvoice(invoiceData);
                 
                 if (result.success) {
-                    console.log(chalk.green('\n✅ Invoice created successfully!'));
+                    console.log(chalk.green(result.duplicate
+                        ? '\n♻️ This invoice already existed; no duplicate was created.'
+                        : '\n✅ Invoice created successfully!'));
                     console.log(chalk.blue(`📋 Invoice ID: ${result.invoiceId}`));
                     console.log(chalk.blue(`🔢 Invoice Number: ${result.invoiceNumber}`));
                     console.log(chalk.blue(`💰 Amount: ${result.currency} ${result.totalAmount}`));
                     console.log(chalk.blue(`🔗 View Invoice: ${result.invoicerViewUrl}`));
                     console.log(chalk.yellow('📧 Note: Invoice has NOT been sent to customer yet.'));
+
+                    if (result.status === 'DRAFT') {
+                        await this.promptScheduledSend(result.invoiceId, invoiceData);
+                    }
                 } else {
                     console.error(chalk.red('❌ Failed to create invoice:', result.error));
                 }
@@ -351,6 +446,290 @@ class InvoiceApp {
         }
     }
 
+    /**
+     * Offer to email a new draft later, e.g. when the article goes live
+     * 
+     * The send is queued in the local ledger and made by `paypal-invoice dispatch`
+     * 
+     * @param {string} invoiceId - Draft invoice ID
+     * @param {Object} invoiceData - Invoice data the draft was created from
+     */
+    async promptScheduledSend(invoiceId, invoiceData) {
+        const { sendAt } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'sendAt',
+                message: 'Schedule the email for (YYYY-MM-DD or "YYYY-MM-DD HH:mm", empty to send manually later):',
+                validate: input => {
+                    if (!input.trim()) {
+                        return true;
+                    }
+                    try {
+                        ScheduledSends.parseSendAt(input);
+                        return true;
+                    } catch (error) {
+                        return error.message;
+                    }
+                }
+            }
+        ]);
+
+        if (!sendAt.trim()) {
+            return;
+        }
+
+        const result = await this.invoiceManager.scheduleSend(invoiceId, sendAt, {
+            subject: `Invoice for ${invoiceData.items[0].name}`
+        });
+        if (result.success) {
+            console.log(chalk.blue('⏰ Run "paypal-invoice dispatch" from cron to send it on time.'));
+        }
+    }
+
+    /**
+     * Customer directory management workflow
+     * 
+     * Lists, searches, adds, edits and deletes saved customers
+     * Loops until the user goes back to the main menu
+     */
+    async manageCustomers() {
+        while (true) {
+            const { action } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'action',
+                    message: 'Manage customers:',
+                    choices: [
+                        { name: '📋 List Customers', value: 'list' },
+                        { name: '🔍 Search Customers', value: 'search' },
+                        { name: '➕ Add Customer', value: 'add' },
+                        { name: '✏️  Edit Customer', value: 'edit' },
+                        { name: '🗑️  Delete Customer', value: 'delete' },
+                        { name: '⬅️  Back', value: 'back' }
+                    ]
+                }
+            ]);
+
+            try {
+                switch (action) {
+                    case 'list':
+                        this.printCustomers(this.customerStore.list());
+                        break;
+                    case 'search': {
+                        const { query } = await inquirer.prompt([
+                            { type: 'input', name: 'query', message: 'Search (name, email, ID, VAT number):' }
+                        ]);
+                        this.printCustomers(this.customerStore.search(query));
+                        break;
+                    }
+                    case 'add': {
+                        const customer = this.customerStore.add(await this.promptCustomerDetails());
+                        console.log(chalk.green(`✅ Customer saved with ID: ${customer.id}`));
+                        break;
+                    }
+                    case 'edit': {
+                        const existing = await this.selectCustomer();
+                        if (existing) {
+                            const changes = await this.promptCustomerDetails(existing);
+                            this.customerStore.update(existing.id, changes);
+                            console.log(chalk.green(`✅ Customer ${existing.id} updated`));
+                        }
+                        break;
+                    }
+                    case 'delete': {
+                        const existing = await this.selectCustomer();
+                        if (existing) {
+                            const { confirm } = await inquirer.prompt([
+                                {
+                                    type: 'confirm',
+                                    name: 'confirm',
+                                    message: `Delete customer ${existing.id}?`,
+                                    default: false
+                                }
+                            ]);
+                            if (confirm) {
+                                this.customerStore.remove(existing.id);
+                                console.log(chalk.green(`✅ Customer ${existing.id} deleted`));
+                            }
+                        }
+                        break;
+                    }
+                    case 'back':
+                        return;
+                }
+            } catch (error) {
+                console.error(chalk.red('❌ Customer operation failed:', error.message));
+            }
+        }
+    }
+
+    /**
+     * Prompt for customer details
+     * 
+     * Used by both add and edit flows; existing values are offered as defaults
+     * 
+     * @param {Object} [existing={}] - Existing customer record when editing
+     * @returns {Object} Customer fields ready for CustomerStore.add/update
+     */
+    async promptCustomerDetails(existing = {}) {
+        const address = existing.address || {};
+        const prices = existing.defaultPrices || {};
+        const optionalNumber = input => (input === '' || !isNaN(parseFloat(input))) || 'Please enter a number';
+
+        const answers = await inquirer.prompt([
+            { type: 'input', name: 'firstName', message: 'First name:', default: existing.firstName },
+            { type: 'input', name: 'lastName', message: 'Last name:', default: existing.lastName },
+            {
+                type: 'input',
+                name: 'email',
+                message: 'Email:',
+                default: existing.email,
+                validate: input => input.includes('@') || 'Please enter a valid email'
+            },
+            { type: 'input', name: 'businessName', message: 'Business name (optional):', default: existing.businessName },
+            { type: 'input', name: 'phone', message: 'Phone (optional):', default: existing.phone },
+            { type: 'input', name: 'vatNumber', message: 'VAT number (optional):', default: existing.vatNumber },
+            { type: 'input', name: 'line1', message: 'Address line 1 (optional):', default: address.line1 },
+            { type: 'input', name: 'line2', message: 'Address line 2 (optional):', default: address.line2 },
+            { type: 'input', name: 'city', message: 'City (optional):', default: address.city },
+            { type: 'input', name: 'state', message: 'State (optional):', default: address.state },
+            { type: 'input', name: 'postalCode', message: 'Postal code (optional):', default: address.postalCode },
+            { type: 'input', name: 'countryCode', message: 'Country code (ISO, e.g. US):', default: address.countryCode || 'US' },
+            {
+                type: 'input',
+                name: 'defaultCurrency',
+                message: "Default currency (optional, blank for the business profile's):",
+                default: existing.defaultCurrency || '',
+                filter: input => input.trim().toUpperCase(),
+                validate: input => input === '' || Currency.isSupported(input) || `PayPal can't invoice in ${input}`
+            },
+            {
+                type: 'input',
+                name: 'guestPostPrice',
+                message: 'Default guest post price (optional):',
+                default: prices.guest_post !== undefined ? String(prices.guest_post) : '',
+                validate: optionalNumber
+            },
+            {
+                type: 'input',
+                name: 'linkInsertionPrice',
+                message: 'Default link insertion price (optional):',
+                default: prices.link_insertion !== undefined ? String(prices.link_insertion) : '',
+                validate: optionalNumber
+            },
+            { type: 'input', name: 'defaultNotes', message: 'Default invoice note (optional):', default: existing.defaultNotes }
+        ]);
+
+        const defaultPrices = {};
+        if (answers.guestPostPrice !== '') defaultPrices.guest_post = parseFloat(answers.guestPostPrice);
+        if (answers.linkInsertionPrice !== '') defaultPrices.link_insertion = parseFloat(answers.linkInsertionPrice);
+
+        return {
+            firstName: answers.firstName,
+            lastName: answers.lastName,
+            email: answers.email,
+            businessName: answers.businessName,
+            phone: answers.phone,
+            vatNumber: answers.vatNumber,
+            address: answers.line1 ? {
+                line1: answers.line1,
+                line2: answers.line2,
+                city: answers.city,
+                state: answers.state,
+                postalCode: answers.postalCode,
+                countryCode: answers.countryCode.toUpperCase()
+            } : null,
+            defaultCurrency: answers.defaultCurrency,
+            defaultPrices,
+            defaultNotes: answers.defaultNotes
+        };
+    }
+
+    /**
+     * Let the user pick a saved customer
+     * 
+     * @returns {Object|null} Selected customer record, or null if there are none
+     */
+    async selectCustomer() {
+        const customers = this.customerStore.list();
+        if (customers.length === 0) {
+            console.log(chalk.yellow('No saved customers yet. Use "Manage Customers" to add one.'));
+            return null;
+        }
+
+        const { customerId } = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'customerId',
+                message: 'Select customer:',
+                choices: customers.map(customer => ({
+                    name: `${this.formatCustomerName(customer)} <${customer.email}> [${customer.id}]`,
+                    value: customer.id
+                }))
+            }
+        ]);
+
+        return customers.find(customer => customer.id === customerId);
+    }
+
+    /**
+     * Display customers in a formatted table
+     * 
+     * @param {Array<Object>} customers - Customer records to display
+     */
+    printCustomers(customers) {
+        if (customers.length === 0) {
+            console.log(chalk.yellow('No customers found.'));
+            return;
+        }
+
+        const Table = require('cli-table3');
+        const table = new Table({
+            head: ['ID', 'Name', 'Email', 'Country', 'Currency', 'Default Prices'],
+            colWidths: [18, 25, 28, 9, 10, 22]
+        });
+
+        customers.forEach(customer => {
+            table.push([
+                customer.id,
+                this.formatCustomerName(customer),
+                customer.email,
+                customer.address?.countryCode || '',
+                customer.defaultCurrency || '-',
+                Object.entries(customer.defaultPrices || {}).map(([type, price]) => `${type}: ${price}`).join('\n')
+            ]);
+        });
+
+        console.log(table.toString());
+    }
+
+    /**
+     * Question asking for the invoice currency, answered as "currency"
+     * 
+     * @param {string} [defaultCurrency] - Preselected currency (default: the business profile's)
+     * @returns {Object} Inquirer question
+     */
+    currencyQuestion(defaultCurrency) {
+        return {
+            type: 'input',
+            name: 'currency',
+            message: 'Currency:',
+            default: Currency.resolve(defaultCurrency, this.invoiceManager.profile.defaultCurrency),
+            filter: input => input.trim().toUpperCase(),
+            validate: input => Currency.isSupported(input) || `PayPal can't invoice in ${input}; use one of ${Currency.SUPPORTED_CURRENCIES.join(', ')}`
+        };
+    }
+
+    /**
+     * Get a display name for a customer
+     * 
+     * @param {Object} customer - Customer record
+     * @returns {string} Business name, or the person's full name
+     */
+    formatCustomerName(customer) {
+        return customer.businessName || `${customer.firstName} ${customer.lastName}`.trim();
+    }
+
     /**
      * Standalone invoice preview workflow
      * 
@@ -358,16 +737,19 @@ class InvoiceApp {
      * Useful for testing formatting and layout
      */
     async previewInvoice() {
-        const { email, companyName, price, url } = await inquirer.prompt([
+        const { email, companyName, currency, price, url, html } = await inquirer.prompt([
             { type: 'input', name: 'email', message: 'Customer email:' },
             { type: 'input', name: 'companyName', message: 'Company name:' },
-            { type: 'number', name: 'price', message: 'Price (USD):' },
-            { type: 'input', name: 'url', message: 'Article URL (optional):' }
+            this.currencyQuestion(),
+            { type: 'number', name: 'price', message: answers => `Price (${answers.currency}):` },
+            { type: 'input', name: 'url', message: 'Article URL (optional):' },
+            // The customer's view as HTML, to open in a browser or paste into an email
+            { type: 'input', name: 'html', message: 'Also save as HTML file (optional, e.g. invoices/preview.html):' }
         ]);
 
         // Generate preview using quick template
-        const invoiceData = CustomerTemplates.quickGuestPost(email, companyName, price, url);
-        await this.invoiceManager.previewInvoice(invoiceData);
+        const invoiceData = CustomerTemplates.quickGuestPost(email, companyName, price, url, '', { profile: this.profileId, currency });
+        await this.invoiceManager.previewInvoice(invoiceData, { html: html.trim() || undefined });
     }
 
     /**
@@ -439,12 +821,91 @@ class InvoiceApp {
             console.error(chalk.red('❌ Failed to send invoice:', result.error));
         }
     }
+
+    /**
+     * Record a payment or refund made outside PayPal (bank transfer, Wise, cash, ...)
+     * 
+     * Shows the invoice's remaining due amount first so partial payments are easy to enter
+     * 
+     * @param {'payment'|'refund'} type - Transaction type
+     */
+    async recordExternalTransaction(type) {
+        const { invoiceId } = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'invoiceId',
+                message: `Enter invoice ID to record a ${type} on:`,
+                validate: input => input.trim().length > 0 || 'Invoice ID is required'
+            }
+        ]);
+
+        const current = await this.invoiceManager.getInvoice(invoiceId.trim());
+        if (!current.success) {
+            console.error(chalk.red('❌ Failed to fetch invoice:', current.error));
+            return;
+        }
+
+        const invoice = current.invoice;
+        const due = invoice.due_amount || invoice.amount;
+        const paid = invoice.payments?.paid_amount;
+        console.log(chalk.yellow(`\n📋 ${invoice.detail?.invoice_number || invoice.id} - ${invoice.status}`));
+        console.log(chalk.yellow(`   Due: ${due ? `${due.currency_code} ${due.value}` : 'N/A'}`));
+        console.log(chalk.yellow(`   Paid: ${paid ? `${paid.currency_code} ${paid.value}` : 'nothing yet'}\n`));
+
+        const details = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'amount',
+                message: `${type === 'payment' ? 'Amount received' : 'Amount refunded'}${due ? ` (${due.currency_code})` : ''}:`,
+                default: type === 'payment' && due ? due.value : undefined,
+                validate: input => parseFloat(input) > 0 || 'Please enter a valid amount'
+            },
+            {
+                type: 'list',
+                name: 'method',
+                message: 'Method:',
+                choices: [
+                    { name: 'Bank transfer (incl. Wise)', value: 'BANK_TRANSFER' },
+                    { name: 'Wire transfer', value: 'WIRE_TRANSFER' },
+                    { name: 'Cash', value: 'CASH' },
+                    { name: 'Check', value: 'CHECK' },
+                    { name: 'PayPal', value: 'PAYPAL' },
+                    { name: 'Other', value: 'OTHER' }
+                ]
+            },
+            {
+                type: 'input',
+                name: 'date',
+                message: 'Date (YYYY-MM-DD):',
+                default: new Date().toISOString().slice(0, 10)
+            },
+            {
+                type: 'input',
+                name: 'note',
+                message: 'Note (optional):',
+                when: () => type === 'payment'
+            }
+        ]);
+
+        const result = type === 'payment'
+            ? await this.invoiceManager.recordPayment(invoiceId.trim(), details)
+            : await this.invoiceManager.recordRefund(invoiceId.trim(), details);
+
+        if (result.success) {
+            const remaining = result.dueAmount ? ` Remaining due: ${result.dueAmount.currency_code} ${result.dueAmount.value}` : '';
+            console.log(chalk.green(`✅ ${result.message}. Status: ${result.status || 'unknown'}.${remaining}`));
+        } else {
+            console.error(chalk.red(`❌ Failed to record ${type}:`, result.error));
+        }
+    }
 }
 
 // Application entry point
 // Only run if this file is executed directly (not imported as module)
 if (require.main === module) {
-    const app = new InvoiceApp();
+    const args = process.argv.slice(2);
+    const profileIndex = args.indexOf('--profile');
+    const app = new InvoiceApp({ profile: profileIndex !== -1 ? args[profileIndex + 1] : undefined });
     app.start().catch(error => {
         console.error(chalk.red('❌ Application error:', error.message));
         process.exit(1);
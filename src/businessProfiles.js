@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const VolumeDiscounts = require('./volumeDiscounts');
+const Currency = require('./currency');
+require('dotenv').config();
+
+/**
+ * Business Profiles Handler
+ * 
+ * Manages named invoicer profiles so one installation can bill from several business entities
+ * Each profile holds the invoicer identity (name, legal name, address, tax ID, logo URL
+ * and a local logo file for PDFs), default invoice terms and currency, the home currency of its
+ * books, its invoice number pattern,
+ * volume discount rules, the theme of HTML/PDF invoices and optionally its own PayPal credentials
+ * 
+ * Profiles are read from config/profiles.json (git-ignored, override with BUSINESS_PROFILES_FILE)
+ * Without a profiles file a single "default" profile is built from the BUSINESS_* and PAYPAL_*
+ * environment variables, which is the only place business fallback values are defined
+ */
+class BusinessProfiles {
+    /**
+     * @param {string} [filePath] - Path to the profiles JSON file
+     */
+    constructor(filePath) {
+        this.filePath = filePath
+            || process.env.BUSINESS_PROFILES_FILE
+            || path.join(__dirname, '..', 'config', 'profiles.json');
+    }
+
+    /**
+     * Load all profiles
+     * 
+     * @returns {{defaultProfile: string, profiles: Array<Object>}} Profiles and the default profile ID
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return {
+                defaultProfile: 'default',
+                profiles: [BusinessProfiles.fromEnvironment()]
+            };
+        }
+
+        const contents = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const profiles = (contents.profiles || []).map(profile => BusinessProfiles.normalize(profile));
+        if (profiles.length === 0) {
+            throw new Error(`No business profiles defined in ${this.filePath}`);
+        }
+
+        return {
+            defaultProfile: contents.defaultProfile || profiles[0].id,
+            profiles
+        };
+    }
+
+    /**
+     * List all profiles
+     * 
+     * @returns {Array<Object>} Business profiles
+     */
+    list() {
+        return this.load().profiles;
+    }
+
+    /**
+     * Get a profile by ID
+     * 
+     * Falls back to BUSINESS_PROFILE, then the file's defaultProfile when no ID is given
+     * 
+     * @param {string} [id] - Profile ID
+     * @returns {Object} Business profile
+     * @throws {Error} If the profile doesn't exist
+     */
+    get(id) {
+        const { defaultProfile, profiles } = this.load();
+        const profileId = id || process.env.BUSINESS_PROFILE || defaultProfile;
+        const profile = profiles.find(p => p.id === profileId);
+
+        if (!profile) {
+            throw new Error(`Business profile not found: ${profileId}. Available: ${profiles.map(p => p.id).join(', ')}`);
+        }
+        return profile;
+    }
+
+    /**
+     * Get the invoice "business" block for a profile
+     * 
+     * @param {string} [id] - Profile ID (default profile if omitted)
+     * @returns {Object} Business information for invoice data
+     */
+    getBusinessInfo(id) {
+        return BusinessProfiles.toBusinessInfo(this.get(id));
+    }
+
+    /**
+     * Build the default profile from BUSINESS_* and PAYPAL_* environment variables
+     * 
+     * @returns {Object} Business profile
+     */
+    static fromEnvironment() {
+        return BusinessProfiles.normalize({
+            id: 'default',
+            name: process.env.BUSINESS_NAME || 'TG Media. Tech Geekers',
+            legalName: process.env.BUSINESS_LEGAL_NAME || '',
+            firstName: 'TG Media',
+            lastName: 'Tech Geekers',
+            email: process.env.BUSINESS_EMAIL || 'billing@techgeekers.com',
+            phone: process.env.BUSINESS_PHONE || '',
+            website: process.env.BUSINESS_WEBSITE || '',
+            taxId: process.env.BUSINESS_TAX_ID || '',
+            logoUrl: process.env.BUSINESS_LOGO_URL || '',
+            logoPath: process.env.BUSINESS_LOGO_PATH || '',
+            address: {
+                line1: process.env.BUSINESS_ADDRESS_LINE_1 || '',
+                line2: process.env.BUSINESS_ADDRESS_LINE_2 || '',
+                city: process.env.BUSINESS_CITY || '',
+                state: process.env.BUSINESS_STATE || '',
+                postalCode: process.env.BUSINESS_POSTAL_CODE || '',
+                countryCode: process.env.BUSINESS_COUNTRY || 'IN'
+            }
+        });
+    }
+
+    /**
+     * Normalize a profile to the full profile shape
+     * 
+     * Missing PayPal credentials fall back to the PAYPAL_* environment variables
+     * 
+     * @param {Object} profile - Raw profile data
+     * @returns {Object} Normalized business profile
+     */
+    static normalize(profile) {
+        if (!profile.id) {
+            throw new Error('Business profile is missing an "id"');
+        }
+
+        const address = profile.address || {};
+        const paypal = profile.paypal || {};
+        const theme = profile.theme || {};
+
+        const defaultCurrency = (profile.defaultCurrency || '').toUpperCase();
+        if (defaultCurrency && !Currency.isSupported(defaultCurrency)) {
+            throw new Error(`Business profile "${profile.id}": PayPal can't invoice in ${defaultCurrency}`);
+        }
+
+        return {
+            id: profile.id,
+            name: profile.name || '',
+            legalName: profile.legalName || '',
+            firstName: profile.firstName || '',
+            lastName: profile.lastName || '',
+            email: profile.email || '',
+            phone: profile.phone || '',
+            website: profile.website || '',
+            taxId: profile.taxId || '',
+            logoUrl: profile.logoUrl || '',
+            logoPath: profile.logoPath || '',
+            address: {
+                line1: address.line1 || '',
+                line2: address.line2 || '',
+                city: address.city || '',
+                state: address.state || '',
+                postalCode: address.postalCode || '',
+                countryCode: address.countryCode || 'US'
+            },
+            terms: profile.terms || '',
+            defaultCurrency,
+            homeCurrency: (profile.homeCurrency || '').toUpperCase(),
+            invoiceNumberPattern: profile.invoiceNumberPattern || process.env.INVOICE_NUMBER_PATTERN || '',
+            volumeDiscounts: VolumeDiscounts.normalizeRules(profile.volumeDiscounts, profile.id),
+            theme: {
+                primaryColor: theme.primaryColor || '',
+                backgroundColor: theme.backgroundColor || '',
+                logoUrl: theme.logoUrl || profile.logoUrl || '',
+                footer: theme.footer || '',
+                template: theme.template || ''
+            },
+            paypal: {
+                clientId: paypal.clientId || process.env.PAYPAL_CLIENT_ID,
+                clientSecret: paypal.clientSecret || process.env.PAYPAL_CLIENT_SECRET,
+                environment: paypal.environment || process.env.PAYPAL_ENVIRONMENT || 'SANDBOX',
+                webhookId: paypal.webhookId || process.env.PAYPAL_WEBHOOK_ID || '',
+                apiBaseUrl: paypal.apiBaseUrl || process.env.PAYPAL_API_BASE_URL || ''
+            }
+        };
+    }
+
+    /**
+     * Convert a profile into the invoice "business" block
+     * 
+     * @param {Object} profile - Business profile
+     * @returns {Object} Business information for invoice data
+     */
+    static toBusinessInfo(profile) {
+        return {
+            profileId: profile.id,
+            name: profile.name,
+            legalName: profile.legalName,
+            firstName: profile.firstName,
+            lastName: profile.lastName,
+            email: profile.email,
+            phone: profile.phone,
+            website: profile.website,
+            taxId: profile.taxId,
+            logoUrl: profile.logoUrl,
+            address: { ...profile.address }
+        };
+    }
+}
+
+module.exports = BusinessProfiles;
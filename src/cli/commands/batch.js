@@ -0,0 +1,137 @@
+const path = require('path');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const InvoiceBatch = require('../../invoiceBatch');
+const CliOutput = require('../output');
+const { parseCount } = require('../parsers');
+const { buildNotification } = require('./invoices');
+
+/**
+ * Batch command: one invoice per row of a CSV or JSON file
+ */
+
+/**
+ * Register the batch command
+ * 
+ * @param {Command} program - Root commander program
+ */
+function register(program) {
+    program.command('batch <file>')
+        .description('Create one invoice per row of a CSV file or JSON array (or re-run failed rows from a results file)')
+        .option('--send', 'email each invoice after creating it')
+        .option('--concurrency <n>', 'invoices processed at the same time', parseCount, 3)
+        .option('--results <file>', 'where to write the results file (default invoices/batch-<timestamp>.results.json)')
+        .option('--skip-invalid', 'create the valid rows even if some rows fail validation')
+        .option('--dry-run', 'only validate the rows')
+        .addHelpText('after', `
+CSV columns: customerId (or email, firstName, lastName, businessName, country),
+type (guest_post | link_insertion), price, currency, url, title, anchorText,
+description, profile
+
+Examples:
+  $ paypal-invoice batch month-end.csv --dry-run
+  $ paypal-invoice batch month-end.csv --send --yes
+  $ paypal-invoice batch invoices/batch-20260131-180000.results.json --send --yes   # re-run failed rows`)
+        .action(runBatch);
+}
+
+async function runBatch(file, options, command) {
+    const output = CliOutput.fromCommand(command);
+    const batch = new InvoiceBatch({
+        profile: command.optsWithGlobals().profile,
+        concurrency: options.concurrency,
+        send: options.send,
+        notification: (invoiceData, businessName) => buildNotification(invoiceData, businessName, {})
+    });
+
+    const rows = InvoiceBatch.loadRows(path.resolve(file));
+    if (rows.length === 0) {
+        output.finish({ success: true, results: [], summary: {} }, () => {
+            console.log(chalk.green('✅ Nothing to do: no rows (or no failed rows) in this file.'));
+        });
+        return;
+    }
+
+    console.log(chalk.blue(`🔍 Validating ${rows.length} row(s)...`));
+    const entries = batch.prepare(rows);
+    const invalid = entries.filter(entry => entry.errors.length > 0);
+    const startedAt = new Date().toISOString();
+    const resultsPath = options.results ? path.resolve(options.results) : InvoiceBatch.defaultResultsPath();
+
+    // Nothing reaches PayPal unless every row is valid (or --skip-invalid was given)
+    if (options.dryRun || (invalid.length > 0 && !options.skipInvalid)) {
+        const results = batch.validationResults(entries);
+        InvoiceBatch.writeResults(resultsPath, { source: path.resolve(file), startedAt, dryRun: true, results });
+        report(output, results, resultsPath, invalid.length > 0
+            ? `${invalid.length} row(s) failed validation; nothing was created`
+            : null);
+        return;
+    }
+
+    const toProcess = entries.length - invalid.length;
+    if (!(await output.confirm(`${options.send ? 'Create and email' : 'Create'} ${toProcess} invoice(s)?`))) {
+        output.finish({ success: false, error: 'Cancelled by user' });
+        return;
+    }
+
+    const results = await batch.run(entries);
+    InvoiceBatch.writeResults(resultsPath, { source: path.resolve(file), startedAt, send: Boolean(options.send), results });
+
+    const failed = results.filter(result => InvoiceBatch.RETRYABLE_STATUSES.includes(result.status));
+    report(output, results, resultsPath, failed.length > 0
+        ? `${failed.length} row(s) failed; re-run them with: paypal-invoice batch ${resultsPath}`
+        : null);
+}
+
+/**
+ * Print the per-row results and set the exit code
+ * 
+ * @param {CliOutput} output - Output handler
+ * @param {Array<Object>} results - Row results
+ * @param {string} resultsFile - Results file that was written
+ * @param {string|null} error - Failure message, if any row failed
+ */
+function report(output, results, resultsFile, error) {
+    const data = {
+        success: !error,
+        error: error || undefined,
+        resultsFile,
+        summary: InvoiceBatch.summarize(results),
+        results
+    };
+
+    output.emit(data, () => {
+        renderResults(data);
+        if (error) {
+            console.error(chalk.red(`❌ ${error}`));
+        }
+    });
+
+    if (error) {
+        process.exitCode = CliOutput.EXIT_CODES.FAILURE;
+    }
+}
+
+function renderResults(data) {
+    const table = new Table({
+        head: ['Row', 'Status', 'Customer', 'Invoice', 'Total', 'Errors'],
+        colWidths: [6, 13, 28, 22, 14, 40],
+        wordWrap: true
+    });
+
+    data.results.forEach(result => {
+        table.push([
+            result.row,
+            result.status,
+            result.customer || 'N/A',
+            result.invoiceNumber || result.invoiceId || '-',
+            result.total || '-',
+            result.errors.join('\n')
+        ]);
+    });
+
+    console.log(table.toString());
+    console.log(chalk.blue(`📄 Results written to ${data.resultsFile}`));
+}
+
+module.exports = { register };
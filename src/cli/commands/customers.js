@@ -0,0 +1,178 @@
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const CustomerStore = require('../../customerStore');
+const CliOutput = require('../output');
+const { parseAmount, parseCurrency } = require('../parsers');
+
+/**
+ * Customer directory commands: customers list|search|show|add|update|remove
+ */
+
+/**
+ * Register the customers command group
+ * 
+ * @param {Command} program - Root commander program
+ */
+function register(program) {
+    const customers = program.command('customers')
+        .description('Manage the saved customer directory');
+
+    customers.command('list')
+        .description('List saved customers')
+        .action((options, command) => printCustomers(command, new CustomerStore().list()));
+
+    customers.command('search <query>')
+        .description('Search customers by ID, name, email, business name or VAT number')
+        .action((query, options, command) => printCustomers(command, new CustomerStore().search(query)));
+
+    customers.command('show <id>')
+        .description('Show one saved customer')
+        .action((id, options, command) => {
+            const customer = new CustomerStore().get(id);
+            CliOutput.fromCommand(command).emit({ success: true, customer }, () => {
+                console.log(JSON.stringify(customer, null, 2));
+            });
+        });
+
+    addCustomerOptions(customers.command('add'))
+        .description('Add a customer (ID is generated from the name unless --id is given)')
+        .option('--id <id>', 'customer ID')
+        .action(addCustomer);
+
+    addCustomerOptions(customers.command('update <id>'))
+        .description('Change fields of a saved customer')
+        .action(updateCustomer);
+
+    customers.command('remove <id>')
+        .description('Delete a saved customer')
+        .action(removeCustomer);
+}
+
+/**
+ * Add the customer field flags
+ * 
+ * @param {Command} command - add or update command
+ * @returns {Command} The same command
+ */
+function addCustomerOptions(command) {
+    return command
+        .option('--first-name <name>', 'first name')
+        .option('--last-name <name>', 'last name')
+        .option('--email <email>', 'email address')
+        .option('--business <name>', 'business name')
+        .option('--phone <phone>', 'phone number')
+        .option('--vat <number>', 'VAT number')
+        .option('--currency <code>', "default currency, e.g. EUR (default: the business profile's)", parseCurrency)
+        .option('--guest-post-price <amount>', 'default guest post price', parseAmount)
+        .option('--link-price <amount>', 'default link insertion price', parseAmount)
+        .option('--notes <text>', 'default invoice note')
+        .option('--address-line1 <text>', 'address line 1')
+        .option('--address-line2 <text>', 'address line 2')
+        .option('--city <city>', 'city')
+        .option('--state <state>', 'state or region')
+        .option('--postal-code <code>', 'postal code')
+        .option('--country <code>', 'ISO country code, e.g. US');
+}
+
+/**
+ * Convert customer flags into CustomerStore fields, leaving out flags that weren't given
+ * 
+ * @param {Object} options - Command options
+ * @returns {Object} Customer fields
+ */
+function toCustomerFields(options) {
+    const defined = object => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+    const fields = defined({
+        id: options.id,
+        firstName: options.firstName,
+        lastName: options.lastName,
+        email: options.email,
+        businessName: options.business,
+        phone: options.phone,
+        vatNumber: options.vat,
+        defaultCurrency: options.currency,
+        defaultNotes: options.notes
+    });
+
+    const prices = defined({
+        guest_post: options.guestPostPrice,
+        link_insertion: options.linkPrice
+    });
+    if (Object.keys(prices).length > 0) {
+        fields.defaultPrices = prices;
+    }
+
+    const address = defined({
+        line1: options.addressLine1,
+        line2: options.addressLine2,
+        city: options.city,
+        state: options.state,
+        postalCode: options.postalCode,
+        countryCode: options.country
+    });
+    if (Object.keys(address).length > 0) {
+        fields.address = address;
+    }
+
+    return fields;
+}
+
+function addCustomer(options, command) {
+    const customer = new CustomerStore().add(toCustomerFields(options));
+    CliOutput.fromCommand(command).emit({ success: true, customer }, () => {
+        console.log(chalk.green(`✅ Customer saved with ID "${customer.id}"`));
+    });
+}
+
+function updateCustomer(id, options, command) {
+    const customer = new CustomerStore().update(id, toCustomerFields(options));
+    CliOutput.fromCommand(command).emit({ success: true, customer }, () => {
+        console.log(chalk.green(`✅ Customer "${customer.id}" updated`));
+    });
+}
+
+async function removeCustomer(id, options, command) {
+    const output = CliOutput.fromCommand(command);
+    const store = new CustomerStore();
+    store.get(id);
+
+    if (!(await output.confirm(`Delete customer "${id}"?`))) {
+        output.finish({ success: false, error: 'Cancelled by user' });
+        return;
+    }
+
+    const customer = store.remove(id);
+    output.emit({ success: true, customer }, () => {
+        console.log(chalk.green(`✅ Customer "${id}" deleted`));
+    });
+}
+
+function printCustomers(command, customers) {
+    CliOutput.fromCommand(command).emit({ success: true, customers }, () => {
+        if (customers.length === 0) {
+            console.log(chalk.yellow('No customers found.'));
+            return;
+        }
+
+        const table = new Table({
+            head: ['ID', 'Name', 'Email', 'Country', 'Currency', 'Default Prices'],
+            colWidths: [18, 25, 28, 9, 10, 22]
+        });
+
+        customers.forEach(customer => {
+            table.push([
+                customer.id,
+                customer.businessName || `${customer.firstName} ${customer.lastName}`.trim(),
+                customer.email,
+                customer.address?.countryCode || '',
+                customer.defaultCurrency || '-',
+                Object.entries(customer.defaultPrices || {}).map(([type, price]) => `${type}: ${price}`).join('\n')
+            ]);
+        });
+
+        console.log(table.toString());
+    });
+}
+
+module.exports = { register };
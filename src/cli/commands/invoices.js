@@ -0,0 +1,460 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const moment = require('moment');
+const Table = require('cli-table3');
+const InvoiceManager = require('../../invoiceManager');
+const CustomerTemplates = require('../../customerTemplates');
+const InvoiceSchema = require('../../invoiceSchema');
+const InvoiceValidator = require('../../invoiceValidator');
+const InvoiceStructure = require('../../invoiceStructure');
+const InvoiceTotals = require('../../invoiceTotals');
+const CliOutput = require('../output');
+const { parseAmount, parseCurrency, parseCount, parseSendAt } = require('../parsers');
+
+/**
+ * Invoice commands: create, preview, validate, pdf, list, get, send, cancel
+ */
+
+/**
+ * Register the invoice commands
+ * 
+ * @param {Command} program - Root commander program
+ */
+function register(program) {
+    addInvoiceInputOptions(program.command('create [input]'))
+        .description('Create an invoice from a JSON file/string or from flags (draft unless --send or --send-at)')
+        .option('--send', 'email the invoice to the customer after creating it')
+        .option('--send-at <time>', 'email it later instead: YYYY-MM-DD, "YYYY-MM-DD HH:mm" or ISO (sent by dispatch)', parseSendAt)
+        .option('--subject <text>', 'email subject when sending')
+        .option('--note <text>', 'email message when sending')
+        .option('--cc-self', 'also email a copy to the invoicer')
+        .option('--force', 'create a new invoice even if one was already created from the same input')
+        .addHelpText('after', `
+Re-running the same input returns the invoice created the first time instead of
+billing the customer twice (a draft is still sent with --send).
+
+Examples:
+  $ paypal-invoice create examples/example_bulk_guest_posts.json --send --yes
+  $ paypal-invoice create --customer sencha --price 40 --url https://... --title "Article"
+  $ paypal-invoice create --customer sencha --price 40 --url https://... --send-at "2026-11-02 09:00"
+  $ paypal-invoice create --customer sencha --service link_insertion --price 20 --url https://... --anchor "Text"
+  $ paypal-invoice create --email editor@example.com --company "Acme Media" --price 30`)
+        .action(createInvoice);
+
+    addInvoiceInputOptions(program.command('preview [input]'))
+        .description('Validate an invoice and show how it will look, without contacting PayPal')
+        .option('--html <file>', 'also write the invoice as a standalone HTML page (browser or email)')
+        .option('--template <file>', "Handlebars template for --html (default: the profile theme's template)")
+        .addHelpText('after', `
+Examples:
+  $ paypal-invoice preview examples/example_bulk_guest_posts.json
+  $ paypal-invoice preview --customer sencha --price 40 --url https://... --html invoices/sencha.html`)
+        .action(previewInvoice);
+
+    program.command('validate <files...>')
+        .description('Check invoice JSON files (or batch JSON arrays) against the invoice schema, without contacting PayPal')
+        .addHelpText('after', `
+Every problem is reported with the JSON path of the value, e.g. $.services[1].price.
+Files that match the schema are also checked the way create would check them
+(saved customer exists, currencies, decimals, totals).
+
+Add "$schema": "<path to>/schemas/invoice.v1.schema.json" to a file for editor autocompletion.
+
+Examples:
+  $ paypal-invoice validate examples/example_mixed_services.json
+  $ paypal-invoice validate invoices/*.json --json`)
+        .action(validateFiles);
+
+    addInvoiceInputOptions(program.command('pdf [input]'))
+        .description('Save an invoice as a PDF (rendered offline; --id renders an invoice fetched from PayPal)')
+        .option('--id <invoiceId>', 'render this PayPal invoice instead of an input file or flags')
+        .option('-o, --output <file>', 'PDF file to write (default invoices/<invoice number>.pdf)')
+        .option('--logo <file>', "local PNG/JPEG logo (default: the profile's logoPath)")
+        .addHelpText('after', `
+Examples:
+  $ paypal-invoice pdf --id INV2-XXXX-XXXX-XXXX-XXXX -o acme-invoice.pdf
+  $ paypal-invoice pdf examples/example_bulk_guest_posts.json   # draft, before creating it`)
+        .action(exportPdf);
+
+    program.command('list')
+        .description('List invoices on PayPal')
+        .option('--page <n>', 'page number', parseCount, 1)
+        .option('--page-size <n>', 'invoices per page', parseCount, 20)
+        .action(listInvoices);
+
+    program.command('get <invoiceId>')
+        .description('Show one invoice from PayPal')
+        .action(getInvoice);
+
+    program.command('send <invoiceId>')
+        .description('Email an existing draft invoice to the customer')
+        .option('--subject <text>', 'email subject')
+        .option('--note <text>', 'email message')
+        .option('--cc-self', 'also email a copy to the invoicer')
+        .action(sendInvoice);
+
+    program.command('cancel <invoiceId>')
+        .description('Cancel a sent invoice and notify the customer')
+        .option('--reason <text>', 'cancellation reason sent to the customer', 'Cancelled by merchant')
+        .action(cancelInvoice);
+}
+
+/**
+ * Add the flags that describe an invoice without a JSON file
+ * 
+ * @param {Command} command - create or preview command
+ * @returns {Command} The same command
+ */
+function addInvoiceInputOptions(command) {
+    return command
+        .option('--customer <id>', 'saved customer ID')
+        .option('--service <type>', 'guest_post or link_insertion (with --customer)', 'guest_post')
+        .option('--email <email>', 'ad-hoc customer email (quick guest post)')
+        .option('--company <name>', 'ad-hoc customer company name (quick guest post)')
+        .option('--price <amount>', 'service price (saved customer default if omitted)', parseAmount)
+        .option('--currency <code>', "invoice currency, e.g. EUR (default: the customer's, else the profile's)", parseCurrency)
+        .option('--url <url>', 'published article URL or link insertion target')
+        .option('--title <text>', 'article title')
+        .option('--anchor <text>', 'anchor text (link insertion)')
+        .option('--expect-total <amount>', 'fail unless the calculated invoice total is exactly this amount', parseAmount);
+}
+
+/**
+ * Build invoice data from a JSON argument or the input flags
+ * 
+ * @param {string} [input] - JSON string or path to a JSON file
+ * @param {Object} options - Command options
+ * @param {string} [profile] - Business profile ID
+ * @returns {Object} Complete invoice data
+ */
+function buildInvoiceData(input, options, profile) {
+    const invoiceData = buildInvoiceInput(input, options, profile);
+    if (options.expectTotal !== undefined) {
+        invoiceData.expectedTotal = options.expectTotal;
+    }
+    return invoiceData;
+}
+
+function buildInvoiceInput(input, options, profile) {
+    if (input) {
+        let json = input;
+        if (!input.trim().startsWith('{')) {
+            const filePath = path.resolve(input);
+            if (!fs.existsSync(filePath)) {
+                throw CliOutput.usageError(`File not found: ${filePath}`);
+            }
+            json = fs.readFileSync(filePath, 'utf8');
+        }
+        return CustomerTemplates.fromJSON(InvoiceSchema.parse(json), { profile });
+    }
+
+    if (options.customer) {
+        if (!['guest_post', 'link_insertion'].includes(options.service)) {
+            throw CliOutput.usageError(`Unknown service type: ${options.service}`);
+        }
+        return CustomerTemplates.createForCustomer(options.customer, {
+            type: options.service,
+            price: options.price,
+            url: options.url || '',
+            title: options.title || '',
+            anchorText: options.anchor || '',
+            currency: options.currency
+        }, { profile });
+    }
+
+    if (options.email) {
+        if (!options.company || !options.price) {
+            throw CliOutput.usageError('--company and --price are required with --email');
+        }
+        return CustomerTemplates.quickGuestPost(options.email, options.company, options.price, options.url || '', options.title || '', { profile, currency: options.currency });
+    }
+
+    throw CliOutput.usageError('Provide a JSON file/string, --customer <id> or --email <email>');
+}
+
+/**
+ * Default email sent with a new invoice
+ * 
+ * @param {Object} invoiceData - Invoice data (or null when sending an existing invoice)
+ * @param {string} businessName - Name used to sign the email
+ * @param {Object} options - Command options (subject, note, ccSelf)
+ * @returns {Object} Notification options for InvoiceManager.sendInvoice
+ */
+function buildNotification(invoiceData, businessName, options) {
+    return {
+        subject: options.subject || (invoiceData ? `Invoice for ${invoiceData.items[0].name}` : 'Invoice for Guest Post Publication Service'),
+        note: options.note || `Dear Customer,\n\nThank you for choosing our services. Please find your invoice attached.\n\nPayment is due as per the terms mentioned on the invoice.\n\nIf you have any questions, please don't hesitate to contact us.\n\nBest regards,\n${businessName}`,
+        sendToRecipient: true,
+        sendToInvoicer: Boolean(options.ccSelf)
+    };
+}
+
+async function createInvoice(input, options, command) {
+    const output = CliOutput.fromCommand(command);
+    const globals = command.optsWithGlobals();
+    if (options.send && options.sendAt) {
+        throw CliOutput.usageError('Use either --send or --send-at, not both');
+    }
+
+    const invoiceData = buildInvoiceData(input, options, globals.profile);
+
+    // Use the PayPal credentials of the business the invoice is billed from
+    const manager = new InvoiceManager({ profile: invoiceData.business.profileId });
+
+    if (options.send && !(await output.confirm(`Create and email an invoice to ${invoiceData.customer.email}?`))) {
+        output.finish({ success: false, error: 'Cancelled by user' });
+        return;
+    }
+
+    const createResult = await manager.createInvoice(invoiceData, { force: options.force });
+    if (!createResult.success) {
+        output.finish(createResult);
+        return;
+    }
+
+    const { fullResponse, success, ...invoice } = createResult;
+    const result = { success: true, invoice, sent: false };
+
+    // An invoice that already existed is only sent or scheduled if it is still a draft
+    const alreadyIssued = createResult.duplicate && createResult.status !== 'DRAFT';
+    if (alreadyIssued && (options.send || options.sendAt)) {
+        if (options.sendAt) {
+            result.scheduled = false;
+        }
+        result.reason = `Invoice ${createResult.invoiceId} already exists with status ${createResult.status}, ` +
+            `so it was not ${options.send ? 'sent' : 'scheduled'} again`;
+    } else if (options.send) {
+        const sendResult = await manager.sendInvoice(createResult.invoiceId, buildNotification(invoiceData, invoiceData.business.name, options));
+        result.sent = sendResult.success;
+        if (sendResult.success) {
+            invoice.status = sendResult.status;
+        } else {
+            result.success = false;
+            result.error = `Invoice created but failed to send: ${sendResult.error}`;
+        }
+    } else if (options.sendAt && createResult.status === 'DRAFT') {
+        const scheduleResult = await manager.scheduleSend(createResult.invoiceId, options.sendAt, buildNotification(invoiceData, invoiceData.business.name, options));
+        result.scheduled = scheduleResult.success;
+        result.sendAt = scheduleResult.sendAt || null;
+        if (!scheduleResult.success) {
+            result.success = false;
+            result.error = `Invoice created but failed to schedule: ${scheduleResult.error}`;
+        }
+    }
+
+    output.finish(result, () => {
+        console.log(chalk.yellow('\n📋 Invoice Details:'));
+        console.log(`   Customer: ${invoiceData.customer.email}`);
+        console.log(`   ID: ${invoice.invoiceId}`);
+        console.log(`   Number: ${invoice.invoiceNumber}`);
+        console.log(`   Amount: ${invoice.currency} ${invoice.totalAmount}`);
+        console.log(`   Status: ${invoice.status}`);
+        console.log(`   View: ${invoice.invoicerViewUrl}`);
+        if (result.reason) {
+            console.log(chalk.yellow(`\n⚠️ ${result.reason}`));
+        } else if (result.sendAt) {
+            console.log(chalk.blue(`\n🗓️ Will be emailed on ${moment(result.sendAt).format('YYYY-MM-DD HH:mm')} by: paypal-invoice dispatch`));
+        } else if (!result.sent && invoice.status === 'DRAFT') {
+            console.log(chalk.blue(`\n💡 Draft created. Send it with: paypal-invoice send ${invoice.invoiceId}`));
+        }
+    });
+}
+
+async function previewInvoice(input, options, command) {
+    const output = CliOutput.fromCommand(command);
+    const invoiceData = buildInvoiceData(input, options, command.optsWithGlobals().profile);
+    const manager = new InvoiceManager({ profile: invoiceData.business.profileId });
+
+    // The preview itself is printed by the manager (on stderr with --json)
+    const { preview, ...result } = await manager.previewInvoice(invoiceData, { html: options.html, template: options.template });
+    output.finish(result);
+}
+
+async function validateFiles(files, options, command) {
+    const output = CliOutput.fromCommand(command);
+    const profile = command.optsWithGlobals().profile;
+
+    const results = files.map(file => validateFile(file, profile));
+    const invalid = results.filter(result => !result.valid);
+    const data = {
+        success: invalid.length === 0,
+        error: invalid.length > 0 ? `${invalid.length} of ${results.length} file(s) failed validation` : undefined,
+        schemaVersion: InvoiceSchema.SCHEMA_VERSION,
+        files: results
+    };
+
+    output.emit(data, () => {
+        results.forEach(result => {
+            if (result.valid) {
+                console.log(chalk.green(`✅ ${result.file}: valid (${result.format})`));
+                return;
+            }
+            console.log(chalk.red(`❌ ${result.file}: ${result.errors.length} problem(s)`));
+            result.errors.forEach(error => console.log(`   ${chalk.yellow(error.path)}: ${error.message}`));
+        });
+        if (data.error) {
+            console.error(chalk.red(`❌ ${data.error}`));
+        }
+    });
+
+    if (!data.success) {
+        process.exitCode = CliOutput.EXIT_CODES.FAILURE;
+    }
+}
+
+/**
+ * Validate one invoice file (or batch JSON file) against the schema, then run the
+ * checks createInvoice runs before contacting PayPal on every invoice that passed
+ * 
+ * @param {string} file - Path to a JSON file
+ * @param {string} [profile] - Business profile ID (--profile)
+ * @returns {Object} {file, valid, format, errors: [{path, message}]}
+ */
+function validateFile(file, profile) {
+    const filePath = path.resolve(file);
+    if (!fs.existsSync(filePath)) {
+        throw CliOutput.usageError(`File not found: ${filePath}`);
+    }
+
+    let json;
+    try {
+        json = InvoiceSchema.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return { file, valid: false, format: null, errors: [{ path: '$', message: error.message }] };
+    }
+
+    // Batch files: an array of invoices, or {"invoices": [...]}
+    const batch = Array.isArray(json) ? { entries: json, path: '$' } : Array.isArray(json.invoices) ? { entries: json.invoices, path: '$.invoices' } : null;
+    const entries = batch
+        ? batch.entries.map((input, index) => ({ input, path: `${batch.path}[${index}]` }))
+        : [{ input: json, path: '$' }];
+
+    const errors = entries.flatMap(entry => {
+        const validation = InvoiceSchema.validate(entry.input);
+        if (!validation.isValid) {
+            return validation.errors.map(error => ({ path: entry.path + error.path.slice(1), message: error.message }));
+        }
+
+        try {
+            // Same profile choice as create (--profile wins) and batch (the row's profile wins)
+            const invoiceData = CustomerTemplates.fromJSON(entry.input, { profile: batch ? entry.input.profile || profile : profile });
+            const totals = InvoiceTotals.calculate(InvoiceStructure.createPayPalInvoicePayload(invoiceData));
+            return [
+                ...InvoiceValidator.validateCompleteInvoice(invoiceData).errors,
+                ...InvoiceTotals.verify(totals, invoiceData.expectedTotal).errors
+            ].map(message => ({ path: entry.path, message }));
+        } catch (error) {
+            return [{ path: entry.path, message: error.message }];
+        }
+    });
+
+    return {
+        file,
+        valid: errors.length === 0,
+        format: batch ? `Batch of ${entries.length} invoice(s)` : InvoiceSchema.formatOf(json),
+        errors
+    };
+}
+
+async function exportPdf(input, options, command) {
+    const output = CliOutput.fromCommand(command);
+    const globals = command.optsWithGlobals();
+    const pdfOptions = { output: options.output, logoPath: options.logo };
+
+    let result;
+    if (options.id) {
+        result = await new InvoiceManager({ profile: globals.profile }).exportInvoicePdf(options.id, pdfOptions);
+    } else {
+        const invoiceData = buildInvoiceData(input, options, globals.profile);
+        const manager = new InvoiceManager({ profile: invoiceData.business.profileId });
+        result = await manager.exportInvoicePdf(invoiceData, pdfOptions);
+    }
+
+    // The manager already printed where the PDF was saved
+    output.finish(result);
+}
+
+async function listInvoices(options, command) {
+    const output = CliOutput.fromCommand(command);
+    const manager = new InvoiceManager({ profile: command.optsWithGlobals().profile });
+    const result = await manager.listInvoices({ page: options.page, pageSize: options.pageSize, totalRequired: true });
+
+    output.finish(result, () => {
+        if (result.invoices.length === 0) {
+            console.log(chalk.yellow('No invoices found.'));
+            return;
+        }
+
+        const table = new Table({
+            head: ['ID', 'Number', 'Status', 'Amount', 'Customer', 'Date'],
+            colWidths: [25, 15, 12, 14, 28, 12]
+        });
+
+        result.invoices.forEach(invoice => {
+            table.push([
+                invoice.id,
+                invoice.detail?.invoice_number || 'N/A',
+                invoice.status || 'N/A',
+                `${invoice.amount?.currency_code || 'USD'} ${invoice.amount?.value || '0'}`,
+                invoice.primary_recipients?.[0]?.billing_info?.email_address || 'N/A',
+                invoice.detail?.invoice_date || 'N/A'
+            ]);
+        });
+
+        console.log(table.toString());
+        console.log(chalk.green(`Page ${result.currentPage} of ${result.totalPages || 1} (${result.totalItems || result.invoices.length} invoices)`));
+    });
+}
+
+async function getInvoice(invoiceId, options, command) {
+    const output = CliOutput.fromCommand(command);
+    const manager = new InvoiceManager({ profile: command.optsWithGlobals().profile });
+    const result = await manager.getInvoice(invoiceId);
+
+    output.finish(result, () => {
+        const invoice = result.invoice;
+        const billing = invoice.primary_recipients?.[0]?.billing_info || {};
+
+        console.log(chalk.bold.blue(`\n📋 Invoice ${invoice.id}`));
+        console.log(`   Number: ${invoice.detail?.invoice_number || 'N/A'}`);
+        console.log(`   Status: ${invoice.status}`);
+        console.log(`   Customer: ${billing.business_name || `${billing.name?.given_name || ''} ${billing.name?.surname || ''}`.trim() || 'N/A'} <${billing.email_address || 'N/A'}>`);
+        console.log(`   Amount: ${invoice.amount ? `${invoice.amount.currency_code} ${invoice.amount.value}` : 'N/A'}`);
+        console.log(`   Due: ${invoice.due_amount ? `${invoice.due_amount.currency_code} ${invoice.due_amount.value}` : 'N/A'} by ${invoice.detail?.payment_term?.due_date || 'N/A'}`);
+        console.log(`   View: ${invoice.detail?.metadata?.invoicer_view_url || 'N/A'}`);
+    });
+}
+
+async function sendInvoice(invoiceId, options, command) {
+    const output = CliOutput.fromCommand(command);
+    const manager = new InvoiceManager({ profile: command.optsWithGlobals().profile });
+
+    if (!(await output.confirm(`Email invoice ${invoiceId} to the customer?`))) {
+        output.finish({ success: false, error: 'Cancelled by user' });
+        return;
+    }
+
+    const result = await manager.sendInvoice(invoiceId, buildNotification(null, manager.profile.name, options));
+    output.finish(result, () => {
+        console.log(chalk.yellow('📧 Customer will receive an email notification with payment instructions.'));
+    });
+}
+
+async function cancelInvoice(invoiceId, options, command) {
+    const output = CliOutput.fromCommand(command);
+    const manager = new InvoiceManager({ profile: command.optsWithGlobals().profile });
+
+    if (!(await output.confirm(`Cancel invoice ${invoiceId} and notify the customer?`))) {
+        output.finish({ success: false, error: 'Cancelled by user' });
+        return;
+    }
+
+    output.finish(await manager.cancelInvoice(invoiceId, options.reason));
+}
+
+module.exports = {
+    register,
+    buildInvoiceData,
+    buildNotification
+};
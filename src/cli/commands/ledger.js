@@ -0,0 +1,190 @@
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const InvoiceLedger = require('../../invoiceLedger');
+const Reconciliation = require('../../reconciliation');
+const Currency = require('../../currency');
+const ExchangeRates = require('../../exchangeRates');
+const FxReport = require('../../fxReport');
+const BusinessProfiles = require('../../businessProfiles');
+const InvoiceManager = require('../../invoiceManager');
+const CliOutput = require('../output');
+const { parseCurrency, parseDate } = require('../parsers');
+
+/**
+ * Local ledger commands: ledger list, ledger show, ledger fx, sync
+ */
+
+/**
+ * Register the ledger and sync commands
+ * 
+ * @param {Command} program - Root commander program
+ */
+function register(program) {
+    const ledger = program.command('ledger')
+        .description('Query the local invoice ledger (works offline)');
+
+    ledger.command('list')
+        .description('List invoices recorded in the local ledger')
+        .option('--customer <query>', 'customer ID, email or name')
+        .option('--status <status>', 'PayPal status, e.g. SENT or PAID')
+        .option('--unpaid', 'only invoices still awaiting payment')
+        .option('--env <environment>', 'SANDBOX or PRODUCTION')
+        .action(listLedger);
+
+    ledger.command('show <invoiceId>')
+        .description('Show the full history of one invoice')
+        .action(showLedgerInvoice);
+
+    ledger.command('fx')
+        .description('Report invoices in the home currency with realized and unrealized FX gain/loss (offline rates)')
+        .option('--home <code>', "home currency (default: the profile's homeCurrency, else HOME_CURRENCY)", parseCurrency)
+        .option('--rates <file>', 'exchange rates CSV or JSON (default: EXCHANGE_RATES_FILE or config/exchange-rates.csv)')
+        .option('--as-of <date>', 'date outstanding amounts are valued at (default today)', parseDate)
+        .option('--customer <query>', 'customer ID, email or name')
+        .option('--env <environment>', 'SANDBOX or PRODUCTION')
+        .addHelpText('after', `
+Invoices are booked at the rate on their invoice date and payments converted at
+the rate on their payment date; the difference is the realized gain or loss.
+Rates stored with each invoice in the ledger (at create, payment and sync) are
+used first, then the rates file.
+
+Example:
+  $ paypal-invoice ledger fx --home INR --rates config/exchange-rates.csv`)
+        .action(fxReport);
+
+    program.command('sync')
+        .description('Pull payment status from PayPal into the ledger and print a reconciliation report')
+        .option('--from-ledger', 'only re-check ledger invoices that can still change (unpaid, or paid and open to refunds)')
+        .option('--report-only', 'report from local data without calling PayPal')
+        .action(syncInvoices);
+}
+
+function listLedger(options, command) {
+    const output = CliOutput.fromCommand(command);
+    const records = new InvoiceLedger().query({
+        customer: options.customer,
+        status: options.status,
+        unpaid: options.unpaid,
+        environment: options.env,
+        profile: command.optsWithGlobals().profile
+    });
+
+    output.emit({ success: true, invoices: records }, () => {
+        if (records.length === 0) {
+            console.log(chalk.yellow('No invoices found in local ledger.'));
+            return;
+        }
+
+        const table = new Table({
+            head: ['ID', 'Number', 'Status', 'Amount', 'Customer', 'Due', 'Env'],
+            colWidths: [25, 18, 12, 14, 28, 12, 10]
+        });
+
+        records.forEach(record => {
+            table.push([
+                record.invoiceId,
+                record.invoiceNumber || 'N/A',
+                record.status || 'N/A',
+                record.totals ? `${record.totals.currency} ${record.totals.total}` : 'N/A',
+                record.customer?.businessName || record.customer?.email || 'N/A',
+                record.dueDate || 'N/A',
+                record.environment || 'N/A'
+            ]);
+        });
+
+        console.log(table.toString());
+
+        // Sum amounts per currency so totals in different currencies are never mixed
+        const totals = {};
+        records.filter(record => record.totals).forEach(record => {
+            totals[record.totals.currency] = (totals[record.totals.currency] || 0) + parseFloat(record.totals.total);
+        });
+
+        console.log(chalk.green(`\n✅ ${records.length} invoice(s)`));
+        Object.entries(totals).forEach(([currency, total]) => {
+            console.log(chalk.blue(`💰 ${currency} ${Currency.formatValue(total, currency)}`));
+        });
+    });
+}
+
+function showLedgerInvoice(invoiceId, options, command) {
+    const output = CliOutput.fromCommand(command);
+    const record = new InvoiceLedger().getInvoice(invoiceId);
+
+    if (!record) {
+        throw new Error(`Invoice not found in local ledger: ${invoiceId}`);
+    }
+
+    output.emit({ success: true, invoice: record }, () => {
+        console.log(chalk.bold.blue(`\n📋 Invoice ${record.invoiceId}`));
+        console.log(`   Number: ${record.invoiceNumber || 'N/A'}`);
+        console.log(`   Status: ${record.status}`);
+        console.log(`   Customer: ${record.customer?.businessName || record.customer?.name || 'N/A'} <${record.customer?.email || 'N/A'}>`);
+        console.log(`   Amount: ${record.totals ? `${record.totals.currency} ${record.totals.total}` : 'N/A'}`);
+        console.log(`   Due: ${record.dueDate || 'N/A'}`);
+        console.log(`   Environment: ${record.environment || 'N/A'} (profile: ${record.profile || 'N/A'})`);
+
+        if (record.items) {
+            console.log(chalk.yellow('\n📦 Items:'));
+            record.items.forEach(item => {
+                console.log(`   ${item.quantity} × ${item.name} @ ${item.currencyCode} ${Currency.formatValue(item.unitAmount, item.currencyCode)}`);
+            });
+        }
+
+        console.log(chalk.yellow('\n🕒 History:'));
+        record.statusHistory.forEach(entry => {
+            console.log(`   ${entry.timestamp}  ${entry.operation.padEnd(16)} ${entry.status || ''}`);
+        });
+    });
+}
+
+function fxReport(options, command) {
+    const output = CliOutput.fromCommand(command);
+    const profile = new BusinessProfiles().get(command.optsWithGlobals().profile);
+    const homeCurrency = options.home || ExchangeRates.homeCurrency(profile);
+    if (!homeCurrency) {
+        throw CliOutput.usageError('No home currency: pass --home <code>, or set homeCurrency in the business profile or HOME_CURRENCY');
+    }
+
+    const records = new InvoiceLedger().query({
+        customer: options.customer,
+        environment: options.env,
+        profile: profile.id
+    });
+    const report = FxReport.build(records, {
+        homeCurrency,
+        rates: new ExchangeRates(options.rates),
+        asOf: options.asOf
+    });
+
+    output.emit({ success: true, report }, () => console.log(FxReport.formatReport(report)));
+}
+
+async function syncInvoices(options, command) {
+    const output = CliOutput.fromCommand(command);
+    const manager = new InvoiceManager({ profile: command.optsWithGlobals().profile });
+    let sync = null;
+
+    if (!options.reportOnly) {
+        sync = await manager.syncInvoices({ source: options.fromLedger ? 'ledger' : 'list' });
+        if (!sync.success && sync.error) {
+            output.finish(sync);
+            return;
+        }
+    }
+
+    // Report covers this profile's invoices in the current PayPal environment
+    const records = manager.ledger.query({
+        environment: manager.paypal.getEnvironment(),
+        profile: manager.profile.id
+    });
+    const report = Reconciliation.buildReport(records);
+
+    output.finish({
+        success: !sync || sync.success,
+        sync,
+        report
+    }, () => console.log(Reconciliation.formatReport(report)));
+}
+
+module.exports = { register };
@@ -0,0 +1,57 @@
+const chalk = require('chalk');
+const InvoiceManager = require('../../invoiceManager');
+const CliOutput = require('../output');
+const { parseCount } = require('../parsers');
+
+/**
+ * Invoice numbering commands: numbering next, numbering seed
+ */
+
+/**
+ * Register the numbering commands
+ * 
+ * @param {Command} program - Root commander program
+ */
+function register(program) {
+    const numbering = program.command('numbering')
+        .description('Show or move the sequential invoice number counter of a business profile');
+
+    numbering.command('next')
+        .description('Show the number the next invoice will get (nothing is reserved)')
+        .action(showNext);
+
+    numbering.command('seed')
+        .description('Move the counter forward, e.g. to continue numbering from another system')
+        .option('--next <n>', 'sequence number for the next invoice', parseCount)
+        .option('--from-paypal', "continue after PayPal's next invoice number for this account")
+        .addHelpText('after', `
+The counter never moves backwards. Patterns are set per profile with
+"invoiceNumberPattern" in config/profiles.json, e.g. "TGM-{YYYY}-{seq:0000}".
+
+Examples:
+  $ paypal-invoice --profile tgm numbering seed --from-paypal
+  $ paypal-invoice --profile dms numbering seed --next 120`)
+        .action(seedNumbering);
+}
+
+function showNext(options, command) {
+    const output = CliOutput.fromCommand(command);
+    const manager = new InvoiceManager({ profile: command.optsWithGlobals().profile });
+    const result = manager.getNextInvoiceNumber();
+
+    output.finish(result, () => {
+        console.log(chalk.blue(`🔢 ${result.profile} (${result.pattern}): next invoice number is ${chalk.green(result.nextInvoiceNumber)}`));
+    });
+}
+
+async function seedNumbering(options, command) {
+    if (Boolean(options.fromPaypal) === (options.next !== undefined)) {
+        throw CliOutput.usageError('Give either --next <n> or --from-paypal.');
+    }
+
+    const output = CliOutput.fromCommand(command);
+    const manager = new InvoiceManager({ profile: command.optsWithGlobals().profile });
+    output.finish(await manager.seedInvoiceNumbering({ next: options.next }));
+}
+
+module.exports = { register };
@@ -0,0 +1,51 @@
+const chalk = require('chalk');
+const InvoiceManager = require('../../invoiceManager');
+const CliOutput = require('../output');
+const { parseAmount } = require('../parsers');
+
+/**
+ * External payment commands: payment, refund
+ */
+
+/**
+ * Register the payment and refund commands
+ * 
+ * @param {Command} program - Root commander program
+ */
+function register(program) {
+    ['payment', 'refund'].forEach(type => {
+        program.command(`${type} <invoiceId>`)
+            .description(type === 'payment'
+                ? 'Record a full or partial payment received outside PayPal (bank transfer, Wise, cash, ...)'
+                : 'Record a refund made outside PayPal')
+            .requiredOption('--amount <amount>', `amount ${type === 'payment' ? 'received' : 'refunded'}, in the invoice currency`, parseAmount)
+            .option('--method <method>', 'bank_transfer, wire_transfer, cash, check, credit_card, debit_card, paypal or other', 'bank_transfer')
+            .option('--date <YYYY-MM-DD>', 'transaction date (default today)')
+            .option('--note <text>', 'note stored with the payment')
+            .action((invoiceId, options, command) => recordTransaction(type, invoiceId, options, command));
+    });
+}
+
+async function recordTransaction(type, invoiceId, options, command) {
+    const output = CliOutput.fromCommand(command);
+    const manager = new InvoiceManager({ profile: command.optsWithGlobals().profile });
+
+    if (!(await output.confirm(`Record a ${type} of ${options.amount} on invoice ${invoiceId}?`))) {
+        output.finish({ success: false, error: 'Cancelled by user' });
+        return;
+    }
+
+    const transaction = { amount: options.amount, method: options.method, date: options.date, note: options.note };
+    const result = type === 'payment'
+        ? await manager.recordPayment(invoiceId, transaction)
+        : await manager.recordRefund(invoiceId, transaction);
+
+    output.finish(result, () => {
+        console.log(chalk.yellow(`📋 Invoice status: ${result.status || 'unknown'}`));
+        if (result.dueAmount) {
+            console.log(chalk.yellow(`💰 Remaining due: ${result.dueAmount.currency_code} ${result.dueAmount.value}`));
+        }
+    });
+}
+
+module.exports = { register };
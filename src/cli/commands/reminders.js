@@ -0,0 +1,142 @@
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const InvoiceManager = require('../../invoiceManager');
+const CliOutput = require('../output');
+const { parseCount } = require('../parsers');
+
+/**
+ * Payment reminder command: remind
+ */
+
+/**
+ * Register the remind command
+ * 
+ * @param {Command} program - Root commander program
+ */
+function register(program) {
+    program.command('remind [invoiceId]')
+        .description('Remind customers about overdue invoices (or one invoice by ID)')
+        .option('--days <n>', 'remind only invoices more than n days past their due date', parseCount, 0)
+        .option('--interval <n>', 'skip invoices reminded within the last n days', parseCount, 7)
+        .option('--subject <text>', 'subject template')
+        .option('--note <text>', 'note template')
+        .option('--sync', 're-check ledger invoices with PayPal before picking reminders')
+        .option('--dry-run', 'list who would be reminded without sending anything')
+        .addHelpText('after', `
+Templates may use {invoiceNumber}, {customerName}, {amount}, {currency},
+{dueDate}, {daysOverdue} and {businessName}.
+
+Examples:
+  $ paypal-invoice remind --dry-run
+  $ paypal-invoice remind --sync --days 7 --interval 7 --yes
+  $ paypal-invoice remind INV2-XXXX-XXXX-XXXX-XXXX --subject "Friendly reminder"`)
+        .action(remindInvoices);
+}
+
+async function remindInvoices(invoiceId, options, command) {
+    const output = CliOutput.fromCommand(command);
+    const manager = new InvoiceManager({ profile: command.optsWithGlobals().profile });
+
+    if (invoiceId) {
+        if (!(await output.confirm(`Send a payment reminder for invoice ${invoiceId}?`))) {
+            output.finish({ success: false, error: 'Cancelled by user' });
+            return;
+        }
+        output.finish(await manager.remindInvoice(invoiceId, { subject: options.subject, note: options.note }));
+        return;
+    }
+
+    if (options.sync) {
+        const syncResult = await manager.syncInvoices({ source: 'ledger' });
+        if (!syncResult.success && syncResult.error) {
+            output.finish(syncResult);
+            return;
+        }
+    }
+
+    const reminderOptions = {
+        overdueDays: options.days,
+        minIntervalDays: options.interval,
+        templates: { subject: options.subject, note: options.note }
+    };
+
+    // Work out who is due first so the confirmation can say how many emails go out
+    const plan = await manager.remindOverdueInvoices({ ...reminderOptions, dryRun: true });
+    if (!plan.success || plan.candidates.length === 0 || options.dryRun) {
+        output.finish(summarize(plan), () => renderResult(plan));
+        return;
+    }
+
+    if (!(await output.confirm(`Send ${plan.candidates.length} payment reminder(s)?`))) {
+        output.finish({ success: false, error: 'Cancelled by user' });
+        return;
+    }
+
+    const result = await manager.remindOverdueInvoices(reminderOptions);
+    output.finish(summarize(result), () => renderResult(result));
+}
+
+/**
+ * Reduce a reminder result to JSON-friendly data
+ * 
+ * @param {Object} result - InvoiceManager.remindOverdueInvoices result
+ * @returns {Object} Result with one entry per reminded invoice
+ */
+function summarize(result) {
+    if (!result.candidates) {
+        return result;
+    }
+
+    return {
+        ...result,
+        candidates: result.candidates.map(candidate => ({
+            invoiceId: candidate.record.invoiceId,
+            invoiceNumber: candidate.record.invoiceNumber,
+            customer: candidate.record.customer,
+            dueDate: candidate.record.dueDate,
+            daysOverdue: candidate.daysOverdue,
+            lastRemindedAt: candidate.lastRemindedAt,
+            subject: candidate.subject,
+            note: candidate.note,
+            sent: candidate.result ? candidate.result.success : false
+        }))
+    };
+}
+
+function renderResult(result) {
+    if (result.candidates.length === 0) {
+        console.log(chalk.green('✅ No invoices need a reminder right now.'));
+        return;
+    }
+
+    const table = new Table({
+        head: ['Number', 'Customer', 'Due Amount', 'Due Date', 'Days Late', 'Last Reminded', 'Result'],
+        colWidths: [18, 26, 14, 12, 11, 15, 10]
+    });
+
+    result.candidates.forEach(candidate => {
+        const { record } = candidate;
+        const amount = record.dueAmount || (record.totals && { currency: record.totals.currency, value: record.totals.total });
+
+        table.push([
+            record.invoiceNumber || record.invoiceId,
+            record.customer?.businessName || record.customer?.email || 'N/A',
+            amount ? `${amount.currency} ${amount.value}` : 'N/A',
+            record.dueDate,
+            String(candidate.daysOverdue),
+            candidate.lastRemindedAt ? candidate.lastRemindedAt.slice(0, 10) : 'never',
+            candidate.result ? (candidate.result.success ? '✅ sent' : '❌ failed') : '-'
+        ]);
+    });
+
+    console.log(table.toString());
+
+    if (result.dryRun) {
+        console.log(chalk.yellow(`\n🔍 Dry run: ${result.candidates.length} invoice(s) would be reminded. Nothing was sent.`));
+        console.log(chalk.gray(`\nFirst reminder:\n  Subject: ${result.candidates[0].subject}\n\n${result.candidates[0].note}`));
+    } else {
+        console.log(chalk.green(`\n✅ ${result.reminded} reminder(s) sent${result.failed ? `, ${result.failed} failed` : ''}`));
+    }
+}
+
+module.exports = { register };
@@ -0,0 +1,176 @@
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const moment = require('moment');
+const RecurringSchedules = require('../../recurringSchedules');
+const CliOutput = require('../output');
+const { parseDate } = require('../parsers');
+const { buildNotification } = require('./invoices');
+
+/**
+ * Recurring schedule commands: schedules list, schedules run-due
+ */
+
+/**
+ * Statuses of occurrences that still need billing on the next run
+ */
+const FAILED_STATUSES = ['invalid', 'failed', 'send_failed'];
+
+/**
+ * Register the schedules commands
+ * 
+ * @param {Command} program - Root commander program
+ */
+function register(program) {
+    const schedules = program.command('schedules')
+        .description('Recurring invoices for retainers and monthly packages (SCHEDULES_FILE, default config/schedules.json)');
+
+    schedules.command('list')
+        .description('List schedules with their next occurrence and what is due')
+        .option('--as-of <date>', 'date to check against (default today)', parseDate)
+        .action(listSchedules);
+
+    schedules.command('run-due')
+        .description('Create (and for autoSend schedules, email) every invoice due since the last run')
+        .option('--as-of <date>', 'bill occurrences up to this date (default today)', parseDate)
+        .option('--id <scheduleId>', 'only this schedule')
+        .option('--dry-run', 'only list what is due')
+        .addHelpText('after', `
+Occurrences already billed are read from the local ledger, so re-running (or
+running daily) never bills the same occurrence twice, and a missed run is caught
+up on the next one. Failed occurrences are retried on the next run.
+
+Examples:
+  $ paypal-invoice schedules run-due --dry-run
+  $ paypal-invoice schedules run-due --yes   # e.g. daily from cron`)
+        .action(runDue);
+}
+
+function listSchedules(options, command) {
+    const output = CliOutput.fromCommand(command);
+    const recurring = new RecurringSchedules({ profile: command.optsWithGlobals().profile });
+    const asOf = options.asOf || moment().format('YYYY-MM-DD');
+    const list = recurring.load();
+    const due = recurring.findDue(list, { asOf });
+
+    const rows = list.map(schedule => ({
+        id: schedule.id,
+        customer: schedule.customerId || schedule.customer?.email,
+        cadence: schedule.interval > 1 ? `${schedule.cadence} ×${schedule.interval}` : schedule.cadence,
+        startDate: schedule.startDate,
+        endDate: schedule.endDate || null,
+        autoSend: Boolean(schedule.autoSend),
+        due: due.filter(entry => entry.schedule.id === schedule.id).map(entry => entry.date),
+        nextOccurrence: RecurringSchedules.nextOccurrence(schedule, asOf)
+    }));
+
+    output.emit({ success: true, asOf, schedules: rows }, () => {
+        if (rows.length === 0) {
+            console.log(chalk.yellow('No schedules defined.'));
+            return;
+        }
+
+        const table = new Table({
+            head: ['ID', 'Customer', 'Cadence', 'Start', 'End', 'Send', 'Due', 'Next'],
+            colWidths: [20, 22, 12, 12, 12, 6, 14, 12],
+            wordWrap: true
+        });
+        rows.forEach(row => {
+            table.push([
+                row.id,
+                row.customer || 'N/A',
+                row.cadence,
+                row.startDate,
+                row.endDate || '-',
+                row.autoSend ? 'yes' : 'no',
+                row.due.join('\n') || '-',
+                row.nextOccurrence || 'ended'
+            ]);
+        });
+        console.log(table.toString());
+    });
+}
+
+async function runDue(options, command) {
+    const output = CliOutput.fromCommand(command);
+    const recurring = new RecurringSchedules({
+        profile: command.optsWithGlobals().profile,
+        notification: (invoiceData, businessName) => buildNotification(invoiceData, businessName, {})
+    });
+
+    let list = recurring.load();
+    if (options.id) {
+        list = list.filter(schedule => schedule.id === options.id);
+        if (list.length === 0) {
+            throw CliOutput.usageError(`Schedule not found: ${options.id}`);
+        }
+    }
+
+    const due = recurring.findDue(list, { asOf: options.asOf });
+    if (due.length === 0) {
+        output.finish({ success: true, results: [] }, () => console.log(chalk.green('✅ Nothing due.')));
+        return;
+    }
+
+    if (options.dryRun) {
+        const results = recurring.validationResults(due);
+        const invalid = results.filter(result => result.status === 'invalid');
+        report(output, results, invalid.length > 0 ? `${invalid.length} occurrence(s) failed validation` : null);
+        return;
+    }
+
+    const sending = due.filter(entry => entry.schedule.autoSend).length;
+    if (!(await output.confirm(`Create ${due.length} invoice(s)${sending ? ` and email ${sending}` : ''}?`))) {
+        output.finish({ success: false, error: 'Cancelled by user' });
+        return;
+    }
+
+    const results = await recurring.run(due);
+    const failed = results.filter(result => FAILED_STATUSES.includes(result.status));
+    report(output, results, failed.length > 0
+        ? `${failed.length} occurrence(s) failed; they are retried on the next run`
+        : null);
+}
+
+/**
+ * Print the per-occurrence results and set the exit code
+ * 
+ * @param {CliOutput} output - Output handler
+ * @param {Array<Object>} results - Occurrence results
+ * @param {string|null} error - Failure message, if any occurrence failed
+ */
+function report(output, results, error) {
+    output.emit({ success: !error, error: error || undefined, results }, () => {
+        renderResults(results);
+        if (error) {
+            console.error(chalk.red(`❌ ${error}`));
+        }
+    });
+
+    if (error) {
+        process.exitCode = CliOutput.EXIT_CODES.FAILURE;
+    }
+}
+
+function renderResults(results) {
+    const table = new Table({
+        head: ['Schedule', 'Occurrence', 'Status', 'Customer', 'Invoice', 'Total', 'Errors'],
+        colWidths: [20, 12, 13, 22, 22, 14, 34],
+        wordWrap: true
+    });
+
+    results.forEach(result => {
+        table.push([
+            result.schedule,
+            result.occurrence,
+            result.status,
+            result.customer || 'N/A',
+            result.invoiceNumber || result.invoiceId || '-',
+            result.total || '-',
+            result.errors.join('\n')
+        ]);
+    });
+
+    console.log(table.toString());
+}
+
+module.exports = { register };
@@ -0,0 +1,184 @@
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const moment = require('moment');
+const InvoiceManager = require('../../invoiceManager');
+const ScheduledSends = require('../../scheduledSends');
+const CliOutput = require('../output');
+const { parseSendAt } = require('../parsers');
+const { buildNotification } = require('./invoices');
+
+/**
+ * Scheduled send commands: sends list, sends schedule, sends cancel, dispatch
+ */
+
+/**
+ * Register the sends and dispatch commands
+ * 
+ * @param {Command} program - Root commander program
+ */
+function register(program) {
+    const sends = program.command('sends')
+        .description('Draft invoices waiting to be emailed at a scheduled time');
+
+    sends.command('list')
+        .description('List pending scheduled sends, soonest first')
+        .action(listSends);
+
+    sends.command('schedule <invoiceId>')
+        .alias('reschedule')
+        .description('Schedule (or reschedule) the email of a draft invoice')
+        .requiredOption('--at <time>', 'YYYY-MM-DD, "YYYY-MM-DD HH:mm" (local time) or an ISO timestamp', parseSendAt)
+        .option('--subject <text>', 'email subject')
+        .option('--note <text>', 'email message')
+        .option('--cc-self', 'also email a copy to the invoicer')
+        .action(scheduleSend);
+
+    sends.command('cancel <invoiceId>')
+        .description('Cancel a pending send (the draft invoice is kept)')
+        .action(cancelSend);
+
+    program.command('dispatch')
+        .description('Email every draft whose scheduled send time has come')
+        .option('--dry-run', 'list what would be sent without sending anything')
+        .addHelpText('after', `
+Sends that fail stay queued and are retried on the next dispatch.
+
+Examples:
+  $ paypal-invoice dispatch --dry-run
+  $ paypal-invoice dispatch --yes   # e.g. every 15 minutes from cron`)
+        .action(dispatch);
+}
+
+function listSends(options, command) {
+    const output = CliOutput.fromCommand(command);
+    const manager = new InvoiceManager({ profile: command.optsWithGlobals().profile });
+    const context = manager.getLedgerContext();
+    const records = ScheduledSends.pending(manager.ledger.query({ environment: context.environment, profile: context.profile }));
+
+    output.emit({ success: true, sends: records.map(summarize) }, () => {
+        if (records.length === 0) {
+            console.log(chalk.yellow('No scheduled sends.'));
+            return;
+        }
+        console.log(formatTable(records));
+    });
+}
+
+async function scheduleSend(invoiceId, options, command) {
+    const output = CliOutput.fromCommand(command);
+    const manager = new InvoiceManager({ profile: command.optsWithGlobals().profile });
+    const record = manager.ledger.getInvoice(invoiceId);
+
+    // Keep the email text of an earlier schedule unless new text is given
+    const previous = record?.scheduledSend || {};
+    const notification = buildNotification(record?.items ? record : null, manager.profile.name, {
+        subject: options.subject || previous.subject,
+        note: options.note || previous.note,
+        ccSelf: options.ccSelf || previous.sendToInvoicer
+    });
+
+    output.finish(await manager.scheduleSend(invoiceId, options.at, notification));
+}
+
+function cancelSend(invoiceId, options, command) {
+    const output = CliOutput.fromCommand(command);
+    const manager = new InvoiceManager({ profile: command.optsWithGlobals().profile });
+    output.finish(manager.unscheduleSend(invoiceId));
+}
+
+async function dispatch(options, command) {
+    const output = CliOutput.fromCommand(command);
+    const manager = new InvoiceManager({ profile: command.optsWithGlobals().profile });
+
+    // Work out what is due first so the confirmation can say how many emails go out
+    const plan = await manager.dispatchScheduledSends({ dryRun: true });
+    if (!plan.success || plan.due.length === 0 || options.dryRun) {
+        output.finish(toData(plan), () => renderResult(plan));
+        return;
+    }
+
+    if (!(await output.confirm(`Email ${plan.due.length} scheduled invoice(s)?`))) {
+        output.finish({ success: false, error: 'Cancelled by user' });
+        return;
+    }
+
+    const result = await manager.dispatchScheduledSends();
+    output.finish(toData(result), () => renderResult(result));
+}
+
+/**
+ * Reduce a pending send record to JSON-friendly data
+ * 
+ * @param {Object} record - Invoice record with scheduledSend
+ * @returns {Object} Pending send
+ */
+function summarize(record) {
+    return {
+        invoiceId: record.invoiceId,
+        invoiceNumber: record.invoiceNumber,
+        customer: record.customer,
+        totals: record.totals,
+        sendAt: record.scheduledSend.at,
+        subject: record.scheduledSend.subject
+    };
+}
+
+/**
+ * Reduce a dispatch result to JSON-friendly data
+ * 
+ * @param {Object} result - InvoiceManager.dispatchScheduledSends result
+ * @returns {Object} Result with one entry per due send
+ */
+function toData(result) {
+    if (!result.due) {
+        return result;
+    }
+
+    return {
+        ...result,
+        due: result.due.map(entry => ({
+            ...summarize(entry.record),
+            sent: entry.result ? entry.result.success : false,
+            error: entry.result?.error
+        }))
+    };
+}
+
+function formatTable(records, results = new Map()) {
+    const table = new Table({
+        head: ['ID', 'Number', 'Customer', 'Amount', 'Send At', ...(results.size ? ['Result'] : [])],
+        colWidths: [25, 18, 28, 14, 18, ...(results.size ? [10] : [])]
+    });
+
+    records.forEach(record => {
+        const result = results.get(record.invoiceId);
+        table.push([
+            record.invoiceId,
+            record.invoiceNumber || 'N/A',
+            record.customer?.businessName || record.customer?.email || 'N/A',
+            record.totals ? `${record.totals.currency} ${record.totals.total}` : 'N/A',
+            moment(record.scheduledSend.at).format('YYYY-MM-DD HH:mm'),
+            ...(results.size ? [result.success ? '✅ sent' : '❌ failed'] : [])
+        ]);
+    });
+
+    return table.toString();
+}
+
+function renderResult(result) {
+    if (result.due.length === 0) {
+        console.log(chalk.green('✅ No scheduled sends are due.'));
+        return;
+    }
+
+    const results = new Map(result.due.filter(entry => entry.result).map(entry => [entry.record.invoiceId, entry.result]));
+    console.log(formatTable(result.due.map(entry => entry.record), results));
+
+    if (result.dryRun) {
+        console.log(chalk.yellow(`\n🔍 Dry run: ${result.due.length} invoice(s) would be emailed. Nothing was sent.`));
+    } else {
+        console.log(chalk.green(`\n✅ ${result.sent} invoice(s) sent${result.failed ? `, ${result.failed} failed (retried on the next dispatch)` : ''}`));
+    }
+}
+
+module.exports = { register };
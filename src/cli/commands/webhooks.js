@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const InvoiceManager = require('../../invoiceManager');
+const InvoiceLedger = require('../../invoiceLedger');
+const WebhookHooks = require('../../webhookHooks');
+const WebhookReceiver = require('../../webhookReceiver');
+const CliOutput = require('../output');
+const { parseCount } = require('../parsers');
+
+/**
+ * Webhook commands: webhooks serve, webhooks replay
+ */
+
+/**
+ * Register the webhooks commands
+ * 
+ * @param {Command} program - Root commander program
+ */
+function register(program) {
+    const webhooks = program.command('webhooks')
+        .description('Receive PayPal invoicing webhooks (paid, cancelled, refunded, ...) and run hooks');
+
+    webhooks.command('serve')
+        .description('Start an HTTP server for PayPal webhook deliveries')
+        .option('--port <port>', 'port to listen on (default PORT or 8080)', parseCount)
+        .option('--host <host>', 'interface to bind (default all interfaces)')
+        .option('--path <path>', 'path PayPal posts to', '/webhooks/paypal')
+        .option('--skip-verify', 'accept events without verifying their signature (local testing only)')
+        .addHelpText('after', `
+Every delivery is verified with PayPal's verify-webhook-signature API using the
+webhook ID from the PayPal dashboard (profile paypal.webhookId or PAYPAL_WEBHOOK_ID),
+recorded in the local ledger and passed to the hooks in WEBHOOK_HOOKS_FILE
+(default config/webhook-hooks.json). GET /health answers 200 for uptime checks.
+
+Examples:
+  $ paypal-invoice webhooks serve --port 8080
+  $ paypal-invoice webhooks serve --skip-verify   # with webhooks replay / curl on a laptop`)
+        .action(serve);
+
+    webhooks.command('replay <files...>')
+        .description('Handle webhook events from JSON files, e.g. examples/webhooks/*.json (offline)')
+        .option('--verify', 'verify the captured headers with PayPal first (files saved as {headers, body})')
+        .option('--ledger <file>', 'record the events in this ledger file (default: a scratch ledger)')
+        .option('--hooks <file>', 'run the hooks in this file (default: only print each event)')
+        .option('--live', 'record in the real ledger and run the configured hooks, like webhooks serve')
+        .addHelpText('after', `
+By default events are recorded in a scratch ledger in the temp directory and hooks
+only print them, so sample events never reach the real ledger or fire on-paid
+scripts. Use --live for events PayPal really sent (e.g. copied from the dashboard
+after the server was down).
+
+Examples:
+  $ paypal-invoice webhooks replay examples/webhooks/*.json
+  $ paypal-invoice webhooks replay missed-event.json --live`)
+        .action(replay);
+}
+
+async function serve(options, command) {
+    const output = CliOutput.fromCommand(command);
+    const manager = new InvoiceManager({ profile: command.optsWithGlobals().profile });
+
+    if (!options.skipVerify && !manager.profile.paypal.webhookId) {
+        throw CliOutput.usageError('No webhook ID configured: set PAYPAL_WEBHOOK_ID (or paypal.webhookId in the profile), or use --skip-verify for local testing');
+    }
+
+    const receiver = new WebhookReceiver(manager, { skipVerify: options.skipVerify });
+    const port = options.port || parseInt(process.env.PORT, 10) || 8080;
+    const server = await receiver.listen({ port, host: options.host, path: options.path });
+
+    if (options.skipVerify) {
+        console.error(chalk.red.bold('⚠️ Signature verification is OFF: anyone who can reach this port can mark invoices paid. Local testing only!'));
+    }
+    output.emit({ success: true, port, path: options.path, verify: !options.skipVerify }, () => {
+        console.log(chalk.green(`📡 Listening for PayPal webhooks on http://${options.host || 'localhost'}:${port}${options.path}`));
+        console.log(chalk.gray(`   ${manager.profile.paypal.environment} · profile ${manager.profile.id} · Ctrl+C to stop`));
+    });
+
+    // Keep running until interrupted, then let in-flight deliveries finish
+    await new Promise(resolve => {
+        const stop = () => server.close(resolve);
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+    });
+}
+
+async function replay(files, options, command) {
+    const output = CliOutput.fromCommand(command);
+    if (options.live && (options.ledger || options.hooks)) {
+        throw CliOutput.usageError('--live uses the configured ledger and hooks; leave out --ledger and --hooks');
+    }
+
+    const ledgerFile = options.live
+        ? undefined
+        : options.ledger || path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'paypal-webhooks-replay-')), 'ledger.jsonl');
+    const ledger = new InvoiceLedger(ledgerFile);
+    const hooks = options.live || options.hooks ? new WebhookHooks(options.hooks) : WebhookHooks.consoleOnly();
+
+    const manager = new InvoiceManager({ profile: command.optsWithGlobals().profile, ledger });
+    const receiver = new WebhookReceiver(manager, { hooks });
+
+    const results = [];
+    for (const file of files) {
+        const filePath = path.resolve(file);
+        if (!fs.existsSync(filePath)) {
+            throw CliOutput.usageError(`File not found: ${filePath}`);
+        }
+
+        const { statusCode, ...result } = await receiver.replay(JSON.parse(fs.readFileSync(filePath, 'utf8')), { verify: options.verify });
+        results.push({ file, ...result });
+    }
+
+    const failed = results.filter(result => !result.success);
+    const data = { success: failed.length === 0, ledger: ledger.filePath, hooks: options.live || options.hooks ? hooks.filePath : 'console', results };
+    output.emit(data, () => {
+        renderResults(results);
+        if (!options.live) {
+            console.log(chalk.gray(`Recorded in ${ledger.filePath}${options.hooks ? '' : '; hooks only printed'}. Use --live for events PayPal really sent.`));
+        }
+    });
+    if (failed.length > 0) {
+        process.exitCode = CliOutput.EXIT_CODES.FAILURE;
+    }
+}
+
+function renderResults(results) {
+    const table = new Table({
+        head: ['File', 'Event', 'Invoice', 'Status', 'Result'],
+        colWidths: [30, 30, 20, 18, 30],
+        wordWrap: true
+    });
+
+    results.forEach(result => {
+        let outcome = '✅ recorded';
+        if (!result.success) {
+            outcome = `❌ ${result.error}`;
+        } else if (result.duplicate) {
+            outcome = '♻️ already received';
+        } else if (result.ignored) {
+            outcome = 'ignored (no invoice)';
+        } else if (result.hooks.some(hook => !hook.success)) {
+            outcome = '⚠️ recorded, hook failed';
+        }
+
+        table.push([
+            path.basename(result.file),
+            result.summary?.eventType || result.eventType || '-',
+            result.summary ? result.summary.invoiceNumber || result.summary.invoiceId : '-',
+            result.summary?.status || '-',
+            outcome
+        ]);
+    });
+
+    console.log(table.toString());
+}
+
+module.exports = { register };
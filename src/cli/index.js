@@ -0,0 +1,79 @@
+const { Command, CommanderError } = require('commander');
+const CliOutput = require('./output');
+const { version } = require('../../package.json');
+
+/**
+ * paypal-invoice Command Line Interface
+ * 
+ * Non-interactive entry point for scripting from cron and CI. Every command
+ * accepts the global --profile, --json and --yes options; exit codes are
+ * 0 on success, 1 when PayPal or validation fails and 2 for usage errors
+ */
+
+/**
+ * Build the commander program with all subcommands
+ * 
+ * @returns {Command} Configured program
+ */
+function createProgram() {
+    const program = new Command();
+
+    program
+        .name('paypal-invoice')
+        .description('Create, send and manage PayPal invoices')
+        .version(version)
+        .option('--profile <id>', 'business profile to bill from (default profile if omitted)')
+        .option('--json', 'print one machine-readable JSON document on stdout (progress goes to stderr)')
+        .option('-y, --yes', 'skip confirmation prompts (required when not running in a terminal)')
+        .showHelpAfterError('(run with --help for usage)')
+        .exitOverride();
+
+    require('./commands/invoices').register(program);
+    require('./commands/batch').register(program);
+    require('./commands/schedules').register(program);
+    require('./commands/sends').register(program);
+    require('./commands/reminders').register(program);
+    require('./commands/webhooks').register(program);
+    require('./commands/payments').register(program);
+    require('./commands/customers').register(program);
+    require('./commands/ledger').register(program);
+    require('./commands/numbering').register(program);
+
+    program.command('interactive')
+        .description('Start the interactive menu (same as npm start)')
+        .action((options, command) => {
+            const InvoiceApp = require('../../index');
+            return new InvoiceApp({ profile: command.optsWithGlobals().profile }).start();
+        });
+
+    return program;
+}
+
+/**
+ * Run the CLI
+ * 
+ * @param {Array<string>} [argv=process.argv] - Command line arguments
+ * @returns {Promise<number>} Process exit code
+ */
+async function run(argv = process.argv) {
+    const program = createProgram();
+
+    try {
+        await program.parseAsync(argv);
+        return process.exitCode || CliOutput.EXIT_CODES.OK;
+    } catch (error) {
+        if (error instanceof CommanderError) {
+            // Help and version output exit cleanly; anything else commander rejects is a usage error
+            return ['commander.helpDisplayed', 'commander.version'].includes(error.code)
+                ? CliOutput.EXIT_CODES.OK
+                : CliOutput.EXIT_CODES.USAGE;
+        }
+
+        return new CliOutput(program.opts()).fail(error);
+    }
+}
+
+module.exports = {
+    createProgram,
+    run
+};
@@ -0,0 +1,138 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+
+/**
+ * Process exit codes used by the paypal-invoice command
+ */
+const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1,     // PayPal or validation failure
+    USAGE: 2        // Bad arguments, or a confirmation that couldn't be given
+};
+
+/**
+ * CLI Output Handler
+ * 
+ * Applies the global --json and --yes flags for one command run.
+ * With --json stdout only receives one JSON document: the progress messages the
+ * library modules print with console.log are redirected to stderr
+ */
+class CliOutput {
+    /**
+     * @param {Object} [options={}] - Global command options
+     * @param {boolean} [options.json] - Machine-readable output
+     * @param {boolean} [options.yes] - Skip confirmation prompts
+     */
+    constructor(options = {}) {
+        this.json = Boolean(options.json);
+        this.yes = Boolean(options.yes);
+
+        if (this.json) {
+            console.log = (...args) => console.error(...args);
+            console.info = console.log;
+            console.warn = console.log;
+        }
+    }
+
+    /**
+     * Create the output handler for a commander command
+     * 
+     * @param {Command} command - Command being run
+     * @returns {CliOutput} Output handler using the command's global options
+     */
+    static fromCommand(command) {
+        return new CliOutput(command.optsWithGlobals());
+    }
+
+    /**
+     * Print a command result
+     * 
+     * @param {Object} data - Result data (printed as-is with --json)
+     * @param {Function} [render] - Human-readable renderer used without --json
+     */
+    emit(data, render) {
+        if (this.json) {
+            process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+        } else if (render) {
+            render(data);
+        }
+    }
+
+    /**
+     * Print an InvoiceManager result and set the exit code from its success flag
+     * 
+     * @param {Object} result - Result object ({success, error, details, ...})
+     * @param {Function} [render] - Renderer for successful results without --json
+     */
+    finish(result, render) {
+        if (result.success) {
+            this.emit(result, render);
+            return;
+        }
+
+        // The manager already printed the failure to the console
+        this.emit(result);
+        process.exitCode = EXIT_CODES.FAILURE;
+    }
+
+    /**
+     * Report an error thrown by a command
+     * 
+     * @param {Error} error - Error to report
+     * @returns {number} Exit code for the error
+     */
+    fail(error) {
+        // PayPal errors add their type, issues and a suggested fix
+        const details = typeof error.toResult === 'function' ? error.toResult() : {};
+
+        this.emit({ success: false, error: error.message, ...details }, () => {
+            console.error(chalk.red('❌ Error:', error.message));
+            if (details.suggestion) {
+                console.error(chalk.yellow(`💡 ${details.suggestion}`));
+            }
+        });
+        return error.exitCode || EXIT_CODES.FAILURE;
+    }
+
+    /**
+     * Ask for confirmation before emailing customers or changing PayPal data
+     * 
+     * --yes answers automatically; without a terminal (cron, CI) and without --yes
+     * the command fails instead of waiting for input
+     * 
+     * @param {string} message - Question to ask
+     * @returns {Promise<boolean>} True if the action should go ahead
+     * @throws {Error} Usage error if no answer can be given
+     */
+    async confirm(message) {
+        if (this.yes) {
+            return true;
+        }
+
+        if (!process.stdin.isTTY) {
+            throw CliOutput.usageError(`${message} Re-run with --yes to confirm non-interactively.`);
+        }
+
+        const prompt = inquirer.createPromptModule({ output: process.stderr });
+        const { confirmed } = await prompt([
+            { type: 'confirm', name: 'confirmed', message, default: false }
+        ]);
+        return confirmed;
+    }
+
+    /**
+     * Create an error for bad arguments (exit code 2)
+     * 
+     * @param {string} message - Error message
+     * @returns {Error} Usage error
+     */
+    static usageError(message) {
+        const error = new Error(message);
+        error.exitCode = EXIT_CODES.USAGE;
+        return error;
+    }
+}
+
+CliOutput.EXIT_CODES = EXIT_CODES;
+
+module.exports = CliOutput;
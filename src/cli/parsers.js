@@ -0,0 +1,87 @@
+const { InvalidArgumentError } = require('commander');
+const moment = require('moment');
+const Currency = require('../currency');
+const ScheduledSends = require('../scheduledSends');
+
+/**
+ * Option value parsers for the paypal-invoice command
+ * 
+ * Invalid values are reported by commander as usage errors (exit code 2)
+ */
+
+/**
+ * Parse a positive money amount
+ * 
+ * @param {string} value - Raw option value
+ * @returns {number} Parsed amount
+ */
+function parseAmount(value) {
+    const amount = parseFloat(value);
+    if (isNaN(amount) || amount <= 0) {
+        throw new InvalidArgumentError('Expected an amount greater than 0.');
+    }
+    return amount;
+}
+
+/**
+ * Parse a currency code PayPal can invoice in
+ * 
+ * @param {string} value - Raw option value
+ * @returns {string} Upper-case currency code
+ */
+function parseCurrency(value) {
+    const code = value.trim().toUpperCase();
+    if (!Currency.isSupported(code)) {
+        throw new InvalidArgumentError(`Expected a currency PayPal supports: ${Currency.SUPPORTED_CURRENCIES.join(', ')}.`);
+    }
+    return code;
+}
+
+/**
+ * Parse a calendar date
+ * 
+ * @param {string} value - Raw option value
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function parseDate(value) {
+    if (!moment(value, 'YYYY-MM-DD', true).isValid()) {
+        throw new InvalidArgumentError('Expected a date as YYYY-MM-DD.');
+    }
+    return value;
+}
+
+/**
+ * Parse a send time (date, local date and time, or ISO timestamp)
+ * 
+ * @param {string} value - Raw option value
+ * @returns {string} Send time as an ISO timestamp
+ */
+function parseSendAt(value) {
+    try {
+        return ScheduledSends.parseSendAt(value);
+    } catch (error) {
+        throw new InvalidArgumentError('Expected YYYY-MM-DD, "YYYY-MM-DD HH:mm" or an ISO timestamp.');
+    }
+}
+
+/**
+ * Parse a non-negative whole number (days, page numbers, ...)
+ * 
+ * @param {string} value - Raw option value
+ * @returns {number} Parsed number
+ */
+function parseCount(value) {
+    const number = parseInt(value, 10);
+    if (isNaN(number) || number < 0 || String(number) !== value.trim()) {
+        throw new InvalidArgumentError('Expected a whole number.');
+    }
+    return number;
+}
+
+module.exports = {
+    parseAmount,
+    parseCurrency,
+    parseDate,
+    parseSendAt,
+    parseCount
+};
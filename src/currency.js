@@ -0,0 +1,142 @@
+/**
+ * Currencies PayPal bills without decimals; every other currency has two
+ */
+const ZERO_DECIMAL_CURRENCIES = ['HUF', 'JPY', 'TWD'];
+
+/**
+ * Currencies PayPal can invoice in (INR only for accounts registered in India)
+ */
+const SUPPORTED_CURRENCIES = [
+    'AUD', 'BRL', 'CAD', 'CHF', 'CNY', 'CZK', 'DKK', 'EUR', 'GBP', 'HKD', 'HUF', 'ILS', 'INR',
+    'JPY', 'MXN', 'MYR', 'NOK', 'NZD', 'PHP', 'PLN', 'SEK', 'SGD', 'THB', 'TWD', 'USD'
+];
+
+/**
+ * Currency used when neither the invoice, the customer nor the business profile sets one
+ */
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Currency Amounts
+ * 
+ * Converts between PayPal's decimal strings ("1250.00") and integer amounts in the
+ * currency's minor unit (cents for USD, whole yen for JPY), so totals are added up
+ * without floating point drift and rounded the way PayPal rounds them
+ */
+class Currency {
+    /**
+     * Number of decimals PayPal uses for a currency
+     * 
+     * @param {string} currencyCode - ISO 4217 currency code
+     * @returns {number} 0 or 2
+     */
+    static decimals(currencyCode) {
+        return ZERO_DECIMAL_CURRENCIES.includes(String(currencyCode || '').toUpperCase()) ? 0 : 2;
+    }
+
+    /**
+     * Convert a decimal amount to minor units, rounding half away from zero
+     * 
+     * @param {string|number} value - Amount, e.g. "12.5" or 12.5
+     * @param {string} currencyCode - ISO 4217 currency code
+     * @returns {number} Integer amount in minor units
+     */
+    static toMinor(value, currencyCode) {
+        const amount = parseFloat(value || 0) * 10 ** Currency.decimals(currencyCode);
+        // toPrecision removes binary noise such as 1.005 * 100 = 100.49999999999999
+        return Currency.round(parseFloat(amount.toPrecision(12)));
+    }
+
+    /**
+     * Format minor units as a PayPal amount value
+     * 
+     * @param {number} minor - Integer amount in minor units
+     * @param {string} currencyCode - ISO 4217 currency code
+     * @returns {string} e.g. "1250.00" (USD) or "1250" (JPY)
+     */
+    static toValue(minor, currencyCode) {
+        const decimals = Currency.decimals(currencyCode);
+        return (minor / 10 ** decimals).toFixed(decimals);
+    }
+
+    /**
+     * Round a decimal amount to the currency's precision
+     * 
+     * @param {string|number} value - Amount
+     * @param {string} currencyCode - ISO 4217 currency code
+     * @returns {string} PayPal amount value
+     */
+    static formatValue(value, currencyCode) {
+        return Currency.toValue(Currency.toMinor(value, currencyCode), currencyCode);
+    }
+
+    /**
+     * Format minor units for display
+     * 
+     * @param {number} minor - Integer amount in minor units
+     * @param {string} currencyCode - ISO 4217 currency code
+     * @returns {string} e.g. "USD 1,250.00", "-USD 10.00" or "JPY 5,000"
+     */
+    static format(minor, currencyCode) {
+        const decimals = Currency.decimals(currencyCode);
+        const value = (Math.abs(minor) / 10 ** decimals)
+            .toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+        return `${minor < 0 ? '-' : ''}${currencyCode} ${value}`;
+    }
+
+    /**
+     * Pick the invoice currency: the first code given, else DEFAULT_CURRENCY
+     * (environment) or USD
+     * 
+     * @param {...string} codes - Candidate codes in order of precedence (empty ones are skipped)
+     * @returns {string} Upper-case currency code
+     */
+    static resolve(...codes) {
+        const code = codes.find(candidate => candidate && String(candidate).trim())
+            || process.env.DEFAULT_CURRENCY
+            || DEFAULT_CURRENCY;
+        return String(code).trim().toUpperCase();
+    }
+
+    /**
+     * Check whether PayPal can invoice in a currency
+     * 
+     * @param {string} currencyCode - ISO 4217 currency code
+     * @returns {boolean} True if supported
+     */
+    static isSupported(currencyCode) {
+        return SUPPORTED_CURRENCIES.includes(String(currencyCode || '').toUpperCase());
+    }
+
+    /**
+     * Check that an amount has no more decimals than the currency allows
+     * 
+     * @param {string|number} value - Amount
+     * @param {string} currencyCode - ISO 4217 currency code
+     * @returns {boolean} True if the amount can be billed exactly (e.g. 1500 JPY, not 1500.5)
+     */
+    static hasValidPrecision(value, currencyCode) {
+        const amount = parseFloat(value);
+        if (isNaN(amount)) {
+            return false;
+        }
+        const scaled = parseFloat((amount * 10 ** Currency.decimals(currencyCode)).toPrecision(12));
+        return Number.isInteger(scaled);
+    }
+
+    /**
+     * Round to a whole number of minor units, half away from zero
+     * 
+     * @param {number} amount - Amount in (fractional) minor units
+     * @returns {number} Integer amount
+     */
+    static round(amount) {
+        return Math.sign(amount) * Math.round(Math.abs(amount));
+    }
+}
+
+Currency.ZERO_DECIMAL_CURRENCIES = ZERO_DECIMAL_CURRENCIES;
+Currency.SUPPORTED_CURRENCIES = SUPPORTED_CURRENCIES;
+Currency.DEFAULT_CURRENCY = DEFAULT_CURRENCY;
+
+module.exports = Currency;
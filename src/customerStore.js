@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const InvoiceValidator = require('./invoiceValidator');
+const Currency = require('./currency');
+
+/**
+ * Customer Directory Store
+ * 
+ * Persists repeat customers in a local JSON file so they no longer have to be
+ * hard-coded as template methods. Each record holds contact details, address,
+ * VAT number and per-customer invoice defaults (currency, prices, notes).
+ * 
+ * File location defaults to customers/customers.json (git-ignored) and can be
+ * overridden with the CUSTOMERS_FILE environment variable.
+ */
+class CustomerStore {
+    /**
+     * @param {string} [filePath] - Path to the customers JSON file
+     */
+    constructor(filePath) {
+        this.filePath = filePath
+            || process.env.CUSTOMERS_FILE
+            || path.join(__dirname, '..', 'customers', 'customers.json');
+    }
+
+    /**
+     * Load all customer records from disk
+     * 
+     * @returns {Array<Object>} Customer records (empty if the file doesn't exist yet)
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        const contents = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        return Array.isArray(contents) ? contents : (contents.customers || []);
+    }
+
+    /**
+     * Write all customer records to disk
+     * 
+     * @param {Array<Object>} customers - Complete list of customer records
+     */
+    save(customers) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, customers }, null, 2) + '\n');
+    }
+
+    /**
+     * List all customers sorted by ID
+     * 
+     * @returns {Array<Object>} Customer records
+     */
+    list() {
+        return this.load().sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Find a customer by ID
+     * 
+     * @param {string} id - Customer ID
+     * @returns {Object|null} Customer record or null if not found
+     */
+    find(id) {
+        return this.load().find(customer => customer.id === id) || null;
+    }
+
+    /**
+     * Get a customer by ID, failing loudly if it doesn't exist
+     * 
+     * @param {string} id - Customer ID
+     * @returns {Object} Customer record
+     * @throws {Error} If no customer has this ID
+     */
+    get(id) {
+        const customer = this.find(id);
+        if (!customer) {
+            throw new Error(`Customer not found: ${id}`);
+        }
+        return customer;
+    }
+
+    /**
+     * Add a new customer
+     * 
+     * @param {Object} data - Customer fields (id is generated from the name if omitted)
+     * @returns {Object} Stored customer record
+     * @throws {Error} If validation fails or the ID is already taken
+     */
+    add(data) {
+        const customers = this.load();
+        const id = data.id ? this.slugify(data.id) : this.generateId(data, customers);
+
+        if (customers.some(customer => customer.id === id)) {
+            throw new Error(`Customer already exists: ${id}`);
+        }
+
+        const now = new Date().toISOString();
+        const customer = this.normalize({ ...data, id, createdAt: now, updatedAt: now });
+        this.validate(customer);
+
+        customers.push(customer);
+        this.save(customers);
+        return customer;
+    }
+
+    /**
+     * Update an existing customer
+     * 
+     * @param {string} id - Customer ID
+     * @param {Object} changes - Fields to change (address and defaultPrices are merged)
+     * @returns {Object} Updated customer record
+     * @throws {Error} If the customer doesn't exist or validation fails
+     */
+    update(id, changes) {
+        const customers = this.load();
+        const index = customers.findIndex(customer => customer.id === id);
+        if (index === -1) {
+            throw new Error(`Customer not found: ${id}`);
+        }
+
+        const existing = customers[index];
+        const customer = this.normalize({
+            ...existing,
+            ...changes,
+            address: changes.address === null ? null : { ...existing.address, ...changes.address },
+            defaultPrices: { ...existing.defaultPrices, ...changes.defaultPrices },
+            id,
+            createdAt: existing.createdAt,
+            updatedAt: new Date().toISOString()
+        });
+        this.validate(customer);
+
+        customers[index] = customer;
+        this.save(customers);
+        return customer;
+    }
+
+    /**
+     * Delete a customer
+     * 
+     * @param {string} id - Customer ID
+     * @returns {Object} Removed customer record
+     * @throws {Error} If the customer doesn't exist
+     */
+    remove(id) {
+        const customers = this.load();
+        const index = customers.findIndex(customer => customer.id === id);
+        if (index === -1) {
+            throw new Error(`Customer not found: ${id}`);
+        }
+
+        const [removed] = customers.splice(index, 1);
+        this.save(customers);
+        return removed;
+    }
+
+    /**
+     * Case-insensitive search across ID, names, email, business name and VAT number
+     * 
+     * @param {string} query - Search text
+     * @returns {Array<Object>} Matching customer records
+     */
+    search(query) {
+        const needle = (query || '').trim().toLowerCase();
+        if (!needle) {
+            return this.list();
+        }
+
+        return this.list().filter(customer => [
+            customer.id,
+            customer.firstName,
+            customer.lastName,
+            customer.email,
+            customer.businessName,
+            customer.vatNumber
+        ].some(value => value && value.toLowerCase().includes(needle)));
+    }
+
+    /**
+     * Normalize a customer record to the stored shape
+     * 
+     * @param {Object} data - Raw customer fields
+     * @returns {Object} Normalized customer record
+     */
+    normalize(data) {
+        const hasAddress = data.address && Object.values(data.address).some(value => value);
+
+        return {
+            id: data.id,
+            firstName: data.firstName || '',
+            lastName: data.lastName || '',
+            email: data.email || '',
+            businessName: data.businessName || '',
+            phone: data.phone || '',
+            vatNumber: data.vatNumber || '',
+            address: hasAddress ? {
+                line1: data.address.line1 || '',
+                line2: data.address.line2 || '',
+                city: data.address.city || '',
+                state: data.address.state || '',
+                postalCode: data.address.postalCode || '',
+                countryCode: data.address.countryCode || 'US'
+            } : null,
+            // Empty means the business profile's default currency
+            defaultCurrency: (data.defaultCurrency || '').trim().toUpperCase(),
+            defaultPrices: data.defaultPrices || {},
+            defaultNotes: data.defaultNotes || '',
+            createdAt: data.createdAt,
+            updatedAt: data.updatedAt
+        };
+    }
+
+    /**
+     * Validate a customer record using the invoice customer rules
+     * 
+     * @param {Object} customer - Normalized customer record
+     * @throws {Error} If the record is invalid
+     */
+    validate(customer) {
+        const validation = InvoiceValidator.validateCustomerInfo({
+            ...customer,
+            address: customer.address || undefined
+        });
+        const errors = [...validation.errors];
+        if (customer.defaultCurrency && !Currency.isSupported(customer.defaultCurrency)) {
+            errors.push(`PayPal can't invoice in ${customer.defaultCurrency}; use one of ${Currency.SUPPORTED_CURRENCIES.join(', ')}`);
+        }
+        if (errors.length > 0) {
+            throw new Error('Invalid customer:\n' + errors.join('\n'));
+        }
+    }
+
+    /**
+     * Generate a unique, readable ID from the business or person name
+     * 
+     * @param {Object} data - Customer fields
+     * @param {Array<Object>} customers - Existing customers
+     * @returns {string} Unique customer ID (e.g. 'sencha', 'sencha-2')
+     */
+    generateId(data, customers) {
+        const base = this.slugify(
+            data.businessName || `${data.firstName || ''} ${data.lastName || ''}`.trim() || data.email
+        ) || 'customer';
+
+        let id = base;
+        let suffix = 2;
+        while (customers.some(customer => customer.id === id)) {
+            id = `${base}-${suffix++}`;
+        }
+        return id;
+    }
+
+    /**
+     * Convert text into a lowercase, hyphen-separated ID
+     * 
+     * @param {string} text - Text to convert
+     * @returns {string} Slug
+     */
+    slugify(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+}
+
+module.exports = CustomerStore;
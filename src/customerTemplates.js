@@ -1,3 +1,8 @@
+const CustomerStore = require('./customerStore');
+const BusinessProfiles = require('./businessProfiles');
+const Currency = require('./currency');
+const InvoiceSchema = require('./invoiceSchema');
+
 /**
  * Customer Templates Handler
  * 
@@ -8,8 +13,39 @@
  * - Quick invoice generation for frequent customers
  * 
  * Each template handles customer data normalization and service-specific formatting
+ * Repeat customers are looked up by ID from the local customer directory (CustomerStore)
  */
 class CustomerTemplates {
+
+    /**
+     * Resolve a customer reference to customer information
+     * 
+     * Accepts either a customer ID from the customer directory or an inline customer object
+     * 
+     * @param {string|Object} customerRef - Customer ID or customer information object
+     * @returns {Object} Customer information (stored record when an ID is given)
+     * @throws {Error} If the ID is unknown or no customer is provided
+     */
+    static resolveCustomer(customerRef) {
+        if (typeof customerRef === 'string') {
+            return new CustomerStore().get(customerRef);
+        }
+        if (!customerRef) {
+            throw new Error('Customer information or customer ID is required');
+        }
+        return customerRef;
+    }
+
+    /**
+     * Get a customer's default price for a service type
+     * 
+     * @param {Object} customerInfo - Customer information (may contain defaultPrices)
+     * @param {'guest_post'|'link_insertion'} serviceType - Service type
+     * @returns {number} Default price, or 0 if the customer has none
+     */
+    static getDefaultPrice(customerInfo, serviceType) {
+        return customerInfo.defaultPrices?.[serviceType] || 0;
+    }
     
     /**
      * Create guest post invoice template
@@ -17,14 +53,23 @@ class CustomerTemplates {
      * Standard template for guest post publication services
      * Handles customer data normalization and service description formatting
      * 
-     * @param {Object} customerInfo - Customer contact and business information
+     * @param {string|Object} customerRef - Customer ID or customer contact and business information
      * @param {Object} serviceDetails - Service-specific details (price, URL, title, etc.)
+     * @param {Object} [options={}] - Template options
+     * @param {string} [options.profile] - Business profile to bill from (default profile if omitted)
      * @returns {Object} Complete invoice data structure ready for PayPal API
      */
-    static createGuestPostInvoice(customerInfo, serviceDetails) {
+    static createGuestPostInvoice(customerRef, serviceDetails, options = {}) {
+        const customerInfo = this.resolveCustomer(customerRef);
+        const profile = new BusinessProfiles().get(options.profile);
+        // Service currency, else the customer's, else the business profile's
+        const currency = Currency.resolve(serviceDetails.currency, customerInfo.defaultCurrency, profile.defaultCurrency);
+
         return {
             // Normalize customer data with flexible field mapping
             customer: {
+                // Customer directory ID (empty for one-off customers)
+                id: customerInfo.id || '',
                 firstName: customerInfo.firstName || customerInfo.name?.split(' ')[0] || 'Customer',
                 lastName: customerInfo.lastName || customerInfo.name?.split(' ').slice(1).join(' ') || '',
                 email: customerInfo.email,
@@ -41,35 +86,21 @@ class CustomerTemplates {
                 phone: customerInfo.phone || '',
                 vatNumber: customerInfo.vatNumber || ''
             },
-            // Business information loaded from environment variables
-            business: {
-                name: process.env.BUSINESS_NAME || 'TG Media. Tech Geekers',
-                firstName: 'TG Media',
-                lastName: 'Tech Geekers',
-                email: process.env.BUSINESS_EMAIL || 'billing@techgeekers.com',
-                phone: process.env.BUSINESS_PHONE || '',
-                website: process.env.BUSINESS_WEBSITE || '',
-                address: {
-                    line1: process.env.BUSINESS_ADDRESS_LINE_1 || '',
-                    line2: process.env.BUSINESS_ADDRESS_LINE_2 || '',
-                    city: process.env.BUSINESS_CITY || '',
-                    state: process.env.BUSINESS_STATE || '',
-                    postalCode: process.env.BUSINESS_POSTAL_CODE || '',
-                    countryCode: process.env.BUSINESS_COUNTRY || 'IN'
-                }
-            },
+            // Business information from the selected business profile
+            business: BusinessProfiles.toBusinessInfo(profile),
             // Service item configuration
             items: [{
                 name: serviceDetails.serviceName || 'Guest Post Publication',
                 description: this.createServiceDescription(serviceDetails),
                 quantity: serviceDetails.quantity || 1,
-                unitAmount: serviceDetails.price || 0,
-                currencyCode: serviceDetails.currency || 'USD'
+                unitAmount: serviceDetails.price || this.getDefaultPrice(customerInfo, 'guest_post'),
+                currencyCode: currency,
+                serviceType: 'guest_post'
             }],
-            currencyCode: serviceDetails.currency || 'USD',
+            currencyCode: currency,
             // Standard terms for guest post services (3-day payment period)
-            note: serviceDetails.note || 'Thank you for choosing our guest post services. Payment is due within 3 days.',
-            terms: 'Payment due within 3 days. No refunds for digital services once delivered.',
+            note: serviceDetails.note || customerInfo.defaultNotes || 'Thank you for choosing our guest post services. Payment is due within 3 days.',
+            terms: profile.terms || 'Payment due within 3 days. No refunds for digital services once delivered.',
             memo: serviceDetails.memo || '',
             reference: serviceDetails.reference || serviceDetails.url || '',
             paymentTerm: 'DUE_ON_DATE_SPECIFIED',
@@ -84,24 +115,30 @@ class CustomerTemplates {
      * Specialized template for link insertion services
      * Extends guest post template with link-specific descriptions
      * 
-     * @param {Object} customerInfo - Customer information
+     * @param {string|Object} customerRef - Customer ID or customer information
      * @param {Object} serviceDetails - Link insertion service details
+     * @param {Object} [options={}] - Template options (see createGuestPostInvoice)
      * @returns {Object} Complete invoice data structure
      */
-    static createLinkInsertionInvoice(customerInfo, serviceDetails) {
+    static createLinkInsertionInvoice(customerRef, serviceDetails, options = {}) {
+        const customerInfo = this.resolveCustomer(customerRef);
+
+        // Use guest post template as base and override specific fields
+        const base = this.createGuestPostInvoice(customerInfo, {
+            ...serviceDetails,
+            serviceName: 'Link Insertion Service'
+        }, options);
+
         return {
-            // Use guest post template as base and override specific fields
-            ...this.createGuestPostInvoice(customerInfo, {
-                ...serviceDetails,
-                serviceName: 'Link Insertion Service'
-            }),
+            ...base,
             // Override items with link insertion specific details
             items: [{
                 name: 'Link Insertion Service',
                 description: this.createLinkInsertionDescription(serviceDetails),
                 quantity: serviceDetails.quantity || 1,
-                unitAmount: serviceDetails.price || 0,
-                currencyCode: serviceDetails.currency || 'USD'
+                unitAmount: serviceDetails.price || this.getDefaultPrice(customerInfo, 'link_insertion'),
+                currencyCode: base.currencyCode,
+                serviceType: 'link_insertion'
             }]
         };
     }
@@ -194,9 +231,11 @@ class CustomerTemplates {
      * @param {number} price - Service price
      * @param {string} url - Published article URL
      * @param {string} [title=''] - Article title (optional)
+     * @param {Object} [options={}] - Template options (see createGuestPostInvoice)
+     * @param {string} [options.currency] - Invoice currency (default: the business profile's)
      * @returns {Object} Complete invoice data structure
      */
-    static quickGuestPost(email, companyName, price, url, title = '') {
+    static quickGuestPost(email, companyName, price, url, title = '', options = {}) {
         return this.createGuestPostInvoice(
             {
                 email: email,
@@ -207,71 +246,10 @@ class CustomerTemplates {
                 price: price,
                 url: url,
                 title: title,
+                currency: options.currency,
                 serviceName: 'Guest Post Publication'
-            }
-        );
-    }
-
-    /**
-     * Create guest post invoice for customer@example.com
-     * 
-     * Pre-configured template for customer@example.com customer
-     * Standard guest post service at $40
-     * 
-     * @param {string} [url=''] - Published article URL
-     * @param {string} [title=''] - Article title
-     * @returns {Object} Complete invoice data structure
-     */
-    static createExampleGuestPostInvoice(url = '', title = '') {
-        return this.createGuestPostInvoice(
-            // Customer information
-            {
-                email: 'customer@example.com',
-                businessName: 'Example',
-                firstName: 'Example',
-                lastName: 'Customer'
-            },
-            // Service details for guest post
-            {
-                price: 40,
-                url: url,
-                title: title,
-                serviceName: 'Guest Post Publication',
-                publicationDate: new Date().toISOString().split('T')[0],
-                description: 'High-quality guest post article published on techgeekers.com'
-            }
-        );
-    }
-
-    /**
-     * Create link insertion invoice for customer@example.com
-     * 
-     * Pre-configured template for link insertion service
-     * Standard link insertion service pricing
-     * 
-     * @param {string} [targetUrl=''] - Target URL for link insertion
-     * @param {string} [anchorText=''] - Anchor text for the link
-     * @param {number} [price=20] - Link insertion price
-     * @returns {Object} Complete invoice data structure
-     */
-    static createExampleLinkInsertionInvoice(targetUrl = '', anchorText = '', price = 20) {
-        return this.createLinkInsertionInvoice(
-            // Customer information
-            {
-                email: 'customer@example.com',
-                businessName: 'Example',
-                firstName: 'Example',
-                lastName: 'Customer'
             },
-            // Service details for link insertion
-            {
-                price: price,
-                url: targetUrl,
-                anchorText: anchorText,
-                serviceName: 'Link Insertion Service',
-                insertionDate: new Date().toISOString().split('T')[0],
-                description: 'Professional link insertion service on techgeekers.com'
-            }
+            options
         );
     }
 
@@ -284,7 +262,11 @@ class CustomerTemplates {
      * @param {Object} invoiceData - Complete invoice JSON data
      * @returns {Object} Complete invoice data structure
      * 
-     * Example JSON structure:
+     * "service" may also set a quantity, and "note", "memo" and "reference" work as in
+     * the multi-service format
+     * 
+     * Example JSON structure ("customer" may also be replaced by "customerId": "example",
+     * and an optional "profile" selects the business profile to bill from):
      * {
      *   "customer": {
      *     "email": "customer@example.com",
@@ -302,26 +284,37 @@ class CustomerTemplates {
      * }
      */
     static createFromJSON(invoiceData) {
-        const { customer, service } = invoiceData;
+        const { service } = invoiceData;
+        const customer = this.resolveCustomer(invoiceData.customer || invoiceData.customerId);
         
         if (service.type === 'guest_post') {
             return this.createGuestPostInvoice(customer, {
                 price: service.price,
+                currency: service.currency || invoiceData.currency,
                 url: service.url || '',
                 title: service.title || '',
                 description: service.description || 'High-quality guest post article published on techgeekers.com',
                 serviceName: 'Guest Post Publication',
-                publicationDate: new Date().toISOString().split('T')[0]
-            });
+                publicationDate: new Date().toISOString().split('T')[0],
+                quantity: service.quantity,
+                note: invoiceData.note,
+                memo: invoiceData.memo,
+                reference: invoiceData.reference
+            }, { profile: invoiceData.profile });
         } else if (service.type === 'link_insertion') {
             return this.createLinkInsertionInvoice(customer, {
                 price: service.price,
+                currency: service.currency || invoiceData.currency,
                 url: service.url || '',
                 anchorText: service.anchorText || '',
                 description: service.description || 'Professional link insertion service on techgeekers.com',
                 serviceName: 'Link Insertion Service',
-                insertionDate: new Date().toISOString().split('T')[0]
-            });
+                insertionDate: new Date().toISOString().split('T')[0],
+                quantity: service.quantity,
+                note: invoiceData.note,
+                memo: invoiceData.memo,
+                reference: invoiceData.reference
+            }, { profile: invoiceData.profile });
         } else {
             throw new Error(`Unknown service type: ${service.type}. Use 'guest_post' or 'link_insertion'`);
         }
@@ -336,7 +329,8 @@ class CustomerTemplates {
      * @param {Object} invoiceData - Invoice data with multiple services
      * @returns {Object} Complete invoice data structure
      * 
-     * Example JSON structure:
+     * Example JSON structure ("customer" may also be replaced by "customerId": "example",
+     * and an optional "profile" selects the business profile to bill from):
      * {
      *   "customer": {
      *     "email": "customer@example.com",
@@ -369,13 +363,23 @@ class CustomerTemplates {
      *     "description": "Bulk order discount"
      *   }
      * }
+     * 
+     * "discount" may also be a percentage ({"percent": 10}); its description is only for your
+     * own records. Without a discount the business profile's volume discounts may apply.
+     * "currency" sets the invoice currency (default: the customer's, else the profile's);
+     * every service must be billed in it
      */
     static createMultiItemFromJSON(invoiceData) {
-        const { customer, services, discount } = invoiceData;
+        const { services, discount } = invoiceData;
         
         if (!services || !Array.isArray(services) || services.length === 0) {
             throw new Error('Services array is required and must contain at least one service');
         }
+
+        const customer = this.resolveCustomer(invoiceData.customer || invoiceData.customerId);
+        const profile = new BusinessProfiles().get(invoiceData.profile);
+        // Invoice currency, else the customer's, else the business profile's
+        const currency = Currency.resolve(invoiceData.currency, customer.defaultCurrency, profile.defaultCurrency);
         
         // Build items array from services
         const items = services.map((service, index) => {
@@ -392,8 +396,9 @@ class CustomerTemplates {
                         publicationDate: new Date().toISOString().split('T')[0]
                     }),
                     quantity: service.quantity || 1,
-                    unitAmount: service.price || 0,
-                    currencyCode: service.currency || 'USD'
+                    unitAmount: service.price || this.getDefaultPrice(customer, 'guest_post'),
+                    currencyCode: Currency.resolve(service.currency, currency),
+                    serviceType: 'guest_post'
                 };
             } else if (service.type === 'link_insertion') {
                 return {
@@ -405,27 +410,18 @@ class CustomerTemplates {
                         insertionDate: new Date().toISOString().split('T')[0]
                     }),
                     quantity: service.quantity || 1,
-                    unitAmount: service.price || 0,
-                    currencyCode: service.currency || 'USD'
+                    unitAmount: service.price || this.getDefaultPrice(customer, 'link_insertion'),
+                    currencyCode: Currency.resolve(service.currency, currency),
+                    serviceType: 'link_insertion'
                 };
             } else {
                 throw new Error(`Unknown service type: ${service.type}. Use 'guest_post' or 'link_insertion'`);
             }
         });
         
-        // Add discount as negative item if provided
-        if (discount && discount.amount > 0) {
-            items.push({
-                name: 'Discount',
-                description: discount.description || 'Bulk order discount',
-                quantity: 1,
-                unitAmount: -Math.abs(discount.amount),
-                currencyCode: 'USD'
-            });
-        }
-        
         return {
             customer: {
+                id: customer.id || '',
                 firstName: customer.firstName || customer.name?.split(' ')[0] || 'Customer',
                 lastName: customer.lastName || customer.name?.split(' ').slice(1).join(' ') || '',
                 email: customer.email,
@@ -441,26 +437,13 @@ class CustomerTemplates {
                 phone: customer.phone || '',
                 vatNumber: customer.vatNumber || ''
             },
-            business: {
-                name: process.env.BUSINESS_NAME || 'TG Media. Tech Geekers',
-                firstName: 'TG Media',
-                lastName: 'Tech Geekers',
-                email: process.env.BUSINESS_EMAIL || 'billing@techgeekers.com',
-                phone: process.env.BUSINESS_PHONE || '',
-                website: process.env.BUSINESS_WEBSITE || '',
-                address: {
-                    line1: process.env.BUSINESS_ADDRESS_LINE_1 || '',
-                    line2: process.env.BUSINESS_ADDRESS_LINE_2 || '',
-                    city: process.env.BUSINESS_CITY || '',
-                    state: process.env.BUSINESS_STATE || '',
-                    postalCode: process.env.BUSINESS_POSTAL_CODE || '',
-                    countryCode: process.env.BUSINESS_COUNTRY || 'IN'
-                }
-            },
+            business: BusinessProfiles.toBusinessInfo(profile),
             items: items,
-            currencyCode: 'USD',
-            note: invoiceData.note || `Thank you for choosing our services. ${services.length > 1 ? 'Bulk order' : 'Service'} payment is due within 3 days.`,
-            terms: 'Payment due within 3 days. No refunds for digital services once delivered.',
+            // Invoice-level discount on the sum of the items (PayPal shows it as "Discount")
+            discount: discount ? { percent: discount.percent, amount: discount.amount } : undefined,
+            currencyCode: currency,
+            note: invoiceData.note || customer.defaultNotes || `Thank you for choosing our services. ${services.length > 1 ? 'Bulk order' : 'Service'} payment is due within 3 days.`,
+            terms: profile.terms || 'Payment due within 3 days. No refunds for digital services once delivered.',
             memo: invoiceData.memo || '',
             reference: invoiceData.reference || '',
             paymentTerm: 'DUE_ON_DATE_SPECIFIED',
@@ -470,12 +453,14 @@ class CustomerTemplates {
     }
 
     /**
-     * Quick JSON-based invoice for repeat customers
+     * JSON-based invoice for a saved customer
      * 
-     * Simplified method for frequent customers using JSON data
-     * Pre-fills customer info, just needs service details
+     * Looks the customer up in the customer directory, so only service details are needed
+     * Stored default prices, currency and notes fill in anything the service data leaves out
      * 
+     * @param {string} customerId - Customer ID from the customer directory
      * @param {Object} serviceData - Service details JSON or array of services
+     * @param {Object} [options={}] - Template options (see createGuestPostInvoice)
      * @returns {Object} Complete invoice data structure
      * 
      * Example serviceData (single):
@@ -495,69 +480,66 @@ class CustomerTemplates {
      *   "discount": {"amount": 10, "description": "Bulk discount"}
      * }
      */
-    static createExampleFromJSON(serviceData) {
-        const customerInfo = {
-            email: 'customer@example.com',
-            firstName: 'Example',
-            lastName: 'Customer',
-            businessName: 'Example Company'
-        };
-        
+    static createForCustomer(customerId, serviceData, options = {}) {
         // Check if it's multiple services
         if (serviceData.services && Array.isArray(serviceData.services)) {
             return this.createMultiItemFromJSON({
-                customer: customerInfo,
+                customerId,
                 services: serviceData.services,
                 discount: serviceData.discount,
+                currency: serviceData.currency,
                 note: serviceData.note,
                 memo: serviceData.memo,
-                reference: serviceData.reference
+                reference: serviceData.reference,
+                profile: options.profile
             });
         } else {
             // Single service - use existing method
             return this.createFromJSON({
-                customer: customerInfo,
-                service: serviceData
+                customerId,
+                service: serviceData,
+                profile: options.profile
             });
         }
     }
 
     /**
-     * Sencha customer-specific invoice template
+     * Create invoice data from any supported JSON invoice format
+     * 
+     * Supported formats (see schemas/invoice.v1.schema.json):
+     * - {customerId, services: [...]} - several services for a saved customer
+     * - {customer: {...}, services: [...]} - several services for an ad-hoc customer
+     * - {customer|customerId, service: {...}} - a single service
      * 
-     * Pre-configured template for Sencha Inc. with all known customer details
-     * Includes complete address information and published article details
-     * Used for testing and as an example of customer-specific templates
+     * Any of the formats can also set discount ({percent} or {amount}), volumeDiscounts
+     * (false to skip the profile's volume discounts), taxRules (false to skip the VAT/GST
+     * rules), customAmount ({label, amount}), shipping ({amount, tax}), taxInclusive and
+     * expectedTotal (checked before creation)
      * 
-     * @param {number} [price=30] - Service price (defaults to $30)
-     * @returns {Object} Complete Sencha invoice data structure
+     * @param {Object} jsonData - Parsed invoice JSON
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.profile] - Business profile ID, overrides any "profile" set in the JSON
+     * @returns {Object} Complete invoice data
+     * @throws {Error} If the JSON doesn't match the schema; error.errors has one "path: message" line per problem
      */
-    static createSenchaInvoice(price = 30) {
-        return this.createGuestPostInvoice(
-            // Sencha customer information
-            {
-                email: 'demo@example.com',
-                businessName: 'Sencha',
-                firstName: 'Sencha',
-                lastName: 'Inc',
-                address: {
-                    line1: '4001 W Parmer Lane Suite 125',
-                    city: 'Austin',
-                    state: 'TX',
-                    postalCode: '78727',
-                    countryCode: 'US'
-                }
-            },
-            // Service details for published React UI component library article
-            {
-                price: price,
-                url: 'https://techgeekers.com/reducing-development-time-with-pre-built-react-ui-component-library/',
-                title: 'Reducing Development Time with Pre-built React UI Component Library',
-                serviceName: 'Guest Post Publication',
-                publicationDate: new Date().toISOString().split('T')[0],
-                description: 'High-quality guest post article published focusing on React UI component libraries.'
+    static fromJSON(jsonData, options = {}) {
+        const data = options.profile ? { ...jsonData, profile: options.profile } : jsonData;
+
+        const validation = InvoiceSchema.validate(data);
+        if (!validation.isValid) {
+            const messages = InvoiceSchema.toMessages(validation.errors);
+            const error = new Error('Invalid invoice JSON:\n' + messages.join('\n'));
+            error.errors = messages;
+            throw error;
+        }
+
+        const invoiceData = data.services ? this.createMultiItemFromJSON(data) : this.createFromJSON(data);
+        ['discount', 'volumeDiscounts', 'taxRules', 'customAmount', 'shipping', 'taxInclusive', 'expectedTotal'].forEach(field => {
+            if (data[field] !== undefined) {
+                invoiceData[field] = data[field];
             }
-        );
+        });
+        return invoiceData;
     }
 }
 
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const Currency = require('./currency');
+
+/**
+ * Exchange Rates
+ * 
+ * Offline exchange rates from a local file, for converting invoice amounts into the
+ * currency the books are kept in (the home currency). Nothing is fetched online, so
+ * the rates are exactly the ones your accountant uses.
+ * 
+ * The file is CSV or JSON (by extension), at config/exchange-rates.csv by default
+ * (override with EXCHANGE_RATES_FILE). A rate is how much of "to" one unit of "from"
+ * buys on a date:
+ * 
+ *   date,from,to,rate
+ *   2026-10-01,USD,INR,83.12
+ *   2026-10-01,EUR,INR,90.45
+ * 
+ *   { "2026-10-01": { "USD/INR": 83.12, "EUR/INR": 90.45 } }
+ * 
+ * The inverse pair is used when only that one is listed. For a date without a rate
+ * (weekends, holidays) the latest earlier rate is used, and the date of the rate
+ * actually used is returned with it
+ */
+class ExchangeRates {
+    /**
+     * @param {string} [filePath] - Path to the rates CSV or JSON file
+     */
+    constructor(filePath) {
+        this.filePath = filePath
+            || process.env.EXCHANGE_RATES_FILE
+            || path.join(__dirname, '..', 'config', 'exchange-rates.csv');
+        this.rates = null;
+    }
+
+    /**
+     * Home currency of a business profile: its homeCurrency, else HOME_CURRENCY
+     * 
+     * @param {Object} [profile] - Business profile
+     * @returns {string} Currency code, or an empty string when none is configured
+     */
+    static homeCurrency(profile) {
+        return (profile?.homeCurrency || process.env.HOME_CURRENCY || '').toUpperCase();
+    }
+
+    /**
+     * Load the rates file (once)
+     * 
+     * @returns {Map<string, Array<Object>>} Rates ({date, rate}) per "FROM/TO" pair, oldest first
+     * @throws {Error} If the file is missing or has an invalid row
+     */
+    load() {
+        if (this.rates) {
+            return this.rates;
+        }
+        if (!fs.existsSync(this.filePath)) {
+            throw new Error(`Exchange rates file not found: ${this.filePath} (set EXCHANGE_RATES_FILE)`);
+        }
+
+        const contents = fs.readFileSync(this.filePath, 'utf8');
+        let rows;
+        if (path.extname(this.filePath).toLowerCase() === '.json') {
+            rows = Object.entries(JSON.parse(contents)).flatMap(([date, pairs]) =>
+                Object.entries(pairs).map(([pair, rate]) => {
+                    const [from, to] = pair.split('/');
+                    return { date, from, to, rate };
+                }));
+        } else {
+            rows = parse(contents, { columns: true, skip_empty_lines: true, trim: true });
+        }
+
+        this.rates = new Map();
+        rows.forEach((row, index) => {
+            const rate = parseFloat(row.rate);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date || '') || !row.from || !row.to || !(rate > 0)) {
+                throw new Error(`Invalid exchange rate ${index + 1} in ${this.filePath}: expected date (YYYY-MM-DD), from, to and a rate above 0`);
+            }
+            const pair = `${row.from.toUpperCase()}/${row.to.toUpperCase()}`;
+            this.rates.set(pair, (this.rates.get(pair) || []).concat({ date: row.date, rate }));
+        });
+        this.rates.forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+
+        return this.rates;
+    }
+
+    /**
+     * Rate from one currency to another on a date
+     * 
+     * @param {string} from - Currency converted from
+     * @param {string} to - Currency converted to
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Object|null} {rate, date} (date of the rate used), or null when the file has no rate on or before the date
+     */
+    rateOn(from, to, date) {
+        from = from.toUpperCase();
+        to = to.toUpperCase();
+        if (from === to) {
+            return { rate: 1, date };
+        }
+
+        const latest = list => [...(list || [])].reverse().find(entry => entry.date <= date);
+        const rates = this.load();
+        const direct = latest(rates.get(`${from}/${to}`));
+        const inverse = latest(rates.get(`${to}/${from}`));
+
+        // Prefer the more recent of the two listings
+        if (direct && (!inverse || direct.date >= inverse.date)) {
+            return { rate: direct.rate, date: direct.date };
+        }
+        if (inverse) {
+            return { rate: 1 / inverse.rate, date: inverse.date };
+        }
+        return null;
+    }
+
+    /**
+     * Convert an amount at a given rate
+     * 
+     * @param {string|number} value - Amount in the source currency
+     * @param {number} rate - Exchange rate
+     * @param {string} to - Target currency
+     * @returns {number} Amount in the target currency's minor units
+     */
+    static convert(value, rate, to) {
+        return Currency.toMinor(parseFloat(value || 0) * rate, to);
+    }
+
+    /**
+     * Exchange rates of a ledger invoice record: at the invoice date and at each payment date
+     * 
+     * Rates already stored in the record (record.fx) are kept, so a later change to the
+     * rates file never changes the rate an invoice was booked at
+     * 
+     * @param {Object} record - Invoice record from InvoiceLedger
+     * @param {string} homeCurrency - Currency the books are kept in
+     * @returns {Object|null} {homeCurrency, invoice: {rate, date}|null, payments: {paymentKey: {rate, date}}},
+     *     or null when the invoice is already in the home currency
+     */
+    ratesForRecord(record, homeCurrency) {
+        const currency = record.totals?.currency;
+        if (!currency || !homeCurrency || currency === homeCurrency) {
+            return null;
+        }
+
+        // PayPal dates the invoice on creation when no invoice date was given
+        const invoiceDate = record.invoiceDate || record.createdAt?.slice(0, 10);
+        const stored = record.fx?.homeCurrency === homeCurrency ? record.fx : {};
+        const fx = {
+            homeCurrency,
+            invoice: stored.invoice || (invoiceDate ? this.rateOn(currency, homeCurrency, invoiceDate) : null),
+            payments: { ...stored.payments }
+        };
+
+        (record.payments || []).forEach(payment => {
+            const key = ExchangeRates.paymentKey(payment);
+            if (!fx.payments[key] && payment.date && payment.amount) {
+                const rate = this.rateOn(payment.amount.currency || currency, homeCurrency, payment.date);
+                if (rate) {
+                    fx.payments[key] = rate;
+                }
+            }
+        });
+
+        return fx;
+    }
+
+    /**
+     * Key identifying a payment of an invoice
+     * 
+     * @param {Object} payment - Payment from a ledger record
+     * @returns {string} PayPal payment ID, else date and amount
+     */
+    static paymentKey(payment) {
+        return payment.paymentId || `${payment.date}:${payment.amount?.value}`;
+    }
+}
+
+module.exports = ExchangeRates;
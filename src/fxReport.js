@@ -0,0 +1,179 @@
+const moment = require('moment');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const InvoiceLedger = require('./invoiceLedger');
+const Reconciliation = require('./reconciliation');
+const ExchangeRates = require('./exchangeRates');
+const Currency = require('./currency');
+
+/**
+ * Statuses left out of the report: drafts were never billed, cancelled invoices won't be paid
+ */
+const EXCLUDED_STATUSES = ['DRAFT', 'CANCELLED'];
+
+/**
+ * Home Currency FX Report
+ * 
+ * Converts ledger invoices into the home currency the books are kept in:
+ * 
+ * - Each invoice is booked at the rate on its invoice date
+ * - Each payment is converted at the rate on its payment date; the difference with
+ *   the invoice-date value is the realized FX gain (or loss, when negative)
+ * - What is still outstanding is valued at the rate on the report date; the
+ *   difference with the invoice-date value is the unrealized gain or loss
+ * 
+ * Rates stored with the invoice in the ledger are used first, then the rates file.
+ * Refunds are not converted
+ */
+class FxReport {
+    /**
+     * Build the report from ledger invoice records
+     * 
+     * @param {Array<Object>} records - Invoice records from InvoiceLedger.getInvoices/query
+     * @param {Object} options - Report options
+     * @param {string} options.homeCurrency - Currency the books are kept in
+     * @param {ExchangeRates} [options.rates] - Rates for anything not stored in the ledger
+     * @param {string} [options.asOf] - Report date (YYYY-MM-DD), defaults to today
+     * @returns {Object} Report with one row per invoice, home currency totals (minor units)
+     *     and the rates that were missing
+     */
+    static build(records, options) {
+        const home = options.homeCurrency;
+        const rates = options.rates || new ExchangeRates();
+        const asOf = options.asOf || moment().format('YYYY-MM-DD');
+        const report = {
+            homeCurrency: home,
+            asOf,
+            rows: [],
+            totals: { invoiced: 0, received: 0, realized: 0, outstanding: 0, unrealized: 0 },
+            missing: []
+        };
+
+        records
+            .filter(record => record.totals && !EXCLUDED_STATUSES.includes(record.status))
+            .forEach(record => {
+                const currency = record.totals.currency;
+                const label = record.invoiceNumber || record.invoiceId;
+                const fx = rates.ratesForRecord(record, home)
+                    || { invoice: { rate: 1, date: record.invoiceDate }, payments: {} };
+
+                if (!fx.invoice) {
+                    report.missing.push(`${label}: no ${currency}/${home} rate on or before the invoice date ${record.invoiceDate || '(unknown)'}`);
+                    return;
+                }
+
+                const row = {
+                    invoiceId: record.invoiceId,
+                    invoiceNumber: label,
+                    customer: record.customer?.businessName || record.customer?.email || '',
+                    currency,
+                    total: record.totals.total,
+                    rate: fx.invoice,
+                    invoiced: ExchangeRates.convert(record.totals.total, fx.invoice.rate, home),
+                    received: 0,
+                    realized: 0,
+                    outstanding: 0,
+                    unrealized: 0
+                };
+
+                (record.payments || []).forEach(payment => {
+                    const rate = currency === home ? fx.invoice : fx.payments[ExchangeRates.paymentKey(payment)];
+                    if (!rate) {
+                        report.missing.push(`${label}: no ${currency}/${home} rate on or before the payment date ${payment.date}`);
+                        return;
+                    }
+                    const received = ExchangeRates.convert(payment.amount?.value, rate.rate, home);
+                    row.received += received;
+                    row.realized += received - ExchangeRates.convert(payment.amount?.value, fx.invoice.rate, home);
+                });
+
+                const outstanding = InvoiceLedger.isUnpaid(record) ? Reconciliation.getOutstandingAmount(record) : null;
+                if (outstanding) {
+                    const current = rates.rateOn(currency, home, asOf);
+                    row.outstanding = ExchangeRates.convert(outstanding.value, fx.invoice.rate, home);
+                    if (current) {
+                        row.unrealized = ExchangeRates.convert(outstanding.value, current.rate, home) - row.outstanding;
+                    } else {
+                        report.missing.push(`${label}: no ${currency}/${home} rate on or before ${asOf} for the outstanding amount`);
+                    }
+                }
+
+                Object.keys(report.totals).forEach(key => {
+                    report.totals[key] += row[key];
+                });
+                report.rows.push(row);
+            });
+
+        return report;
+    }
+
+    /**
+     * Format the report for console display
+     * 
+     * @param {Object} report - Report from build
+     * @returns {string} Formatted report ready for console display
+     */
+    static formatReport(report) {
+        const home = report.homeCurrency;
+        const money = amount => Currency.format(amount, home);
+        const signed = amount => (amount > 0 ? chalk.green : amount < 0 ? chalk.red : chalk.white)(money(amount));
+
+        let output = '\n';
+        output += chalk.bold.blue('='.repeat(60)) + '\n';
+        output += chalk.bold.blue(`           FX REPORT IN ${home} (${report.asOf})`) + '\n';
+        output += chalk.bold.blue('='.repeat(60)) + '\n\n';
+
+        if (report.rows.length > 0) {
+            const table = new Table({
+                head: ['Number', 'Customer', 'Invoiced', 'Rate (date)', `Booked ${home}`, `Received ${home}`, 'Realized'],
+                colWidths: [18, 20, 16, 22, 18, 18, 16]
+            });
+            report.rows.forEach(row => {
+                table.push([
+                    row.invoiceNumber,
+                    row.customer,
+                    `${row.currency} ${row.total}`,
+                    `${FxReport.formatRate(row.rate.rate)} (${row.rate.date})`,
+                    money(row.invoiced),
+                    row.received ? money(row.received) : '-',
+                    row.realized ? signed(row.realized) : '-'
+                ]);
+            });
+            output += table.toString() + '\n\n';
+        } else {
+            output += chalk.yellow('No invoices to report.') + '\n\n';
+        }
+
+        [
+            ['Invoiced (booked):', money(report.totals.invoiced)],
+            ['Received:', money(report.totals.received)],
+            ['Realized FX result:', signed(report.totals.realized)],
+            ['Outstanding (booked):', money(report.totals.outstanding)],
+            [`Unrealized FX result (${report.asOf}):`, signed(report.totals.unrealized)]
+        ].forEach(([label, value]) => {
+            output += chalk.bold(label.padEnd(36)) + value + '\n';
+        });
+
+        if (report.missing.length > 0) {
+            output += '\n' + chalk.yellow.bold(`⚠️ Missing exchange rates (${report.missing.length}):`) + '\n';
+            report.missing.forEach(message => {
+                output += chalk.yellow(`   ${message}`) + '\n';
+            });
+        }
+
+        output += '\n' + chalk.bold.blue('='.repeat(60)) + '\n';
+        return output;
+    }
+
+    /**
+     * Format a rate without trailing noise from inverse rates
+     * 
+     * @param {number} rate - Exchange rate
+     * @returns {string} Rate with up to 6 significant decimals
+     */
+    static formatRate(rate) {
+        return String(parseFloat(rate.toPrecision(6)));
+    }
+}
+
+module.exports = FxReport;
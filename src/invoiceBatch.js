@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { parse } = require('csv-parse/sync');
+const InvoiceManager = require('./invoiceManager');
+const CustomerTemplates = require('./customerTemplates');
+const InvoiceValidator = require('./invoiceValidator');
+
+/**
+ * Result statuses that still need work when a results file is re-run
+ * ('valid' rows come from a dry run or a batch stopped by invalid rows)
+ */
+const RETRYABLE_STATUSES = ['valid', 'invalid', 'failed', 'send_failed'];
+
+/**
+ * Batch Invoice Runner
+ * 
+ * Creates one invoice per row of a CSV file or JSON array (e.g. 30 clients at month end).
+ * Every row is turned into invoice data and validated before anything is sent to PayPal,
+ * invoices are then created (and optionally sent) a few at a time, and the outcome of
+ * every row is written to a results file that can be fed back in to re-run failed rows
+ * 
+ * JSON rows use any format CustomerTemplates.fromJSON accepts. CSV rows use the columns
+ * customerId or email/firstName/lastName/businessName/country, plus type, price,
+ * currency, url, title, anchorText, description and profile
+ */
+class InvoiceBatch {
+    /**
+     * @param {Object} [options={}] - Batch options
+     * @param {string} [options.profile] - Business profile for rows that don't name one
+     * @param {number} [options.concurrency=3] - Invoices processed at the same time
+     * @param {boolean} [options.send=false] - Email each invoice after creating it
+     * @param {Function} [options.notification] - Builds sendInvoice options from invoice data
+     */
+    constructor(options = {}) {
+        this.profile = options.profile;
+        this.concurrency = Math.max(1, options.concurrency || 3);
+        this.send = Boolean(options.send);
+        this.notification = options.notification || (() => ({}));
+        this.managers = new Map();
+    }
+
+    /**
+     * Read batch rows from a CSV file, a JSON array or a previous results file
+     * 
+     * For a results file only rows that were not created and sent successfully are
+     * returned, so the same command re-runs exactly what still needs doing
+     * 
+     * @param {string} filePath - Path to a .csv or .json file
+     * @returns {Array<Object>} Rows ({row, input, invoiceId?, status?})
+     * @throws {Error} If the file can't be read or has no rows
+     */
+    static loadRows(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Batch file not found: ${filePath}`);
+        }
+
+        const contents = fs.readFileSync(filePath, 'utf8');
+        let rows;
+
+        if (path.extname(filePath).toLowerCase() === '.csv') {
+            rows = parse(contents, { columns: true, skip_empty_lines: true, trim: true })
+                .map((record, index) => ({ row: index + 1, input: this.fromCsvRecord(record) }));
+        } else {
+            const json = JSON.parse(contents);
+            if (Array.isArray(json.results)) {
+                rows = json.results
+                    .filter(result => RETRYABLE_STATUSES.includes(result.status))
+                    .map(result => ({ row: result.row, input: result.input, invoiceId: result.invoiceId, status: result.status }));
+            } else {
+                const invoices = Array.isArray(json) ? json : json.invoices;
+                if (!Array.isArray(invoices)) {
+                    throw new Error('Batch JSON must be an array of invoices (or {"invoices": [...]})');
+                }
+                rows = invoices.map((input, index) => ({ row: index + 1, input }));
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Convert one CSV record into the single-service invoice JSON format
+     * 
+     * @param {Object} record - CSV record keyed by column name
+     * @returns {Object} Invoice JSON for CustomerTemplates.fromJSON
+     */
+    static fromCsvRecord(record) {
+        const value = column => (record[column] === undefined || record[column] === '' ? undefined : record[column]);
+
+        return {
+            profile: value('profile'),
+            customerId: value('customerId'),
+            customer: value('customerId') ? undefined : {
+                email: value('email'),
+                firstName: value('firstName'),
+                lastName: value('lastName'),
+                businessName: value('businessName'),
+                address: value('country') ? { countryCode: value('country') } : undefined
+            },
+            service: {
+                type: value('type') || 'guest_post',
+                price: value('price') !== undefined ? parseFloat(value('price')) : undefined,
+                currency: value('currency'),
+                url: value('url'),
+                title: value('title'),
+                anchorText: value('anchorText'),
+                description: value('description')
+            }
+        };
+    }
+
+    /**
+     * Build and validate invoice data for every row before anything is sent to PayPal
+     * 
+     * @param {Array<Object>} rows - Rows from loadRows
+     * @returns {Array<Object>} Rows with invoiceData and validation errors
+     */
+    prepare(rows) {
+        return rows.map(entry => {
+            // Rows whose invoice already exists only need sending again
+            if (entry.invoiceId) {
+                return { ...entry, invoiceData: null, errors: [] };
+            }
+
+            try {
+                const invoiceData = CustomerTemplates.fromJSON(entry.input, { profile: entry.input.profile || this.profile });
+                const validation = InvoiceValidator.validateCompleteInvoice(invoiceData);
+                return { ...entry, invoiceData, errors: validation.errors };
+            } catch (error) {
+                // Schema errors come one per JSON path
+                return { ...entry, invoiceData: null, errors: error.errors || [error.message] };
+            }
+        });
+    }
+
+    /**
+     * Create (and optionally send) the invoices for prepared rows
+     * 
+     * Rows with validation errors are reported as 'invalid' and skipped
+     * 
+     * @param {Array<Object>} entries - Rows from prepare
+     * @returns {Promise<Array<Object>>} One result per row, in input order
+     */
+    async run(entries) {
+        return this.mapWithConcurrency(entries, entry => this.processEntry(entry));
+    }
+
+    /**
+     * Process one row
+     * 
+     * @param {Object} entry - Prepared row
+     * @returns {Promise<Object>} Row result
+     */
+    async processEntry(entry) {
+        const result = this.toResult(entry);
+
+        if (entry.errors.length > 0) {
+            return result;
+        }
+
+        try {
+            if (!entry.invoiceData) {
+                // Retry of a row whose invoice was created but never sent
+                return this.send
+                    ? this.sendEntry(this.getManager(entry.input.profile || this.profile), result, null)
+                    : { ...result, status: 'created' };
+            }
+
+            const manager = this.getManager(entry.invoiceData.business.profileId);
+            const created = await manager.createInvoice(entry.invoiceData);
+            if (!created.success) {
+                return { ...result, status: 'failed', errors: [created.error] };
+            }
+
+            result.status = 'created';
+            result.invoiceId = created.invoiceId;
+            result.invoiceNumber = created.invoiceNumber;
+            result.total = `${created.currency} ${created.totalAmount}`;
+
+            // Already created by an earlier run: only a draft still needs sending
+            if (created.duplicate && created.status !== 'DRAFT') {
+                return { ...result, status: 'existing' };
+            }
+
+            return this.send ? this.sendEntry(manager, result, entry.invoiceData) : result;
+
+        } catch (error) {
+            return { ...result, status: 'failed', errors: [error.message] };
+        }
+    }
+
+    /**
+     * Validation outcome of every row, without contacting PayPal (dry run)
+     * 
+     * @param {Array<Object>} entries - Rows from prepare
+     * @returns {Array<Object>} One 'valid' or 'invalid' result per row
+     */
+    validationResults(entries) {
+        return entries.map(entry => this.toResult(entry));
+    }
+
+    /**
+     * Initial result for a prepared row
+     * 
+     * @param {Object} entry - Prepared row
+     * @returns {Object} Row result ('invalid' when validation failed, otherwise 'valid')
+     */
+    toResult(entry) {
+        return {
+            row: entry.row,
+            status: entry.errors.length > 0 ? 'invalid' : 'valid',
+            invoiceId: entry.invoiceId || null,
+            invoiceNumber: null,
+            customer: entry.invoiceData?.customer.email || entry.input?.customerId || entry.input?.customer?.email || null,
+            total: null,
+            errors: entry.errors,
+            input: entry.input
+        };
+    }
+
+    /**
+     * Send an already created invoice
+     * 
+     * @param {InvoiceManager} manager - Manager for the invoice's business profile
+     * @param {Object} result - Row result with the invoice ID
+     * @param {Object|null} invoiceData - Invoice data, when available, for the email text
+     * @returns {Promise<Object>} Updated row result
+     */
+    async sendEntry(manager, result, invoiceData) {
+        const sent = await manager.sendInvoice(result.invoiceId, this.notification(invoiceData, manager.profile.name));
+        return sent.success
+            ? { ...result, status: 'sent', errors: [] }
+            : { ...result, status: 'send_failed', errors: [sent.error] };
+    }
+
+    /**
+     * Get the invoice manager for a business profile (one per profile, reused across rows)
+     * 
+     * @param {string} [profile] - Business profile ID
+     * @returns {InvoiceManager} Invoice manager
+     */
+    getManager(profile) {
+        const key = profile || '';
+        if (!this.managers.has(key)) {
+            this.managers.set(key, new InvoiceManager({ profile }));
+        }
+        return this.managers.get(key);
+    }
+
+    /**
+     * Run an async worker over items with at most this.concurrency running at once
+     * 
+     * @param {Array} items - Items to process
+     * @param {Function} worker - Async function called with each item
+     * @returns {Promise<Array>} Worker results in input order
+     */
+    async mapWithConcurrency(items, worker) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const runners = Array.from({ length: Math.min(this.concurrency, items.length) }, async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await worker(items[index]);
+            }
+        });
+
+        await Promise.all(runners);
+        return results;
+    }
+
+    /**
+     * Count results per status
+     * 
+     * @param {Array<Object>} results - Row results
+     * @returns {Object} Counts keyed by status
+     */
+    static summarize(results) {
+        return results.reduce((counts, result) => {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+            return counts;
+        }, {});
+    }
+
+    /**
+     * Write the results file
+     * 
+     * @param {string} filePath - Results file path
+     * @param {Object} batch - Batch details ({source, startedAt, results})
+     * @returns {string} Path written
+     */
+    static writeResults(filePath, batch) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify({
+            ...batch,
+            finishedAt: new Date().toISOString(),
+            summary: this.summarize(batch.results)
+        }, null, 2) + '\n');
+        return filePath;
+    }
+
+    /**
+     * Default results file location (git-ignored invoices/ directory)
+     * 
+     * @returns {string} Results file path
+     */
+    static defaultResultsPath() {
+        return path.join(__dirname, '..', 'invoices', `batch-${moment().format('YYYYMMDD-HHmmss')}.results.json`);
+    }
+}
+
+InvoiceBatch.RETRYABLE_STATUSES = RETRYABLE_STATUSES;
+
+module.exports = InvoiceBatch;
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const Currency = require('./currency');
+const InvoicePdf = require('./invoicePdf');
+const InvoiceTotals = require('./invoiceTotals');
+
+/**
+ * Template used when neither the call nor the profile theme names one
+ */
+const DEFAULT_TEMPLATE = path.join(__dirname, '..', 'templates', 'invoice.html.hbs');
+
+/**
+ * Theme used for anything the profile doesn't set
+ */
+const DEFAULT_THEME = {
+    primaryColor: '#1a3c6e',
+    backgroundColor: '#f3f5f8',
+    footer: ''
+};
+
+/**
+ * Image types that can be embedded from a local logoPath
+ */
+const LOGO_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml'
+};
+
+/**
+ * Invoice HTML Renderer
+ * 
+ * Renders a PayPal invoice - the createPayPalInvoicePayload output or an invoice fetched
+ * from PayPal - into a standalone HTML page showing what the customer sees: every line
+ * of each item description, discounts, taxes, totals, note, terms and the pay link.
+ * 
+ * Pages are rendered with Handlebars templates. The default template uses table layout
+ * and inline styles so it can be opened in a browser or pasted into an email. Colors,
+ * logo, footer and template come from the business profile's "theme"
+ */
+class InvoiceHtml {
+    /**
+     * Render an invoice to an HTML string
+     * 
+     * @param {Object} invoice - PayPal invoice payload or fetched PayPal invoice
+     * @param {Object} [options={}] - Rendering options
+     * @param {Object} [options.theme] - Profile theme (primaryColor, backgroundColor, logoUrl, footer, template)
+     * @param {string} [options.template] - Handlebars template file (overrides the theme's)
+     * @param {string} [options.logoPath] - Local logo embedded when the theme has no logoUrl
+     * @param {string} [options.payLink] - Pay link (defaults to the invoice's recipient view URL)
+     * @returns {string} HTML document
+     */
+    static render(invoice, options = {}) {
+        // Unset (empty) theme values keep the defaults
+        const theme = { ...DEFAULT_THEME };
+        Object.entries(options.theme || {}).forEach(([key, value]) => {
+            if (value) {
+                theme[key] = value;
+            }
+        });
+        const templatePath = path.resolve(options.template || theme.template || DEFAULT_TEMPLATE);
+        const template = InvoiceHtml.compile(templatePath);
+
+        return template(InvoiceHtml.buildContext(invoice, { ...options, theme }));
+    }
+
+    /**
+     * Render an invoice and write it to a file
+     * 
+     * @param {Object} invoice - PayPal invoice
+     * @param {string} filePath - HTML file to write
+     * @param {Object} [options={}] - Rendering options (see render)
+     * @returns {string} File path written
+     */
+    static save(invoice, filePath, options = {}) {
+        const html = InvoiceHtml.render(invoice, options);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, html);
+        return filePath;
+    }
+
+    /**
+     * Build the data a template renders
+     * 
+     * Amounts are already formatted ("USD 1,250.00"), so custom templates
+     * only have to place them
+     * 
+     * @param {Object} invoice - PayPal invoice
+     * @param {Object} options - Rendering options with the merged theme
+     * @returns {Object} Template context
+     */
+    static buildContext(invoice, options) {
+        const detail = invoice.detail || {};
+        const invoicer = invoice.invoicer || {};
+        const recipient = invoice.primary_recipients?.[0]?.billing_info || {};
+        const totals = InvoiceTotals.calculate(invoice);
+        const money = amount => Currency.format(amount, totals.currency);
+        const personName = name => `${name?.given_name || ''} ${name?.surname || ''}`.trim();
+        const fromName = invoicer.business_name || personName(invoicer.name);
+        const toName = recipient.business_name || personName(recipient.name);
+
+        return {
+            invoice: {
+                number: detail.invoice_number || '',
+                date: detail.invoice_date || '',
+                dueDate: detail.payment_term?.due_date || '',
+                reference: detail.reference || '',
+                status: invoice.status || 'DRAFT',
+                currency: totals.currency,
+                note: detail.note || '',
+                terms: detail.term || ''
+            },
+            from: {
+                name: fromName,
+                lines: InvoiceHtml.uniqueLines(fromName, [
+                    personName(invoicer.name),
+                    ...InvoicePdf.addressLines(invoicer.address),
+                    invoicer.email_address,
+                    invoicer.website,
+                    invoicer.tax_id ? `Tax ID: ${invoicer.tax_id}` : ''
+                ])
+            },
+            to: {
+                name: toName,
+                lines: InvoiceHtml.uniqueLines(toName, [
+                    personName(recipient.name),
+                    ...InvoicePdf.addressLines(recipient.address),
+                    recipient.email_address,
+                    recipient.additional_info_value ? `VAT: ${recipient.additional_info_value}` : ''
+                ])
+            },
+            items: totals.lines.map(line => ({
+                name: line.name,
+                description: line.description,
+                quantity: line.quantity,
+                unitPrice: money(line.unitPrice),
+                discount: line.discount ? `${money(-line.discount)}${line.discountLabel ? ` (${line.discountLabel})` : ''}` : '',
+                tax: line.taxPercent ? `${line.taxPercent}%` : '',
+                amount: money(line.amount)
+            })),
+            totals: {
+                subtotal: money(totals.subtotal),
+                invoiceDiscount: totals.invoiceDiscount ? money(-totals.invoiceDiscount) : '',
+                taxes: totals.taxes.map(tax => ({ label: tax.label, amount: money(tax.amount) })),
+                shipping: totals.shipping ? money(totals.shipping) : '',
+                custom: totals.custom ? { label: totals.custom.label, amount: money(totals.custom.amount) } : null,
+                total: money(totals.paypalTotal ?? totals.total),
+                paid: totals.paid !== null ? money(totals.paid) : '',
+                due: totals.due !== null ? money(totals.due) : ''
+            },
+            hasDiscounts: totals.lines.some(line => line.discount),
+            hasTax: totals.lines.some(line => line.taxPercent),
+            payLink: options.payLink || detail.metadata?.recipient_view_url || '',
+            theme: {
+                primaryColor: options.theme.primaryColor,
+                backgroundColor: options.theme.backgroundColor,
+                footer: options.theme.footer,
+                logo: InvoiceHtml.logoSource(options.theme.logoUrl || invoicer.logo_url, options.logoPath)
+            }
+        };
+    }
+
+    /**
+     * Image source for the logo: the public URL, else the local file as a data URI
+     * 
+     * Use a public logoUrl for HTML that will be pasted into email; most email
+     * clients don't show embedded (data URI) images
+     * 
+     * @param {string} [logoUrl] - Public logo URL
+     * @param {string} [logoPath] - Local image file
+     * @returns {string} Image source, or an empty string for no logo
+     */
+    static logoSource(logoUrl, logoPath) {
+        if (logoUrl) {
+            return logoUrl;
+        }
+
+        const type = logoPath && LOGO_TYPES[path.extname(logoPath).toLowerCase()];
+        if (!type || !fs.existsSync(logoPath)) {
+            return '';
+        }
+        return `data:${type};base64,${fs.readFileSync(logoPath).toString('base64')}`;
+    }
+
+    /**
+     * Drop empty and repeated lines (including a repeat of the block's name)
+     * 
+     * @param {string} name - Name shown above the lines
+     * @param {Array<string>} lines - Text lines
+     * @returns {Array<string>} Remaining lines
+     */
+    static uniqueLines(name, lines) {
+        return lines.filter((line, index) => line && line !== name && lines.indexOf(line) === index);
+    }
+
+    /**
+     * Compile a template file (cached per path)
+     * 
+     * @param {string} templatePath - Handlebars template file
+     * @returns {Function} Compiled template
+     * @throws {Error} If the template file doesn't exist
+     */
+    static compile(templatePath) {
+        if (!InvoiceHtml.templates.has(templatePath)) {
+            if (!fs.existsSync(templatePath)) {
+                throw new Error(`Invoice template not found: ${templatePath}`);
+            }
+            const source = fs.readFileSync(templatePath, 'utf8');
+            InvoiceHtml.templates.set(templatePath, InvoiceHtml.handlebars.compile(source));
+        }
+        return InvoiceHtml.templates.get(templatePath);
+    }
+}
+
+/**
+ * Handlebars environment with the invoice helpers, separate from the global instance
+ */
+InvoiceHtml.handlebars = Handlebars.create();
+
+// {{lines text}} keeps the line breaks of multi-line text such as item descriptions
+InvoiceHtml.handlebars.registerHelper('lines', text => new Handlebars.SafeString(
+    String(text || '').split(/\r?\n/).map(line => Handlebars.escapeExpression(line)).join('<br>')
+));
+
+InvoiceHtml.templates = new Map();
+InvoiceHtml.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+InvoiceHtml.DEFAULT_THEME = DEFAULT_THEME;
+
+module.exports = InvoiceHtml;
@@ -0,0 +1,553 @@
+const fs = require('fs');
+const path = require('path');
+const Currency = require('./currency');
+
+/**
+ * Invoice statuses that still expect a payment from the customer
+ */
+const UNPAID_STATUSES = ['SENT', 'SCHEDULED', 'UNPAID', 'PARTIALLY_PAID', 'PAYMENT_PENDING'];
+
+/**
+ * Invoice statuses of a bill still in progress: a draft, or sent and awaiting payment
+ */
+const OPEN_STATUSES = ['DRAFT', ...UNPAID_STATUSES];
+
+/**
+ * Final invoice statuses that no longer change on PayPal's side
+ */
+const SETTLED_STATUSES = ['CANCELLED', 'REFUNDED', 'MARKED_AS_REFUNDED'];
+
+/**
+ * Paid invoice statuses that can still change through a refund
+ */
+const PAID_STATUSES = ['PAID', 'MARKED_AS_PAID', 'PARTIALLY_REFUNDED'];
+
+/**
+ * Days after the last payment during which a paid invoice is still re-checked for refunds
+ * (PayPal accepts refunds for 180 days)
+ */
+const REFUND_WINDOW_DAYS = 180;
+
+/**
+ * Local Invoice Ledger
+ * 
+ * Append-only JSONL log of every invoice operation (created, sent, cancelled, ...)
+ * Each line is one event; the current state of an invoice is rebuilt by replaying
+ * its events in order, so history is never overwritten and the file can be queried offline
+ * 
+ * File location defaults to invoices/ledger.jsonl (git-ignored) and can be
+ * overridden with the INVOICE_LEDGER_FILE environment variable
+ */
+class InvoiceLedger {
+    /**
+     * @param {string} [filePath] - Path to the ledger JSONL file
+     */
+    constructor(filePath) {
+        this.filePath = filePath
+            || process.env.INVOICE_LEDGER_FILE
+            || path.join(__dirname, '..', 'invoices', 'ledger.jsonl');
+        // Invoice records rebuilt from the file, kept until the file changes
+        this.cache = null;
+    }
+
+    /**
+     * Append one event to the ledger
+     * 
+     * @param {Object} event - Ledger event (must include invoiceId and operation)
+     * @returns {Object} Stored event with its timestamp
+     */
+    append(event) {
+        const entry = { timestamp: new Date().toISOString(), ...event };
+        const line = JSON.stringify(entry) + '\n';
+        const versionBefore = this.fileVersion();
+        const cached = this.cache && this.cache.version === versionBefore ? this.cache : null;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, line);
+
+        // Keep the index current instead of replaying the whole file on the next read,
+        // unless another process appended too: then only a re-read picks up its events
+        if (cached) {
+            const version = this.fileVersion();
+            if (InvoiceLedger.versionSize(version) === InvoiceLedger.versionSize(versionBefore) + Buffer.byteLength(line)) {
+                InvoiceLedger.applyEvent(cached.records, entry);
+                cached.version = version;
+            } else {
+                this.cache = null;
+            }
+        }
+        return entry;
+    }
+
+    /**
+     * Read all ledger events in the order they were recorded
+     * 
+     * @returns {Array<Object>} Ledger events
+     * @throws {Error} If a line is not valid JSON
+     */
+    readEvents() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        return fs.readFileSync(this.filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map((line, index) => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`Corrupt ledger entry at ${this.filePath}:${index + 1}: ${error.message}`);
+                }
+            });
+    }
+
+    /**
+     * Record a newly created invoice
+     * 
+     * @param {Object} result - Successful InvoiceManager.createInvoice result
+     * @param {Object} invoiceData - Internal invoice data the invoice was created from
+     * @param {Object} context - Operation context
+     * @param {string} context.environment - PayPal environment (SANDBOX or PRODUCTION)
+     * @param {string} context.profile - Business profile ID
+     * @returns {Object} Stored event
+     */
+    recordCreated(result, invoiceData, context) {
+        const items = invoiceData.items.map(item => ({
+            name: item.name,
+            description: item.description || '',
+            quantity: parseFloat(item.quantity),
+            unitAmount: parseFloat(item.unitAmount),
+            currencyCode: item.currencyCode || invoiceData.currencyCode
+        }));
+        const currency = result.currency || invoiceData.currencyCode;
+        const subtotal = Currency.formatValue(items.reduce((sum, item) => sum + item.quantity * item.unitAmount, 0), currency);
+        const total = parseFloat(result.totalAmount);
+
+        return this.append({
+            operation: 'created',
+            invoiceId: result.invoiceId,
+            invoiceNumber: result.invoiceNumber,
+            status: result.status || 'DRAFT',
+            environment: context.environment,
+            profile: context.profile,
+            customer: {
+                id: invoiceData.customer.id || '',
+                email: invoiceData.customer.email,
+                name: `${invoiceData.customer.firstName || ''} ${invoiceData.customer.lastName || ''}`.trim(),
+                businessName: invoiceData.customer.businessName || ''
+            },
+            items,
+            totals: {
+                currency,
+                subtotal,
+                total: isNaN(total) ? subtotal : Currency.formatValue(total, currency)
+            },
+            invoiceDate: result.fullResponse?.detail?.invoice_date || invoiceData.invoiceDate || null,
+            dueDate: result.fullResponse?.detail?.payment_term?.due_date || invoiceData.dueDate || null,
+            reference: invoiceData.reference || '',
+            idempotencyKey: result.idempotencyKey || '',
+            // Recurring schedule and occurrence the invoice was created for, if any
+            schedule: invoiceData.schedule
+        });
+    }
+
+    /**
+     * Record a status transition for an existing invoice
+     * 
+     * @param {string} invoiceId - PayPal invoice ID
+     * @param {string} operation - Operation that caused the transition (e.g. 'sent', 'cancelled')
+     * @param {string} status - New PayPal invoice status
+     * @param {Object} [details={}] - Extra fields to store with the event (environment, note, ...)
+     * @returns {Object} Stored event
+     */
+    recordStatus(invoiceId, operation, status, details = {}) {
+        return this.append({ operation, invoiceId, status, ...details });
+    }
+
+    /**
+     * Record a payment reminder sent for an invoice
+     * 
+     * The status is left unchanged; the record gains lastRemindedAt and reminderCount
+     * so later reminder runs can skip invoices that were reminded recently
+     * 
+     * @param {string} invoiceId - PayPal invoice ID
+     * @param {Object} [details={}] - Extra fields to store with the event (environment, subject, ...)
+     * @returns {Object} Stored event
+     */
+    recordReminder(invoiceId, details = {}) {
+        const existing = this.getInvoice(invoiceId);
+
+        return this.append({
+            operation: 'reminded',
+            invoiceId,
+            lastRemindedAt: new Date().toISOString(),
+            reminderCount: (existing?.reminderCount || 0) + 1,
+            ...details
+        });
+    }
+
+    /**
+     * Record a scheduled send of a draft invoice, or its cancellation
+     * 
+     * The status is left unchanged; the record gains (or loses) scheduledSend,
+     * which the dispatch command reads to send drafts when their time has come
+     * 
+     * @param {string} invoiceId - PayPal invoice ID
+     * @param {Object|null} scheduledSend - Send time, email and payment term ({at, subject, note, sendToInvoicer, dueInDays}),
+     *     or null to cancel
+     * @param {Object} [details={}] - Extra fields to store with the event (environment, profile)
+     * @returns {Object} Stored event
+     */
+    recordSendSchedule(invoiceId, scheduledSend, details = {}) {
+        return this.append({
+            operation: scheduledSend ? 'send_scheduled' : 'send_unscheduled',
+            invoiceId,
+            scheduledSend,
+            ...details
+        });
+    }
+
+    /**
+     * Record a payment or refund made outside PayPal
+     * 
+     * Stores the invoice's payment state after the transaction (when it could be
+     * fetched) together with the transaction itself
+     * 
+     * @param {string} invoiceId - PayPal invoice ID
+     * @param {string} operation - 'payment_recorded' or 'refund_recorded'
+     * @param {Object|null} invoice - PayPal invoice fetched after the transaction
+     * @param {Object} [details={}] - Transaction and context fields (amount, method, environment, ...)
+     * @returns {Object} Stored event
+     */
+    recordTransaction(invoiceId, operation, invoice, details = {}) {
+        const snapshot = invoice ? InvoiceLedger.snapshotFromPayPal(invoice) : {};
+        return this.append({ operation, invoiceId, ...snapshot, ...details });
+    }
+
+    /**
+     * Record the exchange rates of an invoice (see ExchangeRates.ratesForRecord)
+     * 
+     * @param {string} invoiceId - PayPal invoice ID
+     * @param {Object} fx - Home currency and the rates at the invoice and payment dates
+     * @param {Object} [details={}] - Extra fields to store with the event (environment, profile)
+     * @returns {Object} Stored event
+     */
+    recordExchangeRates(invoiceId, fx, details = {}) {
+        return this.append({ operation: 'fx_rated', invoiceId, fx, ...details });
+    }
+
+    /**
+     * Record the state of an invoice fetched from PayPal
+     * 
+     * Only appends an event when something changed (status, due amount or payments),
+     * so repeated syncs don't grow the ledger. Invoices created outside this tool are
+     * added with their customer and totals so they show up in offline queries too
+     * 
+     * @param {Object} invoice - PayPal invoice (from listInvoices or getInvoice)
+     * @param {Object} context - Operation context (environment, profile)
+     * @returns {Object|null} Stored event, or null if nothing changed
+     */
+    recordSync(invoice, context) {
+        const existing = this.getInvoice(invoice.id);
+        const snapshot = InvoiceLedger.snapshotFromPayPal(invoice);
+
+        if (existing
+            && existing.status === snapshot.status
+            && existing.dueAmount?.value === snapshot.dueAmount?.value
+            && existing.refundedAmount?.value === snapshot.refundedAmount?.value
+            && (existing.payments || []).length === snapshot.payments.length) {
+            return null;
+        }
+
+        return this.append({
+            operation: 'synced',
+            invoiceId: invoice.id,
+            ...(existing ? {} : InvoiceLedger.describeFromPayPal(invoice)),
+            ...snapshot,
+            ...context
+        });
+    }
+
+    /**
+     * Record a PayPal webhook event about an invoice
+     * 
+     * Every delivered event is stored (with its event ID, so redeliveries can be
+     * recognised by hasWebhookEvent) together with the invoice state it carries
+     * 
+     * @param {Object} event - Verified PayPal webhook event
+     * @param {Object} invoice - Invoice from the event's resource
+     * @param {Object} context - Operation context (environment, profile)
+     * @returns {Object} Stored event
+     */
+    recordWebhook(event, invoice, context) {
+        const existing = this.getInvoice(invoice.id);
+
+        return this.append({
+            operation: 'webhook',
+            invoiceId: invoice.id,
+            webhookEventId: event.id,
+            eventType: event.event_type,
+            ...(existing ? {} : InvoiceLedger.describeFromPayPal(invoice)),
+            ...InvoiceLedger.snapshotFromPayPal(invoice),
+            ...context
+        });
+    }
+
+    /**
+     * Whether a webhook event was already recorded (PayPal redelivers events until acknowledged)
+     * 
+     * @param {string} eventId - PayPal webhook event ID
+     * @returns {boolean} True if the event is in the ledger
+     */
+    hasWebhookEvent(eventId) {
+        return this.readEvents().some(event => event.webhookEventId === eventId);
+    }
+
+    /**
+     * Number, date, customer and totals of an invoice created outside this tool
+     * 
+     * @param {Object} invoice - PayPal invoice
+     * @returns {Object} Ledger fields so the invoice shows up in offline queries
+     */
+    static describeFromPayPal(invoice) {
+        const billing = invoice.primary_recipients?.[0]?.billing_info || {};
+
+        return {
+            invoiceNumber: invoice.detail?.invoice_number || '',
+            invoiceDate: invoice.detail?.invoice_date || null,
+            customer: {
+                id: '',
+                email: billing.email_address || '',
+                name: `${billing.name?.given_name || ''} ${billing.name?.surname || ''}`.trim(),
+                businessName: billing.business_name || ''
+            },
+            totals: invoice.amount ? {
+                currency: invoice.amount.currency_code,
+                total: invoice.amount.value
+            } : undefined
+        };
+    }
+
+    /**
+     * Extract status, amounts and payment records from a PayPal invoice
+     * 
+     * @param {Object} invoice - PayPal invoice
+     * @returns {Object} Ledger fields describing the invoice's payment state
+     */
+    static snapshotFromPayPal(invoice) {
+        const toAmount = amount => amount ? { currency: amount.currency_code, value: amount.value } : null;
+
+        return {
+            status: invoice.status,
+            dueDate: invoice.detail?.payment_term?.due_date || null,
+            dueAmount: toAmount(invoice.due_amount),
+            paidAmount: toAmount(invoice.payments?.paid_amount),
+            refundedAmount: toAmount(invoice.refunds?.refund_amount),
+            payments: (invoice.payments?.transactions || []).map(transaction => ({
+                paymentId: transaction.payment_id || transaction.transaction_id || '',
+                type: transaction.type || '',
+                method: transaction.method || '',
+                date: transaction.payment_date || null,
+                amount: toAmount(transaction.amount),
+                note: transaction.note || ''
+            }))
+        };
+    }
+
+    /**
+     * Rebuild the current state of every invoice from the event log
+     * 
+     * @returns {Array<Object>} Invoice records with statusHistory, newest first
+     */
+    getInvoices() {
+        return Array.from(this.index().values())
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Get the current state of one invoice
+     * 
+     * @param {string} invoiceId - PayPal invoice ID
+     * @returns {Object|null} Invoice record or null if it isn't in the ledger
+     */
+    getInvoice(invoiceId) {
+        return this.index().get(invoiceId) || null;
+    }
+
+    /**
+     * Invoice records by invoice ID
+     * 
+     * The event log is replayed once and the result reused until the file changes
+     * (appends through this instance update it in place), so looking up invoices in
+     * a loop doesn't re-read the whole ledger each time
+     * 
+     * @returns {Map<string, Object>} Invoice records by PayPal invoice ID
+     */
+    index() {
+        const version = this.fileVersion();
+
+        if (!this.cache || this.cache.version !== version) {
+            const records = new Map();
+            this.readEvents().forEach(event => InvoiceLedger.applyEvent(records, event));
+            this.cache = { version, records };
+        }
+        return this.cache.records;
+    }
+
+    /**
+     * Size and modification time of the ledger file, to tell whether it changed
+     * 
+     * @returns {string|null} File version, or null if the file doesn't exist
+     */
+    fileVersion() {
+        if (!fs.existsSync(this.filePath)) {
+            return null;
+        }
+        const stats = fs.statSync(this.filePath);
+        return `${stats.size}:${stats.mtimeMs}`;
+    }
+
+    /**
+     * File size a file version was taken at
+     * 
+     * @param {string|null} version - File version from fileVersion()
+     * @returns {number} Size in bytes, 0 if the file didn't exist
+     */
+    static versionSize(version) {
+        return version ? parseInt(version.split(':')[0], 10) : 0;
+    }
+
+    /**
+     * Fold one event into the invoice records
+     * 
+     * @param {Map<string, Object>} records - Invoice records by invoice ID
+     * @param {Object} event - Ledger event
+     */
+    static applyEvent(records, event) {
+        const { timestamp, operation, ...fields } = event;
+        const existing = records.get(event.invoiceId) || {
+            invoiceId: event.invoiceId,
+            createdAt: timestamp,
+            statusHistory: []
+        };
+
+        const record = { ...existing, ...fields, updatedAt: timestamp };
+        record.statusHistory = existing.statusHistory.concat({
+            operation,
+            status: event.status || null,
+            timestamp
+        });
+        records.set(event.invoiceId, record);
+    }
+
+    /**
+     * Find the invoice created from a given idempotency key
+     * 
+     * @param {string} idempotencyKey - Key of the logical invoice
+     * @param {string} [environment] - Only match invoices in this PayPal environment
+     * @returns {Object|null} Invoice record or null if none was created from the key
+     */
+    findByIdempotencyKey(idempotencyKey, environment) {
+        return this.getInvoices().find(record => record.idempotencyKey === idempotencyKey
+            && (!environment || record.environment === environment)) || null;
+    }
+
+    /**
+     * Query invoices offline
+     * 
+     * @param {Object} [filters={}] - Query filters (all optional, combined with AND)
+     * @param {string} [filters.customer] - Customer ID, email or (partial) business/person name
+     * @param {string} [filters.status] - Exact PayPal status (e.g. SENT, PAID)
+     * @param {boolean} [filters.unpaid] - Only invoices still awaiting payment
+     * @param {string} [filters.environment] - SANDBOX or PRODUCTION
+     * @param {string} [filters.profile] - Business profile ID
+     * @returns {Array<Object>} Matching invoice records
+     */
+    query(filters = {}) {
+        const needle = filters.customer ? filters.customer.toLowerCase() : null;
+
+        return this.getInvoices().filter(record => {
+            if (needle) {
+                const customer = record.customer || {};
+                const matches = customer.id === filters.customer
+                    || (customer.email || '').toLowerCase() === needle
+                    || (customer.businessName || '').toLowerCase().includes(needle)
+                    || (customer.name || '').toLowerCase().includes(needle);
+                if (!matches) return false;
+            }
+            if (filters.status && record.status !== filters.status.toUpperCase()) return false;
+            if (filters.unpaid && !InvoiceLedger.isUnpaid(record)) return false;
+            if (filters.environment && record.environment !== filters.environment.toUpperCase()) return false;
+            if (filters.profile && record.profile !== filters.profile) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Check whether an invoice record is still awaiting payment
+     * 
+     * @param {Object} record - Invoice record
+     * @returns {boolean} True if the status expects a payment
+     */
+    static isUnpaid(record) {
+        return UNPAID_STATUSES.includes(record.status);
+    }
+
+    /**
+     * Check whether an invoice record is a bill still in progress
+     * 
+     * @param {Object} record - Invoice record
+     * @returns {boolean} True for drafts and invoices awaiting payment
+     */
+    static isOpen(record) {
+        return OPEN_STATUSES.includes(record.status);
+    }
+
+    /**
+     * Check whether an invoice record has reached a final status
+     * 
+     * @param {Object} record - Invoice record
+     * @returns {boolean} True if the status can no longer change
+     */
+    static isSettled(record) {
+        return SETTLED_STATUSES.includes(record.status);
+    }
+
+    /**
+     * Check whether an invoice record can still change on PayPal's side
+     * 
+     * Paid invoices stay open to refunds, so they are re-checked until
+     * REFUND_WINDOW_DAYS after their last payment
+     * 
+     * @param {Object} record - Invoice record
+     * @param {Date} [now=new Date()] - Current time
+     * @returns {boolean} True if the invoice should be synced again
+     */
+    static needsSync(record, now = new Date()) {
+        if (InvoiceLedger.isSettled(record)) {
+            return false;
+        }
+        if (!PAID_STATUSES.includes(record.status)) {
+            return true;
+        }
+
+        const paidAt = (record.payments || [])
+            .map(payment => payment.date)
+            .filter(Boolean)
+            .sort()
+            .pop() || record.updatedAt;
+        const windowEnd = new Date(paidAt);
+        windowEnd.setUTCDate(windowEnd.getUTCDate() + REFUND_WINDOW_DAYS);
+
+        return isNaN(windowEnd) || now <= windowEnd;
+    }
+}
+
+InvoiceLedger.UNPAID_STATUSES = UNPAID_STATUSES;
+InvoiceLedger.OPEN_STATUSES = OPEN_STATUSES;
+InvoiceLedger.SETTLED_STATUSES = SETTLED_STATUSES;
+InvoiceLedger.PAID_STATUSES = PAID_STATUSES;
+InvoiceLedger.REFUND_WINDOW_DAYS = REFUND_WINDOW_DAYS;
+
+module.exports = InvoiceLedger;
@@ -1,6 +1,19 @@
 const PayPalAuth = require('./paypalAuth');
+const BusinessProfiles = require('./businessProfiles');
 const InvoiceValidator = require('./invoiceValidator');
 const InvoiceStructure = require('./invoiceStructure');
+const InvoiceTotals = require('./invoiceTotals');
+const Currency = require('./currency');
+const InvoiceLedger = require('./invoiceLedger');
+const InvoiceNumbering = require('./invoiceNumbering');
+const PaymentReminders = require('./paymentReminders');
+const ScheduledSends = require('./scheduledSends');
+const ExchangeRates = require('./exchangeRates');
+const { PayPalApiError } = require('./paypalErrors');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment');
 const chalk = require('chalk');
 
 /**
@@ -8,19 +21,117 @@ const chalk = require('chalk');
  * 
  * Main orchestrator for all invoice operations with PayPal API
  * Provides high-level methods for common invoice workflows including:
- * - Creating invoices with validation
- * - Sending invoices via email
- * - Previewing invoices before creation
- * - Managing invoice lifecycle (cancel, list, retrieve)
+ * - Creating invoices with validation, without billing twice when a creation is retried
+ * - Sending invoices via email, now or at a scheduled time
+ * - Previewing invoices before creation and exporting them as PDF
+ * - Managing invoice lifecycle (cancel, list, retrieve, sync payment status)
+ * - Reminding customers about overdue invoices
+ * - Recording payments and refunds received outside PayPal
+ * - Recording every operation in the local invoice ledger
+ * - Numbering invoices sequentially per business profile
  * 
  * Handles error management, API response processing, and user feedback
  */
 class InvoiceManager {
     /**
      * Initialize invoice manager with PayPal authentication
+     * 
+     * @param {Object} [options={}] - Manager options
+     * @param {string} [options.profile] - Business profile whose PayPal credentials are used (default profile if omitted)
+     * @param {InvoiceLedger} [options.ledger] - Local ledger for recording operations
+     * @param {InvoiceNumbering} [options.numbering] - Invoice number counters
+     * @param {ExchangeRates} [options.exchangeRates] - Rates for home currency records
+     */
+    constructor(options = {}) {
+        this.profile = new BusinessProfiles().get(options.profile);
+        this.paypal = new PayPalAuth(this.profile.paypal);
+        this.ledger = options.ledger || new InvoiceLedger();
+        this.numbering = options.numbering || new InvoiceNumbering();
+        this.exchangeRates = options.exchangeRates || new ExchangeRates();
+    }
+
+    /**
+     * Record an operation in the local ledger
+     * 
+     * Ledger failures are reported but never fail the PayPal operation itself,
+     * since the invoice already exists on PayPal's side at this point
+     * 
+     * @param {Function} write - Callback that writes to this.ledger
+     */
+    recordInLedger(write) {
+        try {
+            write(this.ledger);
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️ Could not record operation in local ledger: ${error.message}`));
+        }
+    }
+
+    /**
+     * Report a failed operation and build its result
+     * 
+     * PayPal rejections are printed with the invoice data field behind each issue
+     * and a suggested fix, which the result carries too (see PayPalApiError.toResult)
+     * 
+     * @param {string} action - What failed, e.g. 'create invoice'
+     * @param {Error} error - Error thrown by the operation
+     * @returns {Object} Failure result ({success: false, error, ...})
      */
-    constructor() {
-        this.paypal = new PayPalAuth();
+    failure(action, error) {
+        console.error(chalk.red(`❌ Failed to ${action}:`), error.message);
+
+        if (!(error instanceof PayPalApiError)) {
+            return { success: false, error: error.message, details: error.response?.data || null };
+        }
+
+        error.issues.forEach(issue => {
+            const field = issue.path || issue.field;
+            console.error(chalk.red(`   • ${field ? `${field}: ` : ''}${issue.description || issue.issue}`)
+                + (issue.path && issue.field ? chalk.gray(` (${issue.field})`) : ''));
+            if (issue.suggestion) {
+                console.error(chalk.yellow(`     💡 ${issue.suggestion}`));
+            }
+        });
+        if (error.suggestion && !error.issues.some(issue => issue.suggestion)) {
+            console.error(chalk.yellow(`💡 ${error.suggestion}`));
+        }
+
+        return { success: false, error: error.message, ...error.toResult() };
+    }
+
+    /**
+     * Store an invoice's exchange rates to the home currency in the ledger
+     * 
+     * Rates at the invoice date and at each payment date are stored once and then
+     * kept. Does nothing without a home currency (profile homeCurrency or HOME_CURRENCY),
+     * for invoices in the home currency, or when no rate changed
+     * 
+     * @param {string} invoiceId - PayPal invoice ID
+     */
+    recordExchangeRates(invoiceId) {
+        const homeCurrency = ExchangeRates.homeCurrency(this.profile);
+        if (!homeCurrency) {
+            return;
+        }
+
+        this.recordInLedger(ledger => {
+            const record = ledger.getInvoice(invoiceId);
+            const fx = record && this.exchangeRates.ratesForRecord(record, homeCurrency);
+            if (fx && JSON.stringify(fx) !== JSON.stringify(record.fx)) {
+                ledger.recordExchangeRates(invoiceId, fx, this.getLedgerContext());
+            }
+        });
+    }
+
+    /**
+     * Context stored with every ledger event
+     * 
+     * @returns {Object} PayPal environment and business profile ID
+     */
+    getLedgerContext() {
+        return {
+            environment: this.paypal.getEnvironment(),
+            profile: this.profile.id
+        };
     }
 
     /**
@@ -29,10 +140,23 @@ class InvoiceManager {
      * Validates invoice data, creates PayPal-compatible payload, and submits to API
      * Handles link-based responses and extracts invoice details
      * 
+     * Creation is idempotent: the same input gets the same idempotency key and invoice
+     * number, and if an invoice was already created from it (found in the local ledger
+     * or on PayPal) that invoice is returned with duplicate: true instead of a new one.
+     * Without a reference the key only stands for the same content in the same billing
+     * period, so once that invoice is paid or closed the same content is billed again
+     * 
+     * The total is checked before anything is sent (see checkTotals), and a warning is
+     * shown if PayPal bills a different amount than calculated
+     * 
      * @param {Object} invoiceData - Complete invoice data structure
+     * @param {Object} [options={}] - Creation options
+     * @param {boolean} [options.force=false] - Create a new invoice even if one exists for this input
      * @returns {Object} Creation result with invoice details or error information
      */
-    async createInvoice(invoiceData) {
+    async createInvoice(invoiceData, options = {}) {
+        let reservedKey = null;
+
         try {
             console.log(chalk.blue('🔍 Validating invoice data...'));
             
@@ -42,11 +166,49 @@ class InvoiceManager {
                 throw new Error('Validation failed:\n' + validation.errors.join('\n'));
             }
 
+            // PayPal credentials must belong to the business the invoice is billed from
+            const profileId = invoiceData.business.profileId;
+            if (profileId && profileId !== this.profile.id) {
+                throw new Error(`Invoice is billed from business profile "${profileId}" but this manager uses "${this.profile.id}"`);
+            }
+
+            const totals = this.checkTotals(invoiceData);
+            this.warnOnTaxRules(invoiceData);
+
             console.log(chalk.green('✅ Invoice data validated successfully'));
             console.log(chalk.blue('📄 Creating PayPal invoice payload...'));
 
-            // Transform internal data structure to PayPal API format
-            const invoicePayload = InvoiceStructure.createPayPalInvoicePayload(invoiceData);
+            // Forcing a new invoice means a fresh key (and so a fresh invoice number)
+            const baseKey = options.force
+                ? `inv-${crypto.randomUUID()}`
+                : InvoiceStructure.idempotencyKey(invoiceData);
+            let idempotencyKey = baseKey;
+
+            if (!options.force) {
+                const rebillable = InvoiceStructure.hasContentKey(invoiceData);
+
+                for (let generation = 2; ; generation++) {
+                    const existing = await this.findExistingInvoice(idempotencyKey, invoiceData);
+                    if (!existing) {
+                        break;
+                    }
+                    if (!rebillable || InvoiceLedger.isOpen(existing)) {
+                        console.log(chalk.yellow(`♻️ ${existing.message}`));
+                        return existing;
+                    }
+                    // The earlier bill for this content is paid or closed, so this is the next one
+                    idempotencyKey = `${baseKey}-${generation}`;
+                }
+            }
+
+            // Transform internal data structure to PayPal API format, reserving the next invoice number
+            const invoicePayload = InvoiceStructure.createPayPalInvoicePayload(
+                { ...invoiceData, idempotencyKey },
+                { reserveNumber: true, numbering: this.numbering }
+            );
+            if (!invoiceData.invoiceNumber) {
+                reservedKey = idempotencyKey;
+            }
             
             console.log(chalk.blue('🚀 Sending invoice to PayPal API...'));
 
@@ -54,7 +216,8 @@ class InvoiceManager {
             let response = await this.paypal.makeAuthenticatedRequest(
                 'POST',
                 '/v2/invoicing/invoices',
-                invoicePayload
+                invoicePayload,
+                { requestId: idempotencyKey }
             );
 
             console.log(chalk.green('✅ Invoice created successfully!'));
@@ -74,36 +237,178 @@ class InvoiceManager {
                 }
             }
             
+            this.warnOnTotalMismatch(totals, response);
+
             console.log(chalk.yellow(`📋 Invoice ID: ${response.id}`));
             console.log(chalk.yellow(`🔗 Invoice URL: ${response.detail?.metadata?.invoicer_view_url || 'N/A'}`));
 
-            // Return structured success response with key invoice details
-            return {
-                success: true,
-                invoiceId: response.id,
-                invoiceNumber: response.detail?.invoice_number || 'N/A',
-                status: response.status,
-                invoicerViewUrl: response.detail?.metadata?.invoicer_view_url || 'N/A',
-                recipientViewUrl: response.detail?.metadata?.recipient_view_url || 'N/A',
-                totalAmount: response.amount?.value || response.due_amount?.value || 'Not calculated',
-                currency: response.amount?.currency_code || response.due_amount?.currency_code || invoiceData.currencyCode,
-                fullResponse: response
-            };
+            const result = this.toCreateResult(response, invoiceData, idempotencyKey);
+
+            this.recordInLedger(ledger => ledger.recordCreated(result, invoiceData, this.getLedgerContext()));
+            this.recordExchangeRates(result.invoiceId);
+
+            return result;
 
         } catch (error) {
-            console.error(chalk.red('❌ Failed to create invoice:'), error.message);
-            
-            // Log detailed PayPal API error response for debugging
-            if (error.response?.data) {
-                console.error(chalk.red('PayPal API Error:'), JSON.stringify(error.response.data, null, 2));
+            // PayPal refused the invoice, so its number can go back to the sequence,
+            // unless PayPal refused it because the number is already taken
+            if (reservedKey && error.response?.status < 500) {
+                const numberTaken = (error.issues || []).some(issue => issue.issue === 'DUPLICATE_INVOICE_NUMBER');
+                this.releaseInvoiceNumber(reservedKey, { rewind: !numberTaken });
             }
-            
-            return {
-                success: false,
-                error: error.message,
-                details: error.response?.data || null
+
+            return this.failure('create invoice', error);
+        }
+    }
+
+    /**
+     * Pre-flight total check
+     * 
+     * Calculates what PayPal will bill for the invoice data (see InvoiceTotals) and
+     * checks it is positive and, if invoiceData.expectedTotal is set, equal to it
+     * 
+     * @param {Object} invoiceData - Complete invoice data
+     * @returns {Object} InvoiceTotals.calculate result
+     * @throws {Error} If the total check fails
+     */
+    checkTotals(invoiceData) {
+        const payload = InvoiceStructure.createPayPalInvoicePayload(invoiceData, { numbering: this.numbering });
+        const totals = InvoiceTotals.calculate(payload);
+
+        const check = InvoiceTotals.verify(totals, invoiceData.expectedTotal);
+        if (!check.isValid) {
+            throw new Error('Total check failed:\n' + check.errors.join('\n'));
+        }
+        return totals;
+    }
+
+    /**
+     * Warn when the tax rules couldn't decide the invoice's tax
+     * 
+     * @param {Object} invoiceData - Complete invoice data
+     */
+    warnOnTaxRules(invoiceData) {
+        const decision = InvoiceStructure.decideTax(invoiceData);
+        if (decision?.warning) {
+            console.warn(chalk.yellow(`⚠️ ${decision.warning}`));
+        }
+    }
+
+    /**
+     * Warn when PayPal's total for a created invoice differs from the calculated one
+     * 
+     * @param {Object} totals - InvoiceTotals.calculate result for the submitted payload
+     * @param {Object} invoice - Invoice returned by PayPal
+     */
+    warnOnTotalMismatch(totals, invoice) {
+        if (!invoice.amount?.value) {
+            return;
+        }
+
+        const billed = Currency.toMinor(invoice.amount.value, totals.currency);
+        if (billed !== totals.total) {
+            console.warn(chalk.yellow(`⚠️ PayPal bills ${Currency.format(billed, totals.currency)} for this invoice, but ${Currency.format(totals.total, totals.currency)} was calculated. Check the invoice before sending it.`));
+        }
+    }
+
+    /**
+     * Give back an invoice number that PayPal refused to use
+     * 
+     * @param {string} idempotencyKey - Key the number was reserved for
+     * @param {Object} [options={}] - InvoiceNumbering.release options (rewind)
+     */
+    releaseInvoiceNumber(idempotencyKey, options = {}) {
+        try {
+            this.numbering.release(idempotencyKey, options);
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️ Could not release reserved invoice number: ${error.message}`));
+        }
+    }
+
+    /**
+     * Look for an invoice already created from the same input
+     * 
+     * Checks the local ledger first, then searches PayPal by the invoice number given or
+     * reserved for the key earlier, in case an earlier attempt created the invoice but
+     * stopped before recording it (such invoices are added to the ledger now)
+     * 
+     * @param {string} idempotencyKey - Key of the logical invoice
+     * @param {Object} invoiceData - Invoice data being created
+     * @returns {Promise<Object|null>} Creation result with duplicate: true and the invoice's current
+     *     status, or null if none exists
+     */
+    async findExistingInvoice(idempotencyKey, invoiceData) {
+        let record = null;
+        try {
+            record = this.ledger.findByIdempotencyKey(idempotencyKey, this.paypal.getEnvironment());
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️ Could not check local ledger for an existing invoice: ${error.message}`));
+        }
+
+        let invoice = null;
+        if (record) {
+            const fetched = await this.getInvoice(record.invoiceId);
+            invoice = fetched.success ? fetched.invoice : {
+                id: record.invoiceId,
+                status: record.status,
+                detail: { invoice_number: record.invoiceNumber },
+                amount: record.totals && { currency_code: record.totals.currency, value: record.totals.total }
             };
+        } else {
+            const invoiceNumber = invoiceData.invoiceNumber || this.numbering.lookup(idempotencyKey);
+            if (invoiceNumber) {
+                try {
+                    const search = await this.paypal.makeAuthenticatedRequest(
+                        'POST',
+                        '/v2/invoicing/search-invoices?page=1&page_size=1',
+                        { invoice_number: invoiceNumber }
+                    );
+                    invoice = search.items?.[0] || null;
+                } catch (error) {
+                    console.warn(chalk.yellow(`⚠️ Could not search PayPal for an existing invoice: ${error.message}`));
+                }
+            }
+        }
+
+        if (!invoice) {
+            return null;
+        }
+
+        const result = {
+            ...this.toCreateResult(invoice, invoiceData, idempotencyKey),
+            duplicate: true,
+            message: `Invoice ${invoice.detail?.invoice_number || invoice.id} was already created from this input (status ${invoice.status}); no new invoice was created`
+        };
+
+        if (!record) {
+            this.recordInLedger(ledger => ledger.recordCreated(result, invoiceData, this.getLedgerContext()));
+            this.recordExchangeRates(result.invoiceId);
         }
+
+        return result;
+    }
+
+    /**
+     * Build the createInvoice result from a PayPal invoice
+     * 
+     * @param {Object} response - PayPal invoice
+     * @param {Object} invoiceData - Invoice data it was created from
+     * @param {string} idempotencyKey - Key of the logical invoice
+     * @returns {Object} Structured success response with key invoice details
+     */
+    toCreateResult(response, invoiceData, idempotencyKey) {
+        return {
+            success: true,
+            invoiceId: response.id,
+            invoiceNumber: response.detail?.invoice_number || 'N/A',
+            status: response.status,
+            invoicerViewUrl: response.detail?.metadata?.invoicer_view_url || 'N/A',
+            recipientViewUrl: response.detail?.metadata?.recipient_view_url || 'N/A',
+            totalAmount: response.amount?.value || response.due_amount?.value || 'Not calculated',
+            currency: response.amount?.currency_code || response.due_amount?.currency_code || invoiceData.currencyCode,
+            idempotencyKey,
+            fullResponse: response
+        };
     }
 
     /**
@@ -131,12 +436,7 @@ class InvoiceManager {
             };
 
         } catch (error) {
-            console.error(chalk.red('❌ Failed to fetch invoice:'), error.message);
-            return {
-                success: false,
-                error: error.message,
-                details: error.response?.data || null
-            };
+            return this.failure('fetch invoice', error);
         }
     }
 
@@ -172,19 +472,322 @@ class InvoiceManager {
             console.log(chalk.green('✅ Invoice sent successfully!'));
             console.log(chalk.yellow('📧 Email notifications have been dispatched to recipients'));
 
+            this.recordInLedger(ledger => ledger.recordStatus(invoiceId, 'sent', 'SENT', this.getLedgerContext()));
+
             return {
                 success: true,
                 message: 'Invoice sent successfully',
+                status: 'SENT',
                 response
             };
 
         } catch (error) {
-            console.error(chalk.red('❌ Failed to send invoice:'), error.message);
+            return this.failure('send invoice', error);
+        }
+    }
+
+    /**
+     * Send a payment reminder for an invoice
+     * 
+     * Asks PayPal to email the recipient a reminder for a sent, unpaid invoice
+     * and records when the reminder went out in the local ledger
+     * 
+     * @param {string} invoiceId - PayPal invoice ID to remind
+     * @param {Object} [notificationOptions={}] - Email notification settings (subject, note, ...)
+     * @returns {Object} Reminder result or error information
+     */
+    async remindInvoice(invoiceId, notificationOptions = {}) {
+        try {
+            console.log(chalk.blue(`🔔 Sending reminder for invoice ${invoiceId}...`));
+
+            const remindPayload = {
+                send_to_invoicer: notificationOptions.sendToInvoicer || false,
+                send_to_recipient: notificationOptions.sendToRecipient !== false, // Default true
+                subject: notificationOptions.subject || 'Payment reminder',
+                note: notificationOptions.note || 'This is a friendly reminder that your invoice is awaiting payment.',
+                additional_recipients: notificationOptions.additionalRecipients || []
+            };
+
+            await this.paypal.makeAuthenticatedRequest(
+                'POST',
+                `/v2/invoicing/invoices/${invoiceId}/remind`,
+                remindPayload
+            );
+
+            console.log(chalk.green('✅ Reminder sent successfully!'));
+
+            this.recordInLedger(ledger => ledger.recordReminder(invoiceId, {
+                ...this.getLedgerContext(),
+                subject: remindPayload.subject
+            }));
+
+            return {
+                success: true,
+                message: 'Reminder sent successfully'
+            };
+
+        } catch (error) {
+            return this.failure('send reminder', error);
+        }
+    }
+
+    /**
+     * Remind customers about overdue invoices
+     * 
+     * Picks sent-but-unpaid invoices from the local ledger that are more than
+     * overdueDays past their due date and weren't reminded within minIntervalDays,
+     * then sends each one a reminder with templated subject/note text.
+     * Run syncInvoices first so paid invoices aren't reminded
+     * 
+     * @param {Object} [options={}] - Reminder options
+     * @param {number} [options.overdueDays=0] - Days past the due date before reminding
+     * @param {number} [options.minIntervalDays=7] - Minimum days between reminders for one invoice
+     * @param {Object} [options.templates] - Subject/note templates with {placeholders}
+     * @param {boolean} [options.dryRun=false] - Only list who would be reminded
+     * @returns {Object} Result with candidates, reminded and failed counts
+     */
+    async remindOverdueInvoices(options = {}) {
+        try {
+            const context = this.getLedgerContext();
+            const records = this.ledger.query({ environment: context.environment, profile: context.profile });
+            const candidates = PaymentReminders.findDue(records, options).map(candidate => ({
+                ...candidate,
+                ...PaymentReminders.render(candidate, options.templates, this.profile.name)
+            }));
+
+            if (options.dryRun) {
+                return {
+                    success: true,
+                    dryRun: true,
+                    candidates,
+                    reminded: 0,
+                    failed: 0
+                };
+            }
+
+            let reminded = 0;
+            let failed = 0;
+
+            for (const candidate of candidates) {
+                const result = await this.remindInvoice(candidate.record.invoiceId, {
+                    subject: candidate.subject,
+                    note: candidate.note
+                });
+                candidate.result = result;
+                if (result.success) {
+                    reminded++;
+                } else {
+                    failed++;
+                }
+            }
+
+            return {
+                success: failed === 0,
+                dryRun: false,
+                candidates,
+                reminded,
+                failed
+            };
+
+        } catch (error) {
+            return this.failure('send reminders', error);
+        }
+    }
+
+    /**
+     * Schedule (or reschedule) the email of a draft invoice
+     * 
+     * The send is stored in the local ledger and made by dispatchScheduledSends
+     * once its time has come, together with the draft's payment term so the due
+     * date can be moved to match the send. Only drafts can be scheduled
+     * 
+     * @param {string} invoiceId - PayPal invoice ID
+     * @param {string} sendAt - Send time (see ScheduledSends.parseSendAt)
+     * @param {Object} [notificationOptions={}] - Email to send then (subject, note, sendToInvoicer)
+     * @returns {Object} Result with the scheduled send time or error information
+     */
+    async scheduleSend(invoiceId, sendAt, notificationOptions = {}) {
+        try {
+            const at = ScheduledSends.parseSendAt(sendAt);
+            const fetched = await this.getInvoice(invoiceId);
+            if (!fetched.success) {
+                throw new Error(`Could not fetch invoice ${invoiceId}: ${fetched.error}`);
+            }
+            if (fetched.invoice.status !== 'DRAFT') {
+                throw new Error(`Only draft invoices can be scheduled; ${invoiceId} is ${fetched.invoice.status}`);
+            }
+
+            const scheduledSend = {
+                at,
+                subject: notificationOptions.subject || '',
+                note: notificationOptions.note || '',
+                sendToInvoicer: Boolean(notificationOptions.sendToInvoicer),
+                dueInDays: ScheduledSends.paymentTermDays(fetched.invoice)
+            };
+
+            // The queue lives in the ledger, so the invoice must be in it
+            const context = this.getLedgerContext();
+            if (!this.ledger.getInvoice(invoiceId)) {
+                this.ledger.recordSync(fetched.invoice, context);
+            }
+            this.ledger.recordSendSchedule(invoiceId, scheduledSend, context);
+
+            console.log(chalk.green(`🗓️ Invoice ${invoiceId} will be sent on ${moment(at).format('YYYY-MM-DD HH:mm')}`));
+
+            return {
+                success: true,
+                invoiceId,
+                sendAt: at
+            };
+
+        } catch (error) {
+            return this.failure('schedule invoice', error);
+        }
+    }
+
+    /**
+     * Cancel the pending send of a draft invoice (the draft itself is kept)
+     * 
+     * @param {string} invoiceId - PayPal invoice ID
+     * @returns {Object} Result or error information
+     */
+    unscheduleSend(invoiceId) {
+        try {
+            const record = this.ledger.getInvoice(invoiceId);
+            if (!record || !ScheduledSends.isPending(record)) {
+                throw new Error(`No pending send for invoice ${invoiceId}`);
+            }
+
+            this.ledger.recordSendSchedule(invoiceId, null, this.getLedgerContext());
+            console.log(chalk.green(`✅ Scheduled send of ${invoiceId} cancelled; the draft is kept`));
+
+            return {
+                success: true,
+                invoiceId
+            };
+
+        } catch (error) {
+            return this.failure('cancel scheduled send', error);
+        }
+    }
+
+    /**
+     * Move the due date of an invoice that hasn't been paid yet
+     * 
+     * The payment term becomes DUE_ON_DATE_SPECIFIED, since PayPal works the due date
+     * of a NET_xx term out from the invoice date. The invoice date itself stays: it is
+     * the date the bill was issued, which the invoice number ({YYYY}/{MM} patterns) and
+     * the exchange rates recorded at creation were taken from
+     * 
+     * @param {string} invoiceId - PayPal invoice ID
+     * @param {string} dueDate - New due date (YYYY-MM-DD)
+     * @returns {Object} Result with the due date or error information
+     */
+    async updateDueDate(invoiceId, dueDate) {
+        try {
+            const fetched = await this.getInvoice(invoiceId);
+            if (!fetched.success) {
+                throw new Error(`Could not fetch invoice ${invoiceId}: ${fetched.error}`);
+            }
+
+            const { invoice } = fetched;
+            const paymentTerm = invoice.detail?.payment_term || {};
+            if (paymentTerm.term_type === 'DUE_ON_DATE_SPECIFIED' && paymentTerm.due_date === dueDate) {
+                return { success: true, invoiceId, dueDate };
+            }
+
+            console.log(chalk.blue(`📅 Moving the due date of invoice ${invoiceId} to ${dueDate}...`));
+
+            // PUT replaces the invoice, so every writable field is sent back along with the new date
+            await this.paypal.makeAuthenticatedRequest(
+                'PUT',
+                `/v2/invoicing/invoices/${invoiceId}?send_to_recipient=false&send_to_invoicer=false`,
+                InvoiceStructure.createUpdatePayload(invoice, {
+                    detail: { payment_term: { term_type: 'DUE_ON_DATE_SPECIFIED', due_date: dueDate } }
+                })
+            );
+
+            this.recordInLedger(ledger => ledger.recordStatus(invoiceId, 'due_date_updated', invoice.status, {
+                dueDate,
+                ...this.getLedgerContext()
+            }));
+
+            return {
+                success: true,
+                invoiceId,
+                dueDate
+            };
+
+        } catch (error) {
+            return this.failure('update due date', error);
+        }
+    }
+
+    /**
+     * Send every draft whose scheduled send time has come
+     * 
+     * Each draft's due date is first moved to its payment term after the send, so a
+     * draft scheduled well after it was created doesn't arrive already overdue.
+     * Sends that fail stay queued and are retried on the next dispatch
+     * 
+     * @param {Object} [options={}] - Dispatch options
+     * @param {Date|string} [options.now] - Time to dispatch up to (and to date due dates from), defaults to now
+     * @param {boolean} [options.dryRun=false] - Only list what would be sent
+     * @returns {Object} Dispatch result with the sends that were due and their results
+     */
+    async dispatchScheduledSends(options = {}) {
+        try {
+            const context = this.getLedgerContext();
+            const records = this.ledger.query({ environment: context.environment, profile: context.profile });
+            const due = ScheduledSends.findDue(records, options.now).map(record => ({ record }));
+
+            if (options.dryRun) {
+                return {
+                    success: true,
+                    dryRun: true,
+                    due,
+                    sent: 0,
+                    failed: 0
+                };
+            }
+
+            let sent = 0;
+            let failed = 0;
+
+            for (const entry of due) {
+                const { scheduledSend } = entry.record;
+                const dueDate = ScheduledSends.dueDateFor(scheduledSend, options.now);
+                if (dueDate) {
+                    const dated = await this.updateDueDate(entry.record.invoiceId, dueDate);
+                    if (!dated.success) {
+                        entry.result = dated;
+                        failed++;
+                        continue;
+                    }
+                }
+
+                entry.result = await this.sendInvoice(entry.record.invoiceId, {
+                    subject: scheduledSend.subject || undefined,
+                    note: scheduledSend.note || undefined,
+                    sendToInvoicer: scheduledSend.sendToInvoicer
+                });
+                if (entry.result.success) {
+                    sent++;
+                } else {
+                    failed++;
+                }
+            }
+
             return {
-                success: false,
-                error: error.message,
-                details: error.response?.data || null
+                success: failed === 0,
+                dryRun: false,
+                due,
+                sent,
+                failed
             };
+
+        } catch (error) {
+            return this.failure('dispatch scheduled sends', error);
         }
     }
 
@@ -194,10 +797,16 @@ class InvoiceManager {
      * Validates data and shows how the invoice will appear when created
      * Useful for review before submission to PayPal
      * 
+     * With options.html the preview is also written as a standalone HTML page showing
+     * what the customer sees, themed from the business profile
+     * 
      * @param {Object} invoiceData - Invoice data to preview
+     * @param {Object} [options={}] - Preview options
+     * @param {string} [options.html] - HTML file to write
+     * @param {string} [options.template] - Handlebars template (default: the profile theme's, else templates/invoice.html.hbs)
      * @returns {Object} Preview result with formatted display or error
      */
-    async previewInvoice(invoiceData) {
+    async previewInvoice(invoiceData, options = {}) {
         try {
             console.log(chalk.blue('🔍 Validating invoice data for preview...'));
             
@@ -207,25 +816,106 @@ class InvoiceManager {
                 throw new Error('Validation failed:\n' + validation.errors.join('\n'));
             }
 
-            // Generate PayPal-compatible payload for preview
-            const invoicePayload = InvoiceStructure.createPayPalInvoicePayload(invoiceData);
+            // Generate PayPal-compatible payload for preview (shows the next invoice number without reserving it)
+            const invoicePayload = InvoiceStructure.createPayPalInvoicePayload(invoiceData, { numbering: this.numbering });
             
             // Create formatted console preview display
             const preview = InvoiceStructure.formatInvoicePreview(invoicePayload);
             console.log(preview);
+            this.warnOnTaxRules(invoiceData);
+
+            // Same pre-flight total check as createInvoice
+            const totals = InvoiceTotals.calculate(invoicePayload);
+            const check = InvoiceTotals.verify(totals, invoiceData.expectedTotal);
+            if (!check.isValid) {
+                throw new Error('Total check failed:\n' + check.errors.join('\n'));
+            }
+
+            let htmlFile;
+            if (options.html) {
+                const InvoiceHtml = require('./invoiceHtml');
+                htmlFile = InvoiceHtml.save(invoicePayload, path.resolve(options.html), {
+                    theme: this.profile.theme,
+                    template: options.template,
+                    logoPath: this.profile.logoPath
+                });
+                console.log(chalk.green(`✅ HTML preview saved to ${htmlFile}`));
+            }
 
             return {
                 success: true,
                 preview,
-                payload: invoicePayload
+                payload: invoicePayload,
+                total: Currency.toValue(totals.total, totals.currency),
+                currency: totals.currency,
+                htmlFile
             };
 
         } catch (error) {
-            console.error(chalk.red('❌ Failed to generate preview:'), error.message);
+            return this.failure('generate preview', error);
+        }
+    }
+
+    /**
+     * Save an invoice as a PDF
+     * 
+     * Renders either an invoice fetched from PayPal (by ID) or invoice data that hasn't
+     * been created yet (shown as a draft with the next invoice number). Rendering itself
+     * is offline; the logo comes from the profile's local logoPath
+     * 
+     * @param {string|Object} invoice - PayPal invoice ID, or complete invoice data
+     * @param {Object} [options={}] - PDF options
+     * @param {string} [options.output] - PDF file path (default invoices/<invoice number>.pdf)
+     * @param {string} [options.logoPath] - Local PNG/JPEG logo (default: the profile's logoPath)
+     * @returns {Object} Result with the PDF file path or error information
+     */
+    async exportInvoicePdf(invoice, options = {}) {
+        try {
+            const InvoicePdf = require('./invoicePdf');
+            let source;
+
+            if (typeof invoice === 'string') {
+                const fetched = await this.getInvoice(invoice);
+                if (!fetched.success) {
+                    return fetched;
+                }
+                source = fetched.invoice;
+            } else {
+                const validation = InvoiceValidator.validateCompleteInvoice(invoice);
+                if (!validation.isValid) {
+                    throw new Error('Validation failed:\n' + validation.errors.join('\n'));
+                }
+                source = InvoiceStructure.createPayPalInvoicePayload(invoice, { numbering: this.numbering });
+
+                const check = InvoiceTotals.verify(InvoiceTotals.calculate(source), invoice.expectedTotal);
+                if (!check.isValid) {
+                    throw new Error('Total check failed:\n' + check.errors.join('\n'));
+                }
+            }
+
+            const invoiceNumber = source.detail?.invoice_number || source.id;
+            const filePath = path.resolve(options.output || path.join(__dirname, '..', 'invoices', `${invoiceNumber}.pdf`));
+            const logoPath = options.logoPath || this.profile.logoPath;
+            if (logoPath && !fs.existsSync(logoPath)) {
+                console.warn(chalk.yellow(`⚠️ Logo file not found, rendering without it: ${logoPath}`));
+            }
+
+            console.log(chalk.blue(`📄 Rendering PDF for invoice ${invoiceNumber}...`));
+            await InvoicePdf.save(source, filePath, {
+                logoPath: logoPath ? path.resolve(logoPath) : undefined,
+                accentColor: this.profile.theme.primaryColor || undefined
+            });
+            console.log(chalk.green(`✅ PDF saved to ${filePath}`));
+
             return {
-                success: false,
-                error: error.message
+                success: true,
+                file: filePath,
+                invoiceNumber,
+                status: source.status || 'DRAFT'
             };
+
+        } catch (error) {
+            return this.failure('render PDF', error);
         }
     }
 
@@ -235,20 +925,28 @@ class InvoiceManager {
      * Convenience method that combines invoice creation and email sending
      * Includes delay between operations to ensure invoice readiness
      * 
+     * An invoice that already existed for this input is only sent if it is still a draft
+     * 
      * @param {Object} invoiceData - Complete invoice data
      * @param {Object} [notificationOptions={}] - Email notification settings
+     * @param {Object} [createOptions={}] - Options for createInvoice (force)
      * @returns {Object} Combined operation result
      */
-    async createAndSendInvoice(invoiceData, notificationOptions = {}) {
+    async createAndSendInvoice(invoiceData, notificationOptions = {}, createOptions = {}) {
         try {
             console.log(chalk.blue('🚀 Creating and sending invoice in one go...'));
 
             // Step 1: Create the invoice
-            const createResult = await this.createInvoice(invoiceData);
+            const createResult = await this.createInvoice(invoiceData, createOptions);
             if (!createResult.success) {
                 return createResult;
             }
 
+            if (createResult.duplicate && createResult.status !== 'DRAFT') {
+                const { fullResponse, ...existing } = createResult;
+                return { ...existing, sent: false, sendError: null };
+            }
+
             console.log(chalk.blue('⏳ Waiting a moment before sending...'));
             // Small delay to ensure invoice is ready on PayPal's end
             await new Promise(resolve => setTimeout(resolve, 2000));
@@ -264,16 +962,13 @@ class InvoiceManager {
                 currency: createResult.currency,
                 invoicerViewUrl: createResult.invoicerViewUrl,
                 recipientViewUrl: createResult.recipientViewUrl,
+                duplicate: Boolean(createResult.duplicate),
                 sent: sendResult.success,
                 sendError: sendResult.error || null
             };
 
         } catch (error) {
-            console.error(chalk.red('❌ Failed to create and send invoice:'), error.message);
-            return {
-                success: false,
-                error: error.message
-            };
+            return this.failure('create and send invoice', error);
         }
     }
 
@@ -283,7 +978,7 @@ class InvoiceManager {
      * Fetches invoices from PayPal with pagination support
      * Useful for invoice management and reporting
      * 
-     * @param {Object} [filters={}] - Optional filters (page, pageSize, etc.)
+     * @param {Object} [filters={}] - Optional filters (page, pageSize, totalRequired, fields)
      * @returns {Object} List of invoices with pagination info
      */
     async listInvoices(filters = {}) {
@@ -296,6 +991,7 @@ class InvoiceManager {
             if (filters.page) queryParams.append('page', filters.page);
             if (filters.pageSize) queryParams.append('page_size', filters.pageSize);
             if (filters.totalRequired) queryParams.append('total_required', filters.totalRequired);
+            if (filters.fields) queryParams.append('fields', filters.fields);
 
             const endpoint = `/v2/invoicing/invoices${queryParams.toString() ? '?' + queryParams.toString() : ''}`;
             
@@ -313,12 +1009,198 @@ class InvoiceManager {
             };
 
         } catch (error) {
-            console.error(chalk.red('❌ Failed to fetch invoices:'), error.message);
+            return this.failure('fetch invoices', error);
+        }
+    }
+
+    /**
+     * Sync invoice payment status from PayPal into the local ledger
+     * 
+     * Walks every page of listInvoices (or, with source 'ledger', fetches each
+     * ledger invoice that can still change with getInvoice: unpaid ones, and paid
+     * ones still open to refunds) and records status, due amount and payment
+     * records for anything that changed
+     * 
+     * @param {Object} [options={}] - Sync options
+     * @param {'list'|'ledger'} [options.source='list'] - Where to find the invoices to sync
+     * @param {number} [options.pageSize=100] - Page size when walking listInvoices
+     * @returns {Object} Sync result with checked/updated counts or error information
+     */
+    async syncInvoices(options = {}) {
+        try {
+            const source = options.source || 'list';
+            const context = this.getLedgerContext();
+            let checked = 0;
+            let updated = 0;
+            let failed = 0;
+
+            const record = invoice => {
+                checked++;
+                if (this.ledger.recordSync(invoice, context)) {
+                    updated++;
+                }
+                this.recordExchangeRates(invoice.id);
+            };
+
+            console.log(chalk.blue(`🔄 Syncing invoices from PayPal (${context.environment})...`));
+
+            if (source === 'ledger') {
+                // Only invoices that can still change need to be fetched again
+                const pending = this.ledger.query({ environment: context.environment, profile: context.profile })
+                    .filter(invoice => InvoiceLedger.needsSync(invoice));
+
+                for (const invoice of pending) {
+                    const result = await this.getInvoice(invoice.invoiceId);
+                    if (result.success) {
+                        record(result.invoice);
+                    } else {
+                        failed++;
+                    }
+                }
+            } else {
+                let page = 1;
+                let totalPages = 1;
+
+                do {
+                    const result = await this.listInvoices({
+                        page,
+                        pageSize: options.pageSize || 100,
+                        totalRequired: true,
+                        fields: 'all'
+                    });
+                    if (!result.success) {
+                        throw new Error(`Failed to list invoices (page ${page}): ${result.error}`);
+                    }
+
+                    result.invoices.forEach(record);
+                    totalPages = result.totalPages || (result.invoices.length ? page + 1 : page);
+                    if (result.invoices.length === 0) break;
+                    page++;
+                } while (page <= totalPages);
+            }
+
+            console.log(chalk.green(`✅ Synced ${checked} invoices, ${updated} updated${failed ? `, ${failed} failed` : ''}`));
+
             return {
-                success: false,
-                error: error.message,
-                details: error.response?.data || null
+                success: failed === 0,
+                checked,
+                updated,
+                failed
             };
+
+        } catch (error) {
+            return this.failure('sync invoices', error);
+        }
+    }
+
+    /**
+     * Record a payment received outside PayPal (bank transfer, Wise, cash, ...)
+     * 
+     * Marks the invoice paid, or partially paid when the amount is less than the
+     * remaining due_amount. Amounts above the due amount are rejected
+     * 
+     * @param {string} invoiceId - PayPal invoice ID
+     * @param {Object} payment - Payment details
+     * @param {number|string} payment.amount - Amount received, in the invoice currency
+     * @param {string} [payment.method='BANK_TRANSFER'] - Payment method (BANK_TRANSFER, CASH, CHECK, WIRE_TRANSFER, OTHER, ...)
+     * @param {string} [payment.date] - Payment date (YYYY-MM-DD), defaults to today
+     * @param {string} [payment.note] - Note stored with the payment
+     * @returns {Object} Result with the payment ID and updated status, or error information
+     */
+    async recordPayment(invoiceId, payment = {}) {
+        return this.recordExternalTransaction('payment', invoiceId, payment);
+    }
+
+    /**
+     * Record a refund made outside PayPal
+     * 
+     * The refund can't exceed what has been paid on the invoice minus earlier refunds
+     * 
+     * @param {string} invoiceId - PayPal invoice ID
+     * @param {Object} refund - Refund details
+     * @param {number|string} refund.amount - Amount refunded, in the invoice currency
+     * @param {string} [refund.method='BANK_TRANSFER'] - Refund method
+     * @param {string} [refund.date] - Refund date (YYYY-MM-DD), defaults to today
+     * @returns {Object} Result with the refund ID and updated status, or error information
+     */
+    async recordRefund(invoiceId, refund = {}) {
+        return this.recordExternalTransaction('refund', invoiceId, refund);
+    }
+
+    /**
+     * Submit a payment or refund to PayPal's /payments or /refunds sub-resource
+     * 
+     * @param {'payment'|'refund'} type - Transaction type
+     * @param {string} invoiceId - PayPal invoice ID
+     * @param {Object} transaction - Transaction details ({amount, method, date, note})
+     * @returns {Object} Transaction result or error information
+     */
+    async recordExternalTransaction(type, invoiceId, transaction) {
+        try {
+            console.log(chalk.blue(`💵 Recording ${type} on invoice ${invoiceId}...`));
+
+            // Validate against the invoice's current amounts, not the local ledger
+            const current = await this.getInvoice(invoiceId);
+            if (!current.success) {
+                throw new Error(`Could not fetch invoice: ${current.error}`);
+            }
+
+            const data = {
+                amount: transaction.amount,
+                method: String(transaction.method || 'BANK_TRANSFER').trim().toUpperCase().replace(/[\s-]+/g, '_'),
+                date: transaction.date || moment().format('YYYY-MM-DD'),
+                note: transaction.note || ''
+            };
+
+            const validation = type === 'payment'
+                ? InvoiceValidator.validatePayment(data, current.invoice)
+                : InvoiceValidator.validateRefund(data, current.invoice);
+            if (!validation.isValid) {
+                throw new Error('Validation failed:\n' + validation.errors.join('\n'));
+            }
+
+            const currency = (current.invoice.due_amount || current.invoice.amount).currency_code;
+            const amount = { currency_code: currency, value: Currency.formatValue(data.amount, currency) };
+            const payload = type === 'payment'
+                ? { method: data.method, payment_date: data.date, amount, note: data.note || undefined }
+                : { method: data.method, refund_date: data.date, amount };
+
+            const response = await this.paypal.makeAuthenticatedRequest(
+                'POST',
+                `/v2/invoicing/invoices/${invoiceId}/${type === 'payment' ? 'payments' : 'refunds'}`,
+                payload
+            );
+            const transactionId = type === 'payment' ? response?.payment_id : response?.refund_id;
+
+            console.log(chalk.green(`✅ ${type === 'payment' ? 'Payment' : 'Refund'} of ${currency} ${amount.value} recorded`));
+
+            // Fetch the invoice again for its new status and remaining due amount
+            const updated = await this.getInvoice(invoiceId);
+            const invoice = updated.success ? updated.invoice : null;
+
+            this.recordInLedger(ledger => ledger.recordTransaction(invoiceId, `${type}_recorded`, invoice, {
+                ...this.getLedgerContext(),
+                transaction: {
+                    id: transactionId || '',
+                    type,
+                    method: data.method,
+                    date: data.date,
+                    amount: { currency, value: amount.value },
+                    note: data.note
+                }
+            }));
+            this.recordExchangeRates(invoiceId);
+
+            return {
+                success: true,
+                message: `${type === 'payment' ? 'Payment' : 'Refund'} recorded successfully`,
+                transactionId,
+                status: invoice?.status || null,
+                dueAmount: invoice?.due_amount || null
+            };
+
+        } catch (error) {
+            return this.failure(`record ${type}`, error);
         }
     }
 
@@ -353,18 +1235,79 @@ class InvoiceManager {
 
             console.log(chalk.green('✅ Invoice cancelled successfully!'));
 
+            this.recordInLedger(ledger => ledger.recordStatus(invoiceId, 'cancelled', 'CANCELLED', {
+                ...this.getLedgerContext(),
+                reason
+            }));
+
             return {
                 success: true,
                 message: 'Invoice cancelled successfully'
             };
 
         } catch (error) {
-            console.error(chalk.red('❌ Failed to cancel invoice:'), error.message);
+            return this.failure('cancel invoice', error);
+        }
+    }
+
+    /**
+     * Show the next invoice number for this manager's business profile
+     * 
+     * @returns {Object} Profile, numbering pattern and next invoice number (not reserved)
+     */
+    getNextInvoiceNumber() {
+        try {
+            return {
+                success: true,
+                profile: this.profile.id,
+                pattern: this.profile.invoiceNumberPattern || InvoiceNumbering.DEFAULT_PATTERN,
+                nextInvoiceNumber: this.numbering.peek(this.profile)
+            };
+        } catch (error) {
+            return this.failure('read invoice numbering', error);
+        }
+    }
+
+    /**
+     * Move this profile's invoice number counter forward
+     * 
+     * Without an explicit sequence number, PayPal's generate-next-invoice-number endpoint
+     * is asked for the number it would use next (based on invoices already on the account)
+     * 
+     * @param {Object} [options={}] - Seed options
+     * @param {number} [options.next] - Sequence number for the next invoice
+     * @returns {Object} Seed result with the next invoice number or error information
+     */
+    async seedInvoiceNumbering(options = {}) {
+        try {
+            let next = options.next;
+            let paypalSuggestion = null;
+
+            if (next === undefined) {
+                console.log(chalk.blue('🔢 Asking PayPal for the next invoice number...'));
+                const response = await this.paypal.makeAuthenticatedRequest(
+                    'POST',
+                    '/v2/invoicing/generate-next-invoice-number'
+                );
+                paypalSuggestion = response.invoice_number;
+                next = InvoiceNumbering.parseSequence(paypalSuggestion);
+                if (!next) {
+                    throw new Error(`PayPal's next invoice number "${paypalSuggestion}" has no sequence number`);
+                }
+            }
+
+            const nextInvoiceNumber = this.numbering.seed(this.profile, next);
+            console.log(chalk.green(`✅ Next invoice number for ${this.profile.id}: ${nextInvoiceNumber}`));
+
             return {
-                success: false,
-                error: error.message,
-                details: error.response?.data || null
+                success: true,
+                profile: this.profile.id,
+                paypalSuggestion,
+                nextInvoiceNumber
             };
+
+        } catch (error) {
+            return this.failure('seed invoice numbering', error);
         }
     }
 }
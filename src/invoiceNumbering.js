@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+
+/**
+ * Pattern used by profiles that don't define invoiceNumberPattern
+ */
+const DEFAULT_PATTERN = 'INV-{YYYY}-{seq:0000}';
+
+/**
+ * PayPal's maximum invoice number length
+ */
+const MAX_LENGTH = 25;
+
+/**
+ * How long to wait for another process to release the counter lock
+ */
+const LOCK_TIMEOUT_MS = 10000;
+
+/**
+ * Lock files older than this are left over from a crashed process
+ */
+const STALE_LOCK_MS = 30000;
+
+/**
+ * Invoice Numbering
+ * 
+ * Gives every invoice a sequential number from its business profile's pattern,
+ * e.g. "TGM-{YYYY}-{seq:0000}" -> TGM-2026-0001, TGM-2026-0002, ...
+ * 
+ * Pattern tokens: {YYYY}, {YY}, {MM}, {DD} (invoice date) and {seq} or {seq:0000}
+ * (sequence number, zero-padded to the number of zeros). Each profile, PayPal environment
+ * and date prefix has its own counter, so a pattern with {YYYY} restarts at 1 every year.
+ * 
+ * Counters are stored in invoices/invoice-numbers.json (git-ignored, override with
+ * INVOICE_NUMBERS_FILE). Every update happens under a lock file, so two processes
+ * creating invoices at the same time never get the same number. The number reserved
+ * for an idempotency key is remembered, so retrying the same invoice reuses its number
+ */
+class InvoiceNumbering {
+    /**
+     * @param {string} [filePath] - Path to the counters JSON file
+     */
+    constructor(filePath) {
+        this.filePath = filePath
+            || process.env.INVOICE_NUMBERS_FILE
+            || path.join(__dirname, '..', 'invoices', 'invoice-numbers.json');
+    }
+
+    /**
+     * Show the number the next invoice would get, without reserving it
+     * 
+     * @param {Object} profile - Business profile
+     * @param {Object} [options={}] - Numbering options
+     * @param {string} [options.date] - Invoice date (YYYY-MM-DD, default today)
+     * @param {string} [options.idempotencyKey] - Key of the logical invoice
+     * @returns {string} Invoice number
+     */
+    peek(profile, options = {}) {
+        const data = this.read();
+        const assigned = options.idempotencyKey && data.assigned[options.idempotencyKey];
+        if (assigned) {
+            return assigned.invoiceNumber;
+        }
+
+        const { pattern, scope } = InvoiceNumbering.scopeFor(profile, options.date);
+        return InvoiceNumbering.render(pattern, (data.counters[scope] || 0) + 1, options.date);
+    }
+
+    /**
+     * Reserve the next invoice number
+     * 
+     * @param {Object} profile - Business profile
+     * @param {Object} [options={}] - Numbering options
+     * @param {string} [options.date] - Invoice date (YYYY-MM-DD, default today)
+     * @param {string} [options.idempotencyKey] - Key of the logical invoice (same key, same number)
+     * @returns {string} Reserved invoice number
+     */
+    reserve(profile, options = {}) {
+        return this.update(data => {
+            const assigned = options.idempotencyKey && data.assigned[options.idempotencyKey];
+            if (assigned) {
+                return assigned.invoiceNumber;
+            }
+
+            const { pattern, scope } = InvoiceNumbering.scopeFor(profile, options.date);
+            const seq = (data.counters[scope] || 0) + 1;
+            const invoiceNumber = InvoiceNumbering.render(pattern, seq, options.date);
+
+            data.counters[scope] = seq;
+            if (options.idempotencyKey) {
+                data.assigned[options.idempotencyKey] = { invoiceNumber, scope, seq };
+            }
+            return invoiceNumber;
+        });
+    }
+
+    /**
+     * Give back the number reserved for an invoice PayPal refused to create
+     * 
+     * The counter only goes back if no later number was reserved, so the
+     * sequence never has gaps from failed attempts but numbers are never reused.
+     * A number PayPal already has on another invoice must not be handed out again:
+     * pass rewind false to only drop the reservation, so the next attempt gets the
+     * number after it
+     * 
+     * @param {string} idempotencyKey - Key the number was reserved for
+     * @param {Object} [options={}] - Release options
+     * @param {boolean} [options.rewind=true] - Move the counter back to before the number
+     * @returns {boolean} True if a reservation was released
+     */
+    release(idempotencyKey, options = {}) {
+        return this.update(data => {
+            const assigned = data.assigned[idempotencyKey];
+            if (!assigned) {
+                return false;
+            }
+
+            if (options.rewind !== false && data.counters[assigned.scope] === assigned.seq) {
+                data.counters[assigned.scope] = assigned.seq - 1;
+            }
+            delete data.assigned[idempotencyKey];
+            return true;
+        });
+    }
+
+    /**
+     * Number previously reserved for an idempotency key
+     * 
+     * @param {string} idempotencyKey - Key of the logical invoice
+     * @returns {string|null} Invoice number, or null if none was reserved
+     */
+    lookup(idempotencyKey) {
+        return this.read().assigned[idempotencyKey]?.invoiceNumber || null;
+    }
+
+    /**
+     * Move a profile's counter so the next invoice gets at least the given sequence number
+     * 
+     * Counters never move backwards, since that would hand out numbers already in use
+     * 
+     * @param {Object} profile - Business profile
+     * @param {number} nextSeq - Sequence number for the next invoice
+     * @param {Object} [options={}] - Numbering options
+     * @param {string} [options.date] - Date whose counter is seeded (default today)
+     * @returns {string} Number the next invoice will get
+     */
+    seed(profile, nextSeq, options = {}) {
+        if (!Number.isInteger(nextSeq) || nextSeq < 1) {
+            throw new Error(`Invalid next sequence number: ${nextSeq}`);
+        }
+
+        return this.update(data => {
+            const { pattern, scope } = InvoiceNumbering.scopeFor(profile, options.date);
+            data.counters[scope] = Math.max(data.counters[scope] || 0, nextSeq - 1);
+            return InvoiceNumbering.render(pattern, data.counters[scope] + 1, options.date);
+        });
+    }
+
+    /**
+     * Read the counters file
+     * 
+     * @returns {{counters: Object, assigned: Object}} Counters by scope and reservations by key
+     */
+    read() {
+        if (!fs.existsSync(this.filePath)) {
+            return { version: 1, counters: {}, assigned: {} };
+        }
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        return { version: 1, counters: {}, assigned: {}, ...data };
+    }
+
+    /**
+     * Read, change and write the counters file while holding the lock
+     * 
+     * @param {Function} change - Called with the data to modify; its return value is returned
+     * @returns {*} Result of change
+     */
+    update(change) {
+        return this.withLock(() => {
+            const data = this.read();
+            const result = change(data);
+
+            // Write to a temporary file first so a crash never leaves a half-written counter
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2) + '\n');
+            fs.renameSync(tempPath, this.filePath);
+            return result;
+        });
+    }
+
+    /**
+     * Run a function while holding an exclusive lock file next to the counters file
+     * 
+     * @param {Function} fn - Function to run
+     * @returns {*} Result of fn
+     * @throws {Error} If the lock can't be acquired within LOCK_TIMEOUT_MS
+     */
+    withLock(fn) {
+        const lockPath = `${this.filePath}.lock`;
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        let fd;
+        while (fd === undefined) {
+            try {
+                fd = fs.openSync(lockPath, 'wx');
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+                if (InvoiceNumbering.removeStaleLock(lockPath)) {
+                    continue;
+                }
+                if (Date.now() > deadline) {
+                    throw new Error(`Timed out waiting for invoice number lock: ${lockPath}`);
+                }
+                InvoiceNumbering.sleep(25);
+            }
+        }
+
+        try {
+            fs.writeSync(fd, String(process.pid));
+            return fn();
+        } finally {
+            fs.closeSync(fd);
+            fs.rmSync(lockPath, { force: true });
+        }
+    }
+
+    /**
+     * Remove a lock file left behind by a crashed process
+     * 
+     * @param {string} lockPath - Lock file path
+     * @returns {boolean} True if the lock is gone and can be retried right away
+     */
+    static removeStaleLock(lockPath) {
+        try {
+            if (Date.now() - fs.statSync(lockPath).mtimeMs < STALE_LOCK_MS) {
+                return false;
+            }
+            fs.rmSync(lockPath, { force: true });
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return true;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Block the current process for a short time (the numbering API is synchronous)
+     * 
+     * @param {number} ms - Milliseconds to wait
+     */
+    static sleep(ms) {
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+    }
+
+    /**
+     * Counter scope for a profile and date
+     * 
+     * @param {Object} profile - Business profile
+     * @param {string} [date] - Invoice date
+     * @returns {{pattern: string, scope: string}} Profile pattern and counter key
+     */
+    static scopeFor(profile, date) {
+        const pattern = profile.invoiceNumberPattern || DEFAULT_PATTERN;
+        InvoiceNumbering.validatePattern(pattern);
+
+        const prefix = InvoiceNumbering.renderDate(pattern, date).replace(/\{seq(?::0+)?\}/, '{seq}');
+        return {
+            pattern,
+            scope: `${profile.id}:${profile.paypal?.environment || 'SANDBOX'}:${prefix}`
+        };
+    }
+
+    /**
+     * Render an invoice number
+     * 
+     * @param {string} pattern - Numbering pattern
+     * @param {number} seq - Sequence number
+     * @param {string} [date] - Invoice date (YYYY-MM-DD, default today)
+     * @returns {string} Invoice number
+     * @throws {Error} If the number is longer than PayPal allows
+     */
+    static render(pattern, seq, date) {
+        const invoiceNumber = InvoiceNumbering.renderDate(pattern, date)
+            .replace(/\{seq(?::(0+))?\}/, (match, zeros) => String(seq).padStart(zeros ? zeros.length : 0, '0'));
+
+        if (invoiceNumber.length > MAX_LENGTH) {
+            throw new Error(`Invoice number ${invoiceNumber} is longer than PayPal's ${MAX_LENGTH} characters; shorten the pattern ${pattern}`);
+        }
+        return invoiceNumber;
+    }
+
+    /**
+     * Replace the date tokens of a pattern
+     * 
+     * @param {string} pattern - Numbering pattern
+     * @param {string} [date] - Invoice date (YYYY-MM-DD, default today)
+     * @returns {string} Pattern with date tokens filled in
+     */
+    static renderDate(pattern, date) {
+        const day = date ? moment(date, 'YYYY-MM-DD') : moment();
+        return pattern.replace(/\{(YYYY|YY|MM|DD)\}/g, (match, token) => day.format(token));
+    }
+
+    /**
+     * Check that a pattern has exactly one sequence token
+     * 
+     * @param {string} pattern - Numbering pattern
+     * @throws {Error} If the pattern has no (or several) {seq} tokens
+     */
+    static validatePattern(pattern) {
+        const tokens = pattern.match(/\{seq(?::0+)?\}/g) || [];
+        if (tokens.length !== 1) {
+            throw new Error(`Invoice number pattern must contain one {seq} or {seq:000} token: ${pattern}`);
+        }
+    }
+
+    /**
+     * Extract the sequence number from an invoice number (its last group of digits)
+     * 
+     * @param {string} invoiceNumber - Invoice number, e.g. from PayPal's next-number endpoint
+     * @returns {number|null} Sequence number, or null if it has no digits
+     */
+    static parseSequence(invoiceNumber) {
+        const match = String(invoiceNumber || '').match(/(\d+)\D*$/);
+        return match ? parseInt(match[1], 10) : null;
+    }
+}
+
+InvoiceNumbering.DEFAULT_PATTERN = DEFAULT_PATTERN;
+
+module.exports = InvoiceNumbering;
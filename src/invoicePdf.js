@@ -0,0 +1,402 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const Currency = require('./currency');
+const InvoiceTotals = require('./invoiceTotals');
+
+/**
+ * Page layout (A4, points)
+ */
+const PAGE = { size: 'A4', margin: 50, width: 595.28, height: 841.89 };
+
+/**
+ * Items table columns: x position, width and alignment
+ */
+const COLUMNS = [
+    { key: 'item', label: 'Item', x: 50, width: 190, align: 'left' },
+    { key: 'quantity', label: 'Qty', x: 240, width: 40, align: 'right' },
+    { key: 'unitPrice', label: 'Unit Price', x: 285, width: 70, align: 'right' },
+    { key: 'discount', label: 'Discount', x: 360, width: 60, align: 'right' },
+    { key: 'tax', label: 'Tax', x: 425, width: 50, align: 'right' },
+    { key: 'amount', label: 'Amount', x: 475, width: 70, align: 'right' }
+];
+
+/**
+ * Default colors (the accent can be overridden per render)
+ */
+const COLORS = {
+    accent: '#1a3c6e',
+    text: '#222222',
+    muted: '#666666',
+    rule: '#cccccc',
+    stripe: '#f3f5f8'
+};
+
+/**
+ * Invoice PDF Renderer
+ * 
+ * Turns a PayPal invoice - the createPayPalInvoicePayload output or an invoice fetched
+ * from PayPal - into a branded PDF: logo, invoicer and recipient blocks, itemized
+ * table with discount and tax columns, totals, note, terms and the pay link.
+ * 
+ * Rendering is fully offline: the logo is read from a local image file (PNG or JPEG),
+ * never downloaded from the invoice's logo_url
+ */
+class InvoicePdf {
+    /**
+     * Render an invoice to a PDF buffer
+     * 
+     * @param {Object} invoice - PayPal invoice payload or fetched PayPal invoice
+     * @param {Object} [options={}] - Rendering options
+     * @param {string} [options.logoPath] - Local PNG/JPEG logo file
+     * @param {string} [options.payLink] - Pay link (defaults to the invoice's recipient view URL)
+     * @param {string} [options.accentColor] - Heading and rule color (hex)
+     * @returns {Promise<Buffer>} PDF contents
+     */
+    static render(invoice, options = {}) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({
+                size: PAGE.size,
+                margin: PAGE.margin,
+                bufferPages: true,
+                info: {
+                    Title: `Invoice ${invoice.detail?.invoice_number || ''}`.trim(),
+                    Author: invoice.invoicer?.business_name || ''
+                }
+            });
+
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            try {
+                const accent = options.accentColor || COLORS.accent;
+                const totals = InvoiceTotals.calculate(invoice);
+
+                InvoicePdf.drawHeader(doc, invoice, options.logoPath, accent);
+                InvoicePdf.drawParties(doc, invoice, accent);
+                InvoicePdf.drawItems(doc, totals, accent);
+                InvoicePdf.drawTotals(doc, totals, accent);
+                InvoicePdf.drawNotes(doc, invoice, options.payLink || invoice.detail?.metadata?.recipient_view_url, accent);
+                InvoicePdf.drawPageNumbers(doc);
+                doc.end();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Render an invoice and write it to a file
+     * 
+     * @param {Object} invoice - PayPal invoice payload or fetched PayPal invoice
+     * @param {string} filePath - Output PDF path (directories are created)
+     * @param {Object} [options={}] - Rendering options (see render)
+     * @returns {Promise<string>} Path written
+     */
+    static async save(invoice, filePath, options = {}) {
+        const pdf = await InvoicePdf.render(invoice, options);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, pdf);
+        return filePath;
+    }
+
+    /**
+     * Logo (if any), business name and invoice number/dates/status
+     * 
+     * @param {PDFDocument} doc - Document being drawn
+     * @param {Object} invoice - PayPal invoice
+     * @param {string} [logoPath] - Local logo file
+     * @param {string} accent - Accent color
+     */
+    static drawHeader(doc, invoice, logoPath, accent) {
+        const top = PAGE.margin;
+        const invoicer = invoice.invoicer || {};
+        const detail = invoice.detail || {};
+
+        let brandBottom = top;
+        if (logoPath && fs.existsSync(logoPath)) {
+            doc.image(logoPath, PAGE.margin, top, { fit: [140, 60] });
+            brandBottom = top + 60;
+        } else {
+            const brand = invoicer.business_name || `${invoicer.name?.given_name || ''} ${invoicer.name?.surname || ''}`.trim();
+            doc.font('Helvetica-Bold').fontSize(18).fillColor(accent)
+                .text(brand, PAGE.margin, top, { width: 260 });
+            brandBottom = doc.y;
+        }
+
+        const rightX = 330;
+        const rightWidth = PAGE.width - PAGE.margin - rightX;
+        doc.font('Helvetica-Bold').fontSize(24).fillColor(accent)
+            .text('INVOICE', rightX, top, { width: rightWidth, align: 'right' });
+
+        const meta = [
+            ['Invoice #', detail.invoice_number],
+            ['Invoice date', detail.invoice_date],
+            ['Due date', detail.payment_term?.due_date],
+            ['Reference', detail.reference],
+            ['Status', invoice.status || 'DRAFT']
+        ].filter(([, value]) => value);
+
+        doc.fontSize(9);
+        meta.forEach(([label, value]) => {
+            const y = doc.y + 2;
+            doc.font('Helvetica').fillColor(COLORS.muted).text(label, rightX, y, { width: 80 });
+            doc.font('Helvetica-Bold').fillColor(COLORS.text)
+                .text(String(value), rightX + 80, y, { width: rightWidth - 80, align: 'right' });
+        });
+
+        doc.y = Math.max(doc.y, brandBottom) + 20;
+        InvoicePdf.drawRule(doc, accent);
+    }
+
+    /**
+     * "From" (invoicer) and "Bill To" (recipient) blocks side by side
+     * 
+     * @param {PDFDocument} doc - Document being drawn
+     * @param {Object} invoice - PayPal invoice
+     * @param {string} accent - Accent color
+     */
+    static drawParties(doc, invoice, accent) {
+        const top = doc.y + 12;
+        const invoicer = invoice.invoicer || {};
+        const recipient = invoice.primary_recipients?.[0]?.billing_info || {};
+
+        const fromLines = [
+            invoicer.business_name,
+            `${invoicer.name?.given_name || ''} ${invoicer.name?.surname || ''}`.trim(),
+            ...InvoicePdf.addressLines(invoicer.address),
+            invoicer.email_address,
+            invoicer.website,
+            invoicer.tax_id ? `Tax ID: ${invoicer.tax_id}` : ''
+        ];
+        const toLines = [
+            recipient.business_name,
+            `${recipient.name?.given_name || ''} ${recipient.name?.surname || ''}`.trim(),
+            ...InvoicePdf.addressLines(recipient.address),
+            recipient.email_address,
+            recipient.additional_info_value ? `VAT: ${recipient.additional_info_value}` : ''
+        ];
+
+        const fromBottom = InvoicePdf.drawBlock(doc, 'FROM', fromLines, PAGE.margin, top, accent);
+        const toBottom = InvoicePdf.drawBlock(doc, 'BILL TO', toLines, 310, top, accent);
+        doc.y = Math.max(fromBottom, toBottom) + 20;
+    }
+
+    /**
+     * One labelled block of text lines (empty lines and duplicates are skipped)
+     * 
+     * @param {PDFDocument} doc - Document being drawn
+     * @param {string} title - Block title
+     * @param {Array<string>} lines - Text lines
+     * @param {number} x - Left position
+     * @param {number} y - Top position
+     * @param {string} accent - Accent color
+     * @returns {number} y position below the block
+     */
+    static drawBlock(doc, title, lines, x, y, accent) {
+        doc.font('Helvetica-Bold').fontSize(9).fillColor(accent).text(title, x, y, { width: 235 });
+        doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+
+        lines.filter((line, index) => line && lines.indexOf(line) === index)
+            .forEach(line => doc.text(line, x, doc.y + 1, { width: 235 }));
+
+        return doc.y;
+    }
+
+    /**
+     * PayPal address as printable lines
+     * 
+     * @param {Object} [address] - PayPal address
+     * @returns {Array<string>} Address lines
+     */
+    static addressLines(address) {
+        if (!address) {
+            return [];
+        }
+
+        const cityLine = [address.admin_area_2, [address.admin_area_1, address.postal_code].filter(Boolean).join(' ')]
+            .filter(Boolean).join(', ');
+        return [address.address_line_1, address.address_line_2, cityLine, address.country_code];
+    }
+
+    /**
+     * Itemized table, repeating the header row on new pages
+     * 
+     * @param {PDFDocument} doc - Document being drawn
+     * @param {Object} totals - InvoiceTotals.calculate result
+     * @param {string} accent - Accent color
+     */
+    static drawItems(doc, totals, accent) {
+        const bottom = PAGE.height - PAGE.margin - 40;
+        const drawHeaderRow = () => {
+            const y = doc.y;
+            doc.rect(PAGE.margin, y, PAGE.width - 2 * PAGE.margin, 20).fill(accent);
+            doc.font('Helvetica-Bold').fontSize(9).fillColor('#ffffff');
+            COLUMNS.forEach(column => {
+                doc.text(column.label, column.x + 4, y + 6, { width: column.width - 8, align: column.align });
+            });
+            doc.y = y + 20;
+        };
+
+        drawHeaderRow();
+
+        totals.lines.forEach((line, index) => {
+            const cells = {
+                item: line.name,
+                quantity: String(line.quantity),
+                unitPrice: Currency.format(line.unitPrice, totals.currency),
+                discount: line.discount ? `-${Currency.toValue(line.discount, totals.currency)}${line.discountLabel ? `\n(${line.discountLabel})` : ''}` : '-',
+                tax: line.taxPercent ? `${line.taxPercent}%` : '-',
+                amount: Currency.format(line.amount, totals.currency)
+            };
+
+            doc.font('Helvetica').fontSize(9);
+            const itemWidth = COLUMNS[0].width - 8;
+            const descriptionHeight = line.description
+                ? doc.fontSize(8).heightOfString(line.description, { width: itemWidth }) + 2
+                : 0;
+            const rowHeight = Math.max(
+                doc.font('Helvetica-Bold').fontSize(9).heightOfString(line.name, { width: itemWidth }) + descriptionHeight,
+                doc.font('Helvetica').fontSize(9).heightOfString(cells.discount, { width: COLUMNS[3].width - 8 })
+            ) + 10;
+
+            if (doc.y + rowHeight > bottom) {
+                doc.addPage();
+                drawHeaderRow();
+            }
+
+            const y = doc.y;
+            if (index % 2 === 1) {
+                doc.rect(PAGE.margin, y, PAGE.width - 2 * PAGE.margin, rowHeight).fill(COLORS.stripe);
+            }
+
+            doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.text)
+                .text(line.name, COLUMNS[0].x + 4, y + 5, { width: itemWidth });
+            if (line.description) {
+                doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+                    .text(line.description, COLUMNS[0].x + 4, doc.y + 2, { width: itemWidth });
+            }
+
+            doc.font('Helvetica').fontSize(9).fillColor(COLORS.text);
+            COLUMNS.slice(1).forEach(column => {
+                doc.text(cells[column.key], column.x + 4, y + 5, { width: column.width - 8, align: column.align });
+            });
+
+            doc.y = y + rowHeight;
+        });
+
+        InvoicePdf.drawRule(doc, COLORS.rule);
+    }
+
+    /**
+     * Subtotal, discounts, taxes, charges and total (plus paid/due for fetched invoices)
+     * 
+     * @param {PDFDocument} doc - Document being drawn
+     * @param {Object} totals - InvoiceTotals.calculate result
+     * @param {string} accent - Accent color
+     */
+    static drawTotals(doc, totals, accent) {
+        const rows = [['Subtotal', totals.subtotal]];
+        if (totals.invoiceDiscount) rows.push(['Discount', -totals.invoiceDiscount]);
+        totals.taxes.forEach(tax => rows.push([tax.label, tax.amount]));
+        if (totals.shipping) rows.push(['Shipping', totals.shipping]);
+        if (totals.custom) rows.push([totals.custom.label, totals.custom.amount]);
+
+        const labelX = 330;
+        const valueX = 445;
+        const valueWidth = PAGE.width - PAGE.margin - valueX;
+
+        if (doc.y + (rows.length + 3) * 16 > PAGE.height - PAGE.margin - 40) {
+            doc.addPage();
+        }
+
+        let y = doc.y + 10;
+        doc.fontSize(10);
+        rows.forEach(([label, amount]) => {
+            doc.font('Helvetica').fillColor(COLORS.muted).text(label, labelX, y, { width: 110 });
+            doc.fillColor(COLORS.text).text(Currency.format(amount, totals.currency), valueX, y, { width: valueWidth, align: 'right' });
+            y += 16;
+        });
+
+        doc.moveTo(labelX, y).lineTo(PAGE.width - PAGE.margin, y).strokeColor(accent).lineWidth(1).stroke();
+        y += 6;
+        doc.font('Helvetica-Bold').fontSize(12).fillColor(accent)
+            .text('Total', labelX, y, { width: 110 })
+            .text(Currency.format(totals.paypalTotal ?? totals.total, totals.currency), valueX, y, { width: valueWidth, align: 'right' });
+        y += 20;
+
+        if (totals.paid !== null) {
+            doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text('Paid', labelX, y, { width: 110 });
+            doc.fillColor(COLORS.text).text(Currency.format(totals.paid, totals.currency), valueX, y, { width: valueWidth, align: 'right' });
+            y += 16;
+        }
+        if (totals.due !== null) {
+            doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text).text('Amount due', labelX, y, { width: 110 });
+            doc.text(Currency.format(totals.due, totals.currency), valueX, y, { width: valueWidth, align: 'right' });
+            y += 16;
+        }
+
+        doc.x = PAGE.margin;
+        doc.y = y + 10;
+    }
+
+    /**
+     * Note, terms and the pay link
+     * 
+     * @param {PDFDocument} doc - Document being drawn
+     * @param {Object} invoice - PayPal invoice
+     * @param {string} [payLink] - Customer payment URL
+     * @param {string} accent - Accent color
+     */
+    static drawNotes(doc, invoice, payLink, accent) {
+        const width = PAGE.width - 2 * PAGE.margin;
+        const sections = [
+            ['Note', invoice.detail?.note],
+            ['Terms', invoice.detail?.term]
+        ].filter(([, text]) => text);
+
+        sections.forEach(([title, text]) => {
+            doc.font('Helvetica-Bold').fontSize(9).fillColor(accent).text(title.toUpperCase(), PAGE.margin, doc.y + 8, { width });
+            doc.font('Helvetica').fontSize(9).fillColor(COLORS.text).text(text, PAGE.margin, doc.y + 2, { width });
+        });
+
+        if (payLink) {
+            doc.font('Helvetica-Bold').fontSize(9).fillColor(accent).text('PAY ONLINE', PAGE.margin, doc.y + 12, { width });
+            doc.font('Helvetica').fontSize(9).fillColor('#0645ad')
+                .text(payLink, PAGE.margin, doc.y + 2, { width, link: payLink, underline: true });
+        }
+    }
+
+    /**
+     * "Page n of m" in every page footer
+     * 
+     * @param {PDFDocument} doc - Document being drawn
+     */
+    static drawPageNumbers(doc) {
+        const range = doc.bufferedPageRange();
+        for (let index = range.start; index < range.start + range.count; index++) {
+            doc.switchToPage(index);
+            doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+                .text(`Page ${index + 1} of ${range.count}`, PAGE.margin, PAGE.height - PAGE.margin - 20, {
+                    width: PAGE.width - 2 * PAGE.margin,
+                    align: 'center',
+                    lineBreak: false
+                });
+        }
+    }
+
+    /**
+     * Horizontal rule across the page at the current position
+     * 
+     * @param {PDFDocument} doc - Document being drawn
+     * @param {string} color - Line color
+     */
+    static drawRule(doc, color) {
+        doc.moveTo(PAGE.margin, doc.y).lineTo(PAGE.width - PAGE.margin, doc.y)
+            .strokeColor(color).lineWidth(1).stroke();
+    }
+}
+
+module.exports = InvoicePdf;
@@ -0,0 +1,247 @@
+const Ajv = require('ajv');
+const validator = require('validator');
+const schema = require('../schemas/invoice.v1.schema.json');
+
+/**
+ * Messages for values checked by a shared definition, instead of one message per
+ * keyword the value failed (an amount of "abc" fails both its type and its pattern)
+ */
+const DEFINITION_MESSAGES = {
+    amount: 'must be an amount greater than 0, e.g. 40 or "40.00"',
+    quantity: 'must be a quantity greater than 0',
+    percent: 'must be a percentage more than 0 and at most 100',
+    currency: `must be a currency PayPal can invoice in: ${schema.definitions.currency.enum.join(', ')}`,
+    countryCode: 'must be a two-letter ISO 3166-1 country code, e.g. US'
+};
+
+let compiled;
+
+/**
+ * Invoice Input Schema
+ * 
+ * Validates invoice JSON (the formats CustomerTemplates.fromJSON accepts) against the
+ * versioned JSON Schema in schemas/, so every mistake is reported with the JSON path of
+ * the offending value instead of one "Invalid JSON format" for the whole file.
+ * The same schema gives editors autocompletion through a "$schema" key in the file
+ * 
+ * Email addresses and country codes are checked with the validator library, as
+ * InvoiceValidator does
+ */
+class InvoiceSchema {
+    /**
+     * Validate parsed invoice JSON
+     * 
+     * @param {*} json - Parsed invoice JSON
+     * @returns {Object} {isValid, format, errors: [{path, message}]}; format is the title of the
+     *   detected input format (single or multi-service), or null if it can't be told
+     */
+    static validate(json) {
+        if (!json || typeof json !== 'object' || Array.isArray(json)) {
+            return { isValid: false, format: null, errors: [{ path: '$', message: 'must be an invoice object ({"customer": ..., "service": ...})' }] };
+        }
+
+        const validate = InvoiceSchema.compile();
+        const isValid = validate(json);
+
+        return {
+            isValid,
+            format: InvoiceSchema.formatOf(json),
+            errors: isValid ? [] : InvoiceSchema.describeErrors(validate.errors)
+        };
+    }
+
+    /**
+     * Input format of invoice JSON, the way the schema chooses it
+     * 
+     * @param {*} json - Parsed invoice JSON
+     * @returns {string|null} 'Multi-service invoice', 'Single-service invoice' or null
+     */
+    static formatOf(json) {
+        if (json?.services !== undefined) {
+            return schema.definitions.multiServiceInvoice.title;
+        }
+        return json?.service !== undefined ? schema.definitions.singleServiceInvoice.title : null;
+    }
+
+    /**
+     * Parse invoice JSON text, reporting syntax errors with their line and column
+     * 
+     * @param {string} contents - JSON text
+     * @returns {*} Parsed JSON
+     * @throws {Error} If the text isn't valid JSON
+     */
+    static parse(contents) {
+        try {
+            return JSON.parse(contents);
+        } catch (error) {
+            const position = error.message.match(/at position (\d+)/);
+            if (!position) {
+                throw new Error(`Invalid JSON: ${error.message}`);
+            }
+            const before = contents.slice(0, Number(position[1])).split('\n');
+            throw new Error(`Invalid JSON: ${error.message} (line ${before.length}, column ${before[before.length - 1].length + 1})`);
+        }
+    }
+
+    /**
+     * Format errors from validate as "path: message" lines
+     * 
+     * @param {Array<Object>} errors - Errors ({path, message})
+     * @returns {Array<string>} One line per error
+     */
+    static toMessages(errors) {
+        return errors.map(error => `${error.path}: ${error.message}`);
+    }
+
+    /**
+     * Compile the schema once
+     * 
+     * @returns {Function} Ajv validate function
+     */
+    static compile() {
+        if (!compiled) {
+            const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
+            ajv.addFormat('email', value => validator.isEmail(value));
+            ajv.addFormat('country-code', value => validator.isISO31661Alpha2(value));
+            compiled = ajv.compile(schema);
+        }
+        return compiled;
+    }
+
+    /**
+     * Turn Ajv errors into one readable message per problem
+     * 
+     * "Exactly one of"/"at least one of" required-field choices (customer or customerId,
+     * percent or amount) become one message, the branch errors behind them are dropped,
+     * and values checked by a shared definition get that definition's message
+     * 
+     * @param {Array<Object>} ajvErrors - Errors from an Ajv validate function
+     * @returns {Array<Object>} Errors ({path, message}), without duplicates
+     */
+    static describeErrors(ajvErrors) {
+        const choices = ajvErrors.filter(error => ['oneOf', 'anyOf'].includes(error.keyword) && InvoiceSchema.requiredChoice(error.schema));
+        const inChoice = error => choices.some(choice => error.schemaPath.startsWith(`${choice.schemaPath}/`) && error.instancePath === choice.instancePath);
+
+        const errors = [];
+        ajvErrors.forEach(error => {
+            if (error.keyword === 'if' || inChoice(error) || (['oneOf', 'anyOf'].includes(error.keyword) && !choices.includes(error))) {
+                return;
+            }
+
+            const described = InvoiceSchema.describeError(error);
+            if (!errors.some(existing => existing.path === described.path && existing.message === described.message)) {
+                errors.push(described);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Describe one Ajv error
+     * 
+     * @param {Object} error - Ajv error (verbose)
+     * @returns {Object} {path, message}
+     */
+    static describeError(error) {
+        const path = InvoiceSchema.toJsonPath(error.instancePath);
+        const definition = error.schemaPath.match(/^#\/definitions\/(\w+)\/(?!properties|items)/)?.[1];
+
+        switch (error.keyword) {
+            case 'required':
+                return { path: InvoiceSchema.childPath(path, error.params.missingProperty), message: 'is required' };
+            case 'additionalProperties': {
+                const property = error.params.additionalProperty;
+                const suggestion = InvoiceSchema.closest(property, Object.keys(error.parentSchema.properties || {}));
+                return {
+                    path: InvoiceSchema.childPath(path, property),
+                    message: `is not a known field${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+                };
+            }
+            case 'oneOf':
+            case 'anyOf': {
+                const names = InvoiceSchema.requiredChoice(error.schema).map(name => `"${name}"`);
+                const tooMany = error.keyword === 'oneOf' && Array.isArray(error.params.passingSchemas);
+                return { path, message: `${tooMany ? 'must have only one of' : 'must have'} ${names.join(' or ')}` };
+            }
+            case 'false schema':
+                // "service" next to "services"
+                return { path, message: 'can\'t be used together with "services"' };
+            case 'enum':
+                return { path, message: definition && DEFINITION_MESSAGES[definition] || `must be one of: ${error.params.allowedValues.join(', ')}` };
+            case 'format':
+                return { path, message: definition && DEFINITION_MESSAGES[definition] || `must be a valid ${error.params.format === 'email' ? 'email address' : error.params.format}` };
+            default:
+                return { path, message: definition && DEFINITION_MESSAGES[definition] || error.message };
+        }
+    }
+
+    /**
+     * Field names of a oneOf/anyOf whose branches only require one field each
+     * 
+     * @param {Array<Object>} branches - oneOf/anyOf subschemas
+     * @returns {Array<string>|null} Field names, or null for any other oneOf/anyOf
+     */
+    static requiredChoice(branches) {
+        const onlyRequired = branches.every(branch => Object.keys(branch).length === 1 && branch.required?.length === 1);
+        return onlyRequired ? branches.map(branch => branch.required[0]) : null;
+    }
+
+    /**
+     * Convert a JSON pointer into a JSONPath, e.g. /services/0/price -> $.services[0].price
+     * 
+     * @param {string} pointer - JSON pointer ('' for the whole document)
+     * @returns {string} JSONPath
+     */
+    static toJsonPath(pointer) {
+        return pointer.split('/').slice(1).reduce((path, segment) => {
+            const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+            return /^\d+$/.test(key) ? `${path}[${key}]` : InvoiceSchema.childPath(path, key);
+        }, '$');
+    }
+
+    /**
+     * JSONPath of a named child
+     * 
+     * @param {string} path - Parent JSONPath
+     * @param {string} key - Property name
+     * @returns {string} Child JSONPath
+     */
+    static childPath(path, key) {
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+    }
+
+    /**
+     * Known field closest to a misspelt or shortened one (case, up to two edits, or a prefix)
+     * 
+     * @param {string} name - Unknown field name
+     * @param {Array<string>} candidates - Known field names
+     * @returns {string|null} Suggested field name
+     */
+    static closest(name, candidates) {
+        // Edit distance counting a swap of two neighbouring letters as one edit
+        const distance = (a, b) => {
+            const d = Array.from({ length: a.length + 1 }, (row, i) => Array.from({ length: b.length + 1 }, (cell, j) => (i === 0 ? j : j === 0 ? i : 0)));
+            for (let i = 1; i <= a.length; i++) {
+                for (let j = 1; j <= b.length; j++) {
+                    d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                    if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                    }
+                }
+            }
+            return d[a.length][b.length];
+        };
+
+        const scored = candidates
+            .map(candidate => ({ candidate, score: distance(name.toLowerCase(), candidate.toLowerCase()) }))
+            .map(entry => (name.length >= 3 && entry.candidate.toLowerCase().startsWith(name.toLowerCase()) ? { ...entry, score: 1 } : entry))
+            .filter(entry => entry.score <= (entry.candidate.length > 5 ? 2 : 1))
+            .sort((a, b) => a.score - b.score);
+        return scored.length > 0 ? scored[0].candidate : null;
+    }
+}
+
+InvoiceSchema.SCHEMA = schema;
+InvoiceSchema.SCHEMA_VERSION = 1;
+
+module.exports = InvoiceSchema;
@@ -1,4 +1,11 @@
+const crypto = require('crypto');
 const moment = require('moment');
+const BusinessProfiles = require('./businessProfiles');
+const InvoiceNumbering = require('./invoiceNumbering');
+const Currency = require('./currency');
+const InvoiceTotals = require('./invoiceTotals');
+const VolumeDiscounts = require('./volumeDiscounts');
+const TaxRules = require('./taxRules');
 
 /**
  * Invoice Structure Handler
@@ -18,22 +25,44 @@ class InvoiceStructure {
      * @param {Object} invoiceData.customer - Customer information
      * @param {Object} invoiceData.business - Business information  
      * @param {Array} invoiceData.items - Invoice line items
-     * @param {string} [invoiceData.currencyCode='USD'] - Currency code
+     * @param {string} [invoiceData.currencyCode] - Currency code (default: DEFAULT_CURRENCY or USD)
      * @param {string} [invoiceData.note] - Invoice note/message
      * @param {string} [invoiceData.terms] - Payment terms
+     * @param {string} [invoiceData.invoiceNumber] - Invoice number (next number of the profile's pattern if omitted)
+     * @param {Object} [invoiceData.discount] - Invoice-level discount ({percent} or {amount})
+     * @param {boolean} [invoiceData.volumeDiscounts=true] - Apply the profile's volume discount rules
+     * @param {boolean} [invoiceData.taxRules=true] - Apply the tax rules (VAT/GST by country) to items without a tax
+     * @param {Object} [invoiceData.customAmount] - Extra charge ({label, amount})
+     * @param {Object} [invoiceData.shipping] - Shipping charge ({amount, tax: {name, percent}})
+     * @param {boolean} [invoiceData.taxInclusive=false] - Unit amounts already include tax
+     * @param {boolean} [invoiceData.taxCalculatedAfterDiscount=true] - Charge tax on the discounted amounts
+     * @param {Object} [options={}] - Payload options
+     * @param {boolean} [options.reserveNumber=false] - Reserve the invoice number (only when creating);
+     *     otherwise the next number is only shown, e.g. for previews
+     * @param {InvoiceNumbering} [options.numbering] - Invoice number counters
      * @returns {Object} PayPal API compatible invoice payload
      */
-    static createPayPalInvoicePayload(invoiceData) {
+    static createPayPalInvoicePayload(invoiceData, options = {}) {
+        const currencyCode = Currency.resolve(invoiceData.currencyCode);
+
+        // Volume discounts from the business profile, unless the invoice sets its own discount
+        const volume = invoiceData.volumeDiscounts === false || invoiceData.discount
+            ? []
+            : VolumeDiscounts.select(invoiceData.items, new BusinessProfiles().get(invoiceData.business?.profileId).volumeDiscounts);
+
+        // Tax and legal notes from the invoicer's and customer's countries
+        const taxDecision = this.decideTax(invoiceData);
+
         // Build PayPal invoice payload following API v2 specification
         const invoice = {
             // Invoice basic details and metadata
             detail: {
-                invoice_number: invoiceData.invoiceNumber || this.generateInvoiceNumber(),
+                invoice_number: invoiceData.invoiceNumber || this.nextInvoiceNumber(invoiceData, options),
                 reference: invoiceData.reference || '',
                 invoice_date: invoiceData.invoiceDate || moment().format('YYYY-MM-DD'),
-                currency_code: invoiceData.currencyCode || 'USD',
-                note: invoiceData.note || 'Thank you for your business.',
-                term: invoiceData.terms || 'Payment due within 30 days.',
+                currency_code: currencyCode,
+                note: this.appendText(invoiceData.note || 'Thank you for your business.', taxDecision?.note),
+                term: this.appendText(invoiceData.terms || 'Payment due within 30 days.', taxDecision?.term),
                 memo: invoiceData.memo || '',
                 // Set payment terms to 3 days (DUE_ON_DATE_SPECIFIED)
                 payment_term: {
@@ -56,8 +85,10 @@ class InvoiceStructure {
                     postal_code: invoiceData.business.address?.postalCode || '',
                     country_code: invoiceData.business.address?.countryCode || 'US'
                 },
+                business_name: invoiceData.business.legalName || invoiceData.business.name || '',
                 website: invoiceData.business.website || '',
                 tax_id: invoiceData.business.taxId || '',
+                logo_url: invoiceData.business.logoUrl || undefined,
                 additional_notes: invoiceData.business.additionalNotes || ''
             },
             // Customer information (invoice recipient)
@@ -94,22 +125,13 @@ class InvoiceStructure {
                 quantity: item.quantity.toString(),
                 // Unit pricing with currency formatting
                 unit_amount: {
-                    currency_code: item.currencyCode || invoiceData.currencyCode || 'USD',
-                    value: parseFloat(item.unitAmount).toFixed(2)
+                    currency_code: item.currencyCode || currencyCode,
+                    value: Currency.formatValue(item.unitAmount, item.currencyCode || currencyCode)
                 },
-                // Tax handling (optional)
-                tax: item.tax ? {
-                    name: item.tax.name || 'Tax',
-                    percent: item.tax.percent?.toString() || '0'
-                } : undefined,
+                // Tax handling: the item's own tax, else the tax rules' decision
+                tax: this.createTax(item.tax || taxDecision?.tax),
                 // Discount handling (optional)
-                discount: item.discount ? {
-                    percent: item.discount.percent?.toString(),
-                    amount: item.discount.amount ? {
-                        currency_code: item.currencyCode || invoiceData.currencyCode || 'USD',
-                        value: parseFloat(item.discount.amount).toFixed(2)
-                    } : undefined
-                } : undefined,
+                discount: this.createDiscount(item.discount || VolumeDiscounts.forItem(item, volume), item.currencyCode || currencyCode),
                 unit_of_measure: 'QUANTITY'
             })),
             // Invoice payment and display configuration
@@ -117,14 +139,14 @@ class InvoiceStructure {
                 partial_payment: {
                     allow_partial_payment: invoiceData.allowPartialPayment || false,
                     minimum_amount_due: invoiceData.minimumAmountDue ? {
-                        currency_code: invoiceData.currencyCode || 'USD',
-                        value: parseFloat(invoiceData.minimumAmountDue).toFixed(2)
+                        currency_code: currencyCode,
+                        value: Currency.formatValue(invoiceData.minimumAmountDue, currencyCode)
                     } : undefined
                 },
                 allow_tip: invoiceData.allowTip || false,
                 // Tax calculation preferences
-                tax_calculated_after_discount: true,
-                tax_inclusive: false
+                tax_calculated_after_discount: invoiceData.taxCalculatedAfterDiscount !== false,
+                tax_inclusive: Boolean(invoiceData.taxInclusive)
             }
         };
 
@@ -133,36 +155,208 @@ class InvoiceStructure {
             invoice.additional_recipients = invoiceData.additionalRecipients;
         }
 
+        const breakdown = {};
+
+        // Invoice-level discount (percent or fixed amount) on the sum of the items
+        const discount = this.createDiscount(invoiceData.discount || VolumeDiscounts.forInvoice(volume), currencyCode);
+        if (discount) {
+            breakdown.discount = { invoice_discount: discount };
+        }
+
         // Add custom amount breakdown if provided (extra charges, fees, etc.)
         if (invoiceData.customAmount) {
-            invoice.amount = {
-                breakdown: {
-                    custom: {
-                        label: invoiceData.customAmount.label || 'Additional Charges',
-                        amount: {
-                            currency_code: invoiceData.currencyCode || 'USD',
-                            value: parseFloat(invoiceData.customAmount.amount).toFixed(2)
-                        }
-                    }
+            breakdown.custom = {
+                label: invoiceData.customAmount.label || 'Additional Charges',
+                amount: {
+                    currency_code: currencyCode,
+                    value: Currency.formatValue(invoiceData.customAmount.amount, currencyCode)
                 }
             };
         }
 
+        // Add shipping (optionally taxed) if provided
+        if (invoiceData.shipping) {
+            breakdown.shipping = {
+                amount: {
+                    currency_code: currencyCode,
+                    value: Currency.formatValue(invoiceData.shipping.amount, currencyCode)
+                },
+                tax: this.createTax(invoiceData.shipping.tax)
+            };
+        }
+
+        if (Object.keys(breakdown).length > 0) {
+            invoice.amount = { breakdown };
+        }
+
         return invoice;
     }
 
     /**
-     * Generate unique invoice number
+     * Decide the tax of an invoice with the tax rules
+     * 
+     * @param {Object} invoiceData - Internal invoice data structure
+     * @returns {Object|null} TaxRules decision, or null when the invoice opts out (taxRules: false)
+     */
+    static decideTax(invoiceData) {
+        return invoiceData.taxRules === false ? null : new TaxRules().forInvoice(invoiceData);
+    }
+
+    /**
+     * Convert a tax to PayPal's format
+     * 
+     * @param {Object} [tax] - Tax ({name, percent})
+     * @returns {Object|undefined} PayPal tax, or undefined for no tax
+     */
+    static createTax(tax) {
+        if (!tax) {
+            return undefined;
+        }
+        return {
+            name: tax.name || 'Tax',
+            percent: tax.percent?.toString() || '0'
+        };
+    }
+
+    /**
+     * Append a paragraph to note or term text
+     * 
+     * @param {string} text - Existing text
+     * @param {string} [addition] - Paragraph to add
+     * @returns {string} Combined text
+     */
+    static appendText(text, addition) {
+        if (!addition || text.includes(addition)) {
+            return text;
+        }
+        return `${text}\n\n${addition}`;
+    }
+
+    /**
+     * Convert a discount to PayPal's format
+     * 
+     * @param {Object} [discount] - Discount ({percent} or {amount})
+     * @param {string} currencyCode - Currency of a fixed amount
+     * @returns {Object|undefined} PayPal discount, or undefined for no discount
+     */
+    static createDiscount(discount, currencyCode) {
+        if (!discount || (!discount.percent && !discount.amount)) {
+            return undefined;
+        }
+
+        return {
+            percent: discount.percent?.toString(),
+            amount: discount.amount ? {
+                currency_code: currencyCode,
+                value: Currency.formatValue(discount.amount, currencyCode)
+            } : undefined
+        };
+    }
+
+    /**
+     * Body for PayPal's full invoice update (PUT) from a fetched invoice
+     * 
+     * Only the fields PayPal lets the invoicer write are copied: status, totals,
+     * due amount, payments, refunds, links and detail.metadata are PayPal's own,
+     * and amount keeps just the breakdown inputs (invoice discount, shipping and
+     * custom amount) PayPal calculates the totals from
+     * 
+     * @param {Object} invoice - PayPal invoice (from getInvoice)
+     * @param {Object} [changes={}] - Changes
+     * @param {Object} [changes.detail] - Fields merged into detail
+     * @returns {Object} PayPal API compatible update payload
+     */
+    static createUpdatePayload(invoice, changes = {}) {
+        const { metadata, ...detail } = invoice.detail || {};
+        const breakdown = invoice.amount?.breakdown || {};
+        const inputs = {
+            discount: breakdown.discount?.invoice_discount && { invoice_discount: breakdown.discount.invoice_discount },
+            shipping: breakdown.shipping,
+            custom: breakdown.custom
+        };
+        Object.keys(inputs).forEach(key => inputs[key] === undefined && delete inputs[key]);
+
+        const payload = {
+            detail: { ...detail, ...changes.detail },
+            invoicer: invoice.invoicer,
+            primary_recipients: invoice.primary_recipients,
+            additional_recipients: invoice.additional_recipients,
+            items: invoice.items,
+            configuration: invoice.configuration,
+            amount: Object.keys(inputs).length > 0 ? { breakdown: inputs } : undefined
+        };
+        Object.keys(payload).forEach(key => payload[key] === undefined && delete payload[key]);
+        return payload;
+    }
+
+    /**
+     * Idempotency key identifying one logical invoice
      * 
-     * Creates a unique invoice number using timestamp and random components
-     * Format: INV-{timestamp}-{random} (e.g., INV-12345678-001)
+     * The same input always gives the same key, so a retried or re-run creation can
+     * find the invoice an earlier attempt created instead of billing the customer twice.
+     * When the invoice has a reference (the source JSON's "reference", or the article URL
+     * for single services) the key is the business profile, customer and reference;
+     * otherwise it is a hash of the whole invoice content and its billing period: the
+     * invoice date if one is given, else the current month. Re-running the same input on
+     * a later day of the month finds the invoice, while next month's bill gets a new key
      * 
-     * @returns {string} Unique invoice number
+     * @param {Object} invoiceData - Internal invoice data structure
+     * @param {string} [invoiceData.idempotencyKey] - Explicit key, used as-is
+     * @returns {string} Idempotency key (sent to PayPal as PayPal-Request-Id, and the
+     *     invoice number reserved for it is reused on retries)
      */
-    static generateInvoiceNumber() {
-        const timestamp = Date.now().toString().slice(-8);
-        const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-        return `INV-${timestamp}-${random}`;
+    static idempotencyKey(invoiceData) {
+        if (invoiceData.idempotencyKey) {
+            return invoiceData.idempotencyKey;
+        }
+
+        const identity = {
+            profile: invoiceData.business?.profileId || '',
+            customer: (invoiceData.customer?.email || '').toLowerCase()
+        };
+        const content = invoiceData.reference
+            ? { ...identity, reference: invoiceData.reference }
+            : {
+                ...identity,
+                currency: Currency.resolve(invoiceData.currencyCode),
+                billingPeriod: invoiceData.invoiceDate || moment().format('YYYY-MM'),
+                items: invoiceData.items,
+                discount: invoiceData.discount
+            };
+
+        const hash = crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+        return `inv-${hash.slice(0, 40)}`;
+    }
+
+    /**
+     * Whether the idempotency key is a hash of the invoice content (no explicit key,
+     * reference or invoice number identifies the invoice)
+     * 
+     * @param {Object} invoiceData - Internal invoice data structure
+     * @returns {boolean} True if idempotencyKey hashes the content
+     */
+    static hasContentKey(invoiceData) {
+        return !invoiceData.idempotencyKey && !invoiceData.reference && !invoiceData.invoiceNumber;
+    }
+
+    /**
+     * Next invoice number from the business profile's numbering pattern
+     * 
+     * @param {Object} invoiceData - Internal invoice data structure
+     * @param {Object} [options={}] - reserveNumber and numbering (see createPayPalInvoicePayload)
+     * @returns {string} Invoice number
+     */
+    static nextInvoiceNumber(invoiceData, options = {}) {
+        const numbering = options.numbering || new InvoiceNumbering();
+        const profile = new BusinessProfiles().get(invoiceData.business?.profileId);
+        const numberingOptions = {
+            date: invoiceData.invoiceDate,
+            idempotencyKey: this.idempotencyKey(invoiceData)
+        };
+
+        return options.reserveNumber
+            ? numbering.reserve(profile, numberingOptions)
+            : numbering.peek(profile, numberingOptions);
     }
 
     /**
@@ -175,9 +369,15 @@ class InvoiceStructure {
      * @param {'guest_post'|'link_insert'} serviceType - Type of service
      * @param {number} price - Service price
      * @param {string} [description=''] - Additional service description
+     * @param {Object} [options={}] - Template options
+     * @param {string} [options.profile] - Business profile to bill from (default profile if omitted)
+     * @param {string} [options.currency] - Invoice currency (default: the customer's, else the profile's)
      * @returns {Object} Complete invoice data structure
      */
-    static createGuestPostInvoiceData(customerData, serviceType, price, description = '') {
+    static createGuestPostInvoiceData(customerData, serviceType, price, description = '', options = {}) {
+        const profile = new BusinessProfiles().get(options.profile);
+        const currency = Currency.resolve(options.currency, customerData.defaultCurrency, profile.defaultCurrency);
+
         // Standard service descriptions
         const serviceDescriptions = {
             'guest_post': 'Guest Post Article Publication',
@@ -195,35 +395,20 @@ class InvoiceStructure {
                 phone: customerData.phone || '',
                 vatNumber: customerData.vatNumber || ''
             },
-            // Business information from environment variables
-            business: {
-                name: process.env.BUSINESS_NAME || 'Digital Marketing Services',
-                firstName: 'Digital Marketing',
-                lastName: 'Services',
-                email: process.env.BUSINESS_EMAIL || 'billing@yourbusiness.com',
-                phone: process.env.BUSINESS_PHONE || '',
-                website: process.env.BUSINESS_WEBSITE || '',
-                address: {
-                    line1: process.env.BUSINESS_ADDRESS_LINE_1 || '',
-                    line2: process.env.BUSINESS_ADDRESS_LINE_2 || '',
-                    city: process.env.BUSINESS_CITY || '',
-                    state: process.env.BUSINESS_STATE || '',
-                    postalCode: process.env.BUSINESS_POSTAL_CODE || '',
-                    countryCode: process.env.BUSINESS_COUNTRY || 'US'
-                }
-            },
+            // Business information from the selected business profile
+            business: BusinessProfiles.toBusinessInfo(profile),
             // Service item details
             items: [{
                 name: serviceDescriptions[serviceType] || 'Digital Marketing Service',
                 description: description || `${serviceDescriptions[serviceType]} - Digital marketing service`,
                 quantity: 1,
                 unitAmount: price,
-                currencyCode: 'USD'
+                currencyCode: currency
             }],
-            currencyCode: 'USD',
+            currencyCode: currency,
             // Standard terms for digital marketing services
             note: 'Thank you for choosing our digital marketing services. Payment is due within 30 days.',
-            terms: 'Payment due within 30 days. No refunds for digital services once delivered.',
+            terms: profile.terms || 'Payment due within 30 days. No refunds for digital services once delivered.',
             paymentTerm: 'NET_30',
             allowPartialPayment: false,
             allowTip: false
@@ -282,33 +467,40 @@ class InvoiceStructure {
         }
         preview += '\n';
 
-        // Create formatted table for invoice items
+        // Create formatted table for invoice items, with amounts as PayPal will bill them
+        const totals = InvoiceTotals.calculate(invoice);
+        const money = amount => Currency.format(amount, totals.currency);
         const table = new Table({
-            head: ['Item', 'Description', 'Qty', 'Unit Price', 'Total'],
-            colWidths: [20, 30, 8, 12, 12]
+            head: ['Item', 'Description', 'Qty', 'Unit Price', 'Discount', 'Tax', 'Amount'],
+            colWidths: [20, 30, 6, 14, 12, 8, 14],
+            wordWrap: true
         });
 
-        // Calculate totals and populate table rows
-        let totalAmount = 0;
-        invoice.items.forEach(item => {
-            const unitPrice = parseFloat(item.unit_amount.value);
-            const quantity = parseFloat(item.quantity);
-            const itemTotal = unitPrice * quantity;
-            totalAmount += itemTotal;
-
+        totals.lines.forEach(line => {
             table.push([
-                item.name,
-                item.description || '',
-                item.quantity,
-                `${item.unit_amount.currency_code} ${unitPrice.toFixed(2)}`,
-                `${item.unit_amount.currency_code} ${itemTotal.toFixed(2)}`
+                line.name,
+                line.description,
+                line.quantity,
+                money(line.unitPrice),
+                line.discount ? `-${Currency.toValue(line.discount, totals.currency)}${line.discountLabel ? ` (${line.discountLabel})` : ''}` : '-',
+                line.taxPercent ? `${line.taxPercent}%` : '-',
+                money(line.amount)
             ]);
         });
 
         preview += table.toString() + '\n\n';
 
-        // Display total amount
-        preview += chalk.bold.green(`TOTAL: ${invoice.detail.currency_code} ${totalAmount.toFixed(2)}`) + '\n\n';
+        // Display subtotal, discounts, taxes and charges, then the total
+        const rows = [['Subtotal', totals.subtotal]];
+        if (totals.invoiceDiscount) rows.push(['Discount', -totals.invoiceDiscount]);
+        totals.taxes.forEach(tax => rows.push([tax.label, tax.amount]));
+        if (totals.shipping) rows.push(['Shipping', totals.shipping]);
+        if (totals.custom) rows.push([totals.custom.label, totals.custom.amount]);
+
+        rows.forEach(([label, amount]) => {
+            preview += `${label}: `.padEnd(28) + money(amount).padStart(18) + '\n';
+        });
+        preview += chalk.bold.green('TOTAL: '.padEnd(28) + money(totals.paypalTotal ?? totals.total).padStart(18)) + '\n\n';
 
         // Display additional notes and terms
         if (invoice.detail.note) {
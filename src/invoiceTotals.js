@@ -0,0 +1,188 @@
+const Currency = require('./currency');
+
+/**
+ * Invoice Totals Calculator
+ * 
+ * Works out what PayPal will bill for an invoice - the createPayPalInvoicePayload
+ * output or an invoice fetched from PayPal - following PayPal's rules:
+ * 
+ * - Line amount: quantity x unit price, less the item discount (amount or percent)
+ * - Invoice discount (amount.breakdown.discount.invoice_discount) applies to the
+ *   sum of the line amounts
+ * - Tax is charged per line at the item's tax percent. With tax_calculated_after_discount
+ *   (the default) it is charged on the line after both discounts, the invoice discount
+ *   being shared across lines in proportion to their amounts; otherwise on the
+ *   undiscounted line
+ * - With tax_inclusive the prices already contain the tax, so it is shown but not added
+ * - Shipping (with its own optional tax) and the custom amount are added last
+ * 
+ * Every amount is rounded to the currency's minor unit (no decimals for JPY, HUF
+ * and TWD) as it is calculated, the way PayPal rounds each line. All amounts in the
+ * result are integers in minor units
+ */
+class InvoiceTotals {
+    /**
+     * Calculate line amounts and invoice totals
+     * 
+     * @param {Object} invoice - PayPal invoice payload or fetched PayPal invoice
+     * @returns {Object} Currency, line rows and totals (amounts in minor units); paypalTotal,
+     *   paid and due are PayPal's own figures for fetched invoices (null otherwise)
+     */
+    static calculate(invoice) {
+        const currency = Currency.resolve(invoice.detail?.currency_code, invoice.amount?.currency_code);
+        const toMinor = value => Currency.toMinor(value, currency);
+        const configuration = invoice.configuration || {};
+        const taxAfterDiscount = configuration.tax_calculated_after_discount !== false;
+        const taxInclusive = Boolean(configuration.tax_inclusive);
+        const breakdown = invoice.amount?.breakdown || {};
+
+        const lines = (invoice.items || []).map(item => {
+            const quantity = parseFloat(item.quantity || 1);
+            const unitPrice = toMinor(item.unit_amount?.value);
+            const gross = Currency.round(unitPrice * quantity);
+
+            let discount = 0;
+            if (item.discount?.amount?.value) {
+                discount = toMinor(item.discount.amount.value);
+            } else if (item.discount?.percent) {
+                discount = Currency.round(gross * parseFloat(item.discount.percent) / 100);
+            }
+            discount = Math.min(discount, gross);
+
+            return {
+                name: item.name,
+                description: item.description || '',
+                quantity,
+                unitPrice,
+                gross,
+                discount,
+                discountLabel: item.discount?.percent ? `${parseFloat(item.discount.percent)}%` : '',
+                taxName: item.tax?.name || 'Tax',
+                taxPercent: item.tax?.percent ? parseFloat(item.tax.percent) : 0,
+                tax: 0,
+                amount: gross - discount
+            };
+        });
+
+        const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+
+        let invoiceDiscount = 0;
+        const discountSpec = breakdown.discount?.invoice_discount;
+        if (discountSpec?.amount?.value) {
+            invoiceDiscount = toMinor(discountSpec.amount.value);
+        } else if (discountSpec?.percent) {
+            invoiceDiscount = Currency.round(subtotal * parseFloat(discountSpec.percent) / 100);
+        }
+        invoiceDiscount = Math.min(invoiceDiscount, subtotal);
+
+        const taxes = new Map();
+        const addTax = (name, percent, base) => {
+            const rate = percent / 100;
+            const tax = Currency.round(taxInclusive ? base - base / (1 + rate) : base * rate);
+            const label = `${taxInclusive ? 'Incl. ' : ''}${name} (${percent}%)`;
+            taxes.set(label, (taxes.get(label) || 0) + tax);
+            return tax;
+        };
+
+        const discountShares = InvoiceTotals.allocate(invoiceDiscount, lines.map(line => line.amount));
+        lines.forEach((line, index) => {
+            if (line.taxPercent > 0) {
+                const base = taxAfterDiscount ? line.amount - discountShares[index] : line.gross;
+                line.tax = addTax(line.taxName, line.taxPercent, base);
+            }
+        });
+
+        const shipping = breakdown.shipping?.amount?.value ? toMinor(breakdown.shipping.amount.value) : 0;
+        const shippingTaxPercent = parseFloat(breakdown.shipping?.tax?.percent || 0);
+        if (shipping && shippingTaxPercent > 0) {
+            addTax(breakdown.shipping.tax.name || 'Tax', shippingTaxPercent, shipping);
+        }
+
+        const custom = breakdown.custom?.amount?.value
+            ? { label: breakdown.custom.label || 'Additional Charges', amount: toMinor(breakdown.custom.amount.value) }
+            : null;
+
+        const taxTotal = Array.from(taxes.values()).reduce((sum, tax) => sum + tax, 0);
+        const total = subtotal - invoiceDiscount + (taxInclusive ? 0 : taxTotal) + shipping + (custom ? custom.amount : 0);
+
+        return {
+            currency,
+            taxInclusive,
+            lines,
+            itemTotal: lines.reduce((sum, line) => sum + line.gross, 0),
+            itemDiscount: lines.reduce((sum, line) => sum + line.discount, 0),
+            subtotal,
+            invoiceDiscount,
+            taxes: Array.from(taxes.entries()).map(([label, amount]) => ({ label, amount })),
+            taxTotal,
+            shipping,
+            custom,
+            total,
+            paypalTotal: invoice.amount?.value ? toMinor(invoice.amount.value) : null,
+            paid: invoice.payments?.paid_amount?.value ? toMinor(invoice.payments.paid_amount.value) : null,
+            due: invoice.due_amount?.value ? toMinor(invoice.due_amount.value) : null
+        };
+    }
+
+    /**
+     * Pre-flight check of a calculated total
+     * 
+     * @param {Object} totals - calculate result
+     * @param {string|number} [expectedTotal] - Total the invoice must come to
+     * @returns {Object} Validation result with isValid flag and errors array
+     */
+    static verify(totals, expectedTotal) {
+        const errors = [];
+
+        if (totals.total <= 0) {
+            errors.push(`Invoice total must be greater than zero (calculated ${Currency.format(totals.total, totals.currency)})`);
+        }
+
+        if (expectedTotal !== undefined && expectedTotal !== null && expectedTotal !== '') {
+            if (isNaN(parseFloat(expectedTotal))) {
+                errors.push(`Expected total is not a number: ${expectedTotal}`);
+            } else if (Currency.toMinor(expectedTotal, totals.currency) !== totals.total) {
+                errors.push(`Invoice total ${Currency.format(totals.total, totals.currency)} does not match the expected total ${Currency.format(Currency.toMinor(expectedTotal, totals.currency), totals.currency)}`);
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Split an amount across lines in proportion to their weights
+     * 
+     * Remainders go to the lines with the largest fractional shares, so the
+     * shares always add up to exactly the amount
+     * 
+     * @param {number} amount - Integer amount to split
+     * @param {Array<number>} weights - Line amounts
+     * @returns {Array<number>} Integer share per line
+     */
+    static allocate(amount, weights) {
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        if (!amount || totalWeight <= 0) {
+            return weights.map(() => 0);
+        }
+
+        const exact = weights.map(weight => amount * weight / totalWeight);
+        const shares = exact.map(Math.floor);
+        let remainder = amount - shares.reduce((sum, share) => sum + share, 0);
+
+        exact.map((value, index) => ({ index, fraction: value - shares[index] }))
+            .sort((a, b) => b.fraction - a.fraction)
+            .forEach(({ index }) => {
+                if (remainder > 0) {
+                    shares[index] += 1;
+                    remainder -= 1;
+                }
+            });
+
+        return shares;
+    }
+}
+
+module.exports = InvoiceTotals;
@@ -1,4 +1,26 @@
 const validator = require('validator');
+const Currency = require('./currency');
+const { definitions } = require('../schemas/invoice.v1.schema.json');
+
+/**
+ * Limits shared with the invoice input schema, so a file that passes `paypal-invoice validate`
+ * isn't rejected here for the same field (tests/invoiceSchema.test.js checks the rest agree)
+ */
+const ADDRESS_LIMITS = {
+    line1: definitions.address.properties.line1.maxLength,
+    city: definitions.address.properties.city.maxLength
+};
+const MAX_DISCOUNT_PERCENT = definitions.percent.maximum;
+
+/**
+ * Payment methods PayPal accepts for payments and refunds recorded outside PayPal
+ */
+const PAYMENT_METHODS = ['BANK_TRANSFER', 'CASH', 'CHECK', 'CREDIT_CARD', 'DEBIT_CARD', 'PAYPAL', 'WIRE_TRANSFER', 'OTHER'];
+
+/**
+ * Invoice statuses that can still receive a payment
+ */
+const PAYABLE_STATUSES = ['SENT', 'UNPAID', 'PARTIALLY_PAID', 'SCHEDULED'];
 
 /**
  * Invoice Data Validation Handler
@@ -7,9 +29,13 @@ const validator = require('validator');
  * Ensures data integrity and prevents API errors by validating:
  * - Customer information (email, name, address)
  * - Invoice items (name, quantity, pricing)
+ * - Currency (supported by PayPal, the same on every item, amounts with the currency's decimals)
  * - Business information
+ * - Payments and refunds recorded outside PayPal
  * 
- * Uses the 'validator' library for email and format validation
+ * Uses the 'validator' library for email and format validation. Field limits come from
+ * the invoice input schema (schemas/invoice.v1.schema.json), which checks the JSON files
+ * these invoices are built from
  */
 class InvoiceValidator {
     /**
@@ -42,11 +68,11 @@ class InvoiceValidator {
         // Validate address (optional but if provided, should be valid)
         if (customerInfo.address) {
             // Check PayPal field length limits
-            if (customerInfo.address.line1 && customerInfo.address.line1.length > 300) {
-                errors.push('Address line 1 must be less than 300 characters');
+            if (customerInfo.address.line1 && customerInfo.address.line1.length > ADDRESS_LIMITS.line1) {
+                errors.push(`Address line 1 must be less than ${ADDRESS_LIMITS.line1} characters`);
             }
-            if (customerInfo.address.city && customerInfo.address.city.length > 120) {
-                errors.push('City must be less than 120 characters');
+            if (customerInfo.address.city && customerInfo.address.city.length > ADDRESS_LIMITS.city) {
+                errors.push(`City must be less than ${ADDRESS_LIMITS.city} characters`);
             }
             // Validate country code format (ISO 3166-1 alpha-2)
             if (customerInfo.address.countryCode && !validator.isISO31661Alpha2(customerInfo.address.countryCode)) {
@@ -95,6 +121,11 @@ class InvoiceValidator {
             if (item.description && item.description.length > 1000) {
                 errors.push(`Item ${index + 1}: Description must be less than 1000 characters`);
             }
+
+            // Validate discount (optional)
+            if (item.discount) {
+                errors.push(...this.validateDiscount(item.discount, `Item ${index + 1}: Discount`).errors);
+            }
         });
 
         return {
@@ -141,11 +172,192 @@ class InvoiceValidator {
             allErrors = allErrors.concat(businessValidation.errors);
         }
 
+        // Validate the invoice-level discount (optional)
+        if (invoiceData.discount) {
+            allErrors = allErrors.concat(this.validateDiscount(invoiceData.discount, 'Invoice discount').errors);
+        }
+
+        // Validate the currency of the invoice and of every amount in it
+        allErrors = allErrors.concat(this.validateCurrency(invoiceData).errors);
+
         return {
             isValid: allErrors.length === 0,
             errors: allErrors
         };
     }
+
+    /**
+     * Validate a discount: either a percentage or a fixed amount
+     * 
+     * Whether a fixed amount exceeds what it discounts is checked with the
+     * invoice total (see InvoiceTotals.verify)
+     * 
+     * @param {Object} discount - Discount ({percent} or {amount})
+     * @param {string} label - Prefix for error messages
+     * @returns {Object} Validation result with isValid flag and errors array
+     */
+    static validateDiscount(discount, label) {
+        const errors = [];
+        const hasPercent = discount.percent !== undefined && discount.percent !== null && discount.percent !== '';
+        const hasAmount = discount.amount !== undefined && discount.amount !== null && discount.amount !== '';
+
+        if (hasPercent === hasAmount) {
+            errors.push(`${label} must have either a percent or an amount`);
+        } else if (hasPercent && !(parseFloat(discount.percent) > 0 && parseFloat(discount.percent) <= MAX_DISCOUNT_PERCENT)) {
+            errors.push(`${label} percent must be more than 0 and at most ${MAX_DISCOUNT_PERCENT}`);
+        } else if (hasAmount && !(parseFloat(discount.amount) > 0)) {
+            errors.push(`${label} amount must be greater than zero`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate the invoice currency and the amounts billed in it
+     * 
+     * PayPal bills a whole invoice in one currency, so every item must use the
+     * invoice currency, and amounts can't have more decimals than the currency
+     * has (none for JPY, HUF and TWD)
+     * 
+     * @param {Object} invoiceData - Complete invoice data
+     * @returns {Object} Validation result with isValid flag and errors array
+     */
+    static validateCurrency(invoiceData) {
+        const errors = [];
+        const currency = Currency.resolve(invoiceData.currencyCode);
+
+        if (!Currency.isSupported(currency)) {
+            errors.push(`PayPal can't invoice in ${currency}; use one of ${Currency.SUPPORTED_CURRENCIES.join(', ')}`);
+        }
+
+        const checkPrecision = (value, label) => {
+            if (value !== undefined && value !== null && value !== '' && !Currency.hasValidPrecision(value, currency)) {
+                const decimals = Currency.decimals(currency);
+                errors.push(`${label} ${value} has too many decimals for ${currency} (${decimals === 0 ? 'whole amounts only' : `at most ${decimals}`})`);
+            }
+        };
+
+        (invoiceData.items || []).forEach((item, index) => {
+            if (item.currencyCode && item.currencyCode.toUpperCase() !== currency) {
+                errors.push(`Item ${index + 1}: Currency ${item.currencyCode} doesn't match the invoice currency ${currency}`);
+            }
+            checkPrecision(item.unitAmount, `Item ${index + 1}: Unit amount`);
+            checkPrecision(item.discount?.amount, `Item ${index + 1}: Discount amount`);
+        });
+
+        checkPrecision(invoiceData.discount?.amount, 'Invoice discount amount');
+        checkPrecision(invoiceData.customAmount?.amount, 'Custom amount');
+        checkPrecision(invoiceData.shipping?.amount, 'Shipping amount');
+        checkPrecision(invoiceData.minimumAmountDue, 'Minimum amount due');
+        checkPrecision(invoiceData.expectedTotal, 'Expected total');
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate an external payment against the invoice it is recorded on
+     * 
+     * Partial payments are allowed, but never more than the remaining due_amount
+     * 
+     * @param {Object} payment - Payment data ({amount, method, date})
+     * @param {Object} invoice - Current PayPal invoice
+     * @returns {Object} Validation result with isValid flag and errors array
+     */
+    static validatePayment(payment, invoice) {
+        const errors = this.validateTransaction(payment);
+
+        if (!PAYABLE_STATUSES.includes(invoice.status)) {
+            errors.push(`Payments can't be recorded on an invoice with status ${invoice.status}`);
+        }
+
+        const dueAmount = invoice.due_amount || invoice.amount;
+        if (dueAmount) {
+            errors.push(...this.validateTransactionPrecision(payment, dueAmount.currency_code));
+        }
+        if (dueAmount && Currency.toMinor(payment.amount, dueAmount.currency_code) > Currency.toMinor(dueAmount.value, dueAmount.currency_code)) {
+            errors.push(`Payment of ${payment.amount} exceeds the remaining due amount of ${dueAmount.currency_code} ${dueAmount.value}`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate a refund against the payments already made on an invoice
+     * 
+     * @param {Object} refund - Refund data ({amount, method, date})
+     * @param {Object} invoice - Current PayPal invoice
+     * @returns {Object} Validation result with isValid flag and errors array
+     */
+    static validateRefund(refund, invoice) {
+        const errors = this.validateTransaction(refund);
+
+        const currency = invoice.payments?.paid_amount?.currency_code || invoice.amount?.currency_code;
+        const paid = Currency.toMinor(invoice.payments?.paid_amount?.value, currency);
+        const refunded = Currency.toMinor(invoice.refunds?.refund_amount?.value, currency);
+        const refundable = paid - refunded;
+
+        errors.push(...this.validateTransactionPrecision(refund, currency));
+        if (refundable <= 0) {
+            errors.push('Invoice has no payments left to refund');
+        } else if (Currency.toMinor(refund.amount, currency) > refundable) {
+            errors.push(`Refund of ${refund.amount} exceeds the refundable amount of ${currency} ${Currency.toValue(refundable, currency)}`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Check a payment or refund amount has no more decimals than the invoice currency
+     * 
+     * @param {Object} transaction - Payment or refund data
+     * @param {string} currency - Invoice currency
+     * @returns {Array<string>} Validation errors
+     */
+    static validateTransactionPrecision(transaction, currency) {
+        if (parseFloat(transaction.amount) > 0 && !Currency.hasValidPrecision(transaction.amount, currency)) {
+            return [`Amount ${transaction.amount} has too many decimals for ${currency}`];
+        }
+        return [];
+    }
+
+    /**
+     * Validate the fields shared by payments and refunds
+     * 
+     * @param {Object} transaction - Payment or refund data
+     * @returns {Array<string>} Validation errors
+     */
+    static validateTransaction(transaction) {
+        const errors = [];
+
+        const amount = parseFloat(transaction.amount);
+        if (isNaN(amount) || amount <= 0) {
+            errors.push('Amount must be greater than 0');
+        }
+
+        if (!PAYMENT_METHODS.includes(transaction.method)) {
+            errors.push(`Method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+        }
+
+        if (transaction.date && !validator.isDate(transaction.date, { format: 'YYYY-MM-DD', strictMode: true })) {
+            errors.push('Date must be in YYYY-MM-DD format');
+        }
+
+        return errors;
+    }
 }
 
+InvoiceValidator.PAYMENT_METHODS = PAYMENT_METHODS;
+
 module.exports = InvoiceValidator;
\ No newline at end of file
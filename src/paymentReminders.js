@@ -0,0 +1,95 @@
+const moment = require('moment');
+const InvoiceLedger = require('./invoiceLedger');
+
+/**
+ * Default reminder templates
+ * 
+ * Placeholders: {invoiceNumber}, {customerName}, {amount}, {currency}, {dueDate}, {daysOverdue}, {businessName}
+ */
+const DEFAULT_TEMPLATES = {
+    subject: 'Payment reminder: invoice {invoiceNumber} is {daysOverdue} days overdue',
+    note: 'Dear {customerName},\n\nThis is a friendly reminder that invoice {invoiceNumber} for {currency} {amount} was due on {dueDate} and is now {daysOverdue} days overdue.\n\nPlease arrange payment at your earliest convenience. If you have already paid, please ignore this reminder.\n\nBest regards,\n{businessName}'
+};
+
+/**
+ * Payment Reminder Planner
+ * 
+ * Decides which sent-but-unpaid invoices need a reminder, based on how many days
+ * they are past payment_term.due_date and when the last reminder went out,
+ * and renders the templated subject/note for each reminder
+ */
+class PaymentReminders {
+    /**
+     * Find invoices that should be reminded
+     * 
+     * @param {Array<Object>} records - Invoice records from the local ledger
+     * @param {Object} [options={}] - Reminder rules
+     * @param {number} [options.overdueDays=0] - Remind only when more than this many days past the due date
+     * @param {number} [options.minIntervalDays=7] - Skip invoices reminded within this many days
+     * @param {string} [options.asOf] - Date to evaluate against (YYYY-MM-DD), defaults to today
+     * @returns {Array<Object>} Reminder candidates ({record, daysOverdue, lastRemindedAt})
+     */
+    static findDue(records, options = {}) {
+        const overdueDays = options.overdueDays || 0;
+        const minIntervalDays = options.minIntervalDays !== undefined ? options.minIntervalDays : 7;
+        const asOf = moment(options.asOf || moment().format('YYYY-MM-DD'));
+
+        return records
+            .filter(record => InvoiceLedger.isUnpaid(record) && record.status !== 'SCHEDULED' && record.dueDate)
+            .map(record => ({
+                record,
+                daysOverdue: asOf.diff(moment(record.dueDate), 'days'),
+                lastRemindedAt: record.lastRemindedAt || null
+            }))
+            .filter(candidate => candidate.daysOverdue > overdueDays)
+            .filter(candidate => !candidate.lastRemindedAt
+                || asOf.diff(moment(candidate.lastRemindedAt).startOf('day'), 'days') >= minIntervalDays);
+    }
+
+    /**
+     * Render the reminder subject and note for one candidate
+     * 
+     * @param {Object} candidate - Candidate from findDue
+     * @param {Object} [templates={}] - Subject/note templates (defaults used for missing ones)
+     * @param {string} [businessName=''] - Name used to sign the reminder
+     * @returns {{subject: string, note: string}} Rendered reminder text
+     */
+    static render(candidate, templates = {}, businessName = '') {
+        const { record, daysOverdue } = candidate;
+        const amount = record.dueAmount || { currency: record.totals?.currency, value: record.totals?.total };
+
+        const values = {
+            invoiceNumber: record.invoiceNumber || record.invoiceId,
+            customerName: record.customer?.name || record.customer?.businessName || 'Customer',
+            amount: amount.value || '',
+            currency: amount.currency || '',
+            dueDate: record.dueDate,
+            daysOverdue,
+            businessName
+        };
+
+        return {
+            subject: this.fillTemplate(templates.subject || DEFAULT_TEMPLATES.subject, values),
+            note: this.fillTemplate(templates.note || DEFAULT_TEMPLATES.note, values)
+        };
+    }
+
+    /**
+     * Replace {placeholder} tokens with values
+     * 
+     * Unknown placeholders are left untouched so typos are visible in the dry run
+     * 
+     * @param {string} template - Template text
+     * @param {Object} values - Placeholder values
+     * @returns {string} Rendered text
+     */
+    static fillTemplate(template, values) {
+        return template.replace(/\{(\w+)\}/g, (match, key) => (
+            values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+        ));
+    }
+}
+
+PaymentReminders.DEFAULT_TEMPLATES = DEFAULT_TEMPLATES;
+
+module.exports = PaymentReminders;
@@ -1,35 +1,98 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const { PayPalApiError } = require('./paypalErrors');
 require('dotenv').config();
 
+/**
+ * Defaults for the HTTP layer (override per instance or with PAYPAL_TIMEOUT_MS
+ * and PAYPAL_MAX_RETRIES)
+ */
+const HTTP_DEFAULTS = {
+    timeout: 30000,         // Per attempt, in milliseconds
+    maxRetries: 3,          // Retries after the first attempt
+    retryBaseDelay: 500,    // First backoff, doubled on every retry
+    retryMaxDelay: 30000    // Longest wait between attempts (Retry-After included)
+};
+
+/**
+ * Network error codes worth retrying
+ */
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ERR_NETWORK'];
+
 /**
  * PayPal Authentication Handler
  * 
  * Manages OAuth2 authentication with PayPal API
  * Handles token generation, caching, and automatic renewal
  * Supports both SANDBOX and PRODUCTION environments
+ * 
+ * Requests time out, and are retried with exponential backoff and jitter on
+ * network errors, 429 and 5xx responses (waiting as long as Retry-After asks).
+ * A 401 refreshes the token once and repeats the request. Retried POSTs always
+ * carry a PayPal-Request-Id, so PayPal never performs them twice. Failures are
+ * thrown as PayPalApiError with PayPal's name, debug_id and details
  */
 class PayPalAuth {
-    constructor() {
-        // Load PayPal credentials from environment variables
-        this.clientId = process.env.PAYPAL_CLIENT_ID;
-        this.clientSecret = process.env.PAYPAL_CLIENT_SECRET;
-        this.environment = process.env.PAYPAL_ENVIRONMENT || 'SANDBOX';
+    /**
+     * @param {Object} [credentials={}] - PayPal credentials (e.g. from a business profile)
+     * @param {string} [credentials.clientId] - Client ID (defaults to PAYPAL_CLIENT_ID)
+     * @param {string} [credentials.clientSecret] - Client secret (defaults to PAYPAL_CLIENT_SECRET)
+     * @param {string} [credentials.environment] - SANDBOX or PRODUCTION (defaults to PAYPAL_ENVIRONMENT)
+     * @param {string} [credentials.apiBaseUrl] - API base URL replacing the environment's, e.g. the
+     *     local mock server (defaults to PAYPAL_API_BASE_URL)
+     * @param {Object} [http={}] - HTTP settings (see HTTP_DEFAULTS)
+     * @param {number} [http.timeout] - Timeout per attempt in milliseconds (defaults to PAYPAL_TIMEOUT_MS)
+     * @param {number} [http.maxRetries] - Retries after the first attempt (defaults to PAYPAL_MAX_RETRIES)
+     * @param {number} [http.retryBaseDelay] - First backoff in milliseconds
+     * @param {number} [http.retryMaxDelay] - Longest wait between attempts in milliseconds
+     */
+    constructor(credentials = {}, http = {}) {
+        // Load PayPal credentials, falling back to environment variables
+        this.clientId = credentials.clientId || process.env.PAYPAL_CLIENT_ID;
+        this.clientSecret = credentials.clientSecret || process.env.PAYPAL_CLIENT_SECRET;
+        this.environment = credentials.environment || process.env.PAYPAL_ENVIRONMENT || 'SANDBOX';
         
-        // Set appropriate API base URL based on environment
-        this.baseURL = this.environment === 'PRODUCTION' 
+        // Set appropriate API base URL based on environment, unless pointed elsewhere (mock server)
+        const environmentURL = this.environment === 'PRODUCTION' 
             ? 'https://api-m.paypal.com' 
             : 'https://api-m.sandbox.paypal.com';
+        this.baseURL = (credentials.apiBaseUrl || process.env.PAYPAL_API_BASE_URL || environmentURL).replace(/\/+$/, '');
         
         // Token caching to avoid unnecessary API calls
         this.accessToken = null;
         this.tokenExpiry = null;
+        this.tokenRequest = null;
+
+        this.http = {
+            ...HTTP_DEFAULTS,
+            ...PayPalAuth.httpSettingsFromEnv(),
+            ...Object.fromEntries(Object.entries(http).filter(([, value]) => value !== undefined))
+        };
+    }
+
+    /**
+     * HTTP settings given in the environment
+     * 
+     * @returns {Object} timeout and maxRetries, when set
+     */
+    static httpSettingsFromEnv() {
+        const settings = {};
+        const timeout = parseInt(process.env.PAYPAL_TIMEOUT_MS, 10);
+        const maxRetries = parseInt(process.env.PAYPAL_MAX_RETRIES, 10);
+        if (timeout > 0) {
+            settings.timeout = timeout;
+        }
+        if (maxRetries >= 0) {
+            settings.maxRetries = maxRetries;
+        }
+        return settings;
     }
 
     /**
      * Get Access Token with automatic caching and renewal
      * 
      * @returns {Promise<string>} Valid PayPal access token
-     * @throws {Error} If authentication fails
+     * @throws {PayPalApiError} If authentication fails
      */
     async getAccessToken() {
         // Check if we have a valid cached token to avoid unnecessary API calls
@@ -37,36 +100,59 @@ class PayPalAuth {
             return this.accessToken;
         }
 
+        // Concurrent requests (e.g. a batch run) share one token request
+        if (!this.tokenRequest) {
+            this.tokenRequest = this.requestAccessToken().finally(() => {
+                this.tokenRequest = null;
+            });
+        }
+        return this.tokenRequest;
+    }
+
+    /**
+     * Request a new access token from PayPal's OAuth2 endpoint
+     * 
+     * @returns {Promise<string>} New access token
+     * @throws {PayPalApiError} If authentication fails
+     */
+    async requestAccessToken() {
+        // Create base64 encoded credentials for Basic Auth
+        const auth = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+
+        let response;
         try {
-            // Create base64 encoded credentials for Basic Auth
-            const auth = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
-            
             // Request access token from PayPal OAuth2 endpoint
-            const response = await axios.post(
-                `${this.baseURL}/v1/oauth2/token`,
-                'grant_type=client_credentials',
-                {
-                    headers: {
-                        'Accept': 'application/json',
-                        'Accept-Language': 'en_US',
-                        'Authorization': `Basic ${auth}`,
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    }
+            response = await this.sendWithRetry({
+                method: 'POST',
+                url: `${this.baseURL}/v1/oauth2/token`,
+                data: 'grant_type=client_credentials',
+                headers: {
+                    'Accept': 'application/json',
+                    'Accept-Language': 'en_US',
+                    'Authorization': `Basic ${auth}`,
+                    'Content-Type': 'application/x-www-form-urlencoded'
                 }
-            );
-
-            // Cache the token and set expiry time
-            this.accessToken = response.data.access_token;
-            // Set expiry time (subtract 5 minutes for safety buffer)
-            this.tokenExpiry = Date.now() + (response.data.expires_in * 1000) - (5 * 60 * 1000);
-            
-            console.log(`✅ PayPal authentication successful (${this.environment})`);
-            return this.accessToken;
-
+            }, '/v1/oauth2/token');
         } catch (error) {
-            console.error('❌ PayPal authentication failed:', error.response?.data || error.message);
-            throw new Error('Failed to authenticate with PayPal API');
+            error.message = `Failed to authenticate with PayPal API: ${error.message}`;
+            throw error;
         }
+
+        // Cache the token and set expiry time
+        this.accessToken = response.data.access_token;
+        // Set expiry time (subtract 5 minutes for safety buffer)
+        this.tokenExpiry = Date.now() + (response.data.expires_in * 1000) - (5 * 60 * 1000);
+
+        console.log(`✅ PayPal authentication successful (${this.environment})`);
+        return this.accessToken;
+    }
+
+    /**
+     * Forget the cached token, so the next request authenticates again
+     */
+    clearAccessToken() {
+        this.accessToken = null;
+        this.tokenExpiry = null;
     }
 
     /**
@@ -75,37 +161,132 @@ class PayPalAuth {
      * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
      * @param {string} endpoint - API endpoint path (e.g., '/v2/invoicing/invoices')
      * @param {Object|null} data - Request payload for POST/PUT requests
+     * @param {Object} [options={}] - Request options
+     * @param {string} [options.requestId] - PayPal-Request-Id header, so PayPal treats retries
+     *     of the same request as one operation instead of repeating it
      * @returns {Promise<Object>} API response data
-     * @throws {Error} If API request fails
+     * @throws {PayPalApiError} If PayPal rejects the request, or it fails after every retry
      */
-    async makeAuthenticatedRequest(method, endpoint, data = null) {
-        // Get valid access token (will refresh if needed)
-        const token = await this.getAccessToken();
-        
+    async makeAuthenticatedRequest(method, endpoint, data = null, options = {}) {
         // Prepare request configuration
         const config = {
             method,
             url: `${this.baseURL}${endpoint}`,
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`,
                 'Accept': 'application/json',
                 'Accept-Language': 'en_US'
             }
         };
 
+        // A retried POST must not create or send anything twice: give every POST
+        // a request ID, so PayPal recognises the retry as the same operation
+        const requestId = options.requestId || (method.toUpperCase() === 'POST' ? crypto.randomUUID() : null);
+        if (requestId) {
+            config.headers['PayPal-Request-Id'] = requestId;
+        }
+
         // Add request body for POST/PUT requests
         if (data) {
             config.data = data;
         }
 
-        try {
-            const response = await axios(config);
-            return response.data;
-        } catch (error) {
-            console.error(`❌ API request failed:`, error.response?.data || error.message);
-            throw error;
+        // Failures are reported by the caller, from the PayPalApiError's issues
+        const response = await this.sendWithRetry(config, endpoint, { authenticate: true });
+        return response.data;
+    }
+
+    /**
+     * Send a request, retrying what can be retried
+     * 
+     * @param {Object} config - axios request config
+     * @param {string} endpoint - API endpoint path (for messages)
+     * @param {Object} [options={}] - Send options
+     * @param {boolean} [options.authenticate=false] - Add the bearer token, and refresh it once on a 401
+     * @returns {Promise<Object>} axios response
+     * @throws {PayPalApiError} If the request fails for good
+     */
+    async sendWithRetry(config, endpoint, options = {}) {
+        const method = config.method.toUpperCase();
+        let refreshed = false;
+        let attempt = 0;
+
+        for (;;) {
+            attempt++;
+            if (options.authenticate) {
+                // Get valid access token (will refresh if needed)
+                config.headers.Authorization = `Bearer ${await this.getAccessToken()}`;
+            }
+
+            try {
+                return await axios({ ...config, timeout: this.http.timeout });
+            } catch (error) {
+                const status = error.response?.status;
+
+                // The cached token was revoked or expired early: get a new one, once
+                if (status === 401 && options.authenticate && !refreshed) {
+                    refreshed = true;
+                    attempt--;
+                    this.clearAccessToken();
+                    continue;
+                }
+
+                if (attempt > this.http.maxRetries || !PayPalAuth.isRetryable(error)) {
+                    throw PayPalApiError.fromAxiosError(error, { method, endpoint, attempts: attempt });
+                }
+
+                const delay = this.retryDelay(attempt, error.response?.headers?.['retry-after']);
+                console.log(`⏳ PayPal ${status || error.code || 'request failed'} on ${method} ${endpoint}, retrying in ${(delay / 1000).toFixed(1)}s (${attempt}/${this.http.maxRetries})`);
+                await PayPalAuth.sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Whether a failed request may succeed when repeated
+     * 
+     * @param {Error} error - axios error
+     * @returns {boolean} True for network errors, timeouts, 429 and 5xx responses
+     */
+    static isRetryable(error) {
+        const status = error.response?.status;
+        if (!status) {
+            return RETRYABLE_NETWORK_CODES.includes(error.code);
         }
+        return status === 429 || status >= 500;
+    }
+
+    /**
+     * Wait before the next attempt
+     * 
+     * Honours Retry-After (seconds or an HTTP date); otherwise exponential backoff
+     * with full jitter, so parallel clients don't retry in lockstep
+     * 
+     * @param {number} attempt - Attempts made so far (1 for the first retry)
+     * @param {string} [retryAfter] - Retry-After header of the response
+     * @returns {number} Delay in milliseconds
+     */
+    retryDelay(attempt, retryAfter) {
+        if (retryAfter !== undefined) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+            if (Number.isFinite(delay)) {
+                return Math.min(Math.max(delay, 0), this.http.retryMaxDelay);
+            }
+        }
+
+        const ceiling = Math.min(this.http.retryBaseDelay * 2 ** (attempt - 1), this.http.retryMaxDelay);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    /**
+     * Wait for a while
+     * 
+     * @param {number} ms - Milliseconds
+     * @returns {Promise<void>} Resolves after the delay
+     */
+    static sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     /**
@@ -125,4 +306,6 @@ class PayPalAuth {
     }
 }
 
+PayPalAuth.HTTP_DEFAULTS = HTTP_DEFAULTS;
+
 module.exports = PayPalAuth;
\ No newline at end of file
@@ -0,0 +1,337 @@
+/**
+ * Invoice data fields behind the JSON pointers PayPal reports in error details
+ * (see InvoiceStructure.createPayPalInvoicePayload). $n is the nth capture group
+ */
+const FIELD_PATHS = [
+    [/^\/detail\/invoice_number$/, 'invoiceNumber'],
+    [/^\/detail\/reference$/, 'reference'],
+    [/^\/detail\/invoice_date$/, 'invoiceDate'],
+    [/^\/detail\/currency_code$/, 'currencyCode'],
+    [/^\/detail\/note$/, 'note'],
+    [/^\/detail\/term$/, 'terms'],
+    [/^\/detail\/memo$/, 'memo'],
+    [/^\/detail\/payment_term(\/.*)?$/, 'dueDate'],
+    [/^\/invoicer\/name\/given_name$/, 'business.firstName'],
+    [/^\/invoicer\/name\/surname$/, 'business.lastName'],
+    [/^\/invoicer\/address\/(\w+)$/, 'business.address.$1'],
+    [/^\/invoicer\/email_address$/, 'business.email'],
+    [/^\/invoicer\/business_name$/, 'business.legalName'],
+    [/^\/invoicer\/website$/, 'business.website'],
+    [/^\/invoicer\/tax_id$/, 'business.taxId'],
+    [/^\/invoicer\/logo_url$/, 'business.logoUrl'],
+    [/^\/invoicer\/additional_notes$/, 'business.additionalNotes'],
+    [/^\/primary_recipients\/\d+\/billing_info\/name\/given_name$/, 'customer.firstName'],
+    [/^\/primary_recipients\/\d+\/billing_info\/name\/surname$/, 'customer.lastName'],
+    [/^\/primary_recipients\/\d+\/billing_info\/address\/(\w+)$/, 'customer.address.$1'],
+    [/^\/primary_recipients\/\d+\/billing_info\/email_address$/, 'customer.email'],
+    [/^\/primary_recipients\/\d+\/billing_info\/phones(\/.*)?$/, 'customer.phone'],
+    [/^\/primary_recipients\/\d+\/billing_info\/business_name$/, 'customer.businessName'],
+    [/^\/primary_recipients\/\d+\/billing_info\/additional_info_value$/, 'customer.vatNumber'],
+    [/^\/items\/(\d+)\/unit_amount\/currency_code$/, 'items[$1].currencyCode'],
+    [/^\/items\/(\d+)\/unit_amount(\/value)?$/, 'items[$1].unitAmount'],
+    [/^\/items\/(\d+)\/(name|description|quantity|tax|discount)(\/.*)?$/, 'items[$1].$2'],
+    [/^\/items\/(\d+)(\/.*)?$/, 'items[$1]'],
+    [/^\/amount\/breakdown\/discount(\/.*)?$/, 'discount'],
+    [/^\/amount\/breakdown\/custom(\/.*)?$/, 'customAmount'],
+    [/^\/amount\/breakdown\/shipping(\/.*)?$/, 'shipping'],
+    [/^\/configuration\/partial_payment\/minimum_amount_due(\/.*)?$/, 'minimumAmountDue'],
+    [/^\/configuration\/partial_payment\/allow_partial_payment$/, 'allowPartialPayment'],
+    [/^\/configuration\/allow_tip$/, 'allowTip'],
+    [/^\/configuration\/tax_inclusive$/, 'taxInclusive'],
+    [/^\/additional_recipients(\/.*)?$/, 'additionalRecipients']
+];
+
+/**
+ * Address fields as named in invoice data
+ */
+const ADDRESS_FIELDS = {
+    address_line_1: 'line1',
+    address_line_2: 'line2',
+    admin_area_2: 'city',
+    admin_area_1: 'state',
+    postal_code: 'postalCode',
+    country_code: 'countryCode'
+};
+
+/**
+ * Suggested fixes for PayPal issue codes ({field} is the invoice data field)
+ */
+const ISSUE_SUGGESTIONS = {
+    DUPLICATE_INVOICE_NUMBER: 'That invoice number is already used on PayPal. Move the counter past it with: paypal-invoice numbering seed --from-paypal',
+    MISSING_REQUIRED_PARAMETER: 'Set {field}; it is required by PayPal.',
+    INVALID_STRING_LENGTH: 'Shorten {field} (or fill it in if it is empty).',
+    INVALID_STRING_MAX_LENGTH: 'Shorten {field}.',
+    INVALID_PARAMETER_SYNTAX: 'Check the format of {field} (dates are YYYY-MM-DD, amounts plain numbers).',
+    INVALID_PARAMETER_VALUE: 'Check the value of {field}; PayPal does not accept it.',
+    INVALID_CURRENCY_CODE: 'Use an ISO 4217 code PayPal invoices in for {field}, e.g. USD or EUR.',
+    CURRENCY_NOT_SUPPORTED: 'PayPal does not invoice in this currency; pick another for {field}.',
+    CURRENCY_MISMATCH: 'Every amount must be in the invoice currency; check {field} against currencyCode.',
+    INVALID_DUE_DATE: 'Set dueDate on or after invoiceDate.',
+    INVALID_INVOICE_DATE: 'Set invoiceDate to a valid date, not too far in the future.',
+    INVALID_EMAIL_ADDRESS: 'Fix the email address in {field}.',
+    INVALID_COUNTRY_CODE: 'Use a two-letter country code (ISO 3166-1) for {field}, e.g. US or DE.',
+    NEGATIVE_AMOUNT: 'Amounts must not be negative; use a discount instead of a negative item.',
+    INVALID_DISCOUNT: 'Discounts must be positive and no larger than the amount they apply to.',
+    PERMISSION_DENIED: 'The PayPal app lacks Invoicing permission, or the invoice belongs to another account.'
+};
+
+/**
+ * Suggested fixes by error type, when no issue has its own
+ */
+const DEFAULT_SUGGESTIONS = {
+    AuthError: 'Check PAYPAL_CLIENT_ID, PAYPAL_CLIENT_SECRET and PAYPAL_ENVIRONMENT (sandbox credentials do not work in production) and that the app has Invoicing enabled.',
+    ValidationError: 'Fix the fields above and try again; `paypal-invoice preview` checks invoice data without calling PayPal.',
+    NotFoundError: 'Check the invoice ID, and that the profile and environment are the ones it was created in.',
+    RateLimitedError: 'PayPal is rate limiting requests; wait a minute and retry, or lower batch --concurrency.',
+    ConflictError: 'The invoice changed on PayPal, or this request was already made; fetch it again with `paypal-invoice get <id>` before retrying.',
+    PayPalApiError: null
+};
+
+/**
+ * PayPal API Errors
+ * 
+ * Errors thrown by PayPalAuth for requests PayPal rejected (or that never got an
+ * answer). They carry what PayPal's error body says: `name` (e.g.
+ * UNPROCESSABLE_ENTITY), `debug_id` (quote it to PayPal support) and the `details[]`
+ * issues. `response` keeps the axios shape ({status, data, headers}) so callers that
+ * read error.response.data keep working.
+ * 
+ * Rejections are thrown as the subclass for their status: AuthError (401/403),
+ * ValidationError (400/422), NotFoundError (404), ConflictError (409) and
+ * RateLimitedError (429). Each issue is mapped back to the invoice data field it is
+ * about (/items/0/unit_amount/value → items[0].unitAmount) with a suggested fix
+ */
+class PayPalApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [info={}] - Error details
+     * @param {number} [info.status] - HTTP status (undefined for network errors and timeouts)
+     * @param {Object} [info.data] - PayPal's error body
+     * @param {Object} [info.headers] - Response headers
+     * @param {string} [info.method] - HTTP method of the request
+     * @param {string} [info.endpoint] - API endpoint path of the request
+     * @param {number} [info.attempts=1] - How many times the request was sent
+     * @param {string} [info.code] - Network error code (ECONNRESET, ECONNABORTED, ...)
+     * @param {Error} [info.cause] - Underlying error
+     */
+    constructor(message, info = {}) {
+        super(message, info.cause ? { cause: info.cause } : undefined);
+        this.name = this.constructor.name;
+        this.status = info.status;
+        this.code = info.code;
+        this.method = info.method;
+        this.endpoint = info.endpoint;
+        this.attempts = info.attempts || 1;
+
+        const data = info.data && typeof info.data === 'object' ? info.data : {};
+        this.errorName = data.name || data.error || null;
+        this.debugId = data.debug_id || info.headers?.['paypal-debug-id'] || null;
+        this.details = Array.isArray(data.details) ? data.details : [];
+        this.issues = this.details.map(detail => PayPalApiError.toIssue(detail));
+        this.response = info.status ? { status: info.status, data: info.data, headers: info.headers || {} } : undefined;
+    }
+
+    /**
+     * Build the error for a failed axios request
+     * 
+     * @param {Error} error - axios error
+     * @param {Object} [request={}] - Request description
+     * @param {string} [request.method] - HTTP method
+     * @param {string} [request.endpoint] - API endpoint path
+     * @param {number} [request.attempts] - How many times the request was sent
+     * @returns {PayPalApiError} Error of the subclass for the response status
+     */
+    static fromAxiosError(error, request = {}) {
+        const response = error.response;
+        const info = { ...request, code: error.code, cause: error };
+
+        if (!response) {
+            const reason = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT'
+                ? 'timed out'
+                : `failed: ${error.message}`;
+            return new PayPalApiError(`PayPal request ${request.method || ''} ${request.endpoint || ''} ${reason}`.replace(/\s+/g, ' '), info);
+        }
+
+        const ErrorClass = PayPalApiError.classForStatus(response.status);
+        return new ErrorClass(PayPalApiError.describe(response.status, response.data), {
+            ...info,
+            status: response.status,
+            data: response.data,
+            headers: response.headers
+        });
+    }
+
+    /**
+     * Error class for an HTTP status
+     * 
+     * @param {number} status - HTTP status
+     * @returns {Function} PayPalApiError or one of its subclasses
+     */
+    static classForStatus(status) {
+        const classes = {
+            400: ValidationError,
+            401: AuthError,
+            403: AuthError,
+            404: NotFoundError,
+            409: ConflictError,
+            422: ValidationError,
+            429: RateLimitedError
+        };
+        return classes[status] || PayPalApiError;
+    }
+
+    /**
+     * One-line message from a PayPal error body
+     * 
+     * @param {number} status - HTTP status
+     * @param {Object|string} data - PayPal's error body
+     * @returns {string} e.g. "PayPal 422 UNPROCESSABLE_ENTITY: ... (INVALID_CURRENCY_CODE at currencyCode)"
+     */
+    static describe(status, data) {
+        if (!data || typeof data !== 'object') {
+            return `PayPal returned ${status}${data ? `: ${String(data).slice(0, 200)}` : ''}`;
+        }
+
+        const name = data.name || data.error;
+        const message = data.message || data.error_description;
+        const issues = (data.details || [])
+            .map(detail => {
+                const field = PayPalApiError.fieldPath(detail.field) || detail.field;
+                return [detail.issue, field && `at ${field}`].filter(Boolean).join(' ');
+            })
+            .filter(Boolean);
+
+        return [
+            `PayPal ${status}${name ? ` ${name}` : ''}${message ? `: ${message}` : ''}`,
+            issues.length ? `(${issues.join('; ')})` : '',
+            data.debug_id ? `[debug_id ${data.debug_id}]` : ''
+        ].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Invoice data field behind a PayPal field pointer
+     * 
+     * @param {string} pointer - JSON pointer from PayPal (/items/0/unit_amount/value);
+     *     dotted paths (items[0].unit_amount.value) are accepted too
+     * @returns {string|null} Invoice data path (items[0].unitAmount), or null if unknown
+     */
+    static fieldPath(pointer) {
+        if (!pointer) {
+            return null;
+        }
+
+        const normalized = pointer.startsWith('/')
+            ? pointer
+            : '/' + pointer.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean).join('/');
+
+        for (const [pattern, path] of FIELD_PATHS) {
+            const match = normalized.match(pattern);
+            if (match) {
+                return path
+                    .replace(/\$(\d)/g, (placeholder, group) => match[group] || '')
+                    .replace(/address\.(\w+)$/, (text, field) => `address.${ADDRESS_FIELDS[field] || field}`);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Readable issue from one of PayPal's error details
+     * 
+     * @param {Object} detail - Error detail ({field, value, location, issue, description})
+     * @returns {Object} Issue with the invoice data path and a suggested fix
+     */
+    static toIssue(detail) {
+        const path = PayPalApiError.fieldPath(detail.field);
+        const suggestion = ISSUE_SUGGESTIONS[detail.issue];
+
+        return {
+            issue: detail.issue || null,
+            description: detail.description || null,
+            field: detail.field || null,
+            path,
+            value: detail.value,
+            suggestion: suggestion ? suggestion.replace('{field}', path || detail.field || 'the field') : null
+        };
+    }
+
+    /**
+     * Suggested fix for the whole error
+     * 
+     * @returns {string|null} First issue's suggestion, else the one for the error type
+     */
+    get suggestion() {
+        return this.issues.find(issue => issue.suggestion)?.suggestion
+            || DEFAULT_SUGGESTIONS[this.name]
+            || null;
+    }
+
+    /**
+     * Whether the request never reached PayPal or got no answer
+     * 
+     * @returns {boolean} True for network errors and timeouts
+     */
+    get isNetworkError() {
+        return this.status === undefined;
+    }
+
+    /**
+     * Fields for a failed operation's result object
+     * 
+     * @returns {Object} errorType, status, debugId, issues, suggestion and the raw details
+     */
+    toResult() {
+        return {
+            errorType: this.name,
+            status: this.status,
+            debugId: this.debugId,
+            issues: this.issues,
+            suggestion: this.suggestion,
+            details: this.response?.data || null
+        };
+    }
+}
+
+/**
+ * PayPal rejected the credentials or token (401), or the app lacks permission (403)
+ */
+class AuthError extends PayPalApiError {}
+
+/**
+ * PayPal rejected the request body (400, 422); see issues for the fields
+ */
+class ValidationError extends PayPalApiError {}
+
+/**
+ * The invoice (or other resource) does not exist in this account and environment (404)
+ */
+class NotFoundError extends PayPalApiError {}
+
+/**
+ * The request conflicts with the resource's current state (409)
+ */
+class ConflictError extends PayPalApiError {}
+
+/**
+ * Too many requests (429); retryAfter is PayPal's Retry-After in seconds, if given
+ */
+class RateLimitedError extends PayPalApiError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [info={}] - Error details (see PayPalApiError)
+     */
+    constructor(message, info = {}) {
+        super(message, info);
+        const retryAfter = Number(info.headers?.['retry-after']);
+        this.retryAfter = Number.isFinite(retryAfter) ? retryAfter : null;
+    }
+}
+
+module.exports = {
+    PayPalApiError,
+    AuthError,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    RateLimitedError
+};
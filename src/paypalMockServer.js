@@ -0,0 +1,938 @@
+const http = require('http');
+const crypto = require('crypto');
+const InvoiceTotals = require('./invoiceTotals');
+const Currency = require('./currency');
+
+/**
+ * Statuses PayPal accepts each invoice action in
+ */
+const ACTION_STATUSES = {
+    update: ['DRAFT', 'SCHEDULED', 'SENT', 'UNPAID'],
+    send: ['DRAFT', 'SCHEDULED'],
+    remind: ['SENT', 'UNPAID', 'PARTIALLY_PAID'],
+    cancel: ['SENT', 'UNPAID', 'PARTIALLY_PAID', 'SCHEDULED'],
+    payment: ['SENT', 'UNPAID', 'PARTIALLY_PAID', 'SCHEDULED'],
+    refund: ['PAID', 'MARKED_AS_PAID', 'PARTIALLY_PAID', 'PARTIALLY_REFUNDED']
+};
+
+/**
+ * Error bodies for injected faults, shaped like PayPal's
+ */
+const FAULT_BODIES = {
+    400: { name: 'INVALID_REQUEST', message: 'Request is not well-formed, syntactically incorrect, or violates schema.' },
+    401: { error: 'invalid_token', error_description: 'Token signature verification failed' },
+    403: { name: 'NOT_AUTHORIZED', message: 'Authorization failed due to insufficient permissions.' },
+    404: { name: 'RESOURCE_NOT_FOUND', message: 'The specified resource does not exist.' },
+    409: { name: 'RESOURCE_CONFLICT', message: 'The server has detected a conflict while processing this request.' },
+    422: {
+        name: 'UNPROCESSABLE_ENTITY',
+        message: 'The requested action could not be performed, semantically incorrect, or failed business validation.',
+        details: [{ field: '/items/0/unit_amount/value', location: 'body', issue: 'INVALID_PARAMETER_VALUE', description: 'Value is invalid.' }]
+    },
+    429: { name: 'RATE_LIMIT_REACHED', message: 'Too many requests. Blocked due to rate limiting.' },
+    500: { name: 'INTERNAL_SERVER_ERROR', message: 'An internal server error occurred.' },
+    503: { name: 'SERVICE_UNAVAILABLE', message: 'Service Unavailable.' }
+};
+
+/**
+ * Mock PayPal API Server
+ * 
+ * A stateful, in-memory fake of the PayPal endpoints this tool uses, for offline
+ * development and tests: OAuth2 tokens, invoicing v2 (create, get, list, update, send,
+ * remind, cancel, payments, refunds, search, next invoice number) and webhook
+ * signature verification. Invoices move through PayPal's statuses, totals are
+ * calculated the way PayPal bills them (InvoiceTotals), PayPal-Request-Id repeats
+ * return the first response and, like the real API, creating an invoice answers
+ * with a link to it unless "Prefer: return=representation" is sent.
+ * 
+ * Point the tool at it with PAYPAL_API_BASE_URL (or a profile's paypal.apiBaseUrl).
+ * Faults (401, 422, 429, 500, network resets, ...) can be injected for the next
+ * matching requests with injectFault() or over HTTP:
+ * 
+ *   POST   /__mock/faults   {"status": 429, "method": "POST", "path": "/v2/invoicing/invoices", "times": 2}
+ *   DELETE /__mock/faults   remove pending faults
+ *   POST   /__mock/reset    forget every invoice, token and fault
+ *   GET    /__mock/state    invoices, pending faults and the request log
+ */
+class PayPalMockServer {
+    /**
+     * @param {Object} [options={}] - Mock options
+     * @param {string} [options.clientId] - Only accept this client ID (any if omitted)
+     * @param {string} [options.clientSecret] - Only accept this client secret (any if omitted)
+     * @param {number} [options.tokenTtl=32400] - Access token lifetime in seconds
+     * @param {boolean} [options.returnRepresentation=false] - Answer creates with the full
+     *     invoice even without "Prefer: return=representation"
+     * @param {Array<Object>} [options.faults=[]] - Faults to inject from the start (see injectFault)
+     */
+    constructor(options = {}) {
+        this.options = { tokenTtl: 32400, returnRepresentation: false, ...options };
+        this.server = null;
+        this.url = null;
+        this.reset();
+        (options.faults || []).forEach(fault => this.injectFault(fault));
+    }
+
+    /**
+     * Forget every invoice, token, fault and logged request
+     */
+    reset() {
+        this.invoices = new Map();
+        this.tokens = new Set();
+        this.idempotentResponses = new Map();
+        this.faults = [];
+        this.requests = [];
+        this.sequence = 0;
+    }
+
+    /**
+     * Start listening
+     * 
+     * @param {number} [port=0] - Port (0 picks a free one)
+     * @param {string} [host='127.0.0.1'] - Interface to bind
+     * @returns {Promise<string>} Base URL of the mock, e.g. http://127.0.0.1:54321
+     */
+    start(port = 0, host = '127.0.0.1') {
+        this.server = http.createServer((request, response) => this.handle(request, response));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.url = `http://${host}:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     * 
+     * @returns {Promise<void>} Resolves once the server is closed
+     */
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections?.();
+            this.server = null;
+        });
+    }
+
+    /**
+     * Make the next matching requests fail
+     * 
+     * @param {Object} fault - Fault to inject
+     * @param {number} [fault.status] - HTTP status to answer with (401, 422, 429, 500, ...)
+     * @param {string} [fault.method] - Only requests with this method (any if omitted)
+     * @param {string} [fault.path] - Only paths containing this text (any if omitted)
+     * @param {number} [fault.times=1] - How many requests fail
+     * @param {Object} [fault.body] - Error body (a PayPal-style body for the status if omitted)
+     * @param {number} [fault.retryAfter] - Retry-After header in seconds (defaults to 1 for 429)
+     * @param {boolean} [fault.reset=false] - Drop the connection instead of answering
+     * @param {number} [fault.delay=0] - Wait this many milliseconds before answering (for timeouts)
+     * @returns {Object} The stored fault
+     * @throws {Error} If the fault has no status, reset or delay
+     */
+    injectFault(fault) {
+        if (!fault.status && !fault.reset && !fault.delay) {
+            throw new Error('A fault needs a status, reset or delay');
+        }
+
+        const stored = { times: 1, ...fault, method: fault.method ? fault.method.toUpperCase() : undefined };
+        this.faults.push(stored);
+        return stored;
+    }
+
+    /**
+     * Remove pending faults
+     */
+    clearFaults() {
+        this.faults = [];
+    }
+
+    /**
+     * Invalidate every access token, as if PayPal revoked them before their expiry
+     */
+    revokeTokens() {
+        this.tokens.clear();
+    }
+
+    /**
+     * Handle one HTTP request
+     * 
+     * @param {http.IncomingMessage} request - Request
+     * @param {http.ServerResponse} response - Response
+     */
+    async handle(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        const method = request.method.toUpperCase();
+        const raw = await PayPalMockServer.readBody(request);
+        let body = null;
+        if (raw) {
+            try {
+                body = request.headers['content-type']?.includes('json') ? JSON.parse(raw) : raw;
+            } catch (error) {
+                this.reply(response, { status: 400, body: this.errorBody(400, 'INVALID_REQUEST', 'Request is not well-formed JSON.') });
+                return;
+            }
+        }
+
+        if (url.pathname.startsWith('/__mock/')) {
+            this.reply(response, this.control(method, url.pathname, body));
+            return;
+        }
+
+        this.requests.push({ method, path: url.pathname + url.search, headers: request.headers, body, time: new Date().toISOString() });
+
+        const fault = this.takeFault(method, url.pathname);
+        if (fault) {
+            if (fault.delay) {
+                await new Promise(resolve => setTimeout(resolve, fault.delay));
+            }
+            if (fault.reset) {
+                request.socket.destroy();
+                return;
+            }
+            if (fault.status) {
+                this.reply(response, this.faultResponse(fault, url.pathname));
+                return;
+            }
+        }
+
+        try {
+            this.reply(response, this.route(method, url, body, request.headers));
+        } catch (error) {
+            this.reply(response, { status: 500, body: this.errorBody(500, 'INTERNAL_SERVER_ERROR', error.message) });
+        }
+    }
+
+    /**
+     * Answer a request to the PayPal API
+     * 
+     * @param {string} method - HTTP method
+     * @param {URL} url - Request URL
+     * @param {Object|string|null} body - Parsed body
+     * @param {Object} headers - Request headers
+     * @returns {Object} Response ({status, body, headers})
+     */
+    route(method, url, body, headers) {
+        const path = url.pathname;
+
+        if (method === 'POST' && path === '/v1/oauth2/token') {
+            return this.issueToken(headers);
+        }
+
+        const token = (headers.authorization || '').replace(/^Bearer /, '');
+        if (!this.tokens.has(token)) {
+            return { status: 401, body: { error: 'invalid_token', error_description: 'Access Token not found in cache' } };
+        }
+
+        // A repeated PayPal-Request-Id gets the first response again
+        const requestId = headers['paypal-request-id'];
+        const idempotencyKey = method === 'POST' && requestId ? `${path}|${requestId}` : null;
+        if (idempotencyKey && this.idempotentResponses.has(idempotencyKey)) {
+            return this.idempotentResponses.get(idempotencyKey);
+        }
+
+        const result = this.dispatch(method, path, url.searchParams, body || {}, headers);
+        if (idempotencyKey && result.status < 400) {
+            this.idempotentResponses.set(idempotencyKey, result);
+        }
+        return result;
+    }
+
+    /**
+     * Call the handler for an API endpoint
+     * 
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @param {URLSearchParams} query - Query parameters
+     * @param {Object} body - Parsed body
+     * @param {Object} headers - Request headers
+     * @returns {Object} Response ({status, body, headers})
+     */
+    dispatch(method, path, query, body, headers) {
+        const invoicePath = path.match(/^\/v2\/invoicing\/invoices\/([^/]+)(?:\/(send|remind|cancel|payments|refunds))?$/);
+
+        if (path === '/v2/invoicing/invoices') {
+            if (method === 'POST') return this.createInvoice(body, headers);
+            if (method === 'GET') return this.listInvoices(query);
+        }
+        if (invoicePath) {
+            const [, id, action] = invoicePath;
+            const invoice = this.invoices.get(id);
+            if (!invoice) {
+                return { status: 404, body: this.errorBody(404, 'RESOURCE_NOT_FOUND', 'The specified resource does not exist.') };
+            }
+            if (method === 'GET' && !action) return { status: 200, body: invoice };
+            if (method === 'PUT' && !action) return this.updateInvoice(invoice, body);
+            if (method === 'POST' && action === 'send') return this.sendInvoice(invoice, body);
+            if (method === 'POST' && action === 'remind') return this.remindInvoice(invoice);
+            if (method === 'POST' && action === 'cancel') return this.cancelInvoice(invoice);
+            if (method === 'POST' && action === 'payments') return this.recordPayment(invoice, body);
+            if (method === 'POST' && action === 'refunds') return this.recordRefund(invoice, body);
+        }
+        if (method === 'POST' && path === '/v2/invoicing/search-invoices') {
+            return this.searchInvoices(query, body);
+        }
+        if (method === 'POST' && path === '/v2/invoicing/generate-next-invoice-number') {
+            return { status: 200, body: { invoice_number: this.nextInvoiceNumber() } };
+        }
+        if (method === 'POST' && path === '/v1/notifications/verify-webhook-signature') {
+            return this.verifyWebhookSignature(body);
+        }
+
+        return { status: 404, body: this.errorBody(404, 'RESOURCE_NOT_FOUND', `No mock for ${method} ${path}`) };
+    }
+
+    /**
+     * POST /v1/oauth2/token
+     * 
+     * @param {Object} headers - Request headers (Basic auth)
+     * @returns {Object} Response with a new access token
+     */
+    issueToken(headers) {
+        const [clientId, clientSecret] = Buffer.from((headers.authorization || '').replace(/^Basic /, ''), 'base64')
+            .toString('utf8')
+            .split(':');
+        const { options } = this;
+
+        if (!clientId || (options.clientId && clientId !== options.clientId) || (options.clientSecret && clientSecret !== options.clientSecret)) {
+            return { status: 401, body: { error: 'invalid_client', error_description: 'Client Authentication failed' } };
+        }
+
+        const token = `A21AA${crypto.randomBytes(16).toString('hex')}`;
+        this.tokens.add(token);
+        return {
+            status: 200,
+            body: {
+                scope: 'https://uri.paypal.com/services/invoicing',
+                access_token: token,
+                token_type: 'Bearer',
+                app_id: 'APP-MOCK',
+                expires_in: options.tokenTtl,
+                nonce: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * POST /v2/invoicing/invoices
+     * 
+     * @param {Object} payload - Invoice payload
+     * @param {Object} headers - Request headers (Prefer)
+     * @returns {Object} 201 response with a link to the invoice, or the invoice itself
+     */
+    createInvoice(payload, headers) {
+        const detail = payload.detail || {};
+        const currency = String(detail.currency_code || '').toUpperCase();
+        const issues = this.payloadIssues(payload);
+        if (issues.length > 0) {
+            return this.unprocessable(issues);
+        }
+
+        const id = `INV2-MOCK-${String(++this.sequence).padStart(12, '0').replace(/(\d{4})(?=\d)/g, '$1-')}`;
+        const now = new Date().toISOString();
+        const totals = InvoiceTotals.calculate(payload);
+        const total = { currency_code: currency, value: Currency.toValue(totals.total, currency) };
+
+        const invoice = {
+            ...payload,
+            id,
+            status: 'DRAFT',
+            detail: {
+                ...detail,
+                currency_code: currency,
+                invoice_number: detail.invoice_number || this.nextInvoiceNumber(),
+                invoice_date: detail.invoice_date || now.slice(0, 10),
+                payment_term: this.paymentTerm({ ...detail, invoice_date: detail.invoice_date || now.slice(0, 10) }),
+                metadata: {
+                    create_time: now,
+                    last_update_time: now,
+                    created_by_flow: 'REGULAR_SINGLE',
+                    invoicer_view_url: `https://www.sandbox.paypal.com/invoice/details/${id}`,
+                    recipient_view_url: `https://www.sandbox.paypal.com/invoice/p/#${id}`
+                }
+            },
+            amount: {
+                ...total,
+                breakdown: {
+                    ...payload.amount?.breakdown,
+                    item_total: { currency_code: currency, value: Currency.toValue(totals.itemTotal, currency) },
+                    tax_total: { currency_code: currency, value: Currency.toValue(totals.taxTotal, currency) }
+                }
+            },
+            due_amount: { ...total },
+            links: this.links(id)
+        };
+        this.invoices.set(id, invoice);
+
+        const representation = this.options.returnRepresentation || /return=representation/.test(headers.prefer || '');
+        return {
+            status: 201,
+            body: representation ? invoice : { rel: 'self', href: `${this.url}/v2/invoicing/invoices/${id}`, method: 'GET' }
+        };
+    }
+
+    /**
+     * PUT /v2/invoicing/invoices/{id}
+     * 
+     * Replaces the invoice's details, recipients and items; status, number
+     * (unless a new one is given) and payments are kept
+     * 
+     * @param {Object} invoice - Invoice
+     * @param {Object} payload - Full invoice
+     * @returns {Object} Response with the updated invoice
+     */
+    updateInvoice(invoice, payload) {
+        if (!ACTION_STATUSES.update.includes(invoice.status)) {
+            return this.invalidStatus(invoice, 'update');
+        }
+
+        const detail = { ...invoice.detail, ...payload.detail, metadata: invoice.detail.metadata };
+        const issues = this.payloadIssues({ ...payload, detail }, invoice.id);
+        if (issues.length > 0) {
+            return this.unprocessable(issues);
+        }
+
+        const currency = String(detail.currency_code).toUpperCase();
+        const totals = InvoiceTotals.calculate({ ...payload, detail });
+        const paid = Currency.toMinor(invoice.payments?.paid_amount?.value, currency);
+
+        Object.assign(invoice, {
+            ...payload,
+            id: invoice.id,
+            status: invoice.status,
+            detail: {
+                ...detail,
+                currency_code: currency,
+                invoice_number: detail.invoice_number || invoice.detail.invoice_number,
+                payment_term: this.paymentTerm(detail)
+            },
+            amount: {
+                currency_code: currency,
+                value: Currency.toValue(totals.total, currency),
+                breakdown: {
+                    ...payload.amount?.breakdown,
+                    item_total: { currency_code: currency, value: Currency.toValue(totals.itemTotal, currency) },
+                    tax_total: { currency_code: currency, value: Currency.toValue(totals.taxTotal, currency) }
+                }
+            },
+            due_amount: { currency_code: currency, value: Currency.toValue(totals.total - paid, currency) },
+            payments: invoice.payments,
+            refunds: invoice.refunds,
+            links: this.links(invoice.id)
+        });
+        invoice.detail.metadata.last_update_time = new Date().toISOString();
+
+        return { status: 200, body: invoice };
+    }
+
+    /**
+     * Problems PayPal reports for an invoice payload
+     * 
+     * @param {Object} payload - Invoice payload
+     * @param {string} [invoiceId] - ID of the invoice being updated (its own number isn't a duplicate)
+     * @returns {Array<Object>} Issues (empty if the payload is accepted)
+     */
+    payloadIssues(payload, invoiceId) {
+        const detail = payload.detail || {};
+        const currency = String(detail.currency_code || '').toUpperCase();
+        const issues = [];
+
+        if (!Currency.isSupported(currency)) {
+            issues.push(this.issue('/detail/currency_code', currency, 'CURRENCY_NOT_SUPPORTED', 'Currency code is not supported.'));
+        }
+        const sameNumber = detail.invoice_number && this.findByNumber(detail.invoice_number);
+        if (sameNumber && sameNumber.id !== invoiceId) {
+            issues.push(this.issue('/detail/invoice_number', detail.invoice_number, 'DUPLICATE_INVOICE_NUMBER', 'Invoice number is already used.'));
+        }
+        (payload.items || []).forEach((item, index) => {
+            if (!item.name) {
+                issues.push(this.issue(`/items/${index}/name`, item.name, 'MISSING_REQUIRED_PARAMETER', 'A required field is missing.'));
+            }
+            if (!(parseFloat(item.quantity) > 0)) {
+                issues.push(this.issue(`/items/${index}/quantity`, item.quantity, 'INVALID_PARAMETER_VALUE', 'Value is invalid.'));
+            }
+            if (!(parseFloat(item.unit_amount?.value) >= 0)) {
+                issues.push(this.issue(`/items/${index}/unit_amount/value`, item.unit_amount?.value, 'INVALID_PARAMETER_VALUE', 'Value is invalid.'));
+            }
+            if (item.unit_amount?.currency_code && item.unit_amount.currency_code !== currency) {
+                issues.push(this.issue(`/items/${index}/unit_amount/currency_code`, item.unit_amount.currency_code, 'CURRENCY_MISMATCH', 'Currency code should be the same as the invoice currency.'));
+            }
+        });
+        const dueDate = detail.payment_term?.due_date;
+        if (dueDate && detail.invoice_date && dueDate < detail.invoice_date) {
+            issues.push(this.issue('/detail/payment_term/due_date', dueDate, 'INVALID_DUE_DATE', 'Due date must be on or after the invoice date.'));
+        }
+        return issues;
+    }
+
+    /**
+     * Payment term as PayPal stores it: NET_xx and DUE_ON_RECEIPT terms get their
+     * due date worked out from the invoice date, a specified date is kept
+     * 
+     * @param {Object} detail - Invoice detail
+     * @returns {Object|undefined} Payment term
+     */
+    paymentTerm(detail) {
+        const term = detail.payment_term;
+        if (!term || !detail.invoice_date) {
+            return term;
+        }
+        const days = term.term_type === 'DUE_ON_RECEIPT' ? 0 : parseInt(String(term.term_type).replace(/^NET_/, ''), 10);
+        if (isNaN(days)) {
+            return term;
+        }
+        const dueDate = new Date(`${detail.invoice_date}T00:00:00Z`);
+        dueDate.setUTCDate(dueDate.getUTCDate() + days);
+        return { ...term, due_date: dueDate.toISOString().slice(0, 10) };
+    }
+
+    /**
+     * GET /v2/invoicing/invoices
+     * 
+     * @param {URLSearchParams} query - page, page_size, total_required
+     * @returns {Object} Page of invoices, newest first
+     */
+    listInvoices(query) {
+        const invoices = Array.from(this.invoices.values()).reverse();
+        return { status: 200, body: this.page(invoices, query) };
+    }
+
+    /**
+     * POST /v2/invoicing/search-invoices
+     * 
+     * @param {URLSearchParams} query - page, page_size, total_required
+     * @param {Object} criteria - invoice_number, recipient_email, status[], currency_code
+     * @returns {Object} Page of matching invoices, newest first
+     */
+    searchInvoices(query, criteria) {
+        const invoices = Array.from(this.invoices.values()).reverse().filter(invoice =>
+            (!criteria.invoice_number || invoice.detail.invoice_number === criteria.invoice_number)
+            && (!criteria.recipient_email || invoice.primary_recipients?.[0]?.billing_info?.email_address === criteria.recipient_email)
+            && (!criteria.status || criteria.status.includes(invoice.status))
+            && (!criteria.currency_code || invoice.detail.currency_code === criteria.currency_code));
+
+        return { status: 200, body: this.page(invoices, query, true) };
+    }
+
+    /**
+     * POST /v2/invoicing/invoices/{id}/send
+     * 
+     * @param {Object} invoice - Invoice
+     * @param {Object} body - Notification settings
+     * @returns {Object} Response with the payer view link
+     */
+    sendInvoice(invoice, body) {
+        if (!ACTION_STATUSES.send.includes(invoice.status)) {
+            return this.invalidStatus(invoice, 'send');
+        }
+
+        const now = new Date().toISOString();
+        invoice.status = 'SENT';
+        invoice.detail.metadata.first_sent_time = now;
+        invoice.detail.metadata.last_sent_time = now;
+        invoice.detail.metadata.last_update_time = now;
+        invoice.last_notification = { subject: body.subject || '', note: body.note || '', send_to_invoicer: Boolean(body.send_to_invoicer) };
+
+        return { status: 200, body: { rel: 'payer-view', href: invoice.detail.metadata.recipient_view_url, method: 'GET' } };
+    }
+
+    /**
+     * POST /v2/invoicing/invoices/{id}/remind
+     * 
+     * @param {Object} invoice - Invoice
+     * @returns {Object} 204 response
+     */
+    remindInvoice(invoice) {
+        if (!ACTION_STATUSES.remind.includes(invoice.status)) {
+            return this.invalidStatus(invoice, 'remind');
+        }
+
+        invoice.detail.metadata.last_sent_time = new Date().toISOString();
+        return { status: 204 };
+    }
+
+    /**
+     * POST /v2/invoicing/invoices/{id}/cancel
+     * 
+     * @param {Object} invoice - Invoice
+     * @returns {Object} 204 response
+     */
+    cancelInvoice(invoice) {
+        if (!ACTION_STATUSES.cancel.includes(invoice.status)) {
+            return this.invalidStatus(invoice, 'cancel');
+        }
+
+        invoice.status = 'CANCELLED';
+        invoice.detail.metadata.cancel_time = new Date().toISOString();
+        return { status: 204 };
+    }
+
+    /**
+     * POST /v2/invoicing/invoices/{id}/payments
+     * 
+     * @param {Object} invoice - Invoice
+     * @param {Object} payment - method, payment_date, amount, note
+     * @returns {Object} Response with the payment ID
+     */
+    recordPayment(invoice, payment) {
+        if (!ACTION_STATUSES.payment.includes(invoice.status)) {
+            return this.invalidStatus(invoice, 'payment');
+        }
+
+        const currency = invoice.due_amount.currency_code;
+        const amount = Currency.toMinor(payment.amount?.value, currency);
+        const due = Currency.toMinor(invoice.due_amount.value, currency);
+        if (!(amount > 0) || amount > due) {
+            return this.unprocessable([this.issue('/amount/value', payment.amount?.value, 'INVALID_PAYMENT_AMOUNT', `Amount must be more than 0 and at most the due amount of ${invoice.due_amount.value}.`)]);
+        }
+
+        const paymentId = `EXTR-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+        const paid = Currency.toMinor(invoice.payments?.paid_amount?.value, currency) + amount;
+        invoice.payments = {
+            paid_amount: { currency_code: currency, value: Currency.toValue(paid, currency) },
+            transactions: (invoice.payments?.transactions || []).concat({
+                payment_id: paymentId,
+                type: 'EXTERNAL',
+                method: payment.method || 'OTHER',
+                payment_date: payment.payment_date || new Date().toISOString().slice(0, 10),
+                amount: { currency_code: currency, value: Currency.toValue(amount, currency) },
+                note: payment.note
+            })
+        };
+        invoice.due_amount = { currency_code: currency, value: Currency.toValue(due - amount, currency) };
+        invoice.status = due - amount === 0 ? 'MARKED_AS_PAID' : 'PARTIALLY_PAID';
+
+        return { status: 200, body: { payment_id: paymentId } };
+    }
+
+    /**
+     * POST /v2/invoicing/invoices/{id}/refunds
+     * 
+     * @param {Object} invoice - Invoice
+     * @param {Object} refund - method, refund_date, amount
+     * @returns {Object} Response with the refund ID
+     */
+    recordRefund(invoice, refund) {
+        if (!ACTION_STATUSES.refund.includes(invoice.status)) {
+            return this.invalidStatus(invoice, 'refund');
+        }
+
+        const currency = invoice.payments.paid_amount.currency_code;
+        const amount = Currency.toMinor(refund.amount?.value, currency);
+        const paid = Currency.toMinor(invoice.payments.paid_amount.value, currency);
+        const refunded = Currency.toMinor(invoice.refunds?.refund_amount?.value, currency);
+        if (!(amount > 0) || amount > paid - refunded) {
+            return this.unprocessable([this.issue('/amount/value', refund.amount?.value, 'INVALID_REFUND_AMOUNT', `Amount must be more than 0 and at most the refundable amount of ${Currency.toValue(paid - refunded, currency)}.`)]);
+        }
+
+        const refundId = `EXTR-${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+        invoice.refunds = {
+            refund_amount: { currency_code: currency, value: Currency.toValue(refunded + amount, currency) },
+            transactions: (invoice.refunds?.transactions || []).concat({
+                refund_id: refundId,
+                type: 'EXTERNAL',
+                method: refund.method || 'OTHER',
+                refund_date: refund.refund_date || new Date().toISOString().slice(0, 10),
+                amount: { currency_code: currency, value: Currency.toValue(amount, currency) }
+            })
+        };
+        invoice.status = refunded + amount === paid ? 'MARKED_AS_REFUNDED' : 'PARTIALLY_REFUNDED';
+
+        return { status: 200, body: { refund_id: refundId } };
+    }
+
+    /**
+     * POST /v1/notifications/verify-webhook-signature
+     * 
+     * Any delivery with every signature field is accepted, except a transmission_sig
+     * of "invalid"
+     * 
+     * @param {Object} body - Verification request
+     * @returns {Object} Response with SUCCESS or FAILURE
+     */
+    verifyWebhookSignature(body) {
+        const fields = ['auth_algo', 'cert_url', 'transmission_id', 'transmission_sig', 'transmission_time', 'webhook_id', 'webhook_event'];
+        const missing = fields.filter(field => !body[field]);
+        if (missing.length > 0) {
+            return {
+                status: 400,
+                body: this.errorBody(400, 'VALIDATION_ERROR', 'Invalid request - see details.',
+                    missing.map(field => this.issue(`/${field}`, undefined, 'MISSING_REQUIRED_PARAMETER', 'A required field is missing.')))
+            };
+        }
+
+        return { status: 200, body: { verification_status: body.transmission_sig === 'invalid' ? 'FAILURE' : 'SUCCESS' } };
+    }
+
+    /**
+     * Answer /__mock/* control requests
+     * 
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @param {Object|null} body - Parsed body
+     * @returns {Object} Response ({status, body})
+     */
+    control(method, path, body) {
+        try {
+            if (method === 'POST' && path === '/__mock/faults') {
+                return { status: 201, body: { faults: [].concat(body || []).map(fault => this.injectFault(fault)) } };
+            }
+            if (method === 'DELETE' && path === '/__mock/faults') {
+                this.clearFaults();
+                return { status: 204 };
+            }
+            if (method === 'POST' && path === '/__mock/reset') {
+                this.reset();
+                return { status: 204 };
+            }
+            if (method === 'POST' && path === '/__mock/revoke-tokens') {
+                this.revokeTokens();
+                return { status: 204 };
+            }
+            if (method === 'GET' && path === '/__mock/state') {
+                return { status: 200, body: { invoices: Array.from(this.invoices.values()), faults: this.faults, requests: this.requests } };
+            }
+        } catch (error) {
+            return { status: 400, body: { error: error.message } };
+        }
+
+        return { status: 404, body: { error: `Unknown mock control ${method} ${path}` } };
+    }
+
+    /**
+     * Take the first pending fault matching a request
+     * 
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @returns {Object|null} Fault, or null if the request should be answered normally
+     */
+    takeFault(method, path) {
+        const fault = this.faults.find(candidate =>
+            (!candidate.method || candidate.method === method)
+            && (!candidate.path || path.includes(candidate.path)));
+        if (!fault) {
+            return null;
+        }
+
+        fault.times--;
+        if (fault.times <= 0) {
+            this.faults.splice(this.faults.indexOf(fault), 1);
+        }
+        return fault;
+    }
+
+    /**
+     * Response for an injected fault
+     * 
+     * @param {Object} fault - Fault
+     * @param {string} path - Request path
+     * @returns {Object} Response ({status, body, headers})
+     */
+    faultResponse(fault, path) {
+        const retryAfter = fault.retryAfter ?? (fault.status === 429 ? 1 : undefined);
+        const defaultBody = fault.status === 401 && path.startsWith('/v1/oauth2')
+            ? { error: 'invalid_client', error_description: 'Client Authentication failed' }
+            : FAULT_BODIES[fault.status] || FAULT_BODIES[500];
+        const body = fault.body || { ...defaultBody };
+        if (body.name) {
+            body.debug_id = body.debug_id || this.debugId();
+        }
+
+        return {
+            status: fault.status,
+            body,
+            headers: retryAfter !== undefined ? { 'Retry-After': String(retryAfter) } : {}
+        };
+    }
+
+    /**
+     * Page of invoices in PayPal's list format
+     * 
+     * @param {Array<Object>} invoices - Invoices to page through
+     * @param {URLSearchParams} query - page, page_size, total_required
+     * @param {boolean} [totalAlways=false] - Include totals without total_required (search does)
+     * @returns {Object} {items, total_items, total_pages, links}
+     */
+    page(invoices, query, totalAlways = false) {
+        const page = Math.max(parseInt(query.get('page'), 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(query.get('page_size'), 10) || 20, 1), 100);
+        const result = { items: invoices.slice((page - 1) * pageSize, page * pageSize) };
+
+        if (totalAlways || query.get('total_required') === 'true') {
+            result.total_items = invoices.length;
+            result.total_pages = Math.ceil(invoices.length / pageSize);
+        }
+        result.links = [{ href: `${this.url}/v2/invoicing/invoices?page=${page}&page_size=${pageSize}`, rel: 'self', method: 'GET' }];
+        return result;
+    }
+
+    /**
+     * Next free numeric invoice number (what generate-next-invoice-number suggests)
+     * 
+     * @returns {string} Invoice number
+     */
+    nextInvoiceNumber() {
+        const highest = Array.from(this.invoices.values())
+            .map(invoice => parseInt(String(invoice.detail.invoice_number).replace(/\D/g, ''), 10))
+            .filter(number => !isNaN(number))
+            .reduce((max, number) => Math.max(max, number), 0);
+        return String(highest + 1).padStart(4, '0');
+    }
+
+    /**
+     * Invoice with an invoice number
+     * 
+     * @param {string} invoiceNumber - Invoice number
+     * @returns {Object|undefined} Invoice
+     */
+    findByNumber(invoiceNumber) {
+        return Array.from(this.invoices.values()).find(invoice => invoice.detail.invoice_number === invoiceNumber);
+    }
+
+    /**
+     * HATEOAS links of an invoice
+     * 
+     * @param {string} id - Invoice ID
+     * @returns {Array<Object>} Links
+     */
+    links(id) {
+        const href = `${this.url}/v2/invoicing/invoices/${id}`;
+        return [
+            { href, rel: 'self', method: 'GET' },
+            { href: `${href}/send`, rel: 'send', method: 'POST' },
+            { href, rel: 'replace', method: 'PUT' },
+            { href, rel: 'delete', method: 'DELETE' }
+        ];
+    }
+
+    /**
+     * 422 response for an action the invoice's status doesn't allow
+     * 
+     * @param {Object} invoice - Invoice
+     * @param {string} action - Action name (update, send, remind, cancel, payment, refund)
+     * @returns {Object} Response
+     */
+    invalidStatus(invoice, action) {
+        return this.unprocessable([this.issue('/status', invoice.status, 'INVALID_INVOICE_STATUS',
+            `Cannot ${action === 'payment' || action === 'refund' ? `record a ${action} on` : action} an invoice with status ${invoice.status}.`)]);
+    }
+
+    /**
+     * 422 response with issues
+     * 
+     * @param {Array<Object>} details - Issues
+     * @returns {Object} Response
+     */
+    unprocessable(details) {
+        return {
+            status: 422,
+            body: this.errorBody(422, 'UNPROCESSABLE_ENTITY', 'The requested action could not be performed, semantically incorrect, or failed business validation.', details)
+        };
+    }
+
+    /**
+     * One entry of an error's details
+     * 
+     * @param {string} field - JSON pointer of the field
+     * @param {*} value - Rejected value
+     * @param {string} issue - Issue code
+     * @param {string} description - Issue description
+     * @returns {Object} Detail
+     */
+    issue(field, value, issue, description) {
+        return { field, value: value === undefined ? undefined : String(value), location: 'body', issue, description };
+    }
+
+    /**
+     * PayPal-style error body
+     * 
+     * @param {number} status - HTTP status (for the information link)
+     * @param {string} name - Error name
+     * @param {string} message - Error message
+     * @param {Array<Object>} [details] - Issues
+     * @returns {Object} Error body
+     */
+    errorBody(status, name, message, details) {
+        return {
+            name,
+            message,
+            debug_id: this.debugId(),
+            details,
+            links: [{ href: `https://developer.paypal.com/docs/api/invoicing/v2/#error-${name}`, rel: 'information_link', method: 'GET' }]
+        };
+    }
+
+    /**
+     * Random debug ID like PayPal's
+     * 
+     * @returns {string} Debug ID
+     */
+    debugId() {
+        return crypto.randomBytes(7).toString('hex');
+    }
+
+    /**
+     * Send a response
+     * 
+     * @param {http.ServerResponse} response - Response
+     * @param {Object} result - {status, body, headers}
+     */
+    reply(response, result) {
+        const headers = { ...result.headers };
+        if (result.body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (result.status >= 400 && result.body?.debug_id) {
+            headers['Paypal-Debug-Id'] = result.body.debug_id;
+        }
+
+        response.writeHead(result.status, headers);
+        response.end(result.body !== undefined ? JSON.stringify(result.body) : undefined);
+    }
+
+    /**
+     * Read a request body
+     * 
+     * @param {http.IncomingMessage} request - Request
+     * @returns {Promise<string>} Body text
+     */
+    static readBody(request) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            request.on('data', chunk => chunks.push(chunk));
+            request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            request.on('error', reject);
+        });
+    }
+
+    /**
+     * Parse a fault given on the command line
+     * 
+     * @param {string} spec - STATUS[:METHOD[:PATH[:TIMES]]], e.g. "429:POST:/v2/invoicing/invoices:2",
+     *     "reset::/send" or "500"
+     * @returns {Object} Fault (see injectFault)
+     * @throws {Error} If the status is not a number or "reset"
+     */
+    static parseFault(spec) {
+        const [status, method, path, times] = String(spec).split(':');
+        if (status !== 'reset' && !/^\d{3}$/.test(status)) {
+            throw new Error(`Invalid fault "${spec}" (expected STATUS[:METHOD[:PATH[:TIMES]]], e.g. 429:POST:/v2/invoicing/invoices:2)`);
+        }
+
+        return {
+            ...(status === 'reset' ? { reset: true } : { status: parseInt(status, 10) }),
+            method: method || undefined,
+            path: path || undefined,
+            times: times ? parseInt(times, 10) : 1
+        };
+    }
+}
+
+PayPalMockServer.ACTION_STATUSES = ACTION_STATUSES;
+
+module.exports = PayPalMockServer;
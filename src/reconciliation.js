@@ -0,0 +1,155 @@
+const moment = require('moment');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const InvoiceLedger = require('./invoiceLedger');
+const Currency = require('./currency');
+
+/**
+ * Payment Reconciliation Report
+ * 
+ * Groups ledger invoice records into paid, partially paid, overdue and cancelled
+ * and sums what is still outstanding per currency (amounts in different
+ * currencies are never added together)
+ */
+class Reconciliation {
+    /**
+     * Build a reconciliation report from ledger invoice records
+     * 
+     * @param {Array<Object>} records - Invoice records from InvoiceLedger.getInvoices/query
+     * @param {string} [asOf] - Report date (YYYY-MM-DD), defaults to today
+     * @returns {Object} Report with invoice groups and per-currency outstanding totals
+     */
+    static buildReport(records, asOf = moment().format('YYYY-MM-DD')) {
+        const report = {
+            asOf,
+            paid: [],
+            partiallyPaid: [],
+            overdue: [],
+            open: [],
+            cancelled: [],
+            outstanding: {},
+            overdueOutstanding: {}
+        };
+
+        records.forEach(record => {
+            if (['PAID', 'MARKED_AS_PAID'].includes(record.status)) {
+                report.paid.push(record);
+            } else if (record.status === 'CANCELLED') {
+                report.cancelled.push(record);
+            }
+
+            if (!InvoiceLedger.isUnpaid(record)) {
+                return;
+            }
+
+            if (record.status === 'PARTIALLY_PAID') {
+                report.partiallyPaid.push(record);
+            }
+
+            const isOverdue = Boolean(record.dueDate) && record.dueDate < asOf;
+            (isOverdue ? report.overdue : report.open).push(record);
+
+            const amount = this.getOutstandingAmount(record);
+            if (amount) {
+                report.outstanding[amount.currency] = (report.outstanding[amount.currency] || 0) + amount.value;
+                if (isOverdue) {
+                    report.overdueOutstanding[amount.currency] = (report.overdueOutstanding[amount.currency] || 0) + amount.value;
+                }
+            }
+        });
+
+        return report;
+    }
+
+    /**
+     * Amount still owed on an invoice
+     * 
+     * Uses PayPal's due_amount from the last sync, falling back to the invoice total
+     * 
+     * @param {Object} record - Invoice record
+     * @returns {{currency: string, value: number}|null} Outstanding amount or null if unknown
+     */
+    static getOutstandingAmount(record) {
+        if (record.dueAmount) {
+            return { currency: record.dueAmount.currency, value: parseFloat(record.dueAmount.value) };
+        }
+        if (record.totals) {
+            return { currency: record.totals.currency, value: parseFloat(record.totals.total) };
+        }
+        return null;
+    }
+
+    /**
+     * Format a reconciliation report for console display
+     * 
+     * @param {Object} report - Report from buildReport
+     * @returns {string} Formatted report ready for console display
+     */
+    static formatReport(report) {
+        let output = '\n';
+        output += chalk.bold.blue('='.repeat(60)) + '\n';
+        output += chalk.bold.blue(`           RECONCILIATION REPORT (${report.asOf})`) + '\n';
+        output += chalk.bold.blue('='.repeat(60)) + '\n';
+
+        const sections = [
+            ['✅ PAID', report.paid, chalk.green],
+            ['🟡 PARTIALLY PAID', report.partiallyPaid, chalk.yellow],
+            ['🔴 OVERDUE', report.overdue, chalk.red],
+            ['🚫 CANCELLED', report.cancelled, chalk.gray]
+        ];
+
+        sections.forEach(([title, records, color]) => {
+            output += '\n' + color.bold(`${title} (${records.length})`) + '\n';
+            if (records.length > 0) {
+                output += this.formatTable(records, report.asOf) + '\n';
+            }
+        });
+
+        output += '\n' + chalk.bold('💰 OUTSTANDING BY CURRENCY') + '\n';
+        const currencies = Object.keys(report.outstanding).sort();
+        if (currencies.length === 0) {
+            output += chalk.green('Nothing outstanding 🎉') + '\n';
+        }
+        currencies.forEach(currency => {
+            const overdue = report.overdueOutstanding[currency] || 0;
+            output += `${currency} ${Currency.formatValue(report.outstanding[currency], currency)}`;
+            output += overdue ? chalk.red(` (overdue: ${currency} ${Currency.formatValue(overdue, currency)})`) : '';
+            output += '\n';
+        });
+
+        output += '\n' + chalk.bold.blue('='.repeat(60)) + '\n';
+        return output;
+    }
+
+    /**
+     * Format invoice records as a table
+     * 
+     * @param {Array<Object>} records - Invoice records
+     * @param {string} asOf - Report date used for days overdue
+     * @returns {string} Rendered table
+     */
+    static formatTable(records, asOf) {
+        const table = new Table({
+            head: ['Number', 'Customer', 'Total', 'Due Amount', 'Due Date', 'Days Late'],
+            colWidths: [18, 24, 14, 14, 12, 11]
+        });
+
+        records.forEach(record => {
+            const outstanding = this.getOutstandingAmount(record);
+            const daysLate = record.dueDate ? moment(asOf).diff(moment(record.dueDate), 'days') : 0;
+
+            table.push([
+                record.invoiceNumber || record.invoiceId,
+                record.customer?.businessName || record.customer?.email || 'N/A',
+                record.totals ? `${record.totals.currency} ${record.totals.total}` : 'N/A',
+                InvoiceLedger.isUnpaid(record) && outstanding ? `${outstanding.currency} ${Currency.formatValue(outstanding.value, outstanding.currency)}` : '-',
+                record.dueDate || 'N/A',
+                InvoiceLedger.isUnpaid(record) && daysLate > 0 ? String(daysLate) : '-'
+            ]);
+        });
+
+        return table.toString();
+    }
+}
+
+module.exports = Reconciliation;
@@ -0,0 +1,425 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const InvoiceManager = require('./invoiceManager');
+const InvoiceLedger = require('./invoiceLedger');
+const CustomerTemplates = require('./customerTemplates');
+const InvoiceValidator = require('./invoiceValidator');
+
+/**
+ * Cadences a schedule can repeat at (every "interval" months, weeks or days)
+ */
+const CADENCES = {
+    monthly: 'months',
+    weekly: 'weeks',
+    days: 'days'
+};
+
+/**
+ * Run locks older than this are left over from a crashed run
+ */
+const STALE_LOCK_MS = 60 * 60 * 1000;
+
+/**
+ * Recurring Invoice Schedules
+ * 
+ * Retainers and monthly packages defined in a local JSON file (config/schedules.json
+ * by default, override with SCHEDULES_FILE). Each schedule bills one customer the same
+ * services at a fixed cadence between a start and an optional end date:
+ * 
+ * {
+ *   "schedules": [{
+ *     "id": "acme-monthly",
+ *     "profile": "tgm",
+ *     "customerId": "acme",
+ *     "cadence": "monthly",
+ *     "interval": 1,
+ *     "startDate": "2026-01-01",
+ *     "endDate": "2026-12-31",
+ *     "autoSend": true,
+ *     "invoice": {
+ *       "services": [{"type": "guest_post", "price": 40, "quantity": 4, "title": "Monthly package {period}"}],
+ *       "discount": {"percent": 10}
+ *     }
+ *   }]
+ * }
+ * 
+ * "invoice" is any multi-service invoice JSON (see CustomerTemplates.createMultiItemFromJSON);
+ * {period} and {date} in its text are replaced with the occurrence being billed.
+ * 
+ * Which occurrences were already billed is read from the local ledger: every invoice
+ * records its schedule and occurrence date, and its idempotency key is derived from
+ * them, so a missed run is caught up on the next one and no occurrence is ever billed twice
+ */
+class RecurringSchedules {
+    /**
+     * @param {Object} [options={}] - Schedule options
+     * @param {string} [options.filePath] - Path to the schedules JSON file
+     * @param {string} [options.profile] - Business profile for schedules that don't name one
+     * @param {InvoiceLedger} [options.ledger] - Ledger the billed occurrences are read from
+     * @param {Function} [options.notification] - Builds sendInvoice options from invoice data
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath
+            || process.env.SCHEDULES_FILE
+            || path.join(__dirname, '..', 'config', 'schedules.json');
+        this.profile = options.profile;
+        this.ledger = options.ledger || new InvoiceLedger();
+        this.notification = options.notification || (() => ({}));
+        this.managers = new Map();
+    }
+
+    /**
+     * Load and validate the schedules file
+     * 
+     * @returns {Array<Object>} Schedules
+     * @throws {Error} If the file is missing or a schedule is invalid
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            throw new Error(`Schedules file not found: ${this.filePath} (set SCHEDULES_FILE)`);
+        }
+
+        const json = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const schedules = Array.isArray(json) ? json : json.schedules;
+        if (!Array.isArray(schedules)) {
+            throw new Error('Schedules JSON must be an array of schedules (or {"schedules": [...]})');
+        }
+
+        const errors = [];
+        schedules.forEach((schedule, index) => {
+            RecurringSchedules.validate(schedule).errors.forEach(error => {
+                errors.push(`Schedule ${schedule.id || index + 1}: ${error}`);
+            });
+        });
+        const ids = schedules.map(schedule => schedule.id);
+        ids.filter((id, index) => id && ids.indexOf(id) !== index).forEach(id => {
+            errors.push(`Schedule ID used more than once: ${id}`);
+        });
+        if (errors.length > 0) {
+            throw new Error(`Invalid schedules in ${this.filePath}:\n${errors.join('\n')}`);
+        }
+
+        return schedules;
+    }
+
+    /**
+     * Validate one schedule definition
+     * 
+     * @param {Object} schedule - Schedule
+     * @returns {Object} Validation result with isValid and errors
+     */
+    static validate(schedule) {
+        const errors = [];
+        const isDate = value => moment(value, 'YYYY-MM-DD', true).isValid();
+
+        if (!schedule.id || !/^[a-z0-9][a-z0-9_-]*$/i.test(schedule.id)) {
+            errors.push('id is required (letters, numbers, - and _)');
+        }
+        if (!schedule.customerId && !schedule.customer) {
+            errors.push('customerId (or customer) is required');
+        }
+        if (!Array.isArray(schedule.invoice?.services) || schedule.invoice.services.length === 0) {
+            errors.push('invoice.services must list at least one service');
+        }
+        if (!CADENCES[schedule.cadence]) {
+            errors.push(`cadence must be one of: ${Object.keys(CADENCES).join(', ')}`);
+        }
+        if (schedule.interval !== undefined && !(Number.isInteger(schedule.interval) && schedule.interval > 0)) {
+            errors.push('interval must be a whole number above 0');
+        }
+        if (!isDate(schedule.startDate)) {
+            errors.push('startDate is required (YYYY-MM-DD)');
+        }
+        if (schedule.endDate && !isDate(schedule.endDate)) {
+            errors.push('endDate must be a date (YYYY-MM-DD)');
+        } else if (schedule.endDate && schedule.endDate < schedule.startDate) {
+            errors.push('endDate is before startDate');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Occurrence dates of a schedule from its start date up to a date
+     * 
+     * Months are counted from the start date, so a schedule starting on the 31st
+     * bills on the last day of shorter months and returns to the 31st afterwards
+     * 
+     * @param {Object} schedule - Schedule
+     * @param {string} until - Last date to include (YYYY-MM-DD)
+     * @returns {Array<string>} Occurrence dates (YYYY-MM-DD), oldest first
+     */
+    static occurrences(schedule, until) {
+        const last = schedule.endDate && schedule.endDate < until ? schedule.endDate : until;
+        const dates = [];
+
+        for (let n = 0; ; n++) {
+            const date = this.occurrence(schedule, n);
+            if (date > last) {
+                return dates;
+            }
+            dates.push(date);
+        }
+    }
+
+    /**
+     * Next occurrence of a schedule after a date
+     * 
+     * @param {Object} schedule - Schedule
+     * @param {string} after - Date (YYYY-MM-DD)
+     * @returns {string|null} Occurrence date, or null once the schedule has ended
+     */
+    static nextOccurrence(schedule, after) {
+        const date = this.occurrence(schedule, this.occurrences(schedule, after).length);
+        return schedule.endDate && date > schedule.endDate ? null : date;
+    }
+
+    /**
+     * Date of the nth occurrence (0 is the start date)
+     * 
+     * @param {Object} schedule - Schedule
+     * @param {number} n - Occurrence index
+     * @returns {string} Occurrence date (YYYY-MM-DD)
+     */
+    static occurrence(schedule, n) {
+        return moment(schedule.startDate, 'YYYY-MM-DD')
+            .add(n * (schedule.interval || 1), CADENCES[schedule.cadence])
+            .format('YYYY-MM-DD');
+    }
+
+    /**
+     * Human-readable billing period of an occurrence, e.g. "October 2026"
+     * 
+     * @param {Object} schedule - Schedule
+     * @param {string} date - Occurrence date (YYYY-MM-DD)
+     * @returns {string} Period label
+     */
+    static periodLabel(schedule, date) {
+        const start = moment(date, 'YYYY-MM-DD');
+        if (schedule.cadence === 'monthly' && (schedule.interval || 1) === 1) {
+            return start.format('MMMM YYYY');
+        }
+
+        const end = start.clone().add(schedule.interval || 1, CADENCES[schedule.cadence]).subtract(1, 'day');
+        return `${start.format('D MMM YYYY')} - ${end.format('D MMM YYYY')}`;
+    }
+
+    /**
+     * Build the invoice data for one occurrence
+     * 
+     * @param {Object} schedule - Schedule
+     * @param {string} date - Occurrence date (YYYY-MM-DD)
+     * @returns {Object} Invoice data, with the schedule, occurrence and idempotency key set
+     */
+    buildInvoiceData(schedule, date) {
+        const values = { period: RecurringSchedules.periodLabel(schedule, date), date };
+        const fill = value => {
+            if (typeof value === 'string') {
+                return value.replace(/\{(period|date)\}/g, (match, key) => values[key]);
+            }
+            if (Array.isArray(value)) {
+                return value.map(fill);
+            }
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, fill(entry)]));
+            }
+            return value;
+        };
+
+        const invoiceData = CustomerTemplates.fromJSON({
+            reference: `${schedule.id} ${date}`,
+            ...fill(schedule.invoice),
+            customerId: schedule.customerId,
+            customer: schedule.customer,
+            profile: schedule.profile || this.profile
+        });
+
+        return {
+            ...invoiceData,
+            idempotencyKey: `schedule-${schedule.id}-${date}`,
+            schedule: { id: schedule.id, occurrence: date }
+        };
+    }
+
+    /**
+     * Occurrences that are due: not billed yet, or (with autoSend) billed but still a draft
+     * 
+     * @param {Array<Object>} schedules - Schedules from load
+     * @param {Object} [options={}] - Options
+     * @param {string} [options.asOf] - Date to bill up to (YYYY-MM-DD), defaults to today
+     * @returns {Array<Object>} Due occurrences ({schedule, date, invoiceId}), per schedule oldest first
+     */
+    findDue(schedules, options = {}) {
+        const asOf = options.asOf || moment().format('YYYY-MM-DD');
+        const records = this.ledger.getInvoices().filter(record => record.schedule);
+
+        return schedules.flatMap(schedule => {
+            const environment = this.getManager(schedule.profile).paypal.getEnvironment();
+            const billed = new Map(records
+                .filter(record => record.schedule.id === schedule.id && record.environment === environment)
+                .map(record => [record.schedule.occurrence, record]));
+
+            return RecurringSchedules.occurrences(schedule, asOf)
+                .filter(date => !billed.has(date) || (schedule.autoSend && billed.get(date).status === 'DRAFT'))
+                .map(date => ({ schedule, date, invoiceId: billed.get(date)?.invoiceId || null }));
+        });
+    }
+
+    /**
+     * Create (and, for autoSend schedules, send) the invoice of every due occurrence
+     * 
+     * Holds a lock file next to the ledger so overlapping cron runs never bill together
+     * 
+     * @param {Array<Object>} due - Due occurrences from findDue
+     * @returns {Promise<Array<Object>>} One result per occurrence
+     */
+    async run(due) {
+        return this.withRunLock(async () => {
+            const results = [];
+            for (const entry of due) {
+                results.push(await this.processOccurrence(entry));
+            }
+            return results;
+        });
+    }
+
+    /**
+     * Bill one occurrence
+     * 
+     * @param {Object} entry - Due occurrence
+     * @returns {Promise<Object>} Occurrence result
+     */
+    async processOccurrence(entry) {
+        const result = this.toResult(entry, 'due');
+        let invoiceData;
+
+        try {
+            invoiceData = this.buildInvoiceData(entry.schedule, entry.date);
+        } catch (error) {
+            return { ...result, status: 'invalid', errors: [error.message] };
+        }
+
+        try {
+            const manager = this.getManager(invoiceData.business.profileId);
+            const created = entry.schedule.autoSend
+                ? await manager.createAndSendInvoice(invoiceData, this.notification(invoiceData, manager.profile.name))
+                : await manager.createInvoice(invoiceData);
+
+            if (!created.invoiceId) {
+                return { ...result, status: 'failed', errors: [created.error] };
+            }
+
+            let status = created.duplicate ? 'existing' : 'created';
+            if (created.sent) {
+                status = 'sent';
+            } else if (!created.success) {
+                status = 'send_failed';
+            }
+
+            return {
+                ...result,
+                status,
+                invoiceId: created.invoiceId,
+                invoiceNumber: created.invoiceNumber,
+                total: `${created.currency} ${created.totalAmount}`,
+                errors: created.sendError ? [created.sendError] : []
+            };
+
+        } catch (error) {
+            return { ...result, status: 'failed', errors: [error.message] };
+        }
+    }
+
+    /**
+     * Validation outcome of every due occurrence, without contacting PayPal (dry run)
+     * 
+     * @param {Array<Object>} due - Due occurrences from findDue
+     * @returns {Array<Object>} One 'due' or 'invalid' result per occurrence
+     */
+    validationResults(due) {
+        return due.map(entry => {
+            try {
+                const { errors } = InvoiceValidator.validateCompleteInvoice(this.buildInvoiceData(entry.schedule, entry.date));
+                return { ...this.toResult(entry, errors.length > 0 ? 'invalid' : 'due'), errors };
+            } catch (error) {
+                return { ...this.toResult(entry, 'invalid'), errors: [error.message] };
+            }
+        });
+    }
+
+    /**
+     * Result for a due occurrence
+     * 
+     * @param {Object} entry - Due occurrence
+     * @param {string} status - Result status
+     * @returns {Object} Occurrence result
+     */
+    toResult(entry, status) {
+        return {
+            schedule: entry.schedule.id,
+            occurrence: entry.date,
+            status,
+            invoiceId: entry.invoiceId,
+            invoiceNumber: null,
+            customer: entry.schedule.customerId || entry.schedule.customer?.email || null,
+            total: null,
+            errors: []
+        };
+    }
+
+    /**
+     * Run a function while holding the run-due lock file
+     * 
+     * @param {Function} fn - Async function to run
+     * @returns {Promise<*>} The function's result
+     * @throws {Error} If another run holds the lock
+     */
+    async withRunLock(fn) {
+        const lockPath = path.join(path.dirname(this.ledger.filePath), 'run-due.lock');
+        fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+        if (fs.existsSync(lockPath) && Date.now() - fs.statSync(lockPath).mtimeMs >= STALE_LOCK_MS) {
+            fs.rmSync(lockPath, { force: true });
+        }
+
+        let fd;
+        try {
+            fd = fs.openSync(lockPath, 'wx');
+        } catch (error) {
+            if (error.code === 'EEXIST') {
+                throw new Error(`Another run-due is in progress (lock file: ${lockPath})`);
+            }
+            throw error;
+        }
+
+        try {
+            fs.writeSync(fd, `${process.pid} ${new Date().toISOString()}\n`);
+            return await fn();
+        } finally {
+            fs.closeSync(fd);
+            fs.rmSync(lockPath, { force: true });
+        }
+    }
+
+    /**
+     * Get the invoice manager for a business profile (one per profile, reused across schedules)
+     * 
+     * @param {string} [profile] - Business profile ID
+     * @returns {InvoiceManager} Invoice manager
+     */
+    getManager(profile) {
+        const key = profile || this.profile || '';
+        if (!this.managers.has(key)) {
+            this.managers.set(key, new InvoiceManager({ profile: profile || this.profile }));
+        }
+        return this.managers.get(key);
+    }
+}
+
+RecurringSchedules.CADENCES = CADENCES;
+
+module.exports = RecurringSchedules;
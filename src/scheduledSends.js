@@ -0,0 +1,100 @@
+const moment = require('moment');
+
+/**
+ * Accepted send time formats (local time unless an offset is given)
+ */
+const SEND_AT_FORMATS = ['YYYY-MM-DD', 'YYYY-MM-DD HH:mm', 'YYYY-MM-DDTHH:mm', moment.ISO_8601];
+
+/**
+ * Scheduled Invoice Sends
+ * 
+ * Decides which draft invoices are due to be emailed. A send is scheduled by storing
+ * scheduledSend ({at, subject, note, sendToInvoicer, dueInDays}) on the invoice's ledger
+ * record; the dispatch command then sends every draft whose time has come. Sending (by
+ * dispatch or by hand) moves the invoice out of DRAFT, which takes it off the queue
+ * 
+ * A draft's due date is set when it is created, so the payment term (dueInDays) is
+ * kept with the schedule and the due date is moved to that many days after the send
+ */
+class ScheduledSends {
+    /**
+     * Parse a send time
+     * 
+     * @param {string} value - Date (YYYY-MM-DD, sent from midnight), local date and time
+     *     (YYYY-MM-DD HH:mm) or ISO 8601 timestamp
+     * @returns {string} Send time as an ISO timestamp
+     * @throws {Error} If the value is not a valid date or time
+     */
+    static parseSendAt(value) {
+        const time = moment(String(value || '').trim(), SEND_AT_FORMATS, true);
+        if (!time.isValid()) {
+            throw new Error(`Invalid send time: ${value} (expected YYYY-MM-DD, "YYYY-MM-DD HH:mm" or an ISO timestamp)`);
+        }
+        return time.toISOString();
+    }
+
+    /**
+     * Payment term of an invoice: days from its invoice date to its due date
+     * 
+     * @param {Object} invoice - PayPal invoice
+     * @returns {number|null} Days, or null if the invoice has no due date
+     */
+    static paymentTermDays(invoice) {
+        const dueDate = invoice.detail?.payment_term?.due_date;
+        const invoiceDate = invoice.detail?.invoice_date;
+        if (!dueDate || !invoiceDate) {
+            return null;
+        }
+        return Math.max(0, moment(dueDate, 'YYYY-MM-DD').diff(moment(invoiceDate, 'YYYY-MM-DD'), 'days'));
+    }
+
+    /**
+     * Due date for a scheduled send made at a given time
+     * 
+     * @param {Object} scheduledSend - Scheduled send ({dueInDays, ...})
+     * @param {Date|string} [sentAt] - Time of the send, defaults to now
+     * @returns {string|null} Due date (YYYY-MM-DD), or null if the draft has no payment term
+     */
+    static dueDateFor(scheduledSend, sentAt = new Date()) {
+        if (!Number.isInteger(scheduledSend.dueInDays)) {
+            return null;
+        }
+        return moment(sentAt).add(scheduledSend.dueInDays, 'days').format('YYYY-MM-DD');
+    }
+
+    /**
+     * Whether a ledger record has a send waiting
+     * 
+     * @param {Object} record - Invoice record
+     * @returns {boolean} True for drafts with a scheduled send
+     */
+    static isPending(record) {
+        return Boolean(record.scheduledSend?.at) && record.status === 'DRAFT';
+    }
+
+    /**
+     * Pending sends, soonest first
+     * 
+     * @param {Array<Object>} records - Invoice records from the local ledger
+     * @returns {Array<Object>} Records with a pending send
+     */
+    static pending(records) {
+        return records
+            .filter(record => this.isPending(record))
+            .sort((a, b) => a.scheduledSend.at.localeCompare(b.scheduledSend.at));
+    }
+
+    /**
+     * Pending sends whose time has come
+     * 
+     * @param {Array<Object>} records - Invoice records from the local ledger
+     * @param {Date|string} [now] - Time to evaluate against, defaults to now
+     * @returns {Array<Object>} Records to send, soonest first
+     */
+    static findDue(records, now = new Date()) {
+        const cutoff = new Date(now).toISOString();
+        return this.pending(records).filter(record => record.scheduledSend.at <= cutoff);
+    }
+}
+
+module.exports = ScheduledSends;
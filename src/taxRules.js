@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * EU member states (ISO 3166-1 alpha-2)
+ */
+const EU_COUNTRIES = [
+    'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+    'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'
+];
+
+/**
+ * Built-in settings, each of which can be overridden in config/tax-rules.json
+ * 
+ * Rates are standard rates; check them against current law and override any that
+ * changed (or that differ for your services) in the config file
+ */
+const DEFAULT_CONFIG = {
+    vatRates: {
+        AT: 20, BE: 21, BG: 20, HR: 25, CY: 19, CZ: 21, DK: 25, EE: 24, FI: 25.5, FR: 20,
+        DE: 19, GR: 24, HU: 27, IE: 23, IT: 22, LV: 21, LT: 21, LU: 17, MT: 18, NL: 21,
+        PL: 23, PT: 23, RO: 21, SK: 23, SI: 22, ES: 21, SE: 25, GB: 20
+    },
+    gstRate: 18,
+    // "customer": EU consumers pay their own country's VAT (OSS); "invoicer": the seller's
+    // VAT, for sellers below the EU's EUR 10,000 distance sales threshold
+    euConsumerVat: 'customer',
+    notes: {
+        reverseCharge: 'Reverse charge: VAT to be accounted for by the recipient (Article 196, Council Directive 2006/112/EC). Customer VAT number: {customerVatNumber}.',
+        euExport: 'Supply of services outside the EU: not subject to EU VAT.',
+        ukExport: 'Supply of services to a customer outside the UK: outside the scope of UK VAT.',
+        indiaExport: 'Export of services under LUT without payment of IGST.'
+    },
+    rules: []
+};
+
+/**
+ * Tax Rules
+ * 
+ * Decides the tax on an invoice from the invoicer's country, the customer's
+ * address.countryCode and whether the customer has a vatNumber (B2B):
+ * 
+ * - EU invoicer: domestic VAT at home; reverse charge (no VAT, legal note) for EU
+ *   businesses with a VAT number; the customer's country VAT for EU consumers (OSS);
+ *   no VAT outside the EU (export)
+ * - UK invoicer: 20% VAT for UK customers; outside the scope of UK VAT otherwise
+ * - Indian invoicer: GST for Indian customers; zero-rated export under LUT otherwise
+ * - Any other invoicer: no tax
+ * 
+ * The legal note of the case (reverse charge, export) is added to the invoice note.
+ * Rates, notes and extra rules come from config/tax-rules.json (optional, override
+ * with TAX_RULES_FILE). Extra rules are checked first and match on invoicerCountry,
+ * customerCountry (country code, "EU", or "*") and b2b (true/false, omit for both):
+ * 
+ *   { "invoicerCountry": "US", "customerCountry": "US", "tax": { "name": "Sales Tax", "percent": 8.25 } }
+ */
+class TaxRules {
+    /**
+     * @param {string} [filePath] - Path to the tax rules JSON file
+     */
+    constructor(filePath) {
+        this.filePath = filePath
+            || process.env.TAX_RULES_FILE
+            || path.join(__dirname, '..', 'config', 'tax-rules.json');
+    }
+
+    /**
+     * Load the configuration, merged over the built-in settings
+     * 
+     * @returns {Object} Tax configuration
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return DEFAULT_CONFIG;
+        }
+
+        const contents = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        return {
+            ...DEFAULT_CONFIG,
+            ...contents,
+            vatRates: { ...DEFAULT_CONFIG.vatRates, ...contents.vatRates },
+            notes: { ...DEFAULT_CONFIG.notes, ...contents.notes },
+            rules: contents.rules || []
+        };
+    }
+
+    /**
+     * Decide the tax for invoice data
+     * 
+     * @param {Object} invoiceData - Invoice data (business.address, customer.address and customer.vatNumber)
+     * @returns {Object} Decision: regime, tax ({name, percent} or null), note, term and
+     *     warning (set when the customer's country is unknown)
+     */
+    forInvoice(invoiceData) {
+        return this.decide({
+            invoicerCountry: invoiceData.business?.address?.countryCode,
+            customerCountry: invoiceData.customer?.address?.countryCode,
+            vatNumber: invoiceData.customer?.vatNumber,
+            invoicerTaxId: invoiceData.business?.taxId
+        });
+    }
+
+    /**
+     * Decide the tax for an invoicer and customer
+     * 
+     * @param {Object} parties - Parties of the invoice
+     * @param {string} parties.invoicerCountry - Invoicer country code
+     * @param {string} [parties.customerCountry] - Customer country code
+     * @param {string} [parties.vatNumber] - Customer VAT/GST number
+     * @param {string} [parties.invoicerTaxId] - Invoicer tax ID (for notes)
+     * @returns {Object} Decision (see forInvoice)
+     */
+    decide(parties) {
+        const config = this.load();
+        const from = String(parties.invoicerCountry || '').toUpperCase();
+        const to = String(parties.customerCountry || '').toUpperCase();
+        const b2b = Boolean(parties.vatNumber && String(parties.vatNumber).trim());
+        const fill = text => (text || '')
+            .replace(/\{customerVatNumber\}/g, parties.vatNumber || '')
+            .replace(/\{invoicerTaxId\}/g, parties.invoicerTaxId || '');
+        const decision = (regime, tax, note = '', term = '') => ({ regime, tax, note: fill(note), term: fill(term), warning: null });
+
+        const custom = config.rules.find(rule => TaxRules.matches(rule, from, to, b2b));
+        if (custom) {
+            return decision('custom', custom.tax ? { name: custom.tax.name || 'Tax', percent: Number(custom.tax.percent) } : null, custom.note, custom.term);
+        }
+
+        const taxedHere = ['GB', 'IN'].includes(from) || EU_COUNTRIES.includes(from);
+        if (!to) {
+            return {
+                ...decision('unknown', null),
+                warning: taxedHere ? "Customer has no address country, so no tax was added; set the customer's address.countryCode" : null
+            };
+        }
+
+        if (EU_COUNTRIES.includes(from)) {
+            if (to === from) {
+                return decision('domestic', TaxRules.vat(config, from));
+            }
+            if (EU_COUNTRIES.includes(to)) {
+                return b2b
+                    ? decision('reverse_charge', null, config.notes.reverseCharge)
+                    : decision('eu_consumer', TaxRules.vat(config, config.euConsumerVat === 'invoicer' ? from : to));
+            }
+            return decision('export', null, config.notes.euExport);
+        }
+
+        if (from === 'GB') {
+            return to === 'GB'
+                ? decision('domestic', TaxRules.vat(config, 'GB'))
+                : decision('export', null, config.notes.ukExport);
+        }
+
+        if (from === 'IN') {
+            return to === 'IN'
+                ? decision('domestic', { name: 'GST', percent: Number(config.gstRate) })
+                : decision('export', null, config.notes.indiaExport);
+        }
+
+        return decision('none', null);
+    }
+
+    /**
+     * VAT of a country
+     * 
+     * @param {Object} config - Tax configuration
+     * @param {string} country - Country code
+     * @returns {Object} Tax ({name, percent})
+     * @throws {Error} If no rate is configured for the country
+     */
+    static vat(config, country) {
+        const rate = config.vatRates[country];
+        if (rate === undefined) {
+            throw new Error(`No VAT rate configured for ${country}; add it to vatRates in the tax rules file`);
+        }
+        return { name: 'VAT', percent: Number(rate) };
+    }
+
+    /**
+     * Check whether a configured rule matches
+     * 
+     * @param {Object} rule - Rule from the config file
+     * @param {string} from - Invoicer country
+     * @param {string} to - Customer country
+     * @param {boolean} b2b - Customer has a VAT number
+     * @returns {boolean} True if the rule applies
+     */
+    static matches(rule, from, to, b2b) {
+        const country = (pattern, code) => !pattern || pattern === '*'
+            || (pattern === 'EU' ? EU_COUNTRIES.includes(code) : pattern.toUpperCase() === code);
+
+        return country(rule.invoicerCountry, from)
+            && country(rule.customerCountry, to)
+            && (rule.b2b === undefined || rule.b2b === b2b);
+    }
+
+    /**
+     * Check whether a country is an EU member state
+     * 
+     * @param {string} country - Country code
+     * @returns {boolean} True for EU members
+     */
+    static isEU(country) {
+        return EU_COUNTRIES.includes(String(country || '').toUpperCase());
+    }
+}
+
+TaxRules.EU_COUNTRIES = EU_COUNTRIES;
+TaxRules.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
+module.exports = TaxRules;
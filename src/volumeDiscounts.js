@@ -0,0 +1,119 @@
+/**
+ * Volume Discounts
+ * 
+ * Tiered discounts a business profile grants automatically, configured as
+ * "volumeDiscounts" in config/profiles.json:
+ * 
+ *   [
+ *     { "service": "link_insertion", "minQuantity": 5, "percent": 10 },
+ *     { "service": "link_insertion", "minQuantity": 10, "percent": 15 },
+ *     { "minQuantity": 8, "percent": 5 }
+ *   ]
+ * 
+ * A rule applies when the invoice has at least minQuantity units of its service
+ * (of any service when "service" is omitted). Of the matching rules for the same
+ * service only the highest tier counts. Service rules discount the items of that
+ * service (item discount percent); rules without a service become the invoice-level
+ * discount (percent or fixed amount). An invoice that sets its own discount gets no
+ * volume discounts, and items with their own discount keep it
+ */
+class VolumeDiscounts {
+    /**
+     * Check and normalize a profile's rules
+     * 
+     * @param {Array<Object>} [rules] - Raw rules
+     * @param {string} profileId - Profile the rules belong to (for error messages)
+     * @returns {Array<Object>} Normalized rules
+     * @throws {Error} If a rule is invalid
+     */
+    static normalizeRules(rules, profileId) {
+        if (rules === undefined || rules === null) {
+            return [];
+        }
+        if (!Array.isArray(rules)) {
+            throw new Error(`Business profile "${profileId}": volumeDiscounts must be an array`);
+        }
+
+        return rules.map((rule, index) => {
+            const where = `Business profile "${profileId}", volume discount ${index + 1}`;
+            const minQuantity = Number(rule.minQuantity);
+            if (!Number.isInteger(minQuantity) || minQuantity < 1) {
+                throw new Error(`${where}: minQuantity must be a whole number of at least 1`);
+            }
+
+            const hasPercent = rule.percent !== undefined;
+            const hasAmount = rule.amount !== undefined;
+            if (hasPercent === hasAmount) {
+                throw new Error(`${where}: set either percent or amount`);
+            }
+            if (hasPercent && !(Number(rule.percent) > 0 && Number(rule.percent) <= 100)) {
+                throw new Error(`${where}: percent must be more than 0 and at most 100`);
+            }
+            if (hasAmount && !(Number(rule.amount) > 0)) {
+                throw new Error(`${where}: amount must be greater than zero`);
+            }
+            if (hasAmount && rule.service) {
+                throw new Error(`${where}: rules for one service must use percent (amounts apply to the whole invoice)`);
+            }
+
+            return {
+                service: rule.service || '',
+                minQuantity,
+                percent: hasPercent ? Number(rule.percent) : undefined,
+                amount: hasAmount ? Number(rule.amount) : undefined
+            };
+        });
+    }
+
+    /**
+     * Pick the rules that apply to a set of items (the highest tier per service)
+     * 
+     * @param {Array<Object>} items - Invoice data items (serviceType identifies the service)
+     * @param {Array<Object>} rules - Normalized rules
+     * @returns {Array<Object>} Applicable rules
+     */
+    static select(items, rules) {
+        const best = new Map();
+
+        (rules || []).forEach(rule => {
+            const quantity = items
+                .filter(item => !rule.service || item.serviceType === rule.service)
+                .reduce((sum, item) => sum + parseFloat(item.quantity || 0), 0);
+
+            const current = best.get(rule.service);
+            if (quantity >= rule.minQuantity && (!current || rule.minQuantity > current.minQuantity)) {
+                best.set(rule.service, rule);
+            }
+        });
+
+        return Array.from(best.values());
+    }
+
+    /**
+     * Discount for one item from the applicable rules
+     * 
+     * @param {Object} item - Invoice data item
+     * @param {Array<Object>} applicable - select result
+     * @returns {Object|null} Item discount ({percent}) or null
+     */
+    static forItem(item, applicable) {
+        const rule = applicable.find(candidate => candidate.service && candidate.service === item.serviceType);
+        return rule ? { percent: rule.percent } : null;
+    }
+
+    /**
+     * Invoice-level discount from the applicable rules
+     * 
+     * @param {Array<Object>} applicable - select result
+     * @returns {Object|null} Invoice discount ({percent} or {amount}) or null
+     */
+    static forInvoice(applicable) {
+        const rule = applicable.find(candidate => !candidate.service);
+        if (!rule) {
+            return null;
+        }
+        return rule.percent !== undefined ? { percent: rule.percent } : { amount: rule.amount };
+    }
+}
+
+module.exports = VolumeDiscounts;
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+const axios = require('axios');
+
+/**
+ * Hook types and the settings each one needs
+ */
+const HOOK_TYPES = {
+    command: 'command',
+    http: 'url',
+    log: null
+};
+
+/**
+ * How long a command or HTTP hook may run
+ */
+const HOOK_TIMEOUT_MS = 15000;
+
+/**
+ * Hooks used without a hooks file: every event is printed
+ */
+const CONSOLE_HOOKS = [{ events: ['*'], type: 'log' }];
+
+/**
+ * Default log line (placeholders are filled from the event summary)
+ */
+const DEFAULT_LOG_FORMAT = '{receivedAt} {eventType} {invoiceNumber} ({invoiceId}) {status} {currency} {amount}';
+
+/**
+ * Webhook Hooks
+ * 
+ * Actions run after a PayPal webhook event has been verified and recorded, configured
+ * in config/webhook-hooks.json (override with WEBHOOK_HOOKS_FILE):
+ * 
+ * {
+ *   "hooks": [
+ *     { "events": ["INVOICING.INVOICE.PAID"], "type": "command", "command": "./scripts/on-paid.sh" },
+ *     { "events": ["INVOICING.INVOICE.*"], "type": "http", "url": "https://example.com/hooks/paypal" },
+ *     { "events": ["*"], "type": "log", "file": "invoices/webhooks.log", "format": "{eventType} {invoiceNumber}" }
+ *   ]
+ * }
+ * 
+ * Commands get the event summary as PAYPAL_* environment variables and the full event
+ * JSON on stdin; nothing from the event is put into the command line itself. HTTP hooks
+ * receive the summary and event as a JSON POST. Log hooks append a line to a file, or
+ * print it when no file is given. Without a hooks file every event is logged to the console
+ */
+class WebhookHooks {
+    /**
+     * @param {string} [filePath] - Path to the hooks JSON file
+     */
+    constructor(filePath) {
+        this.filePath = filePath
+            || process.env.WEBHOOK_HOOKS_FILE
+            || path.join(__dirname, '..', 'config', 'webhook-hooks.json');
+        this.hooks = null;
+    }
+
+    /**
+     * Load and validate the hooks file (once)
+     * 
+     * @returns {Array<Object>} Hooks
+     * @throws {Error} If a hook is invalid
+     */
+    load() {
+        if (this.hooks) {
+            return this.hooks;
+        }
+        if (!fs.existsSync(this.filePath)) {
+            this.hooks = CONSOLE_HOOKS;
+            return this.hooks;
+        }
+
+        const json = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const hooks = Array.isArray(json) ? json : json.hooks;
+        if (!Array.isArray(hooks)) {
+            throw new Error('Webhook hooks JSON must be an array of hooks (or {"hooks": [...]})');
+        }
+
+        hooks.forEach((hook, index) => {
+            if (!Object.prototype.hasOwnProperty.call(HOOK_TYPES, hook.type)) {
+                throw new Error(`Webhook hook ${index + 1}: type must be one of ${Object.keys(HOOK_TYPES).join(', ')}`);
+            }
+            const setting = HOOK_TYPES[hook.type];
+            if (setting && !hook[setting]) {
+                throw new Error(`Webhook hook ${index + 1}: "${setting}" is required for ${hook.type} hooks`);
+            }
+        });
+
+        this.hooks = hooks;
+        return this.hooks;
+    }
+
+    /**
+     * Hooks that only print each event, whatever the hooks file configures
+     * (for replaying sample or old events without firing commands or HTTP calls)
+     * 
+     * @returns {WebhookHooks} Console-only hooks
+     */
+    static consoleOnly() {
+        const hooks = new WebhookHooks();
+        hooks.hooks = CONSOLE_HOOKS;
+        return hooks;
+    }
+
+    /**
+     * Whether a hook runs for an event type
+     * 
+     * @param {Object} hook - Hook
+     * @param {string} eventType - PayPal event type, e.g. INVOICING.INVOICE.PAID
+     * @returns {boolean} True if one of the hook's patterns matches ("*" as a wildcard)
+     */
+    static matches(hook, eventType) {
+        return (hook.events || ['*']).some(pattern => {
+            const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+            return regex.test(eventType);
+        });
+    }
+
+    /**
+     * Run every hook configured for an event
+     * 
+     * A failing hook is reported in the results but never stops the others
+     * 
+     * @param {Object} summary - Event summary (see WebhookReceiver.summarize)
+     * @param {Object} event - Full PayPal webhook event
+     * @returns {Promise<Array<Object>>} One result ({type, success, error}) per hook run
+     */
+    async run(summary, event) {
+        const hooks = this.load().filter(hook => WebhookHooks.matches(hook, summary.eventType));
+        const results = [];
+
+        for (const hook of hooks) {
+            try {
+                if (hook.type === 'command') {
+                    await this.runCommand(hook, summary, event);
+                } else if (hook.type === 'http') {
+                    await this.runHttp(hook, summary, event);
+                } else {
+                    this.runLog(hook, summary);
+                }
+                results.push({ type: hook.type, success: true });
+            } catch (error) {
+                results.push({ type: hook.type, success: false, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Run a shell command hook
+     * 
+     * @param {Object} hook - Hook with command (and optional cwd)
+     * @param {Object} summary - Event summary
+     * @param {Object} event - Full event, written to the command's stdin
+     * @returns {Promise<void>} Resolves when the command exits successfully
+     */
+    runCommand(hook, summary, event) {
+        const env = { ...process.env };
+        Object.entries(summary).forEach(([key, value]) => {
+            env[`PAYPAL_${key.replace(/([A-Z])/g, '_$1').toUpperCase()}`] = value === null || value === undefined ? '' : String(value);
+        });
+
+        return new Promise((resolve, reject) => {
+            const child = exec(hook.command, { env, cwd: hook.cwd, timeout: HOOK_TIMEOUT_MS }, error => {
+                if (error) {
+                    reject(new Error(error.killed ? `Command timed out: ${hook.command}` : error.message.trim()));
+                } else {
+                    resolve();
+                }
+            });
+            child.stdin.on('error', () => {});
+            child.stdin.end(JSON.stringify(event));
+        });
+    }
+
+    /**
+     * Run an HTTP POST hook
+     * 
+     * @param {Object} hook - Hook with url (and optional headers)
+     * @param {Object} summary - Event summary
+     * @param {Object} event - Full event
+     * @returns {Promise<void>} Resolves on a 2xx response
+     */
+    async runHttp(hook, summary, event) {
+        await axios.post(hook.url, { ...summary, event }, {
+            headers: { 'Content-Type': 'application/json', ...hook.headers },
+            timeout: HOOK_TIMEOUT_MS
+        });
+    }
+
+    /**
+     * Run a log line hook
+     * 
+     * @param {Object} hook - Hook with optional file and format
+     * @param {Object} summary - Event summary
+     */
+    runLog(hook, summary) {
+        const line = (hook.format || DEFAULT_LOG_FORMAT).replace(/\{(\w+)\}/g, (match, key) =>
+            summary[key] !== undefined && summary[key] !== null ? String(summary[key]) : match);
+
+        if (hook.file) {
+            fs.mkdirSync(path.dirname(path.resolve(hook.file)), { recursive: true });
+            fs.appendFileSync(hook.file, line + '\n');
+        } else {
+            console.log(line);
+        }
+    }
+}
+
+WebhookHooks.HOOK_TYPES = HOOK_TYPES;
+
+module.exports = WebhookHooks;
@@ -0,0 +1,306 @@
+const http = require('http');
+const chalk = require('chalk');
+const WebhookHooks = require('./webhookHooks');
+
+/**
+ * Largest request body accepted (PayPal invoice events are a few KB)
+ */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Headers PayPal signs each webhook delivery with
+ */
+const SIGNATURE_HEADERS = {
+    auth_algo: 'paypal-auth-algo',
+    cert_url: 'paypal-cert-url',
+    transmission_id: 'paypal-transmission-id',
+    transmission_sig: 'paypal-transmission-sig',
+    transmission_time: 'paypal-transmission-time'
+};
+
+/**
+ * PayPal Webhook Receiver
+ * 
+ * Receives PayPal invoicing webhook events (INVOICING.INVOICE.PAID, CANCELLED,
+ * REFUNDED, ...), verifies each one with PayPal's verify-webhook-signature API,
+ * records the invoice state it carries in the local ledger and runs the configured
+ * hooks (see WebhookHooks). Redelivered events are acknowledged without being
+ * recorded or hooked twice.
+ * 
+ * Verification needs the webhook ID from the PayPal developer dashboard (profile
+ * paypal.webhookId or PAYPAL_WEBHOOK_ID). The verifier can be replaced, e.g. by a
+ * stub when testing locally, and replay() handles fixture files without any HTTP
+ */
+class WebhookReceiver {
+    /**
+     * @param {InvoiceManager} manager - Manager whose PayPal credentials, ledger and profile are used
+     * @param {Object} [options={}] - Receiver options
+     * @param {WebhookHooks} [options.hooks] - Hooks run for each new event
+     * @param {Function} [options.verifier] - async (headers, event) => boolean, replaces the PayPal API check
+     * @param {boolean} [options.skipVerify=false] - Accept events without verifying them (local testing only)
+     */
+    constructor(manager, options = {}) {
+        this.manager = manager;
+        this.hooks = options.hooks || new WebhookHooks();
+        this.verifier = options.verifier || ((headers, event) => this.verifyWithPayPal(headers, event));
+        this.skipVerify = Boolean(options.skipVerify);
+    }
+
+    /**
+     * Verify a delivery with PayPal's verify-webhook-signature API
+     * 
+     * @param {Object} headers - Request headers (lower-case names)
+     * @param {Object} event - Parsed webhook event
+     * @returns {Promise<boolean>} True if PayPal confirms the signature
+     * @throws {Error} If no webhook ID is configured or signature headers are missing
+     */
+    async verifyWithPayPal(headers, event) {
+        const webhookId = this.manager.profile.paypal.webhookId;
+        if (!webhookId) {
+            throw new Error('No webhook ID configured (set paypal.webhookId in the business profile or PAYPAL_WEBHOOK_ID)');
+        }
+
+        const payload = { webhook_id: webhookId, webhook_event: event };
+        Object.entries(SIGNATURE_HEADERS).forEach(([field, header]) => {
+            if (!headers[header]) {
+                throw new Error(`Missing ${header} header`);
+            }
+            payload[field] = headers[header];
+        });
+
+        const response = await this.manager.paypal.makeAuthenticatedRequest(
+            'POST',
+            '/v1/notifications/verify-webhook-signature',
+            payload
+        );
+        return response.verification_status === 'SUCCESS';
+    }
+
+    /**
+     * Verify and handle one delivery
+     * 
+     * @param {Object} headers - Request headers (lower-case names)
+     * @param {Object} event - Parsed webhook event
+     * @returns {Promise<Object>} Result ({success, statusCode, ...}); statusCode is the HTTP response code
+     */
+    async receive(headers, event) {
+        if (!this.skipVerify) {
+            let verified = false;
+            try {
+                verified = await this.verifier(headers, event);
+            } catch (error) {
+                console.error(chalk.red('❌ Webhook verification failed:'), error.message);
+                return { success: false, statusCode: 400, error: `Verification failed: ${error.message}` };
+            }
+            if (!verified) {
+                console.error(chalk.red(`❌ Rejected webhook ${event.id}: signature not verified`));
+                return { success: false, statusCode: 400, error: 'Signature not verified' };
+            }
+        }
+
+        return this.handle(event);
+    }
+
+    /**
+     * Record a (verified) event in the ledger and run its hooks
+     * 
+     * Events without an invoice in their resource are acknowledged and ignored
+     * 
+     * @param {Object} event - PayPal webhook event
+     * @returns {Promise<Object>} Result with the event summary and hook results
+     */
+    async handle(event) {
+        if (!event || !event.id || !event.event_type) {
+            return { success: false, statusCode: 400, error: 'Not a PayPal webhook event (id and event_type are required)' };
+        }
+
+        const invoice = WebhookReceiver.invoiceFromEvent(event);
+        if (!invoice) {
+            console.log(chalk.gray(`ℹ️ Ignored ${event.event_type} (${event.id}): no invoice in the event`));
+            return { success: true, statusCode: 200, ignored: true, eventId: event.id, eventType: event.event_type };
+        }
+
+        const ledger = this.manager.ledger;
+        if (ledger.hasWebhookEvent(event.id)) {
+            console.log(chalk.gray(`♻️ Already received ${event.event_type} (${event.id})`));
+            return { success: true, statusCode: 200, duplicate: true, eventId: event.id, eventType: event.event_type };
+        }
+
+        // Unlike other ledger writes this one must succeed: a 500 makes PayPal redeliver the event
+        ledger.recordWebhook(event, invoice, this.manager.getLedgerContext());
+        const summary = WebhookReceiver.summarize(event, invoice);
+        console.log(chalk.green(`📬 ${summary.eventType}: invoice ${summary.invoiceNumber || summary.invoiceId} is ${summary.status || 'updated'}`));
+
+        const hooks = await this.hooks.run(summary, event);
+        hooks.filter(hook => !hook.success).forEach(hook => {
+            console.error(chalk.yellow(`⚠️ ${hook.type} hook failed: ${hook.error}`));
+        });
+
+        return { success: true, statusCode: 200, summary, hooks };
+    }
+
+    /**
+     * Handle an event read from a file (fixtures, or events copied from the PayPal dashboard)
+     * 
+     * Files may hold the event itself or a captured delivery ({headers, body}); the
+     * signature is only checked when verify is set, since PayPal won't vouch for old deliveries
+     * 
+     * @param {Object} fixture - Parsed fixture file
+     * @param {Object} [options={}] - Replay options
+     * @param {boolean} [options.verify=false] - Verify the captured headers first
+     * @returns {Promise<Object>} Result of handling the event
+     */
+    async replay(fixture, options = {}) {
+        const event = fixture.body || fixture;
+        return options.verify
+            ? this.receive(WebhookReceiver.lowerCaseKeys(fixture.headers || {}), event)
+            : this.handle(event);
+    }
+
+    /**
+     * Start an HTTP server receiving webhook deliveries
+     * 
+     * @param {Object} [options={}] - Server options
+     * @param {number} [options.port=8080] - Port to listen on
+     * @param {string} [options.host] - Interface to bind (all interfaces if omitted)
+     * @param {string} [options.path='/webhooks/paypal'] - Path PayPal posts to
+     * @returns {Promise<http.Server>} Listening server
+     */
+    listen(options = {}) {
+        const webhookPath = options.path || '/webhooks/paypal';
+        const server = http.createServer((request, response) => {
+            this.route(request, response, webhookPath).catch(error => {
+                console.error(chalk.red('❌ Webhook handling failed:'), error.message);
+                WebhookReceiver.respond(response, 500, { success: false, error: error.message });
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(options.port || 8080, options.host, () => resolve(server));
+        });
+    }
+
+    /**
+     * Route one HTTP request
+     * 
+     * @param {http.IncomingMessage} request - Request
+     * @param {http.ServerResponse} response - Response
+     * @param {string} webhookPath - Path PayPal posts to
+     * @returns {Promise<void>} Resolves once the response is sent
+     */
+    async route(request, response, webhookPath) {
+        const url = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'GET' && url.pathname === '/health') {
+            WebhookReceiver.respond(response, 200, { success: true });
+            return;
+        }
+        if (url.pathname !== webhookPath) {
+            WebhookReceiver.respond(response, 404, { success: false, error: 'Not found' });
+            return;
+        }
+        if (request.method !== 'POST') {
+            WebhookReceiver.respond(response, 405, { success: false, error: 'Method not allowed' });
+            return;
+        }
+
+        let event;
+        try {
+            event = JSON.parse(await WebhookReceiver.readBody(request));
+        } catch (error) {
+            WebhookReceiver.respond(response, 400, { success: false, error: `Invalid request body: ${error.message}` });
+            return;
+        }
+
+        const { statusCode, ...result } = await this.receive(request.headers, event);
+        WebhookReceiver.respond(response, statusCode, result);
+    }
+
+    /**
+     * Read a request body
+     * 
+     * @param {http.IncomingMessage} request - Request
+     * @returns {Promise<string>} Body text
+     */
+    static readBody(request) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            request.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    reject(new Error('body too large'));
+                    request.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            request.on('error', reject);
+        });
+    }
+
+    /**
+     * Send a JSON response
+     * 
+     * @param {http.ServerResponse} response - Response
+     * @param {number} statusCode - HTTP status code
+     * @param {Object} body - Response body
+     */
+    static respond(response, statusCode, body) {
+        if (response.headersSent) {
+            return;
+        }
+        response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(body));
+    }
+
+    /**
+     * Invoice carried by an invoicing event
+     * 
+     * @param {Object} event - PayPal webhook event
+     * @returns {Object|null} PayPal invoice, or null for events about something else
+     */
+    static invoiceFromEvent(event) {
+        const invoice = event.resource?.invoice || event.resource;
+        return invoice?.id && String(event.event_type).startsWith('INVOICING.') ? invoice : null;
+    }
+
+    /**
+     * Flat summary of an event for hooks and logs
+     * 
+     * @param {Object} event - PayPal webhook event
+     * @param {Object} invoice - Invoice from the event
+     * @returns {Object} eventId, eventType, invoiceId, invoiceNumber, status, amount, currency,
+     *     dueAmount, customerEmail, receivedAt
+     */
+    static summarize(event, invoice) {
+        return {
+            eventId: event.id,
+            eventType: event.event_type,
+            invoiceId: invoice.id,
+            invoiceNumber: invoice.detail?.invoice_number || '',
+            status: invoice.status || '',
+            amount: invoice.amount?.value || '',
+            currency: invoice.amount?.currency_code || '',
+            dueAmount: invoice.due_amount?.value || '',
+            customerEmail: invoice.primary_recipients?.[0]?.billing_info?.email_address || '',
+            receivedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Copy of an object with lower-case keys (Node lower-cases incoming header names)
+     * 
+     * @param {Object} headers - Headers
+     * @returns {Object} Headers with lower-case names
+     */
+    static lowerCaseKeys(headers) {
+        return Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+    }
+}
+
+WebhookReceiver.SIGNATURE_HEADERS = SIGNATURE_HEADERS;
+
+module.exports = WebhookReceiver;
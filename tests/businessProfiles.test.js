@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const BusinessProfiles = require('../src/businessProfiles');
+const InvoiceManager = require('../src/invoiceManager');
+const CustomerTemplates = require('../src/customerTemplates');
+
+const EXAMPLE_PROFILES = path.join(global.EXAMPLES_DIR, 'profiles.example.json');
+const profilesFile = process.env.BUSINESS_PROFILES_FILE;
+
+const writeProfiles = contents => fs.writeFileSync(profilesFile, JSON.stringify(contents));
+
+afterEach(() => {
+    fs.rmSync(profilesFile, { force: true });
+    process.env.BUSINESS_PROFILE = '';
+});
+
+describe('BusinessProfiles without a profiles file', () => {
+    test('builds the default profile from the BUSINESS_* and PAYPAL_* variables', () => {
+        expect(new BusinessProfiles().list()).toEqual([expect.objectContaining({ id: 'default' })]);
+        expect(new BusinessProfiles().get()).toMatchObject({
+            name: 'Test Media',
+            email: 'billing@test-media.example',
+            address: { line1: '1 Test Street', city: 'Pune', countryCode: 'IN' },
+            paypal: { clientId: 'test-client-id', clientSecret: 'test-client-secret', environment: 'SANDBOX' }
+        });
+    });
+});
+
+describe('BusinessProfiles from a profiles file', () => {
+    const profiles = new BusinessProfiles(EXAMPLE_PROFILES);
+
+    test('uses the file\'s default profile unless BUSINESS_PROFILE names another', () => {
+        expect(profiles.list().map(profile => profile.id)).toEqual(['tgm', 'dms']);
+        expect(profiles.get().id).toBe('tgm');
+
+        process.env.BUSINESS_PROFILE = 'dms';
+        expect(profiles.get().id).toBe('dms');
+        expect(profiles.get('tgm').id).toBe('tgm');
+    });
+
+    test('fills in defaults and falls back to the PAYPAL_* credentials', () => {
+        expect(profiles.get('tgm').paypal).toMatchObject({ clientId: 'tgm_paypal_client_id', webhookId: 'tgm_paypal_webhook_id' });
+        expect(profiles.get('dms')).toMatchObject({
+            defaultCurrency: '',
+            volumeDiscounts: [],
+            theme: { primaryColor: '#0b6e4f', logoUrl: '', template: '' },
+            paypal: { clientId: 'test-client-id', environment: 'SANDBOX' }
+        });
+    });
+
+    test('lists the available profiles when one is not found', () => {
+        expect(() => profiles.get('acme')).toThrow('Business profile not found: acme. Available: tgm, dms');
+    });
+
+    test('builds the invoice business block', () => {
+        expect(profiles.getBusinessInfo('dms')).toEqual(expect.objectContaining({
+            profileId: 'dms',
+            name: 'Digital Marketing Services',
+            taxId: '12-3456789',
+            address: expect.objectContaining({ city: 'Austin', countryCode: 'US' })
+        }));
+    });
+
+    test('rejects files without profiles, profiles without an ID and unsupported currencies', () => {
+        writeProfiles({ profiles: [] });
+        expect(() => new BusinessProfiles().load()).toThrow(/No business profiles defined/);
+
+        writeProfiles({ profiles: [{ name: 'No ID' }] });
+        expect(() => new BusinessProfiles().load()).toThrow('Business profile is missing an "id"');
+
+        writeProfiles({ profiles: [{ id: 'xyz', defaultCurrency: 'xyz' }] });
+        expect(() => new BusinessProfiles().load()).toThrow('Business profile "xyz": PayPal can\'t invoice in XYZ');
+    });
+});
+
+describe('invoicing from a profile', () => {
+    beforeEach(() => {
+        fs.copyFileSync(EXAMPLE_PROFILES, profilesFile);
+    });
+
+    test('uses the profile\'s PayPal credentials', () => {
+        expect(new InvoiceManager({ profile: 'tgm' }).paypal.clientId).toBe('tgm_paypal_client_id');
+        expect(new InvoiceManager({ profile: 'dms' }).paypal.clientId).toBe('test-client-id');
+    });
+
+    test('bills from the profile given to the template', () => {
+        const invoice = CustomerTemplates.createGuestPostInvoice('sencha', { price: 40, url: 'https://example.com/post' }, { profile: 'dms' });
+        expect(invoice.business).toMatchObject({ profileId: 'dms', name: 'Digital Marketing Services' });
+    });
+});
@@ -0,0 +1,121 @@
+const { InvalidArgumentError } = require('commander');
+const { run, createProgram } = require('../src/cli');
+const CliOutput = require('../src/cli/output');
+const { parseAmount, parseCurrency, parseDate, parseSendAt, parseCount } = require('../src/cli/parsers');
+
+/**
+ * Run the paypal-invoice CLI and return its exit code
+ */
+const cli = (...args) => run(['node', 'paypal-invoice', ...args]);
+
+/**
+ * Run the CLI with --json and return its exit code and parsed output
+ */
+const cliJson = async (...args) => {
+    const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    const code = await cli(...args, '--json');
+    return { code, result: JSON.parse(stdout.mock.calls.map(([chunk]) => chunk).join('')) };
+};
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    process.exitCode = undefined;
+});
+
+describe('option parsers', () => {
+    test('parse amounts, currencies, dates and counts', () => {
+        expect(parseAmount('40.5')).toBe(40.5);
+        expect(parseCurrency(' eur ')).toBe('EUR');
+        expect(parseDate('2026-03-02')).toBe('2026-03-02');
+        expect(parseCount('3')).toBe(3);
+        expect(parseCount('0')).toBe(0);
+        expect(parseSendAt('2026-11-02T09:00:00Z')).toBe('2026-11-02T09:00:00.000Z');
+    });
+
+    test('reject invalid values as usage errors', () => {
+        expect(() => parseAmount('0')).toThrow(InvalidArgumentError);
+        expect(() => parseAmount('abc')).toThrow('Expected an amount greater than 0.');
+        expect(() => parseCurrency('XYZ')).toThrow(/^Expected a currency PayPal supports: .*USD/);
+        expect(() => parseDate('02/03/2026')).toThrow('Expected a date as YYYY-MM-DD.');
+        expect(() => parseDate('2026-02-30')).toThrow(InvalidArgumentError);
+        expect(() => parseCount('1.5')).toThrow('Expected a whole number.');
+        expect(() => parseCount('-1')).toThrow(InvalidArgumentError);
+        expect(() => parseSendAt('next week')).toThrow(InvalidArgumentError);
+    });
+});
+
+describe('exit codes', () => {
+    test('are 0 for help and version', async () => {
+        jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        expect(await cli('--help')).toBe(0);
+        expect(await cli('--version')).toBe(0);
+    });
+
+    test('are 2 for unknown commands, bad option values and conflicting options', async () => {
+        expect(await cli('invoice-everyone')).toBe(2);
+        expect(await cli('create', '--customer', 'sencha', '--price', 'free')).toBe(2);
+        expect(await cli('create', '--customer', 'sencha', '--send', '--send-at', '2026-11-02')).toBe(2);
+        expect(await cli('create')).toBe(2);
+    });
+
+    test('are 2 when a confirmation is needed but there is no terminal to ask', async () => {
+        const isTTY = process.stdin.isTTY;
+        process.stdin.isTTY = false;
+        try {
+            expect(await cli('cancel', 'INV2-XXXX')).toBe(2);
+        } finally {
+            process.stdin.isTTY = isTTY;
+        }
+    });
+
+    test('are 1 for failures, with the error in the JSON output', async () => {
+        const { code, result } = await cliJson('customers', 'show', 'nobody');
+
+        expect(code).toBe(1);
+        expect(result).toEqual({ success: false, error: 'Customer not found: nobody' });
+    });
+});
+
+describe('--json', () => {
+    test('prints one JSON document on stdout and moves progress messages to stderr', async () => {
+        const { code, result } = await cliJson('preview', '--customer', 'sencha', '--price', '40', '--url', 'https://example.com/post');
+
+        expect(code).toBe(0);
+        expect(result).toMatchObject({ success: true });
+        expect(console.error).toHaveBeenCalled();
+    });
+});
+
+describe('program', () => {
+    test('has the invoice, batch, payment, customer and ledger commands', () => {
+        const names = createProgram().commands.map(command => command.name());
+
+        expect(names).toEqual(expect.arrayContaining([
+            'create', 'preview', 'validate', 'pdf', 'list', 'get', 'send', 'cancel',
+            'batch', 'remind', 'payment', 'refund', 'customers', 'ledger', 'sync', 'interactive'
+        ]));
+    });
+});
+
+describe('CliOutput', () => {
+    test('sets exit code 1 for failed results', () => {
+        new CliOutput().finish({ success: false, error: 'Nope' });
+        expect(process.exitCode).toBe(1);
+    });
+
+    test('reports the type and suggestion of PayPal errors', () => {
+        const error = Object.assign(new Error('Invoice number is already used'), {
+            toResult: () => ({ errorType: 'DuplicateInvoiceError', suggestion: 'Use --force' })
+        });
+
+        expect(new CliOutput().fail(error)).toBe(1);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Use --force'));
+        expect(new CliOutput().fail(CliOutput.usageError('Bad flag'))).toBe(2);
+    });
+});
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const Currency = require('../src/currency');
+const BusinessProfiles = require('../src/businessProfiles');
+const CustomerStore = require('../src/customerStore');
+const CustomerTemplates = require('../src/customerTemplates');
+const InvoiceManager = require('../src/invoiceManager');
+const PayPalMockServer = require('../src/paypalMockServer');
+const { run } = require('../src/cli');
+
+const customer = (fields = {}) => ({ email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', address: { countryCode: 'US' }, ...fields });
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    process.exitCode = undefined;
+    process.env.DEFAULT_CURRENCY = '';
+    fs.rmSync(process.env.BUSINESS_PROFILES_FILE, { force: true });
+});
+
+describe('Currency', () => {
+    test('uses no decimals for HUF, JPY and TWD and two for the rest', () => {
+        expect(Currency.decimals('jpy')).toBe(0);
+        expect(Currency.decimals('TWD')).toBe(0);
+        expect(Currency.decimals('EUR')).toBe(2);
+        expect(Currency.decimals(undefined)).toBe(2);
+    });
+
+    test('converts to minor units, rounding half away from zero without float noise', () => {
+        expect(Currency.toMinor('12.5', 'USD')).toBe(1250);
+        expect(Currency.toMinor(1.005, 'USD')).toBe(101);
+        expect(Currency.toMinor(-1.005, 'USD')).toBe(-101);
+        expect(Currency.toMinor('1500.5', 'JPY')).toBe(1501);
+        expect(Currency.toMinor(undefined, 'USD')).toBe(0);
+        expect(Currency.round(-2.5)).toBe(-3);
+    });
+
+    test('formats PayPal values and display amounts', () => {
+        expect(Currency.toValue(125000, 'USD')).toBe('1250.00');
+        expect(Currency.toValue(5000, 'JPY')).toBe('5000');
+        expect(Currency.formatValue('19.999', 'EUR')).toBe('20.00');
+        expect(Currency.format(125000, 'USD')).toBe('USD 1,250.00');
+        expect(Currency.format(-1000, 'USD')).toBe('-USD 10.00');
+        expect(Currency.format(500000, 'JPY')).toBe('JPY 500,000');
+    });
+
+    test('resolves the first code given, else DEFAULT_CURRENCY, else USD', () => {
+        expect(Currency.resolve('', ' eur ', 'GBP')).toBe('EUR');
+        expect(Currency.resolve(undefined, null)).toBe('USD');
+
+        process.env.DEFAULT_CURRENCY = 'cad';
+        expect(Currency.resolve('')).toBe('CAD');
+    });
+
+    test('knows the currencies PayPal invoices in and their precision', () => {
+        expect(Currency.isSupported('inr')).toBe(true);
+        expect(Currency.isSupported('ZAR')).toBe(false);
+        expect(Currency.hasValidPrecision('1500', 'JPY')).toBe(true);
+        expect(Currency.hasValidPrecision('1500.5', 'JPY')).toBe(false);
+        expect(Currency.hasValidPrecision(0.1 + 0.2, 'USD')).toBe(true);
+        expect(Currency.hasValidPrecision('10.255', 'USD')).toBe(false);
+        expect(Currency.hasValidPrecision('10.25', 'USD')).toBe(true);
+        expect(Currency.hasValidPrecision('abc', 'USD')).toBe(false);
+    });
+});
+
+describe('invoice currency', () => {
+    const writeProfile = fields => fs.writeFileSync(process.env.BUSINESS_PROFILES_FILE, JSON.stringify({
+        profiles: [{ id: 'eu', name: 'EU Media', email: 'billing@eu-media.example', address: { countryCode: 'DE' }, ...fields }]
+    }));
+
+    test('is the service\'s, else the customer\'s, else the business profile\'s', () => {
+        writeProfile({ defaultCurrency: 'eur' });
+        const invoice = (service, fields) => CustomerTemplates.createGuestPostInvoice(customer(fields), { price: 40, ...service }, { profile: 'eu' });
+
+        expect(invoice({ currency: 'GBP' }, { defaultCurrency: 'CHF' }).currencyCode).toBe('GBP');
+        expect(invoice({}, { defaultCurrency: 'CHF' }).currencyCode).toBe('CHF');
+        expect(invoice({}, {}).currencyCode).toBe('EUR');
+        expect(invoice({}, {}).items[0].currencyCode).toBe('EUR');
+    });
+
+    test('must be one PayPal supports for profiles and saved customers', () => {
+        writeProfile({ defaultCurrency: 'ZAR' });
+        expect(() => new BusinessProfiles().get('eu')).toThrow('Business profile "eu": PayPal can\'t invoice in ZAR');
+
+        const store = new CustomerStore(`${global.TEST_TEMP_DIR}/currency-customers.json`);
+        expect(() => store.add(customer({ defaultCurrency: 'ZAR' }))).toThrow(/PayPal can't invoice in ZAR; use one of AUD, .*USD/);
+        expect(store.add(customer({ defaultCurrency: '' })).defaultCurrency).toBe('');
+    });
+
+    test('is set with --currency and rejected when unsupported', async () => {
+        const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+
+        expect(await run(['node', 'paypal-invoice', 'preview', '--customer', 'sencha', '--price', '5000', '--currency', 'jpy', '--url', 'https://test-media.example/post', '--json'])).toBe(0);
+        expect(JSON.parse(stdout.mock.calls.map(([chunk]) => chunk).join(''))).toMatchObject({ currency: 'JPY', total: '5000' });
+
+        expect(await run(['node', 'paypal-invoice', 'preview', '--customer', 'sencha', '--price', '40', '--currency', 'ZAR'])).toBe(2);
+    });
+});
+
+describe('zero-decimal invoices', () => {
+    const mock = new PayPalMockServer({ clientId: process.env.PAYPAL_CLIENT_ID, clientSecret: process.env.PAYPAL_CLIENT_SECRET });
+
+    beforeAll(async () => {
+        process.env.PAYPAL_API_BASE_URL = await mock.start();
+    });
+
+    afterAll(() => mock.stop());
+
+    beforeEach(() => {
+        mock.reset();
+        fs.rmSync(process.env.INVOICE_LEDGER_FILE, { force: true });
+        fs.rmSync(process.env.INVOICE_NUMBERS_FILE, { force: true });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    test('are sent to PayPal and recorded without decimals', async () => {
+        const manager = new InvoiceManager();
+        const result = await manager.createInvoice({
+            ...CustomerTemplates.createGuestPostInvoice(customer(), { price: 5000, currency: 'JPY', url: 'https://test-media.example/article' }),
+            taxRules: false
+        });
+
+        expect(result.success).toBe(true);
+        const create = mock.requests.find(request => request.method === 'POST' && request.path === '/v2/invoicing/invoices');
+        expect(create.body.items[0].unit_amount).toEqual({ currency_code: 'JPY', value: '5000' });
+        expect(manager.ledger.getInvoice(result.invoiceId).totals).toMatchObject({ currency: 'JPY', subtotal: '5000', total: '5000' });
+    });
+
+    test('with decimals fail validation before anything is sent', async () => {
+        const result = await new InvoiceManager().createInvoice({
+            ...CustomerTemplates.createGuestPostInvoice(customer(), { price: 5000.5, currency: 'JPY', url: 'https://test-media.example/article' }),
+            taxRules: false
+        });
+
+        expect(result).toMatchObject({ success: false, error: expect.stringContaining('JPY') });
+        expect(mock.requests.filter(request => request.path.startsWith('/v2/invoicing'))).toEqual([]);
+    });
+});
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const CustomerStore = require('../src/customerStore');
+const { run } = require('../src/cli');
+
+const customersFile = path.join(global.TEST_TEMP_DIR, 'customers.json');
+let store;
+
+beforeEach(() => {
+    fs.rmSync(customersFile, { force: true });
+    store = new CustomerStore(customersFile);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const acme = { businessName: 'Acme Media', firstName: 'Ann', lastName: 'Smith', email: 'ann@acme.example' };
+
+describe('CustomerStore', () => {
+    test('starts empty and reads both the versioned and the plain array format', () => {
+        expect(store.list()).toEqual([]);
+
+        fs.writeFileSync(customersFile, JSON.stringify([{ id: 'plain', email: 'plain@example.com' }]));
+        expect(store.find('plain')).toMatchObject({ email: 'plain@example.com' });
+
+        expect(new CustomerStore(path.join(global.EXAMPLES_DIR, 'customers.example.json')).get('sencha'))
+            .toMatchObject({ businessName: 'Sencha', defaultPrices: { guest_post: 30 } });
+    });
+
+    test('adds customers with readable unique IDs', () => {
+        expect(store.add(acme)).toMatchObject({ id: 'acme-media', address: null, defaultCurrency: '', defaultPrices: {} });
+        expect(store.add(acme).id).toBe('acme-media-2');
+        expect(store.add({ firstName: 'Bo', lastName: 'Li', email: 'bo@example.com' }).id).toBe('bo-li');
+        expect(store.add({ ...acme, id: 'My Client!' }).id).toBe('my-client');
+
+        expect(JSON.parse(fs.readFileSync(customersFile, 'utf8'))).toMatchObject({ version: 1, customers: expect.any(Array) });
+        expect(store.list().map(customer => customer.id)).toEqual(['acme-media', 'acme-media-2', 'bo-li', 'my-client']);
+    });
+
+    test('rejects taken IDs, invalid contact details and unsupported currencies', () => {
+        store.add({ ...acme, id: 'acme' });
+
+        expect(() => store.add({ ...acme, id: 'acme' })).toThrow('Customer already exists: acme');
+        expect(() => store.add({ ...acme, email: 'not-an-email' })).toThrow(/^Invalid customer:/);
+        expect(() => store.add({ ...acme, defaultCurrency: 'xyz' })).toThrow(/PayPal can't invoice in XYZ/);
+        expect(store.list()).toHaveLength(1);
+    });
+
+    test('merges address and default price changes and keeps the creation time', () => {
+        const added = store.add({ ...acme, address: { city: 'Austin', countryCode: 'US' }, defaultPrices: { guest_post: 40 } });
+
+        const updated = store.update(added.id, { address: { postalCode: '78701' }, defaultPrices: { link_insertion: 20 }, defaultCurrency: 'eur' });
+
+        expect(updated).toMatchObject({
+            address: { city: 'Austin', postalCode: '78701', countryCode: 'US' },
+            defaultPrices: { guest_post: 40, link_insertion: 20 },
+            defaultCurrency: 'EUR',
+            createdAt: added.createdAt
+        });
+        expect(store.update(added.id, { address: null }).address).toBeNull();
+        expect(() => store.update('nobody', {})).toThrow('Customer not found: nobody');
+    });
+
+    test('removes customers', () => {
+        const added = store.add(acme);
+
+        expect(store.remove(added.id)).toMatchObject({ email: acme.email });
+        expect(store.find(added.id)).toBeNull();
+        expect(() => store.remove(added.id)).toThrow(`Customer not found: ${added.id}`);
+    });
+
+    test('searches IDs, names, email, business name and VAT number', () => {
+        store.add(acme);
+        store.add({ businessName: 'Beta GmbH', firstName: 'Max', lastName: 'Weber', email: 'info@beta.example', vatNumber: 'DE123456789' });
+
+        expect(store.search('SMITH').map(customer => customer.id)).toEqual(['acme-media']);
+        expect(store.search('de1234').map(customer => customer.id)).toEqual(['beta-gmbh']);
+        expect(store.search('  ')).toHaveLength(2);
+        expect(store.search('nothing')).toEqual([]);
+    });
+});
+
+describe('customers command', () => {
+    const cli = (...args) => run(['node', 'paypal-invoice', 'customers', ...args]);
+    const customersEnv = process.env.CUSTOMERS_FILE;
+
+    beforeEach(() => {
+        process.env.CUSTOMERS_FILE = customersFile;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        process.env.CUSTOMERS_FILE = customersEnv;
+        process.exitCode = undefined;
+    });
+
+    test('adds, updates and removes a customer', async () => {
+        expect(await cli('add', '--business', 'Acme Media', '--first-name', 'Ann', '--last-name', 'Smith', '--email', 'ann@acme.example', '--guest-post-price', '45', '--country', 'GB')).toBe(0);
+        expect(await cli('update', 'acme-media', '--link-price', '25', '--currency', 'GBP')).toBe(0);
+
+        expect(store.get('acme-media')).toMatchObject({
+            address: { countryCode: 'GB' },
+            defaultCurrency: 'GBP',
+            defaultPrices: { guest_post: 45, link_insertion: 25 }
+        });
+
+        expect(await cli('remove', 'acme-media', '--yes')).toBe(0);
+        expect(store.list()).toEqual([]);
+    });
+
+    test('fails for unknown customers', async () => {
+        expect(await cli('show', 'nobody')).toBe(1);
+        expect(await cli('update', 'nobody', '--email', 'x@example.com')).toBe(1);
+    });
+});
@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const CustomerTemplates = require('../src/customerTemplates');
+const InvoiceValidator = require('../src/invoiceValidator');
+const InvoiceStructure = require('../src/invoiceStructure');
+const InvoiceTotals = require('../src/invoiceTotals');
+
+const ROOT = path.join(__dirname, '..');
+const TODAY = '2026-03-02';
+
+// Example invoice inputs (customer directory, profile, rates and schedule examples aren't invoices)
+const EXAMPLE_INVOICES = fs.readdirSync(global.EXAMPLES_DIR)
+    .filter(file => file.endsWith('.json') && !file.includes('.example.'))
+    .sort();
+
+const readExample = file => JSON.parse(fs.readFileSync(path.join(global.EXAMPLES_DIR, file), 'utf8'));
+
+const payloadFor = invoiceData => InvoiceStructure.createPayPalInvoicePayload({
+    ...invoiceData,
+    invoiceNumber: 'INV-TEST-0001',
+    invoiceDate: TODAY,
+    dueDate: '2026-03-05'
+});
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: new Date(`${TODAY}T10:00:00Z`) });
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('CustomerTemplates.resolveCustomer', () => {
+    test('looks customer IDs up in the customer directory', () => {
+        expect(CustomerTemplates.resolveCustomer('sencha')).toMatchObject({ id: 'sencha', email: 'demo@example.com' });
+    });
+
+    test('passes inline customers through', () => {
+        const customer = { email: 'jane@example.com' };
+        expect(CustomerTemplates.resolveCustomer(customer)).toBe(customer);
+    });
+
+    test('rejects unknown IDs and missing customers', () => {
+        expect(() => CustomerTemplates.resolveCustomer('nobody')).toThrow(/nobody/);
+        expect(() => CustomerTemplates.resolveCustomer(undefined)).toThrow('Customer information or customer ID is required');
+    });
+});
+
+describe('CustomerTemplates.createGuestPostInvoice', () => {
+    test('builds a valid guest post invoice for an inline customer', () => {
+        const invoice = CustomerTemplates.createGuestPostInvoice(
+            { email: 'jane@example.com', name: 'Jane van Doe', companyName: 'Doe Media', address: { street: '5 Main St', zip: '78701' } },
+            { price: 45, url: 'https://test-media.example/post', title: 'A Post', publicationDate: TODAY }
+        );
+
+        expect(invoice.customer).toMatchObject({
+            firstName: 'Jane',
+            lastName: 'van Doe',
+            businessName: 'Doe Media',
+            address: { line1: '5 Main St', postalCode: '78701', countryCode: 'US' }
+        });
+        expect(invoice.items).toEqual([{
+            name: 'Guest Post Publication',
+            description: 'Guest Post Publication\nPublished URL: https://test-media.example/post\nArticle Title: A Post\nPublication Date: 2026-03-02',
+            quantity: 1,
+            unitAmount: 45,
+            currencyCode: 'USD',
+            serviceType: 'guest_post'
+        }]);
+        expect(invoice.reference).toBe('https://test-media.example/post');
+        expect(invoice.business).toMatchObject({ name: 'Test Media', email: 'billing@test-media.example' });
+        expect(InvoiceValidator.validateCompleteInvoice(invoice)).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('uses a saved customer\'s default price and currency', () => {
+        const invoice = CustomerTemplates.createGuestPostInvoice('sencha', { url: 'https://test-media.example/post' });
+
+        expect(invoice.customer.id).toBe('sencha');
+        expect(invoice.items[0].unitAmount).toBe(30);
+        expect(invoice.currencyCode).toBe('USD');
+    });
+
+    test('lets the service currency win over the customer\'s', () => {
+        const invoice = CustomerTemplates.createGuestPostInvoice('example', { price: 40, currency: 'eur' });
+        expect(invoice.currencyCode).toBe('EUR');
+        expect(invoice.items[0].currencyCode).toBe('EUR');
+    });
+});
+
+describe('CustomerTemplates.createLinkInsertionInvoice', () => {
+    test('builds a link insertion item with the customer\'s link insertion price', () => {
+        const invoice = CustomerTemplates.createLinkInsertionInvoice('example', {
+            url: 'https://client.example/page',
+            anchorText: 'best tools',
+            insertionDate: TODAY
+        });
+
+        expect(invoice.items).toEqual([{
+            name: 'Link Insertion Service',
+            description: 'Link Insertion Service\nTarget URL: https://client.example/page\nAnchor Text: best tools\nInsertion Date: 2026-03-02',
+            quantity: 1,
+            unitAmount: 20,
+            currencyCode: 'USD',
+            serviceType: 'link_insertion'
+        }]);
+        expect(InvoiceValidator.validateCompleteInvoice(invoice).isValid).toBe(true);
+    });
+});
+
+describe('CustomerTemplates descriptions', () => {
+    test('createServiceDescription lists only the details given', () => {
+        expect(CustomerTemplates.createServiceDescription({})).toBe('Guest Post Publication');
+        expect(CustomerTemplates.createServiceDescription({ serviceName: 'Sponsored Post', description: 'Extra' }))
+            .toBe('Sponsored Post\nDetails: Extra');
+    });
+
+    test('createLinkInsertionDescription lists only the details given', () => {
+        expect(CustomerTemplates.createLinkInsertionDescription({})).toBe('Link Insertion Service');
+        expect(CustomerTemplates.createLinkInsertionDescription({ description: 'Homepage link' }))
+            .toBe('Link Insertion Service\nDetails: Homepage link');
+    });
+});
+
+describe('CustomerTemplates.quickGuestPost', () => {
+    test('builds a valid invoice from an email and a company name', () => {
+        const invoice = CustomerTemplates.quickGuestPost('editor@acme.example', 'Acme Media', 30, 'https://test-media.example/post', 'Title');
+
+        expect(invoice.customer).toMatchObject({ firstName: 'Acme', lastName: 'Media', businessName: 'Acme Media', email: 'editor@acme.example' });
+        expect(invoice.items[0]).toMatchObject({ unitAmount: 30, currencyCode: 'USD' });
+        expect(InvoiceValidator.validateCompleteInvoice(invoice)).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('splits longer company names into first and last name', () => {
+        const invoice = CustomerTemplates.quickGuestPost('editor@acme.example', 'Acme Media Group', 30, '', '', { currency: 'GBP' });
+
+        expect(invoice.customer).toMatchObject({ firstName: 'Acme', lastName: 'Media Group' });
+        expect(invoice.currencyCode).toBe('GBP');
+    });
+});
+
+describe('CustomerTemplates.createFromJSON', () => {
+    test('rejects unknown service types', () => {
+        expect(() => CustomerTemplates.createFromJSON({ customerId: 'example', service: { type: 'banner_ad' } }))
+            .toThrow("Unknown service type: banner_ad. Use 'guest_post' or 'link_insertion'");
+    });
+
+    test('uses the invoice currency when the service has none', () => {
+        const invoice = CustomerTemplates.createFromJSON({ customerId: 'example', currency: 'CAD', service: { type: 'guest_post', price: 50 } });
+        expect(invoice.currencyCode).toBe('CAD');
+    });
+});
+
+describe('CustomerTemplates.createMultiItemFromJSON', () => {
+    test('numbers items and keeps the discount at invoice level', () => {
+        const invoice = CustomerTemplates.createMultiItemFromJSON({
+            customerId: 'example',
+            services: [
+                { type: 'guest_post', price: 40, title: 'One' },
+                { type: 'link_insertion', anchorText: 'two' }
+            ],
+            discount: { amount: 10, description: 'Bulk order discount' }
+        });
+
+        expect(invoice.items.map(item => [item.name, item.unitAmount])).toEqual([
+            ['Guest Post Publication #1', 40],
+            ['Link Insertion Service #2', 20]
+        ]);
+        expect(invoice.discount).toEqual({ percent: undefined, amount: 10 });
+        expect(invoice.items.every(item => item.unitAmount > 0)).toBe(true);
+        expect(InvoiceValidator.validateCompleteInvoice(invoice)).toEqual({ isValid: true, errors: [] });
+        expect(InvoiceTotals.calculate(payloadFor({ ...invoice, taxRules: false })).total).toBe(5000);
+    });
+
+    test('does not number a single service', () => {
+        const invoice = CustomerTemplates.createMultiItemFromJSON({ customerId: 'example', services: [{ type: 'guest_post' }] });
+        expect(invoice.items[0].name).toBe('Guest Post Publication');
+        expect(invoice.note).toBe('Thank you for choosing our services. Service payment is due within 3 days.');
+    });
+
+    test.each([
+        ['missing', undefined],
+        ['empty', []],
+        ['not an array', { type: 'guest_post' }]
+    ])('requires services (%s)', (label, services) => {
+        expect(() => CustomerTemplates.createMultiItemFromJSON({ customerId: 'example', services }))
+            .toThrow('Services array is required and must contain at least one service');
+    });
+
+    test('rejects unknown service types', () => {
+        expect(() => CustomerTemplates.createMultiItemFromJSON({ customerId: 'example', services: [{ type: 'banner_ad' }] }))
+            .toThrow('Unknown service type: banner_ad');
+    });
+});
+
+describe('CustomerTemplates.createForCustomer', () => {
+    test('builds a single-service invoice', () => {
+        const invoice = CustomerTemplates.createForCustomer('sencha', { type: 'guest_post', url: 'https://test-media.example/a' });
+        expect(invoice.items).toHaveLength(1);
+        expect(invoice.items[0]).toMatchObject({ name: 'Guest Post Publication', unitAmount: 30 });
+    });
+
+    test('builds a multi-service invoice with its discount and currency', () => {
+        const invoice = CustomerTemplates.createForCustomer('sencha', {
+            services: [{ type: 'guest_post' }, { type: 'guest_post', price: 35 }],
+            discount: { percent: 10 },
+            currency: 'EUR',
+            memo: 'March'
+        });
+
+        expect(invoice.items.map(item => item.unitAmount)).toEqual([30, 35]);
+        expect(invoice).toMatchObject({ discount: { percent: 10 }, currencyCode: 'EUR', memo: 'March' });
+    });
+});
+
+describe('CustomerTemplates.fromJSON', () => {
+    test('copies pricing options onto the invoice data', () => {
+        const invoice = CustomerTemplates.fromJSON({
+            customerId: 'example',
+            service: { type: 'guest_post', price: 40 },
+            discount: { percent: 5 },
+            volumeDiscounts: false,
+            taxRules: false,
+            shipping: { amount: 2 },
+            customAmount: { label: 'Rush fee', amount: 10 },
+            taxInclusive: true,
+            expectedTotal: 50
+        });
+
+        expect(invoice).toMatchObject({
+            discount: { percent: 5 },
+            volumeDiscounts: false,
+            taxRules: false,
+            shipping: { amount: 2 },
+            customAmount: { label: 'Rush fee', amount: 10 },
+            taxInclusive: true,
+            expectedTotal: 50
+        });
+    });
+
+    test('rejects JSON in none of the supported formats with the path of every problem', () => {
+        expect.assertions(3);
+        expect(() => CustomerTemplates.fromJSON({ services: [{ type: 'guest_post' }] }))
+            .toThrow('Invalid invoice JSON:\n$: must have "customer" or "customerId"');
+        expect(() => CustomerTemplates.fromJSON({ customerId: 'example' }))
+            .toThrow('Invalid invoice JSON:\n$: must have "service" or "services"');
+
+        try {
+            CustomerTemplates.fromJSON({ customerId: 'example', services: [{ type: 'guest_post', price: -40 }, { type: 'blog_post' }] });
+        } catch (error) {
+            expect(error.errors).toEqual([
+                '$.services[0].price: must be an amount greater than 0, e.g. 40 or "40.00"',
+                '$.services[1].type: must be one of: guest_post, link_insertion'
+            ]);
+        }
+    });
+
+    test('passes quantity, note, memo and reference through for a single service', () => {
+        const invoice = CustomerTemplates.fromJSON({
+            customerId: 'example',
+            service: { type: 'link_insertion', quantity: 3 },
+            note: 'Three links',
+            memo: 'Q3 order',
+            reference: 'ORDER-7'
+        });
+
+        expect(invoice.items[0]).toMatchObject({ quantity: 3, unitAmount: 20 });
+        expect(invoice).toMatchObject({ note: 'Three links', memo: 'Q3 order', reference: 'ORDER-7' });
+    });
+});
+
+describe('example invoice files', () => {
+    test('are all covered', () => {
+        expect(EXAMPLE_INVOICES).toEqual(expect.arrayContaining(['example_guest_post.json', 'example_mixed_services.json']));
+    });
+
+    test.each(EXAMPLE_INVOICES)('%s builds a valid invoice', file => {
+        const invoice = CustomerTemplates.fromJSON(readExample(file));
+
+        expect(InvoiceValidator.validateCompleteInvoice(invoice)).toEqual({ isValid: true, errors: [] });
+        invoice.items.forEach(item => expect(parseFloat(item.unitAmount)).toBeGreaterThan(0));
+
+        const payload = payloadFor(invoice);
+        expect(InvoiceTotals.verify(InvoiceTotals.calculate(payload), invoice.expectedTotal).isValid).toBe(true);
+        expect(payload).toMatchSnapshot();
+    });
+});
+
+describe('template references', () => {
+    // Callers once referenced builders that no longer existed (createMuzalex*), which only
+    // failed when someone picked that menu entry
+    const callers = ['index.js', 'src', 'bin']
+        .flatMap(entry => listJsFiles(path.join(ROOT, entry)))
+        .filter(file => !file.endsWith('customerTemplates.js'));
+
+    test.each(callers.map(file => [path.relative(ROOT, file)]))('%s only calls existing CustomerTemplates methods', file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        const methods = Array.from(source.matchAll(/CustomerTemplates\.(\w+)/g), match => match[1]);
+
+        methods.forEach(method => expect(typeof CustomerTemplates[method]).toBe('function'));
+    });
+});
+
+function listJsFiles(entry) {
+    if (fs.statSync(entry).isFile()) {
+        return entry.endsWith('.js') ? [entry] : [];
+    }
+    return fs.readdirSync(entry).flatMap(name => listJsFiles(path.join(entry, name)));
+}
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const ExchangeRates = require('../src/exchangeRates');
+const FxReport = require('../src/fxReport');
+const InvoiceLedger = require('../src/invoiceLedger');
+const InvoiceManager = require('../src/invoiceManager');
+const CustomerTemplates = require('../src/customerTemplates');
+const PayPalMockServer = require('../src/paypalMockServer');
+const { run } = require('../src/cli');
+
+const RATES_CSV = path.join(global.EXAMPLES_DIR, 'exchange-rates.example.csv');
+const RATES_JSON = path.join(global.EXAMPLES_DIR, 'exchange-rates.example.json');
+const RATES_FILE = process.env.EXCHANGE_RATES_FILE;
+
+const writeRates = (name, contents) => {
+    const file = path.join(global.TEST_TEMP_DIR, name);
+    fs.writeFileSync(file, contents);
+    return file;
+};
+
+const record = (invoiceNumber, currency, total, fields = {}) => ({
+    invoiceId: `INV2-${invoiceNumber}`,
+    invoiceNumber,
+    status: 'SENT',
+    invoiceDate: '2026-09-01',
+    customer: { businessName: `${invoiceNumber} Media` },
+    totals: { currency, total },
+    ...fields
+});
+
+const payment = (paymentId, date, value, currency = 'USD') => ({ paymentId, date, amount: { currency, value } });
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    process.exitCode = undefined;
+    process.env.HOME_CURRENCY = '';
+    process.env.EXCHANGE_RATES_FILE = RATES_FILE;
+});
+
+describe('ExchangeRates.rateOn', () => {
+    test('reads the same rates from CSV and JSON files', () => {
+        const csv = new ExchangeRates(RATES_CSV);
+        const json = new ExchangeRates(RATES_JSON);
+
+        ['2026-09-01', '2026-09-20', '2026-10-01'].forEach(date => {
+            expect(json.rateOn('GBP', 'INR', date)).toEqual(csv.rateOn('GBP', 'INR', date));
+        });
+        expect(csv.rateOn('usd', 'inr', '2026-09-15')).toEqual({ rate: 83.55, date: '2026-09-15' });
+    });
+
+    test('uses the latest earlier rate and nothing before the first', () => {
+        const rates = new ExchangeRates(RATES_CSV);
+
+        expect(rates.rateOn('USD', 'INR', '2026-09-20')).toEqual({ rate: 83.55, date: '2026-09-15' });
+        expect(rates.rateOn('USD', 'INR', '2026-08-31')).toBeNull();
+        expect(rates.rateOn('USD', 'JPY', '2026-10-01')).toBeNull();
+        expect(rates.rateOn('EUR', 'eur', '2026-01-01')).toEqual({ rate: 1, date: '2026-01-01' });
+    });
+
+    test('inverts the opposite pair, preferring the more recent listing', () => {
+        const rates = new ExchangeRates(writeRates('pairs.csv', [
+            'date,from,to,rate',
+            '2026-09-01,USD,INR,80',
+            '2026-09-10,INR,USD,0.0125',
+            '2026-09-20,USD,INR,83'
+        ].join('\n')));
+
+        expect(rates.rateOn('INR', 'USD', '2026-09-01')).toEqual({ rate: 1 / 80, date: '2026-09-01' });
+        expect(rates.rateOn('USD', 'INR', '2026-09-15')).toEqual({ rate: 80, date: '2026-09-10' });
+        expect(rates.rateOn('USD', 'INR', '2026-09-25')).toEqual({ rate: 83, date: '2026-09-20' });
+    });
+
+    test('fails for a missing file or an invalid row', () => {
+        const missing = path.join(global.TEST_TEMP_DIR, 'missing.csv');
+        expect(() => new ExchangeRates(missing).rateOn('USD', 'INR', '2026-09-01'))
+            .toThrow(`Exchange rates file not found: ${missing} (set EXCHANGE_RATES_FILE)`);
+
+        const invalid = writeRates('invalid.csv', 'date,from,to,rate\n2026-09-01,USD,INR,83\n01/09/2026,EUR,INR,90');
+        expect(() => new ExchangeRates(invalid).load())
+            .toThrow(`Invalid exchange rate 2 in ${invalid}: expected date (YYYY-MM-DD), from, to and a rate above 0`);
+        expect(() => new ExchangeRates(writeRates('zero.json', '{"2026-09-01": {"USD/INR": 0}}')).load()).toThrow(/^Invalid exchange rate 1/);
+    });
+});
+
+describe('ExchangeRates helpers', () => {
+    test('take the home currency from the profile, else HOME_CURRENCY', () => {
+        expect(ExchangeRates.homeCurrency({ homeCurrency: 'inr' })).toBe('INR');
+        expect(ExchangeRates.homeCurrency({})).toBe('');
+
+        process.env.HOME_CURRENCY = 'eur';
+        expect(ExchangeRates.homeCurrency(undefined)).toBe('EUR');
+    });
+
+    test('convert into the target currency\'s minor units', () => {
+        expect(ExchangeRates.convert('100.00', 83.555, 'INR')).toBe(835550);
+        expect(ExchangeRates.convert('10', 151.237, 'JPY')).toBe(1512);
+        expect(ExchangeRates.convert(undefined, 83, 'INR')).toBe(0);
+    });
+});
+
+describe('ExchangeRates.ratesForRecord', () => {
+    const rates = new ExchangeRates(RATES_CSV);
+
+    test('rates the invoice date and every payment date', () => {
+        const fx = rates.ratesForRecord(record('A', 'USD', '100.00', {
+            payments: [payment('PAY-1', '2026-09-15', '60.00'), payment(undefined, '2026-10-02', '40.00')]
+        }), 'INR');
+
+        expect(fx).toEqual({
+            homeCurrency: 'INR',
+            invoice: { rate: 83.10, date: '2026-09-01' },
+            payments: {
+                'PAY-1': { rate: 83.55, date: '2026-09-15' },
+                '2026-10-02:40.00': { rate: 83.90, date: '2026-10-01' }
+            }
+        });
+    });
+
+    test('keeps rates already stored for the same home currency', () => {
+        const stored = { homeCurrency: 'INR', invoice: { rate: 82, date: '2026-08-31' }, payments: { 'PAY-1': { rate: 82.5, date: '2026-09-14' } } };
+        const payments = [payment('PAY-1', '2026-09-15', '60.00'), payment('PAY-2', '2026-09-20', '40.00')];
+
+        expect(rates.ratesForRecord(record('A', 'USD', '100.00', { fx: stored, payments }), 'INR')).toEqual({
+            homeCurrency: 'INR',
+            invoice: stored.invoice,
+            payments: { 'PAY-1': stored.payments['PAY-1'], 'PAY-2': { rate: 83.55, date: '2026-09-15' } }
+        });
+        expect(rates.ratesForRecord(record('A', 'USD', '100.00', { fx: { ...stored, homeCurrency: 'EUR' } }), 'INR').invoice)
+            .toEqual({ rate: 83.10, date: '2026-09-01' });
+    });
+
+    test('dates the invoice on creation when it has no invoice date', () => {
+        const fx = rates.ratesForRecord(record('A', 'EUR', '50.00', { invoiceDate: null, createdAt: '2026-09-16T08:00:00.000Z' }), 'INR');
+
+        expect(fx.invoice).toEqual({ rate: 89.70, date: '2026-09-15' });
+    });
+
+    test('returns null without a home currency or for home currency invoices', () => {
+        expect(rates.ratesForRecord(record('A', 'INR', '1000.00'), 'INR')).toBeNull();
+        expect(rates.ratesForRecord(record('A', 'USD', '100.00'), '')).toBeNull();
+    });
+});
+
+describe('FxReport', () => {
+    const records = [
+        record('PAID', 'USD', '100.00', { status: 'PAID', payments: [payment('PAY-1', '2026-09-15', '100.00')] }),
+        record('OPEN', 'EUR', '50.00', { invoiceDate: '2026-09-15' }),
+        record('HOME', 'INR', '1000.00'),
+        record('EARLY', 'GBP', '20.00', { invoiceDate: '2026-08-01' }),
+        record('DRAFT', 'USD', '10.00', { status: 'DRAFT' }),
+        record('VOID', 'USD', '10.00', { status: 'CANCELLED' })
+    ];
+    const report = FxReport.build(records, { homeCurrency: 'INR', rates: new ExchangeRates(RATES_CSV), asOf: '2026-10-01' });
+
+    test('books invoices at the invoice date rate with realized and unrealized results', () => {
+        expect(report.rows.map(row => [row.invoiceNumber, row.invoiced, row.received, row.realized, row.outstanding, row.unrealized])).toEqual([
+            ['PAID', 831000, 835500, 4500, 0, 0],
+            ['OPEN', 448500, 0, 0, 448500, 5750],
+            ['HOME', 100000, 0, 0, 100000, 0]
+        ]);
+        expect(report.totals).toEqual({ invoiced: 1379500, received: 835500, realized: 4500, outstanding: 548500, unrealized: 5750 });
+    });
+
+    test('lists invoices it has no rate for and leaves out drafts and cancelled invoices', () => {
+        expect(report.missing).toEqual(['EARLY: no GBP/INR rate on or before the invoice date 2026-08-01']);
+        expect(report.rows.map(row => row.invoiceNumber)).not.toEqual(expect.arrayContaining(['DRAFT', 'VOID']));
+    });
+
+    test('formats the rows, totals and missing rates', () => {
+        const text = FxReport.formatReport(report);
+
+        expect(text).toContain('FX REPORT IN INR (2026-10-01)');
+        expect(text).toContain('83.1 (2026-09-01)');
+        expect(text).toContain('INR 13,795.00');
+        expect(text).toContain('Missing exchange rates (1)');
+        expect(FxReport.formatReport(FxReport.build([], { homeCurrency: 'INR', rates: new ExchangeRates(RATES_CSV) }))).toContain('No invoices to report.');
+        expect(FxReport.formatRate(1 / 83.1)).toBe('0.0120337');
+    });
+});
+
+describe('ledger fx', () => {
+    const cliJson = async (...args) => {
+        const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        const code = await run(['node', 'paypal-invoice', 'ledger', 'fx', ...args, '--json']);
+        return { code, result: JSON.parse(stdout.mock.calls.map(([chunk]) => chunk).join('')) };
+    };
+
+    beforeEach(() => {
+        fs.rmSync(process.env.INVOICE_LEDGER_FILE, { force: true });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        new InvoiceLedger().recordSync({
+            id: 'INV2-FX',
+            status: 'SENT',
+            detail: { invoice_number: 'FX-1', invoice_date: '2026-09-01' },
+            amount: { currency_code: 'USD', value: '100.00' },
+            due_amount: { currency_code: 'USD', value: '100.00' }
+        }, { environment: 'SANDBOX', profile: 'default' });
+    });
+
+    test('reports the ledger in the home currency from a rates file', async () => {
+        const { code, result } = await cliJson('--home', 'INR', '--rates', RATES_JSON, '--as-of', '2026-10-01');
+
+        expect(code).toBe(0);
+        expect(result.report).toMatchObject({ homeCurrency: 'INR', totals: { invoiced: 831000, outstanding: 831000, unrealized: 8000 } });
+    });
+
+    test('uses HOME_CURRENCY and needs a home currency', async () => {
+        process.env.HOME_CURRENCY = 'INR';
+        process.env.EXCHANGE_RATES_FILE = RATES_CSV;
+        expect((await cliJson()).result.report.homeCurrency).toBe('INR');
+
+        process.env.HOME_CURRENCY = '';
+        expect(await run(['node', 'paypal-invoice', 'ledger', 'fx'])).toBe(2);
+    });
+});
+
+describe('rates stored at creation', () => {
+    const mock = new PayPalMockServer({ clientId: process.env.PAYPAL_CLIENT_ID, clientSecret: process.env.PAYPAL_CLIENT_SECRET });
+
+    beforeAll(async () => {
+        process.env.PAYPAL_API_BASE_URL = await mock.start();
+    });
+
+    afterAll(() => mock.stop());
+
+    beforeEach(() => {
+        mock.reset();
+        fs.rmSync(process.env.INVOICE_LEDGER_FILE, { force: true });
+        fs.rmSync(process.env.INVOICE_NUMBERS_FILE, { force: true });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    test('keep the invoice date rate in the ledger when there is a home currency', async () => {
+        process.env.HOME_CURRENCY = 'INR';
+        process.env.EXCHANGE_RATES_FILE = RATES_CSV;
+        const manager = new InvoiceManager();
+
+        const result = await manager.createInvoice({
+            ...CustomerTemplates.createGuestPostInvoice(
+                { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', address: { countryCode: 'US' } },
+                { price: 40, url: 'https://test-media.example/article' }
+            ),
+            invoiceDate: '2026-09-20',
+            taxRules: false
+        });
+
+        expect(manager.ledger.getInvoice(result.invoiceId).fx).toEqual({
+            homeCurrency: 'INR',
+            invoice: { rate: 83.55, date: '2026-09-15' },
+            payments: {}
+        });
+    });
+});
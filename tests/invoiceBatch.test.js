@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const InvoiceBatch = require('../src/invoiceBatch');
+const PayPalMockServer = require('../src/paypalMockServer');
+const { run } = require('../src/cli');
+
+const CSV_EXAMPLE = path.join(global.EXAMPLES_DIR, 'batch_month_end.csv');
+
+const guestPost = (email, price) => ({
+    customer: { email, firstName: 'Jane', lastName: 'Doe', address: { countryCode: 'US' } },
+    service: { type: 'guest_post', price, url: 'https://test-media.example/post' },
+    taxRules: false
+});
+
+const writeJson = (name, contents) => {
+    const file = path.join(global.TEST_TEMP_DIR, name);
+    fs.writeFileSync(file, JSON.stringify(contents));
+    return file;
+};
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    process.exitCode = undefined;
+});
+
+describe('InvoiceBatch.loadRows', () => {
+    test('turns CSV records into single-service invoices', () => {
+        const rows = InvoiceBatch.loadRows(CSV_EXAMPLE);
+
+        expect(rows.map(entry => entry.row)).toEqual([1, 2, 3]);
+        expect(rows[0].input).toMatchObject({ customerId: 'example', customer: undefined, service: { type: 'guest_post', price: 40, title: 'SEO Trends for the Year Ahead' } });
+        expect(rows[1].input.service).toMatchObject({ type: 'link_insertion', price: 25, anchorText: 'best JavaScript frameworks', currency: undefined });
+        expect(rows[2].input).toMatchObject({
+            customer: { email: 'editor@newsite.example', businessName: 'New Site Media', address: { countryCode: 'US' } },
+            service: { price: 60, currency: 'USD' }
+        });
+    });
+
+    test('reads JSON arrays and {"invoices": [...]}', () => {
+        const invoices = [guestPost('a@example.com', 40), guestPost('b@example.com', 50)];
+
+        expect(InvoiceBatch.loadRows(writeJson('array.json', invoices))).toEqual([{ row: 1, input: invoices[0] }, { row: 2, input: invoices[1] }]);
+        expect(InvoiceBatch.loadRows(writeJson('object.json', { invoices }))).toHaveLength(2);
+        expect(() => InvoiceBatch.loadRows(writeJson('other.json', { rows: invoices }))).toThrow(/must be an array of invoices/);
+        expect(() => InvoiceBatch.loadRows(path.join(global.TEST_TEMP_DIR, 'missing.csv'))).toThrow(/^Batch file not found/);
+    });
+
+    test('only re-runs rows of a results file that still need work', () => {
+        const results = ['sent', 'created', 'existing', 'valid', 'invalid', 'failed', 'send_failed']
+            .map((status, index) => ({ row: index + 1, status, invoiceId: status === 'send_failed' ? 'INV2-X' : null, input: {} }));
+
+        const rows = InvoiceBatch.loadRows(writeJson('batch.results.json', { results }));
+
+        expect(rows.map(entry => entry.status)).toEqual(InvoiceBatch.RETRYABLE_STATUSES);
+        expect(rows.find(entry => entry.status === 'send_failed').invoiceId).toBe('INV2-X');
+    });
+});
+
+describe('InvoiceBatch.prepare', () => {
+    test('validates every row before anything is created', () => {
+        const entries = new InvoiceBatch().prepare([
+            { row: 1, input: guestPost('a@example.com', 40) },
+            { row: 2, input: guestPost('not-an-email', 40) },
+            { row: 3, input: { customerId: 'nobody', service: { type: 'guest_post', price: 40 } } }
+        ]);
+
+        expect(entries[0]).toMatchObject({ errors: [], invoiceData: { customer: { email: 'a@example.com' } } });
+        expect(entries[1].errors.join('\n')).toMatch(/email/i);
+        expect(entries[2]).toMatchObject({ invoiceData: null, errors: [expect.stringMatching(/nobody/)] });
+        expect(new InvoiceBatch().validationResults(entries).map(result => result.status)).toEqual(['valid', 'invalid', 'invalid']);
+    });
+});
+
+describe('InvoiceBatch.mapWithConcurrency', () => {
+    test('keeps input order with at most the given number of workers running', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        const worker = async item => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 5 - item));
+            running--;
+            return item * 2;
+        };
+
+        expect(await new InvoiceBatch({ concurrency: 2 }).mapWithConcurrency([1, 2, 3, 4], worker)).toEqual([2, 4, 6, 8]);
+        expect(maxRunning).toBe(2);
+    });
+});
+
+describe('creating a batch', () => {
+    const mock = new PayPalMockServer({ clientId: process.env.PAYPAL_CLIENT_ID, clientSecret: process.env.PAYPAL_CLIENT_SECRET });
+    const resultsFile = path.join(global.TEST_TEMP_DIR, 'run.results.json');
+
+    beforeAll(async () => {
+        process.env.PAYPAL_API_BASE_URL = await mock.start();
+    });
+
+    afterAll(() => mock.stop());
+
+    beforeEach(() => {
+        mock.reset();
+        fs.rmSync(process.env.INVOICE_LEDGER_FILE, { force: true });
+        fs.rmSync(process.env.INVOICE_NUMBERS_FILE, { force: true });
+    });
+
+    const batchFile = () => writeJson('batch.json', [guestPost('a@example.com', 40), guestPost('b@example.com', 50)]);
+
+    test('creates and sends one invoice per row', async () => {
+        const batch = new InvoiceBatch({ send: true });
+
+        const results = await batch.run(batch.prepare(InvoiceBatch.loadRows(batchFile())));
+
+        expect(results.map(result => [result.row, result.status, result.total])).toEqual([[1, 'sent', 'USD 40.00'], [2, 'sent', 'USD 50.00']]);
+        expect([...mock.invoices.values()].map(invoice => invoice.status)).toEqual(['SENT', 'SENT']);
+        expect(InvoiceBatch.summarize(results)).toEqual({ sent: 2 });
+    });
+
+    test('re-runs only the failed rows from the results file', async () => {
+        mock.injectFault({ status: 500, method: 'POST', path: '/send', times: 3 });
+
+        expect(await run(['node', 'paypal-invoice', 'batch', batchFile(), '--send', '--yes', '--concurrency', '1', '--results', resultsFile])).toBe(1);
+        const first = JSON.parse(fs.readFileSync(resultsFile, 'utf8'));
+        expect(first.summary).toEqual({ send_failed: 1, sent: 1 });
+        process.exitCode = undefined;
+
+        expect(await run(['node', 'paypal-invoice', 'batch', resultsFile, '--send', '--yes', '--results', resultsFile])).toBe(0);
+        expect(JSON.parse(fs.readFileSync(resultsFile, 'utf8')).summary).toEqual({ sent: 1 });
+        expect(mock.invoices.size).toBe(2);
+        expect([...mock.invoices.values()].every(invoice => invoice.status === 'SENT')).toBe(true);
+    });
+
+    test('creates nothing on a dry run or when a row is invalid', async () => {
+        const file = writeJson('invalid.json', [guestPost('a@example.com', 40), guestPost('not-an-email', 40)]);
+
+        expect(await run(['node', 'paypal-invoice', 'batch', batchFile(), '--dry-run', '--results', resultsFile])).toBe(0);
+        expect(JSON.parse(fs.readFileSync(resultsFile, 'utf8'))).toMatchObject({ dryRun: true, summary: { valid: 2 } });
+
+        expect(await run(['node', 'paypal-invoice', 'batch', file, '--yes', '--results', resultsFile])).toBe(1);
+        expect(JSON.parse(fs.readFileSync(resultsFile, 'utf8')).summary).toEqual({ valid: 1, invalid: 1 });
+        expect(mock.invoices.size).toBe(0);
+    });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const InvoiceHtml = require('../src/invoiceHtml');
+const InvoiceStructure = require('../src/invoiceStructure');
+const CustomerTemplates = require('../src/customerTemplates');
+const { run } = require('../src/cli');
+
+const customer = { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', businessName: 'Doe & Daughters', address: { countryCode: 'US' } };
+
+const payload = () => InvoiceStructure.createPayPalInvoicePayload({
+    ...CustomerTemplates.createGuestPostInvoice(customer, { price: 40, url: 'https://test-media.example/article', title: 'Tips <and> Tricks' }),
+    invoiceNumber: 'INV-HTML-0001',
+    taxRules: false
+});
+
+const writeFile = (name, contents) => {
+    const file = path.join(global.TEST_TEMP_DIR, name);
+    fs.writeFileSync(file, contents);
+    return file;
+};
+
+describe('InvoiceHtml.render', () => {
+    test('renders a complete page with the default template and theme', () => {
+        const html = InvoiceHtml.render(payload());
+
+        expect(html).toMatch(/^<!DOCTYPE html>/m);
+        expect(html).toContain('<title>Invoice INV-HTML-0001 - Test Media</title>');
+        expect(html).toContain('border-top:4px solid #1a3c6e');
+        expect(html).toContain('<strong>Doe &amp; Daughters</strong>');
+        expect(html).toContain('<strong>USD 40.00</strong>');
+        expect(html).not.toContain('Amount due');
+        expect(html).not.toContain('>Discount</th>');
+    });
+
+    test('keeps every description line, escaped', () => {
+        const html = InvoiceHtml.render(payload());
+
+        expect(html).toContain('<br>Article Title: Tips &lt;and&gt; Tricks</div>');
+        expect(html).not.toContain('<and>');
+    });
+
+    test('shows item discounts, paid and due amounts and the pay link when there are any', () => {
+        const invoice = {
+            ...payload(),
+            status: 'PARTIALLY_PAID',
+            payments: { paid_amount: { currency_code: 'USD', value: '10.00' } },
+            due_amount: { currency_code: 'USD', value: '26.00' }
+        };
+        invoice.items[0].discount = { percent: '10' };
+
+        const html = InvoiceHtml.render(invoice, { payLink: 'https://pay.example/INV2-HTML' });
+
+        expect(html).toContain('>Discount</th>');
+        expect(html).toContain('-USD 4.00 (10%)');
+        expect(html).toMatch(/Paid<\/td><td align="right">USD 10.00/);
+        expect(html).toContain('<strong>USD 26.00</strong>');
+        expect(html).toContain('<a href="https://pay.example/INV2-HTML"');
+    });
+
+    test('applies the profile theme, keeping defaults for empty values', () => {
+        const html = InvoiceHtml.render(payload(), { theme: { primaryColor: '#ff6600', backgroundColor: '', footer: 'Test Media\nPune' } });
+
+        expect(html).toContain('border-top:4px solid #ff6600');
+        expect(html).toContain(`background-color:${InvoiceHtml.DEFAULT_THEME.backgroundColor}`);
+        expect(html).toContain('Test Media<br>Pune');
+    });
+
+    test('uses the template from the options over the theme\'s', () => {
+        const themeTemplate = writeFile('theme.html.hbs', 'theme {{invoice.number}}');
+        const optionTemplate = writeFile('option.html.hbs', 'option {{invoice.number}} {{totals.total}}');
+
+        expect(InvoiceHtml.render(payload(), { theme: { template: themeTemplate } })).toBe('theme INV-HTML-0001');
+        expect(InvoiceHtml.render(payload(), { theme: { template: themeTemplate }, template: optionTemplate })).toBe('option INV-HTML-0001 USD 40.00');
+        expect(() => InvoiceHtml.render(payload(), { template: path.join(global.TEST_TEMP_DIR, 'missing.hbs') }))
+            .toThrow(/^Invoice template not found: /);
+    });
+});
+
+describe('InvoiceHtml.logoSource', () => {
+    test('prefers the public URL, else embeds a local image', () => {
+        const logoPath = writeFile('logo.svg', '<svg xmlns="http://www.w3.org/2000/svg"/>');
+
+        expect(InvoiceHtml.logoSource('https://test-media.example/logo.png', logoPath)).toBe('https://test-media.example/logo.png');
+        expect(InvoiceHtml.logoSource('', logoPath)).toMatch(/^data:image\/svg\+xml;base64,/);
+        expect(InvoiceHtml.logoSource('', writeFile('logo.bmp', 'BM'))).toBe('');
+        expect(InvoiceHtml.logoSource('', path.join(global.TEST_TEMP_DIR, 'missing.png'))).toBe('');
+    });
+});
+
+describe('InvoiceHtml.uniqueLines', () => {
+    test('drops empty lines, repeats and the block name', () => {
+        expect(InvoiceHtml.uniqueLines('Doe Media', ['Doe Media', 'Jane Doe', '', undefined, 'US', 'Jane Doe'])).toEqual(['Jane Doe', 'US']);
+    });
+});
+
+describe('preview --html', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        process.exitCode = undefined;
+    });
+
+    test('writes the preview as an HTML page', async () => {
+        const file = path.join(global.TEST_TEMP_DIR, 'html', 'sencha.html');
+
+        expect(await run(['node', 'paypal-invoice', 'preview', '--customer', 'sencha', '--price', '40', '--url', 'https://test-media.example/post', '--html', file])).toBe(0);
+
+        const html = fs.readFileSync(file, 'utf8');
+        expect(html).toMatch(/^<!DOCTYPE html>/m);
+        expect(html).toContain('https://test-media.example/post');
+    });
+
+    test('fails when the template does not exist', async () => {
+        const file = path.join(global.TEST_TEMP_DIR, 'missing-template.html');
+
+        expect(await run(['node', 'paypal-invoice', 'preview', '--customer', 'sencha', '--price', '40', '--url', 'https://test-media.example/post', '--html', file, '--template', 'missing.hbs'])).toBe(1);
+        expect(fs.existsSync(file)).toBe(false);
+    });
+});
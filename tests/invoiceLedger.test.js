@@ -0,0 +1,157 @@
+const fs = require('fs');
+const InvoiceLedger = require('../src/invoiceLedger');
+const { run } = require('../src/cli');
+
+let ledger;
+
+beforeEach(() => {
+    fs.rmSync(process.env.INVOICE_LEDGER_FILE, { force: true });
+    ledger = new InvoiceLedger(process.env.INVOICE_LEDGER_FILE);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const created = (invoiceId, invoiceNumber) => ({ invoiceId, operation: 'created', status: 'DRAFT', invoiceNumber });
+
+const context = { environment: 'SANDBOX', profile: 'default' };
+
+const invoiceData = (customer, items) => ({
+    customer,
+    currencyCode: 'USD',
+    items: items.map(([name, quantity, unitAmount]) => ({ name, quantity: String(quantity), unitAmount: String(unitAmount) })),
+    reference: 'PO-7'
+});
+
+const acme = { id: 'acme', email: 'ann@acme.example', firstName: 'Ann', lastName: 'Smith', businessName: 'Acme Media' };
+const beta = { email: 'max@beta.example', firstName: 'Max', lastName: 'Weber', businessName: 'Beta GmbH' };
+
+describe('recording invoices', () => {
+    test('stores the customer, items and totals of a created invoice', () => {
+        ledger.recordCreated(
+            { invoiceId: 'INV2-A', invoiceNumber: 'A-1', totalAmount: '95.00', idempotencyKey: 'key-a' },
+            invoiceData(acme, [['Guest post', 2, 40], ['Link insertion', 1, 15]]),
+            context
+        );
+
+        expect(ledger.getInvoice('INV2-A')).toMatchObject({
+            invoiceNumber: 'A-1',
+            status: 'DRAFT',
+            environment: 'SANDBOX',
+            customer: { id: 'acme', email: 'ann@acme.example', name: 'Ann Smith', businessName: 'Acme Media' },
+            items: [{ name: 'Guest post', quantity: 2, unitAmount: 40, currencyCode: 'USD' }, expect.any(Object)],
+            totals: { currency: 'USD', subtotal: '95.00', total: '95.00' },
+            reference: 'PO-7',
+            idempotencyKey: 'key-a'
+        });
+        expect(ledger.findByIdempotencyKey('key-a', 'SANDBOX').invoiceId).toBe('INV2-A');
+        expect(ledger.findByIdempotencyKey('key-a', 'PRODUCTION')).toBeNull();
+    });
+
+    test('folds status changes into the record with their history', () => {
+        ledger.append(created('INV2-A', 'A-1'));
+        ledger.recordStatus('INV2-A', 'sent', 'SENT', context);
+        ledger.recordReminder('INV2-A');
+        ledger.recordReminder('INV2-A');
+        ledger.recordStatus('INV2-A', 'cancelled', 'CANCELLED', { note: 'Wrong customer' });
+
+        const record = ledger.getInvoice('INV2-A');
+        expect(record).toMatchObject({ invoiceNumber: 'A-1', status: 'CANCELLED', reminderCount: 2, note: 'Wrong customer' });
+        expect(record.statusHistory.map(entry => [entry.operation, entry.status])).toEqual([
+            ['created', 'DRAFT'], ['sent', 'SENT'], ['reminded', null], ['reminded', null], ['cancelled', 'CANCELLED']
+        ]);
+        expect(ledger.getInvoice('INV2-MISSING')).toBeNull();
+    });
+
+    test('reports the line of a corrupt entry', () => {
+        ledger.append(created('INV2-A', 'A-1'));
+        fs.appendFileSync(process.env.INVOICE_LEDGER_FILE, '{"invoiceId":\n');
+
+        expect(() => new InvoiceLedger().getInvoices()).toThrow(/Corrupt ledger entry at .*ledger\.jsonl:2/);
+    });
+});
+
+describe('querying the ledger', () => {
+    beforeEach(() => {
+        ledger.recordCreated({ invoiceId: 'INV2-A', invoiceNumber: 'A-1' }, invoiceData(acme, [['Guest post', 1, 40]]), context);
+        ledger.recordCreated({ invoiceId: 'INV2-B', invoiceNumber: 'B-1' }, invoiceData(beta, [['Guest post', 1, 50]]), { ...context, profile: 'dms' });
+        ledger.recordCreated({ invoiceId: 'INV2-C', invoiceNumber: 'C-1' }, invoiceData(acme, [['Guest post', 1, 60]]), { ...context, environment: 'PRODUCTION' });
+        ledger.recordStatus('INV2-A', 'sent', 'SENT');
+        ledger.recordStatus('INV2-B', 'sent', 'SENT');
+        ledger.recordStatus('INV2-B', 'synced', 'PAID');
+    });
+
+    const ids = filters => ledger.query(filters).map(record => record.invoiceId).sort();
+
+    test('filters by customer ID, email or name', () => {
+        expect(ids({ customer: 'acme' })).toEqual(['INV2-A', 'INV2-C']);
+        expect(ids({ customer: 'MAX@beta.example' })).toEqual(['INV2-B']);
+        expect(ids({ customer: 'weber' })).toEqual(['INV2-B']);
+        expect(ids({ customer: 'beta.example' })).toEqual([]);
+    });
+
+    test('filters by status, payment, environment and profile', () => {
+        expect(ids({ status: 'sent' })).toEqual(['INV2-A']);
+        expect(ids({ unpaid: true })).toEqual(['INV2-A']);
+        expect(ids({ environment: 'production' })).toEqual(['INV2-C']);
+        expect(ids({ profile: 'dms' })).toEqual(['INV2-B']);
+        expect(ids({ customer: 'acme', environment: 'sandbox' })).toEqual(['INV2-A']);
+    });
+
+    test('ledger list prints the matching records as JSON', async () => {
+        const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await run(['node', 'paypal-invoice', 'ledger', 'list', '--customer', 'acme', '--env', 'SANDBOX', '--json'])).toBe(0);
+
+        const result = JSON.parse(stdout.mock.calls.map(([chunk]) => chunk).join(''));
+        expect(result.invoices.map(record => record.invoiceId)).toEqual(['INV2-A']);
+    });
+
+    test('ledger show fails for invoices not in the ledger', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await run(['node', 'paypal-invoice', 'ledger', 'show', 'INV2-MISSING'])).toBe(1);
+        process.exitCode = undefined;
+    });
+});
+
+describe('index cache', () => {
+    test('keeps the index current across its own appends without re-reading', () => {
+        ledger.append(created('INV2-A', 'A-1'));
+        ledger.getInvoices();
+        const read = jest.spyOn(ledger, 'readEvents');
+
+        ledger.append(created('INV2-B', 'B-1'));
+
+        expect(ledger.getInvoices().map(record => record.invoiceId).sort()).toEqual(['INV2-A', 'INV2-B']);
+        expect(read).not.toHaveBeenCalled();
+    });
+
+    test('re-reads the file when another process appended', () => {
+        const other = new InvoiceLedger(process.env.INVOICE_LEDGER_FILE);
+        ledger.append(created('INV2-A', 'A-1'));
+        ledger.getInvoices();
+
+        other.append(created('INV2-B', 'B-1'));
+
+        expect(ledger.getInvoice('INV2-B')).toMatchObject({ invoiceNumber: 'B-1' });
+    });
+
+    test('re-reads the file when another process appends between the check and the write', () => {
+        const other = new InvoiceLedger(process.env.INVOICE_LEDGER_FILE);
+        ledger.append(created('INV2-A', 'A-1'));
+        ledger.getInvoices();
+
+        // The other write lands right before ours, after the cache was checked
+        const appendFileSync = fs.appendFileSync;
+        jest.spyOn(fs, 'appendFileSync').mockImplementationOnce((...args) => {
+            other.append(created('INV2-B', 'B-1'));
+            return appendFileSync(...args);
+        });
+        ledger.append(created('INV2-C', 'C-1'));
+
+        expect(ledger.getInvoices().map(record => record.invoiceId).sort()).toEqual(['INV2-A', 'INV2-B', 'INV2-C']);
+    });
+});
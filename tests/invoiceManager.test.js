@@ -0,0 +1,561 @@
+const fs = require('fs');
+const moment = require('moment');
+const InvoiceManager = require('../src/invoiceManager');
+const InvoiceLedger = require('../src/invoiceLedger');
+const CustomerTemplates = require('../src/customerTemplates');
+const InvoiceStructure = require('../src/invoiceStructure');
+const PayPalMockServer = require('../src/paypalMockServer');
+const { run } = require('../src/cli');
+
+/**
+ * InvoiceManager against the local PayPal mock (src/paypalMockServer.js): real HTTP,
+ * real PayPalAuth retries, no PayPal credentials needed
+ */
+
+const mock = new PayPalMockServer({ clientId: process.env.PAYPAL_CLIENT_ID, clientSecret: process.env.PAYPAL_CLIENT_SECRET });
+let manager;
+
+beforeAll(async () => {
+    process.env.PAYPAL_API_BASE_URL = await mock.start();
+});
+
+afterAll(() => mock.stop());
+
+beforeEach(() => {
+    mock.reset();
+    fs.rmSync(process.env.INVOICE_LEDGER_FILE, { force: true });
+    fs.rmSync(process.env.INVOICE_NUMBERS_FILE, { force: true });
+
+    manager = new InvoiceManager();
+    // Retry quickly; the retry policy itself is PayPalAuth's
+    Object.assign(manager.paypal.http, { retryBaseDelay: 1, retryMaxDelay: 10 });
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const guestPost = (overrides = {}) => ({
+    ...CustomerTemplates.createGuestPostInvoice(
+        { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', address: { countryCode: 'US' } },
+        { price: 40, url: 'https://test-media.example/article' }
+    ),
+    taxRules: false,
+    ...overrides
+});
+
+const apiCalls = () => mock.requests
+    .filter(request => !request.path.startsWith('/v1/oauth2'))
+    .map(request => `${request.method} ${request.path.replace(/\?.*/, '')}`);
+
+async function createSentInvoice(overrides) {
+    const created = await manager.createInvoice(guestPost(overrides));
+    await manager.sendInvoice(created.invoiceId);
+    return created.invoiceId;
+}
+
+describe('createInvoice', () => {
+    test('creates the invoice and follows PayPal\'s link response to fetch it', async () => {
+        const result = await manager.createInvoice(guestPost());
+
+        expect(result).toMatchObject({
+            success: true,
+            invoiceId: 'INV2-MOCK-0000-0000-0001',
+            invoiceNumber: expect.stringMatching(/^INV-\d{4}-0001$/),
+            status: 'DRAFT',
+            totalAmount: '40.00',
+            currency: 'USD',
+            invoicerViewUrl: 'https://www.sandbox.paypal.com/invoice/details/INV2-MOCK-0000-0000-0001'
+        });
+        expect(apiCalls()).toEqual([
+            'POST /v2/invoicing/invoices',
+            'GET /v2/invoicing/invoices/INV2-MOCK-0000-0000-0001'
+        ]);
+        expect(mock.requests.find(request => request.method === 'POST' && request.path === '/v2/invoicing/invoices').headers['paypal-request-id'])
+            .toBe(result.idempotencyKey);
+        expect(manager.ledger.getInvoice(result.invoiceId)).toMatchObject({
+            status: 'DRAFT',
+            invoiceNumber: result.invoiceNumber,
+            idempotencyKey: result.idempotencyKey
+        });
+    });
+
+    test('uses the invoice PayPal returns with return=representation', async () => {
+        mock.options.returnRepresentation = true;
+        try {
+            const result = await manager.createInvoice(guestPost());
+            expect(result.success).toBe(true);
+            expect(apiCalls()).toEqual(['POST /v2/invoicing/invoices']);
+        } finally {
+            mock.options.returnRepresentation = false;
+        }
+    });
+
+    test('sends PayPal the calculated amounts', async () => {
+        const result = await manager.createInvoice(guestPost({
+            items: [{ name: 'Link Insertion Service', quantity: '3', unitAmount: '20', currencyCode: 'USD' }],
+            discount: { percent: 10 },
+            shipping: { amount: 2.5 }
+        }));
+
+        expect(result.totalAmount).toBe('56.50');
+        expect(console.warn).not.toHaveBeenCalledWith(expect.stringContaining('PayPal bills'));
+    });
+
+    test('does not call PayPal for invalid invoice data', async () => {
+        const result = await manager.createInvoice(guestPost({
+            items: [{ name: 'Discount', quantity: 1, unitAmount: -10, currencyCode: 'USD' }]
+        }));
+
+        expect(result).toMatchObject({ success: false, error: 'Validation failed:\nItem 1: Valid unit amount is required' });
+        expect(mock.requests).toEqual([]);
+    });
+
+    test('fails the pre-flight check when the expected total differs', async () => {
+        const result = await manager.createInvoice(guestPost({ expectedTotal: 45 }));
+
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/^Total check failed:\nInvoice total .*40\.00 does not match the expected total .*45\.00/);
+        expect(mock.requests).toEqual([]);
+    });
+
+    test('returns the first invoice when the same input is created again', async () => {
+        const first = await manager.createInvoice(guestPost());
+        const second = await manager.createInvoice(guestPost());
+
+        expect(second).toMatchObject({ success: true, duplicate: true, invoiceId: first.invoiceId, invoiceNumber: first.invoiceNumber });
+        expect(mock.invoices.size).toBe(1);
+    });
+
+    test('finds an invoice created before the ledger recorded it', async () => {
+        const first = await manager.createInvoice(guestPost());
+        fs.rmSync(process.env.INVOICE_LEDGER_FILE);
+
+        const second = await manager.createInvoice(guestPost());
+
+        expect(second).toMatchObject({ duplicate: true, invoiceId: first.invoiceId });
+        expect(apiCalls()).toContain('POST /v2/invoicing/search-invoices');
+        expect(manager.ledger.getInvoice(first.invoiceId)).not.toBeNull();
+    });
+
+    test('bills the same content again once the earlier invoice is paid', async () => {
+        const input = () => guestPost({ reference: '' });
+        const first = await manager.createInvoice(input());
+        await manager.sendInvoice(first.invoiceId);
+        expect(await manager.createInvoice(input())).toMatchObject({ duplicate: true, invoiceId: first.invoiceId });
+
+        await manager.recordPayment(first.invoiceId, { amount: 40 });
+        const second = await manager.createInvoice(input());
+        const again = await manager.createInvoice(input());
+
+        expect(second.success).toBe(true);
+        expect(second.duplicate).toBeUndefined();
+        expect(second.invoiceId).not.toBe(first.invoiceId);
+        expect(second.idempotencyKey).toBe(`${first.idempotencyKey}-2`);
+        expect(again).toMatchObject({ duplicate: true, invoiceId: second.invoiceId, status: 'DRAFT' });
+    });
+
+    test('keeps treating a paid invoice with the same reference as the same order', async () => {
+        const first = await createSentInvoice();
+        await manager.recordPayment(first, { amount: 40 });
+
+        expect(await manager.createInvoice(guestPost())).toMatchObject({ duplicate: true, invoiceId: first, status: 'MARKED_AS_PAID' });
+    });
+
+    test('creates a second invoice with force', async () => {
+        const first = await manager.createInvoice(guestPost());
+        const second = await manager.createInvoice(guestPost(), { force: true });
+
+        expect(second.duplicate).toBeUndefined();
+        expect(second.invoiceId).not.toBe(first.invoiceId);
+        expect(second.invoiceNumber).toMatch(/-0002$/);
+    });
+
+    test('reports PayPal validation errors with the invoice field and gives the number back', async () => {
+        mock.injectFault({
+            status: 422,
+            method: 'POST',
+            path: '/v2/invoicing/invoices',
+            body: {
+                name: 'UNPROCESSABLE_ENTITY',
+                message: 'The requested action could not be performed.',
+                debug_id: 'dbg-422',
+                details: [{ field: '/items/0/unit_amount/value', issue: 'INVALID_PARAMETER_VALUE', description: 'Value is invalid.' }]
+            }
+        });
+
+        const failed = await manager.createInvoice(guestPost());
+
+        expect(failed).toMatchObject({
+            success: false,
+            errorType: 'ValidationError',
+            status: 422,
+            debugId: 'dbg-422',
+            issues: [expect.objectContaining({ issue: 'INVALID_PARAMETER_VALUE', path: 'items[0].unitAmount' })]
+        });
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('items[0].unitAmount: Value is invalid.'));
+
+        const retried = await manager.createInvoice(guestPost());
+        expect(retried.invoiceNumber).toMatch(/-0001$/);
+    });
+
+    test('treats an invoice number already on PayPal as the same invoice unless forced', async () => {
+        const first = await manager.createInvoice(guestPost({ invoiceNumber: 'FIXED-1' }));
+        const again = await manager.createInvoice(guestPost({ invoiceNumber: 'FIXED-1', reference: 'another-order' }));
+        const result = await manager.createInvoice(guestPost({ invoiceNumber: 'FIXED-1', reference: 'another-order' }), { force: true });
+
+        expect(again).toMatchObject({ duplicate: true, invoiceId: first.invoiceId });
+
+        expect(result).toMatchObject({ success: false, errorType: 'ValidationError' });
+        expect(result.issues[0]).toMatchObject({ issue: 'DUPLICATE_INVOICE_NUMBER', path: 'invoiceNumber' });
+    });
+
+    test('moves past a reserved number PayPal already has on another invoice', async () => {
+        const taken = InvoiceStructure.nextInvoiceNumber(guestPost());
+        await manager.createInvoice(guestPost({ invoiceNumber: taken, reference: 'created-elsewhere' }));
+
+        const failed = await manager.createInvoice(guestPost());
+        expect(failed.issues[0]).toMatchObject({ issue: 'DUPLICATE_INVOICE_NUMBER' });
+
+        const retried = await manager.createInvoice(guestPost());
+        expect(retried.success).toBe(true);
+        expect(retried.duplicate).toBeUndefined();
+        expect(retried.invoiceNumber).not.toBe(taken);
+        expect(retried.invoiceNumber).toMatch(/-0002$/);
+    });
+
+    test('retries server errors with the same PayPal-Request-Id', async () => {
+        mock.injectFault({ status: 500, method: 'POST', path: '/v2/invoicing/invoices', times: 2 });
+
+        const result = await manager.createInvoice(guestPost());
+        const creates = mock.requests.filter(request => request.method === 'POST' && request.path === '/v2/invoicing/invoices');
+
+        expect(result.success).toBe(true);
+        expect(creates).toHaveLength(3);
+        expect(new Set(creates.map(request => request.headers['paypal-request-id'])).size).toBe(1);
+        expect(mock.invoices.size).toBe(1);
+    });
+
+    test('gives up on rate limiting after the configured retries', async () => {
+        mock.injectFault({ status: 429, method: 'POST', path: '/v2/invoicing/invoices', times: 10, retryAfter: 0 });
+
+        const result = await manager.createInvoice(guestPost());
+
+        expect(result).toMatchObject({ success: false, errorType: 'RateLimitedError', status: 429 });
+        expect(apiCalls().filter(call => call === 'POST /v2/invoicing/invoices')).toHaveLength(1 + manager.paypal.http.maxRetries);
+    });
+});
+
+describe('authentication', () => {
+    test('refreshes a revoked token once and repeats the request', async () => {
+        await manager.listInvoices();
+        mock.revokeTokens();
+
+        const result = await manager.listInvoices();
+
+        expect(result.success).toBe(true);
+        expect(mock.requests.filter(request => request.path === '/v1/oauth2/token')).toHaveLength(2);
+    });
+
+    test('reports rejected credentials as an AuthError', async () => {
+        manager.paypal.clientSecret = 'wrong-secret';
+
+        const result = await manager.listInvoices();
+
+        expect(result).toMatchObject({ success: false, errorType: 'AuthError', status: 401 });
+        expect(result.error).toMatch(/^Failed to authenticate with PayPal API/);
+    });
+});
+
+describe('getInvoice', () => {
+    test('returns the invoice', async () => {
+        const created = await manager.createInvoice(guestPost());
+        const result = await manager.getInvoice(created.invoiceId);
+
+        expect(result.success).toBe(true);
+        expect(result.invoice).toMatchObject({ id: created.invoiceId, status: 'DRAFT', due_amount: { value: '40.00' } });
+    });
+
+    test('reports unknown invoices as a NotFoundError', async () => {
+        expect(await manager.getInvoice('INV2-NOPE')).toMatchObject({ success: false, errorType: 'NotFoundError', status: 404 });
+    });
+
+    test('retries dropped connections', async () => {
+        const created = await manager.createInvoice(guestPost());
+        mock.injectFault({ reset: true, method: 'GET', path: created.invoiceId });
+
+        expect((await manager.getInvoice(created.invoiceId)).success).toBe(true);
+    });
+});
+
+describe('sending, reminding and cancelling', () => {
+    test('sends a draft and records it', async () => {
+        const created = await manager.createInvoice(guestPost());
+        const result = await manager.sendInvoice(created.invoiceId, { subject: 'Your invoice' });
+
+        expect(result).toMatchObject({ success: true, status: 'SENT', response: { rel: 'payer-view' } });
+        expect(mock.invoices.get(created.invoiceId)).toMatchObject({ status: 'SENT', last_notification: { subject: 'Your invoice' } });
+        expect(manager.ledger.getInvoice(created.invoiceId).status).toBe('SENT');
+    });
+
+    test('reports sending an invoice twice', async () => {
+        const invoiceId = await createSentInvoice();
+        const result = await manager.sendInvoice(invoiceId);
+
+        expect(result).toMatchObject({ success: false, errorType: 'ValidationError' });
+        expect(result.issues[0].issue).toBe('INVALID_INVOICE_STATUS');
+    });
+
+    test('reminds a sent invoice and records the reminder', async () => {
+        const invoiceId = await createSentInvoice();
+        const result = await manager.remindInvoice(invoiceId);
+
+        expect(result.success).toBe(true);
+        expect(apiCalls()).toContain(`POST /v2/invoicing/invoices/${invoiceId}/remind`);
+        expect(manager.ledger.getInvoice(invoiceId).statusHistory.map(entry => entry.operation)).toContain('reminded');
+    });
+
+    test('cancels a sent invoice', async () => {
+        const invoiceId = await createSentInvoice();
+        const result = await manager.cancelInvoice(invoiceId, 'Order withdrawn');
+
+        expect(result.success).toBe(true);
+        expect(mock.invoices.get(invoiceId).status).toBe('CANCELLED');
+        expect(manager.ledger.getInvoice(invoiceId).status).toBe('CANCELLED');
+    });
+
+    test('cannot cancel a draft', async () => {
+        const created = await manager.createInvoice(guestPost());
+        expect(await manager.cancelInvoice(created.invoiceId)).toMatchObject({ success: false, errorType: 'ValidationError' });
+    });
+});
+
+describe('scheduled sends', () => {
+    test('moves the due date of a draft scheduled past it to its payment term after the send', async () => {
+        const { invoiceId } = await manager.createInvoice(guestPost());
+        const draft = mock.invoices.get(invoiceId).detail;
+        const termDays = moment(draft.payment_term.due_date).diff(moment(draft.invoice_date), 'days');
+        const sendAt = moment().add(termDays + 7, 'days').format('YYYY-MM-DD');
+        const dueDate = moment(sendAt).add(termDays, 'days').format('YYYY-MM-DD');
+
+        expect(await manager.scheduleSend(invoiceId, sendAt)).toMatchObject({ success: true });
+        expect(await manager.dispatchScheduledSends({ now: moment(sendAt).subtract(1, 'minute').toDate() })).toMatchObject({ sent: 0 });
+
+        const result = await manager.dispatchScheduledSends({ now: moment(sendAt).add(9, 'hours').toDate() });
+
+        expect(result).toMatchObject({ success: true, sent: 1, failed: 0 });
+        expect(mock.invoices.get(invoiceId)).toMatchObject({ status: 'SENT', detail: { payment_term: { due_date: dueDate } } });
+        expect(manager.ledger.getInvoice(invoiceId)).toMatchObject({ status: 'SENT', dueDate });
+        expect(apiCalls().slice(-2)).toEqual([`PUT /v2/invoicing/invoices/${invoiceId}`, `POST /v2/invoicing/invoices/${invoiceId}/send`]);
+    });
+
+    test('moves the due date of a NET term draft with only its writable fields', async () => {
+        const { invoiceId } = await manager.createInvoice(guestPost({ discount: { percent: 10 } }));
+        const draft = mock.invoices.get(invoiceId);
+        draft.detail.payment_term = { term_type: 'NET_10', due_date: moment(draft.detail.invoice_date).add(10, 'days').format('YYYY-MM-DD') };
+        const sendAt = moment().add(20, 'days').format('YYYY-MM-DD');
+        await manager.scheduleSend(invoiceId, sendAt);
+
+        expect(await manager.dispatchScheduledSends({ now: moment(sendAt).add(9, 'hours').toDate() })).toMatchObject({ sent: 1 });
+
+        const dueDate = moment(sendAt).add(10, 'days').format('YYYY-MM-DD');
+        const put = mock.requests.find(request => request.method === 'PUT');
+        expect(put.body.detail.payment_term).toEqual({ term_type: 'DUE_ON_DATE_SPECIFIED', due_date: dueDate });
+        expect(put.body.detail.invoice_date).toBe(draft.detail.invoice_date);
+        expect(put.body.detail.metadata).toBeUndefined();
+        expect(put.body.amount).toEqual({ breakdown: { discount: { invoice_discount: expect.any(Object) } } });
+        ['id', 'status', 'due_amount', 'payments', 'refunds', 'links'].forEach(field => expect(put.body).not.toHaveProperty(field));
+        expect(mock.invoices.get(invoiceId).detail.payment_term.due_date).toBe(dueDate);
+    });
+
+    test('keeps the send queued when the due date cannot be moved', async () => {
+        const { invoiceId } = await manager.createInvoice(guestPost());
+        const sendAt = moment().add(10, 'days').toDate();
+        await manager.scheduleSend(invoiceId, sendAt.toISOString());
+        mock.injectFault({ status: 422, method: 'PUT', path: invoiceId });
+
+        expect(await manager.dispatchScheduledSends({ now: sendAt })).toMatchObject({ success: false, sent: 0, failed: 1 });
+        expect(mock.invoices.get(invoiceId).status).toBe('DRAFT');
+
+        expect(await manager.dispatchScheduledSends({ now: sendAt })).toMatchObject({ success: true, sent: 1 });
+    });
+});
+
+describe('create command', () => {
+    const create = (...args) => run(['node', 'paypal-invoice', 'create', '--customer', 'example', '--price', '40', '--url', 'https://example.com/post', ...args]);
+
+    afterEach(() => {
+        process.exitCode = undefined;
+    });
+
+    test('warns that an invoice which was already sent is not scheduled', async () => {
+        expect(await create('--send', '--yes')).toBe(0);
+        const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+        expect(await create('--send-at', moment().add(3, 'days').format('YYYY-MM-DD'), '--json')).toBe(0);
+
+        const result = JSON.parse(stdout.mock.calls.map(([chunk]) => chunk).join(''));
+        expect(result).toMatchObject({ success: true, scheduled: false, invoice: { duplicate: true, status: 'SENT' } });
+        expect(result.reason).toMatch(/already exists with status SENT, so it was not scheduled again/);
+        expect(new InvoiceLedger(process.env.INVOICE_LEDGER_FILE).getInvoice(result.invoice.invoiceId).scheduledSend).toBeUndefined();
+    });
+
+    test('sends a draft created by an earlier run instead of creating another', async () => {
+        expect(await create()).toBe(0);
+        expect(await create('--send', '--yes')).toBe(0);
+
+        expect([...mock.invoices.values()].map(invoice => invoice.status)).toEqual(['SENT']);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('♻️'));
+    });
+
+    test('creates another invoice for the same input with --force', async () => {
+        await create();
+        expect(await create('--force')).toBe(0);
+
+        expect(mock.invoices.size).toBe(2);
+    });
+
+    test('prints the warning without --json', async () => {
+        await create('--send', '--yes');
+        await create('--send-at', moment().add(3, 'days').format('YYYY-MM-DD'));
+
+        expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/⚠️ Invoice .* already exists with status SENT, so it was not scheduled again/));
+    });
+});
+
+describe('payments and refunds', () => {
+    test('records a partial and then the remaining payment', async () => {
+        const invoiceId = await createSentInvoice();
+
+        const partial = await manager.recordPayment(invoiceId, { amount: '15', method: 'bank transfer', date: '2026-03-03' });
+        expect(partial).toMatchObject({
+            success: true,
+            transactionId: expect.stringMatching(/^EXTR-/),
+            status: 'PARTIALLY_PAID',
+            dueAmount: { currency_code: 'USD', value: '25.00' }
+        });
+        expect(mock.invoices.get(invoiceId).payments.transactions[0]).toMatchObject({ method: 'BANK_TRANSFER', payment_date: '2026-03-03' });
+
+        const rest = await manager.recordPayment(invoiceId, { amount: 25 });
+        expect(rest).toMatchObject({ success: true, status: 'MARKED_AS_PAID', dueAmount: { value: '0.00' } });
+        expect(manager.ledger.getInvoice(invoiceId)).toMatchObject({ status: 'MARKED_AS_PAID', paidAmount: { value: '40.00' } });
+    });
+
+    test('rejects overpayments before calling PayPal', async () => {
+        const invoiceId = await createSentInvoice();
+        const result = await manager.recordPayment(invoiceId, { amount: 41 });
+
+        expect(result).toMatchObject({ success: false, error: 'Validation failed:\nPayment of 41 exceeds the remaining due amount of USD 40.00' });
+        expect(apiCalls()).not.toContain(`POST /v2/invoicing/invoices/${invoiceId}/payments`);
+    });
+
+    test('refunds up to the amount paid', async () => {
+        const invoiceId = await createSentInvoice();
+        await manager.recordPayment(invoiceId, { amount: 40 });
+
+        const refund = await manager.recordRefund(invoiceId, { amount: 10, method: 'other' });
+        expect(refund).toMatchObject({ success: true, status: 'PARTIALLY_REFUNDED', transactionId: expect.stringMatching(/^EXTR-/) });
+
+        const tooMuch = await manager.recordRefund(invoiceId, { amount: 31 });
+        expect(tooMuch.error).toBe('Validation failed:\nRefund of 31 exceeds the refundable amount of USD 30.00');
+    });
+
+    test('records each transaction in the ledger', async () => {
+        const invoiceId = await createSentInvoice();
+        await manager.recordPayment(invoiceId, { amount: 40, method: 'wire-transfer', date: '2026-03-04', note: 'Wise' });
+        await manager.recordRefund(invoiceId, { amount: 5, date: '2026-03-06' });
+
+        const record = manager.ledger.getInvoice(invoiceId);
+        expect(record).toMatchObject({
+            status: 'PARTIALLY_REFUNDED',
+            paidAmount: { value: '40.00' },
+            refundedAmount: { value: '5.00' },
+            transaction: { type: 'refund', method: 'BANK_TRANSFER', date: '2026-03-06', amount: { currency: 'USD', value: '5.00' } }
+        });
+        expect(record.statusHistory.map(entry => entry.operation)).toEqual(expect.arrayContaining(['payment_recorded', 'refund_recorded']));
+        expect(manager.ledger.readEvents().find(event => event.operation === 'payment_recorded').transaction)
+            .toMatchObject({ id: expect.stringMatching(/^EXTR-/), method: 'WIRE_TRANSFER', note: 'Wise' });
+    });
+
+    test('records payments and refunds from the command line', async () => {
+        const invoiceId = await createSentInvoice();
+        const cli = (...args) => run(['node', 'paypal-invoice', ...args, '--yes']);
+
+        expect(await cli('payment', invoiceId, '--amount', '40', '--method', 'cash')).toBe(0);
+        expect(await cli('refund', invoiceId, '--amount', '50')).toBe(1);
+        process.exitCode = undefined;
+        expect(await cli('refund', invoiceId, '--amount', '40', '--date', '2026-03-09')).toBe(0);
+
+        expect(mock.invoices.get(invoiceId)).toMatchObject({
+            status: 'MARKED_AS_REFUNDED',
+            payments: { transactions: [expect.objectContaining({ method: 'CASH' })] }
+        });
+    });
+});
+
+describe('listing and syncing', () => {
+    test('lists invoices with pagination', async () => {
+        await manager.createInvoice(guestPost());
+        await manager.createInvoice(guestPost(), { force: true });
+        await manager.createInvoice(guestPost(), { force: true });
+
+        const result = await manager.listInvoices({ page: 2, pageSize: 2, totalRequired: true });
+
+        expect(result).toMatchObject({ success: true, totalItems: 3, totalPages: 2, currentPage: 2 });
+        expect(result.invoices.map(invoice => invoice.id)).toEqual(['INV2-MOCK-0000-0000-0001']);
+    });
+
+    test('syncs payment status into the ledger', async () => {
+        const invoiceId = await createSentInvoice();
+        const payment = mock.recordPayment(mock.invoices.get(invoiceId), { amount: { value: '40.00' }, method: 'CASH' });
+        expect(payment.status).toBe(200);
+
+        const result = await manager.syncInvoices({ pageSize: 1 });
+
+        expect(result).toEqual({ success: true, checked: 1, updated: 1, failed: 0 });
+        expect(manager.ledger.getInvoice(invoiceId)).toMatchObject({ status: 'MARKED_AS_PAID', dueAmount: { value: '0.00' } });
+        expect(await manager.syncInvoices({ source: 'ledger' })).toEqual({ success: true, checked: 1, updated: 0, failed: 0 });
+    });
+
+    test('keeps re-checking paid invoices for refunds until the refund window closes', async () => {
+        const invoiceId = await createSentInvoice();
+        mock.recordPayment(mock.invoices.get(invoiceId), { amount: { value: '40.00' }, method: 'CASH' });
+        await manager.syncInvoices({ source: 'ledger' });
+
+        mock.recordRefund(mock.invoices.get(invoiceId), { amount: { value: '40.00' }, method: 'CASH' });
+        expect(await manager.syncInvoices({ source: 'ledger' })).toEqual({ success: true, checked: 1, updated: 1, failed: 0 });
+
+        const record = manager.ledger.getInvoice(invoiceId);
+        expect(record).toMatchObject({ status: 'MARKED_AS_REFUNDED', refundedAmount: { value: '40.00' } });
+        expect(await manager.syncInvoices({ source: 'ledger' })).toMatchObject({ checked: 0 });
+
+        const paid = { ...record, status: 'MARKED_AS_PAID', payments: [{ date: '2026-03-03' }] };
+        expect(InvoiceLedger.needsSync(paid, new Date('2026-08-30T00:00:00Z'))).toBe(true);
+        expect(InvoiceLedger.needsSync(paid, new Date('2026-08-31T00:00:00Z'))).toBe(false);
+    });
+
+    test('reads the ledger file once while syncing', async () => {
+        await createSentInvoice();
+        await createSentInvoice({ reference: 'second' });
+        manager = new InvoiceManager();
+        const read = jest.spyOn(fs, 'readFileSync');
+
+        await manager.syncInvoices({ source: 'ledger' });
+        await manager.syncInvoices();
+
+        expect(read.mock.calls.filter(([file]) => file === process.env.INVOICE_LEDGER_FILE)).toHaveLength(1);
+    });
+
+    test('reports a failed sync', async () => {
+        mock.injectFault({ status: 403, method: 'GET', path: '/v2/invoicing/invoices' });
+
+        const result = await manager.syncInvoices();
+
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/^Failed to list invoices \(page 1\)/);
+    });
+});
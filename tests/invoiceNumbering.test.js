@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const InvoiceNumbering = require('../src/invoiceNumbering');
+const PayPalMockServer = require('../src/paypalMockServer');
+const { run } = require('../src/cli');
+
+const numbersFile = path.join(global.TEST_TEMP_DIR, 'numbering-test.json');
+const lockFile = `${numbersFile}.lock`;
+
+const profile = (invoiceNumberPattern, overrides = {}) => ({ id: 'tgm', invoiceNumberPattern, paypal: { environment: 'SANDBOX' }, ...overrides });
+
+let numbering;
+
+beforeEach(() => {
+    fs.rmSync(numbersFile, { force: true });
+    fs.rmSync(lockFile, { force: true });
+    numbering = new InvoiceNumbering(numbersFile);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('InvoiceNumbering.render', () => {
+    test('fills the date tokens and pads the sequence', () => {
+        expect(InvoiceNumbering.render('TGM-{YYYY}-{seq:0000}', 7, '2026-03-02')).toBe('TGM-2026-0007');
+        expect(InvoiceNumbering.render('DMS-{YY}{MM}{DD}-{seq:000}', 1234, '2026-03-02')).toBe('DMS-260302-1234');
+        expect(InvoiceNumbering.render('{seq}', 12)).toBe('12');
+    });
+
+    test('rejects patterns without exactly one sequence token and numbers PayPal would refuse', () => {
+        expect(() => InvoiceNumbering.scopeFor(profile('INV-{YYYY}'))).toThrow(/must contain one \{seq\}/);
+        expect(() => InvoiceNumbering.scopeFor(profile('{seq}-{seq:00}'))).toThrow(/must contain one \{seq\}/);
+        expect(() => InvoiceNumbering.render('VERY-LONG-INVOICE-PREFIX-{seq:0000}', 1)).toThrow(/longer than PayPal's 25 characters/);
+    });
+
+    test('reads the sequence back from the last group of digits', () => {
+        expect(InvoiceNumbering.parseSequence('TGM-2026-0042')).toBe(42);
+        expect(InvoiceNumbering.parseSequence('0107')).toBe(107);
+        expect(InvoiceNumbering.parseSequence('DRAFT')).toBeNull();
+    });
+});
+
+describe('InvoiceNumbering counters', () => {
+    test('count per profile, environment and date prefix', () => {
+        const tgm = profile('TGM-{YYYY}-{seq:0000}');
+
+        expect(numbering.reserve(tgm, { date: '2026-03-02' })).toBe('TGM-2026-0001');
+        expect(numbering.reserve(tgm, { date: '2026-12-31' })).toBe('TGM-2026-0002');
+        expect(numbering.reserve(tgm, { date: '2027-01-01' })).toBe('TGM-2027-0001');
+        expect(numbering.reserve({ ...tgm, id: 'dms' }, { date: '2026-03-02' })).toBe('TGM-2026-0001');
+        expect(numbering.reserve({ ...tgm, paypal: { environment: 'PRODUCTION' } }, { date: '2026-03-02' })).toBe('TGM-2026-0001');
+        expect(numbering.peek(tgm, { date: '2026-06-01' })).toBe('TGM-2026-0003');
+    });
+
+    test('use the default pattern for profiles without one', () => {
+        expect(numbering.reserve(profile(''), { date: '2026-03-02' })).toBe('INV-2026-0001');
+    });
+
+    test('keep the number reserved for an idempotency key', () => {
+        const tgm = profile('T-{seq}');
+
+        expect(numbering.reserve(tgm, { idempotencyKey: 'a' })).toBe('T-1');
+        expect(numbering.reserve(tgm, { idempotencyKey: 'b' })).toBe('T-2');
+        expect(numbering.reserve(tgm, { idempotencyKey: 'a' })).toBe('T-1');
+        expect(numbering.peek(tgm, { idempotencyKey: 'b' })).toBe('T-2');
+        expect(numbering.lookup('a')).toBe('T-1');
+        expect(numbering.lookup('c')).toBeNull();
+    });
+
+    test('only move back on release when no later number was reserved', () => {
+        const tgm = profile('T-{seq}');
+        numbering.reserve(tgm, { idempotencyKey: 'a' });
+        numbering.reserve(tgm, { idempotencyKey: 'b' });
+
+        expect(numbering.release('a')).toBe(true);
+        expect(numbering.peek(tgm)).toBe('T-3');
+
+        expect(numbering.release('b')).toBe(true);
+        expect(numbering.peek(tgm)).toBe('T-2');
+        expect(numbering.release('b')).toBe(false);
+    });
+
+    test('skip a released number PayPal already has when not rewinding', () => {
+        const tgm = profile('T-{seq}');
+        numbering.reserve(tgm, { idempotencyKey: 'a' });
+
+        numbering.release('a', { rewind: false });
+
+        expect(numbering.lookup('a')).toBeNull();
+        expect(numbering.reserve(tgm, { idempotencyKey: 'a' })).toBe('T-2');
+    });
+
+    test('seed forward but never backward', () => {
+        const tgm = profile('T-{seq}');
+
+        expect(numbering.seed(tgm, 120)).toBe('T-120');
+        expect(numbering.seed(tgm, 5)).toBe('T-120');
+        expect(numbering.reserve(tgm)).toBe('T-120');
+        expect(() => numbering.seed(tgm, 0)).toThrow('Invalid next sequence number: 0');
+    });
+});
+
+describe('InvoiceNumbering lock', () => {
+    test('waits for another process to release the lock', () => {
+        fs.writeFileSync(lockFile, '12345');
+        const sleep = jest.spyOn(InvoiceNumbering, 'sleep').mockImplementation(() => fs.rmSync(lockFile));
+
+        expect(numbering.reserve(profile('T-{seq}'))).toBe('T-1');
+        expect(sleep).toHaveBeenCalledTimes(1);
+        expect(fs.existsSync(lockFile)).toBe(false);
+    });
+
+    test('removes a lock left behind by a crashed process', () => {
+        fs.writeFileSync(lockFile, '12345');
+        const old = new Date(Date.now() - 60000);
+        fs.utimesSync(lockFile, old, old);
+        const sleep = jest.spyOn(InvoiceNumbering, 'sleep');
+
+        expect(numbering.reserve(profile('T-{seq}'))).toBe('T-1');
+        expect(sleep).not.toHaveBeenCalled();
+    });
+
+    test('never leaves a half-written counters file', () => {
+        numbering.reserve(profile('T-{seq}'));
+
+        expect(fs.readdirSync(global.TEST_TEMP_DIR).filter(file => file.startsWith('numbering-test.json.'))).toEqual([]);
+        expect(JSON.parse(fs.readFileSync(numbersFile, 'utf8'))).toMatchObject({ version: 1, counters: { 'tgm:SANDBOX:T-{seq}': 1 } });
+    });
+});
+
+describe('numbering command', () => {
+    const mock = new PayPalMockServer({ clientId: process.env.PAYPAL_CLIENT_ID, clientSecret: process.env.PAYPAL_CLIENT_SECRET });
+    const cli = (...args) => run(['node', 'paypal-invoice', 'numbering', ...args]);
+
+    beforeAll(async () => {
+        process.env.PAYPAL_API_BASE_URL = await mock.start();
+    });
+
+    afterAll(() => mock.stop());
+
+    beforeEach(() => {
+        mock.reset();
+        fs.rmSync(process.env.INVOICE_NUMBERS_FILE, { force: true });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        process.exitCode = undefined;
+    });
+
+    test('seeds the counter with --next or from PayPal\'s next number', async () => {
+        const year = new Date().getFullYear();
+
+        expect(await cli('seed', '--next', '40')).toBe(0);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining(`INV-${year}-0040`));
+
+        expect(await cli('seed', '--from-paypal')).toBe(0);
+        expect(mock.requests.map(request => request.path)).toContain('/v2/invoicing/generate-next-invoice-number');
+
+        expect(await cli('next')).toBe(0);
+        expect(console.log).toHaveBeenLastCalledWith(expect.stringContaining(`INV-${year}-0040`));
+    });
+
+    test('needs exactly one of --next and --from-paypal', async () => {
+        expect(await cli('seed')).toBe(2);
+        expect(await cli('seed', '--next', '3', '--from-paypal')).toBe(2);
+    });
+});
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const InvoicePdf = require('../src/invoicePdf');
+const InvoiceStructure = require('../src/invoiceStructure');
+const CustomerTemplates = require('../src/customerTemplates');
+const PayPalMockServer = require('../src/paypalMockServer');
+const { run } = require('../src/cli');
+
+// 1x1 PNG
+const LOGO_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+const customer = { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', businessName: 'Doe Media', address: { line1: '5 Main St', city: 'Austin', state: 'TX', postalCode: '78701', countryCode: 'US' } };
+
+const payload = (serviceDetails = {}) => InvoiceStructure.createPayPalInvoicePayload({
+    ...CustomerTemplates.createGuestPostInvoice(customer, { price: 40, url: 'https://test-media.example/article', ...serviceDetails }),
+    invoiceNumber: 'INV-PDF-0001',
+    taxRules: false
+});
+
+/**
+ * Render an invoice and return the PDF and every string drawn on it
+ */
+const renderText = async (invoice, options) => {
+    const text = jest.spyOn(PDFDocument.prototype, 'text');
+    const pdf = await InvoicePdf.render(invoice, options);
+    return { pdf, lines: text.mock.calls.map(([value]) => String(value)) };
+};
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    process.exitCode = undefined;
+});
+
+describe('InvoicePdf.render', () => {
+    test('draws the header, both parties, items, totals, note and terms of a payload', async () => {
+        const invoice = payload();
+        const { pdf, lines } = await renderText(invoice);
+
+        expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+        expect(lines).toEqual(expect.arrayContaining([
+            'INVOICE', 'INV-PDF-0001', 'DRAFT', 'FROM', 'BILL TO', 'Doe Media', 'Jane Doe', '5 Main St', 'Austin, TX 78701',
+            'Guest Post Publication', 'Subtotal', 'Total', 'USD 40.00', 'NOTE', 'TERMS', 'Page 1 of 1'
+        ]));
+        expect(lines).not.toContain('Amount due');
+        expect(lines).not.toContain('PAY ONLINE');
+    });
+
+    test('adds paid, amount due and the pay link of a fetched invoice', async () => {
+        const invoice = {
+            ...payload(),
+            id: 'INV2-PDF',
+            status: 'PARTIALLY_PAID',
+            payments: { paid_amount: { currency_code: 'USD', value: '15.00' } },
+            due_amount: { currency_code: 'USD', value: '25.00' }
+        };
+        invoice.detail.metadata = { recipient_view_url: 'https://www.sandbox.paypal.com/invoice/p/#INV2-PDF' };
+
+        const { lines } = await renderText(invoice);
+
+        expect(lines).toEqual(expect.arrayContaining(['PARTIALLY_PAID', 'Paid', 'USD 15.00', 'Amount due', 'USD 25.00', 'PAY ONLINE', 'https://www.sandbox.paypal.com/invoice/p/#INV2-PDF']));
+    });
+
+    test('repeats the table header on every page of a long invoice', async () => {
+        const invoice = payload();
+        invoice.items = Array.from({ length: 40 }, (_, index) => ({ ...invoice.items[0], name: `Article ${index + 1}` }));
+
+        const { lines } = await renderText(invoice);
+
+        expect(lines.filter(line => line === 'Unit Price').length).toBeGreaterThan(1);
+        expect(lines).toContain('Article 40');
+        expect(lines.filter(line => /^Page \d+ of \d+$/.test(line)).pop()).toMatch(/^Page (\d+) of \1$/);
+    });
+
+    test('draws a local logo instead of the business name, and ignores a missing one', async () => {
+        const logoPath = path.join(global.TEST_TEMP_DIR, 'logo.png');
+        fs.writeFileSync(logoPath, LOGO_PNG);
+        const image = jest.spyOn(PDFDocument.prototype, 'image');
+
+        await InvoicePdf.render(payload(), { logoPath });
+        expect(image).toHaveBeenCalledWith(logoPath, expect.any(Number), expect.any(Number), expect.any(Object));
+
+        image.mockClear();
+        const { lines } = await renderText(payload(), { logoPath: path.join(global.TEST_TEMP_DIR, 'missing.png') });
+        expect(image).not.toHaveBeenCalled();
+        expect(lines).toContain('Test Media');
+    });
+});
+
+describe('InvoicePdf.addressLines', () => {
+    test('joins city, state and postal code on one line', () => {
+        expect(InvoicePdf.addressLines({ address_line_1: '1 Test Street', admin_area_2: 'Pune', admin_area_1: 'MH', postal_code: '411001', country_code: 'IN' }))
+            .toEqual(['1 Test Street', undefined, 'Pune, MH 411001', 'IN']);
+        expect(InvoicePdf.addressLines({ country_code: 'US' })).toEqual([undefined, undefined, '', 'US']);
+        expect(InvoicePdf.addressLines()).toEqual([]);
+    });
+});
+
+describe('InvoicePdf.save', () => {
+    test('creates the output directories', async () => {
+        const file = path.join(global.TEST_TEMP_DIR, 'pdf', 'nested', 'invoice.pdf');
+
+        expect(await InvoicePdf.save(payload(), file)).toBe(file);
+        expect(fs.readFileSync(file).subarray(0, 5).toString()).toBe('%PDF-');
+    });
+});
+
+describe('pdf command', () => {
+    const mock = new PayPalMockServer({ clientId: process.env.PAYPAL_CLIENT_ID, clientSecret: process.env.PAYPAL_CLIENT_SECRET });
+    const output = path.join(global.TEST_TEMP_DIR, 'cli.pdf');
+
+    beforeAll(async () => {
+        process.env.PAYPAL_API_BASE_URL = await mock.start();
+    });
+
+    afterAll(() => mock.stop());
+
+    beforeEach(() => {
+        mock.reset();
+        fs.rmSync(output, { force: true });
+        fs.rmSync(process.env.INVOICE_LEDGER_FILE, { force: true });
+        fs.rmSync(process.env.INVOICE_NUMBERS_FILE, { force: true });
+    });
+
+    test('renders an invoice file without calling PayPal', async () => {
+        expect(await run(['node', 'paypal-invoice', 'pdf', path.join(global.EXAMPLES_DIR, 'example_guest_post.json'), '-o', output])).toBe(0);
+
+        expect(fs.existsSync(output)).toBe(true);
+        expect(mock.requests).toEqual([]);
+    });
+
+    test('renders an invoice fetched from PayPal with --id', async () => {
+        expect(await run(['node', 'paypal-invoice', 'create', '--customer', 'example', '--price', '40', '--url', 'https://test-media.example/post'])).toBe(0);
+        const [invoiceId] = [...mock.invoices.keys()];
+
+        expect(await run(['node', 'paypal-invoice', 'pdf', '--id', invoiceId, '-o', output])).toBe(0);
+
+        expect(fs.existsSync(output)).toBe(true);
+        expect(mock.requests.some(request => request.method === 'GET' && request.path.endsWith(invoiceId))).toBe(true);
+    });
+
+    test('fails for an unknown invoice ID', async () => {
+        expect(await run(['node', 'paypal-invoice', 'pdf', '--id', 'INV2-NOPE', '-o', output])).toBe(1);
+        expect(fs.existsSync(output)).toBe(false);
+    });
+});
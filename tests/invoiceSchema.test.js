@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const InvoiceSchema = require('../src/invoiceSchema');
+const InvoiceValidator = require('../src/invoiceValidator');
+const CustomerTemplates = require('../src/customerTemplates');
+const Currency = require('../src/currency');
+
+const EXAMPLE_INVOICES = fs.readdirSync(global.EXAMPLES_DIR)
+    .filter(file => file.endsWith('.json') && !file.includes('.example.'))
+    .sort();
+
+const readExample = file => JSON.parse(fs.readFileSync(path.join(global.EXAMPLES_DIR, file), 'utf8'));
+
+const single = (overrides = {}) => ({
+    customer: { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe' },
+    service: { type: 'guest_post', price: 40, url: 'https://test-media.example/article' },
+    ...overrides
+});
+
+const messages = json => InvoiceSchema.toMessages(InvoiceSchema.validate(json).errors);
+
+describe('InvoiceSchema.validate', () => {
+    test.each(EXAMPLE_INVOICES)('accepts %s', file => {
+        const result = InvoiceSchema.validate(readExample(file));
+
+        expect(result.errors).toEqual([]);
+        expect(result.isValid).toBe(true);
+    });
+
+    test('tells the input formats apart', () => {
+        expect(InvoiceSchema.validate(single()).format).toBe('Single-service invoice');
+        expect(InvoiceSchema.validate({ customerId: 'example', services: [{ type: 'guest_post' }] }).format).toBe('Multi-service invoice');
+        expect(InvoiceSchema.validate({ customerId: 'example' }).format).toBeNull();
+    });
+
+    test('accepts every optional field', () => {
+        expect(messages(single({
+            $schema: '../schemas/invoice.v1.schema.json',
+            profile: 'test',
+            currency: 'EUR',
+            discount: { percent: '12.5', description: 'Loyalty' },
+            volumeDiscounts: false,
+            taxRules: false,
+            taxInclusive: true,
+            customAmount: { label: 'Rush fee', amount: '10.00' },
+            shipping: { amount: 3, tax: { name: 'VAT', percent: 20 } },
+            expectedTotal: 53,
+            note: 'Thanks',
+            memo: 'Internal',
+            reference: 'ORDER-1',
+            service: { type: 'link_insertion', price: '20', quantity: 2, currency: 'EUR', url: 'https://x.example', anchorText: 'x', description: 'd' },
+            customer: {
+                email: 'billing@acme.example',
+                name: 'Acme Media',
+                companyName: 'Acme Media',
+                phone: '+1 512 555 0100',
+                vatNumber: 'DE123456789',
+                address: { street: '5 Main St', zip: '78701', city: 'Austin', state: 'TX', countryCode: 'US' },
+                defaultCurrency: 'EUR',
+                defaultPrices: { guest_post: 40 },
+                defaultNotes: ''
+            }
+        }))).toEqual([]);
+    });
+
+    test.each([
+        [{}, ['$: must have "customer" or "customerId"', '$: must have "service" or "services"']],
+        [[], ['$: must be an invoice object ({"customer": ..., "service": ...})']],
+        [single({ customerId: 'example' }), ['$: must have only one of "customer" or "customerId"']],
+        [{ customerId: 'example', service: { type: 'guest_post' }, services: [{ type: 'guest_post' }] }, ['$.service: can\'t be used together with "services"']],
+        [{ customerId: 'example', services: [] }, ['$.services: must NOT have fewer than 1 items']],
+        [single({ servces: [] }), ['$.servces: is not a known field (did you mean "services"?)']],
+        [single({ 'invoice number': 'X' }), ['$["invoice number"]: is not a known field']],
+        [single({ customer: { emial: 'jane@example.com', lastName: 'Doe' } }), [
+            '$.customer.email: is required',
+            '$.customer.emial: is not a known field (did you mean "email"?)'
+        ]],
+        [single({ customer: { email: 'not-an-email', firstName: 'Jane' } }), [
+            '$.customer: must have "lastName" or "name"',
+            '$.customer.email: must be a valid email address'
+        ]],
+        [single({ customer: { email: 'jane@example.com', lastName: 'Doe', address: { countryCode: 'XX', city: 'x'.repeat(121) } } }), [
+            '$.customer.address.city: must NOT have more than 120 characters',
+            '$.customer.address.countryCode: must be a two-letter ISO 3166-1 country code, e.g. US'
+        ]],
+        [single({ service: { type: 'blog_post', price: 40 } }), ['$.service.type: must be one of: guest_post, link_insertion']],
+        [single({ service: { price: 40 } }), ['$.service.type: is required']],
+        [single({ service: { type: 'link_insertion', anchor: 'x' } }), ['$.service.anchor: is not a known field (did you mean "anchorText"?)']],
+        [{ customerId: 'example', services: [{ type: 'guest_post', price: 'forty' }, { type: 'guest_post', price: 0, quantity: '-1' }] }, [
+            '$.services[0].price: must be an amount greater than 0, e.g. 40 or "40.00"',
+            '$.services[1].price: must be an amount greater than 0, e.g. 40 or "40.00"',
+            '$.services[1].quantity: must be a quantity greater than 0'
+        ]],
+        [single({ currency: 'usd' }), [`$.currency: must be a currency PayPal can invoice in: ${Currency.SUPPORTED_CURRENCIES.join(', ')}`]],
+        [single({ discount: {} }), ['$.discount: must have "percent" or "amount"']],
+        [single({ discount: { percent: 10, amount: 5 } }), ['$.discount: must have only one of "percent" or "amount"']],
+        [single({ discount: { percent: 101 } }), ['$.discount.percent: must be a percentage more than 0 and at most 100']],
+        [single({ shipping: { tax: { name: 'VAT' } } }), ['$.shipping.amount: is required', '$.shipping.tax.percent: is required']],
+        [single({ taxRules: 'no' }), ['$.taxRules: must be boolean']]
+    ])('reports %j as %j', (json, expected) => {
+        expect(messages(json)).toEqual(expected);
+    });
+
+    test('reports every problem in one pass', () => {
+        expect(messages({
+            customerId: 'example',
+            services: [{ type: 'guest_post', price: -1 }, { type: 'link' }],
+            discount: { percent: 0 },
+            notes: 'typo'
+        })).toHaveLength(4);
+    });
+});
+
+describe('InvoiceSchema.parse', () => {
+    test('parses JSON', () => {
+        expect(InvoiceSchema.parse('{"customerId": "example"}')).toEqual({ customerId: 'example' });
+    });
+
+    test('reports syntax errors with their line and column', () => {
+        expect(() => InvoiceSchema.parse('{\n  "customerId": "example",\n}')).toThrow(/^Invalid JSON: .* \(line 3, column 1\)$/);
+    });
+});
+
+describe('InvoiceSchema.toJsonPath', () => {
+    test.each([
+        ['', '$'],
+        ['/services/0/price', '$.services[0].price'],
+        ['/customer/address/countryCode', '$.customer.address.countryCode'],
+        ['/odd key/a~1b', '$["odd key"]["a/b"]']
+    ])('%j -> %s', (pointer, expected) => {
+        expect(InvoiceSchema.toJsonPath(pointer)).toBe(expected);
+    });
+});
+
+describe('schema and InvoiceValidator agree', () => {
+    const { definitions } = InvoiceSchema.SCHEMA;
+
+    test('on the currencies PayPal supports', () => {
+        expect(definitions.currency.enum).toEqual(Currency.SUPPORTED_CURRENCIES);
+    });
+
+    test.each([
+        ['a complete customer', { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe' }],
+        ['a business without a last name', { email: 'billing@acme.example', firstName: 'Acme', businessName: 'Acme' }],
+        ['a business with a last name', { email: 'billing@acme.example', firstName: 'Acme', lastName: 'Media', businessName: 'Acme Media' }],
+        ['an invalid email', { email: 'jane@', firstName: 'Jane', lastName: 'Doe' }],
+        ['no last name or business', { email: 'jane@example.com', firstName: 'Jane' }],
+        ['a lower-case country code', { email: 'jane@example.com', lastName: 'Doe', address: { countryCode: 'gb' } }],
+        ['an unknown country code', { email: 'jane@example.com', lastName: 'Doe', address: { countryCode: 'ZZ' } }],
+        ['the longest address line', { email: 'jane@example.com', lastName: 'Doe', address: { line1: 'x'.repeat(300) } }],
+        ['a too long address line', { email: 'jane@example.com', lastName: 'Doe', address: { line1: 'x'.repeat(301) } }],
+        ['the longest city', { email: 'jane@example.com', lastName: 'Doe', address: { city: 'x'.repeat(120) } }],
+        ['a too long city', { email: 'jane@example.com', lastName: 'Doe', address: { city: 'x'.repeat(121) } }]
+    ])('on customers: %s', (label, customer) => {
+        const schemaValid = InvoiceSchema.validate(single({ customer })).isValid;
+        const validatorValid = InvoiceValidator.validateCustomerInfo({ firstName: 'Customer', ...customer }).isValid;
+
+        expect(schemaValid).toBe(validatorValid);
+    });
+
+    test.each([
+        [{ percent: 10 }],
+        [{ percent: '100' }],
+        [{ percent: 100.5 }],
+        [{ percent: 0 }],
+        [{ amount: '5.00' }],
+        [{ amount: -5 }],
+        [{ percent: 10, amount: 5 }],
+        [{}]
+    ])('on discount %j', discount => {
+        expect(InvoiceSchema.validate(single({ discount })).isValid)
+            .toBe(InvoiceValidator.validateDiscount(discount, 'Discount').isValid);
+    });
+
+    test.each([40, '40.50', 0, -10, 'forty'])('on service price %j', price => {
+        const json = single({ service: { type: 'guest_post', price } });
+        const schemaValid = InvoiceSchema.validate(json).isValid;
+        const validatorValid = InvoiceValidator.validateInvoiceItems([{ name: 'Guest Post', quantity: 1, unitAmount: price, currencyCode: 'USD' }]).isValid;
+
+        expect(schemaValid).toBe(validatorValid);
+    });
+
+    test('invoices built from schema-valid JSON pass InvoiceValidator', () => {
+        const invoiceData = CustomerTemplates.fromJSON(single({ discount: { percent: 10 }, shipping: { amount: 5 } }));
+        expect(InvoiceValidator.validateCompleteInvoice(invoiceData)).toEqual({ isValid: true, errors: [] });
+    });
+});
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const InvoiceStructure = require('../src/invoiceStructure');
+const InvoiceNumbering = require('../src/invoiceNumbering');
+const InvoiceTotals = require('../src/invoiceTotals');
+const BusinessProfiles = require('../src/businessProfiles');
+
+const PROFILES = {
+    defaultProfile: 'test',
+    profiles: [
+        {
+            id: 'test',
+            name: 'Test Media',
+            legalName: 'Test Media Pvt Ltd',
+            firstName: 'Test',
+            lastName: 'Media',
+            email: 'billing@test-media.example',
+            website: 'https://test-media.example',
+            taxId: 'GSTIN-TEST',
+            address: { line1: '1 Test Street', city: 'Pune', state: 'MH', postalCode: '411001', countryCode: 'IN' }
+        },
+        {
+            id: 'bulk',
+            name: 'Bulk Links',
+            email: 'billing@bulk-links.example',
+            address: { countryCode: 'US' },
+            volumeDiscounts: [
+                { service: 'link_insertion', minQuantity: 5, percent: 10 },
+                { service: 'link_insertion', minQuantity: 10, percent: 15 }
+            ]
+        }
+    ]
+};
+
+beforeAll(() => {
+    fs.writeFileSync(process.env.BUSINESS_PROFILES_FILE, JSON.stringify(PROFILES));
+});
+
+const business = (profileId = 'test') => BusinessProfiles.toBusinessInfo(new BusinessProfiles().get(profileId));
+
+const invoiceData = (overrides = {}) => ({
+    invoiceNumber: 'INV-2026-0042',
+    invoiceDate: '2026-03-02',
+    dueDate: '2026-03-05',
+    customer: {
+        email: 'jane@example.com',
+        firstName: 'Jane',
+        lastName: 'Doe',
+        businessName: 'Doe Media',
+        address: { line1: '5 Main St', city: 'Austin', state: 'TX', postalCode: '78701', countryCode: 'US' },
+        phone: '+1 (512) 555-0100'
+    },
+    business: business(),
+    items: [{
+        name: 'Guest Post Publication',
+        description: 'Guest Post Publication\nPublished URL: https://test-media.example/article',
+        quantity: 1,
+        unitAmount: 40,
+        currencyCode: 'USD',
+        serviceType: 'guest_post'
+    }],
+    currencyCode: 'USD',
+    note: 'Thank you for your order.',
+    terms: 'Payment due within 3 days.',
+    reference: 'https://test-media.example/article',
+    ...overrides
+});
+
+const linkInsertion = (quantity, price = 20) => ({
+    name: 'Link Insertion Service',
+    quantity,
+    unitAmount: price,
+    currencyCode: 'USD',
+    serviceType: 'link_insertion'
+});
+
+describe('InvoiceStructure.createPayPalInvoicePayload', () => {
+    test('builds a single guest post invoice', () => {
+        expect(InvoiceStructure.createPayPalInvoicePayload(invoiceData())).toMatchSnapshot();
+    });
+
+    test('builds a multi-item invoice with item and invoice discounts, shipping and a custom amount', () => {
+        const payload = InvoiceStructure.createPayPalInvoicePayload(invoiceData({
+            items: [
+                { name: 'Guest Post Publication #1', quantity: '2', unitAmount: '40', currencyCode: 'USD', discount: { percent: 10 } },
+                { name: 'Link Insertion Service #2', quantity: 1, unitAmount: 20.5, currencyCode: 'USD', discount: { amount: 2.5 } }
+            ],
+            discount: { amount: 5 },
+            shipping: { amount: 3, tax: { name: 'Sales Tax', percent: 8.25 } },
+            customAmount: { label: 'Rush fee', amount: 10 },
+            allowPartialPayment: true,
+            minimumAmountDue: 20,
+            taxRules: false
+        }));
+
+        expect(payload).toMatchSnapshot();
+        expect(InvoiceTotals.calculate(payload).total).toBe(9825);
+    });
+
+    test('formats amounts with the decimals of the currency', () => {
+        const payload = InvoiceStructure.createPayPalInvoicePayload(invoiceData({
+            currencyCode: 'JPY',
+            items: [{ name: 'Guest Post Publication', quantity: 3, unitAmount: 4500, currencyCode: 'JPY' }],
+            discount: { amount: 500 },
+            taxRules: false
+        }));
+
+        expect(payload.detail.currency_code).toBe('JPY');
+        expect(payload.items[0].unit_amount).toEqual({ currency_code: 'JPY', value: '4500' });
+        expect(payload.amount.breakdown.discount.invoice_discount.amount).toEqual({ currency_code: 'JPY', value: '500' });
+    });
+
+    test('keeps quantities as strings, as PayPal expects', () => {
+        const payload = InvoiceStructure.createPayPalInvoicePayload(invoiceData({
+            items: [{ name: 'Hourly consulting', quantity: 1.5, unitAmount: 80, currencyCode: 'USD' }]
+        }));
+        expect(payload.items[0].quantity).toBe('1.5');
+    });
+
+    test('never turns a discount into a negative-price item', () => {
+        const payload = InvoiceStructure.createPayPalInvoicePayload(invoiceData({ discount: { amount: 10 }, taxRules: false }));
+
+        expect(payload.items).toHaveLength(1);
+        payload.items.forEach(item => expect(parseFloat(item.unit_amount.value)).toBeGreaterThan(0));
+        expect(payload.amount.breakdown.discount).toEqual({
+            invoice_discount: { percent: undefined, amount: { currency_code: 'USD', value: '10.00' } }
+        });
+        expect(InvoiceTotals.calculate(payload).total).toBe(3000);
+    });
+
+    test('applies the business profile volume discounts', () => {
+        const payload = InvoiceStructure.createPayPalInvoicePayload(invoiceData({
+            business: business('bulk'),
+            items: [linkInsertion(10)],
+            taxRules: false
+        }));
+        expect(payload.items[0].discount).toEqual({ percent: '15', amount: undefined });
+    });
+
+    test('skips volume discounts when the invoice has its own discount or opts out', () => {
+        const own = InvoiceStructure.createPayPalInvoicePayload(invoiceData({
+            business: business('bulk'),
+            items: [linkInsertion(10)],
+            discount: { percent: 5 },
+            taxRules: false
+        }));
+        const optedOut = InvoiceStructure.createPayPalInvoicePayload(invoiceData({
+            business: business('bulk'),
+            items: [linkInsertion(10)],
+            volumeDiscounts: false,
+            taxRules: false
+        }));
+
+        expect(own.items[0].discount).toBeUndefined();
+        expect(own.amount.breakdown.discount.invoice_discount.percent).toBe('5');
+        expect(optedOut.items[0].discount).toBeUndefined();
+        expect(optedOut.amount).toBeUndefined();
+    });
+
+    test('adds the tax rules note and keeps an item\'s own tax', () => {
+        const withRules = InvoiceStructure.createPayPalInvoicePayload(invoiceData());
+        const ownTax = InvoiceStructure.createPayPalInvoicePayload(invoiceData({
+            items: [{ name: 'Guest Post Publication', quantity: 1, unitAmount: 40, currencyCode: 'USD', tax: { name: 'GST', percent: 18 } }]
+        }));
+
+        const decision = InvoiceStructure.decideTax(invoiceData());
+        expect(withRules.detail.note.startsWith('Thank you for your order.')).toBe(true);
+        if (decision.note) {
+            expect(withRules.detail.note).toContain(decision.note);
+        }
+        expect(ownTax.items[0].tax).toEqual({ name: 'GST', percent: '18' });
+    });
+
+    test('bills a business customer under its business name', () => {
+        const payload = InvoiceStructure.createPayPalInvoicePayload(invoiceData({
+            customer: { email: 'billing@acme.example', firstName: 'Acme', lastName: 'Media', businessName: 'Acme Media' }
+        }));
+
+        expect(payload.primary_recipients[0].billing_info.name).toEqual({ given_name: 'Acme', surname: 'Media' });
+        expect(payload.primary_recipients[0].billing_info.business_name).toBe('Acme Media');
+        expect(payload.primary_recipients[0].billing_info.address).toBeUndefined();
+    });
+
+    test('defaults dates to today and a due date three days later', () => {
+        const payload = InvoiceStructure.createPayPalInvoicePayload(invoiceData({ invoiceDate: undefined, dueDate: undefined }));
+        const today = new Date();
+        const due = new Date(`${payload.detail.invoice_date}T00:00:00Z`);
+        due.setUTCDate(due.getUTCDate() + 3);
+
+        expect(payload.detail.invoice_date).toBe(today.toLocaleDateString('en-CA'));
+        expect(payload.detail.payment_term.due_date).toBe(due.toISOString().slice(0, 10));
+    });
+
+    describe('invoice numbers', () => {
+        const numbersFile = path.join(global.TEST_TEMP_DIR, 'structure-numbers.json');
+        let numbering;
+
+        beforeEach(() => {
+            fs.rmSync(numbersFile, { force: true });
+            numbering = new InvoiceNumbering(numbersFile);
+        });
+
+        test('previews the next number without reserving it', () => {
+            const data = invoiceData({ invoiceNumber: undefined });
+            const first = InvoiceStructure.createPayPalInvoicePayload(data, { numbering });
+            const second = InvoiceStructure.createPayPalInvoicePayload(data, { numbering });
+
+            expect(first.detail.invoice_number).toBe('INV-2026-0001');
+            expect(second.detail.invoice_number).toBe('INV-2026-0001');
+        });
+
+        test('reserves one number per invoice and reuses it for the same input', () => {
+            const first = invoiceData({ invoiceNumber: undefined });
+            const second = invoiceData({ invoiceNumber: undefined, reference: 'https://test-media.example/other' });
+            const reserve = data => InvoiceStructure.createPayPalInvoicePayload(data, { numbering, reserveNumber: true }).detail.invoice_number;
+
+            expect(reserve(first)).toBe('INV-2026-0001');
+            expect(reserve(second)).toBe('INV-2026-0002');
+            expect(reserve(first)).toBe('INV-2026-0001');
+        });
+
+        test('uses an explicit invoice number as-is', () => {
+            expect(InvoiceStructure.createPayPalInvoicePayload(invoiceData(), { numbering, reserveNumber: true }).detail.invoice_number)
+                .toBe('INV-2026-0042');
+        });
+    });
+});
+
+describe('InvoiceStructure.idempotencyKey', () => {
+    test('is stable for the same reference and differs per customer', () => {
+        const key = InvoiceStructure.idempotencyKey(invoiceData());
+
+        expect(key).toMatch(/^inv-[0-9a-f]{40}$/);
+        expect(InvoiceStructure.idempotencyKey(invoiceData({ note: 'Another note' }))).toBe(key);
+        expect(InvoiceStructure.idempotencyKey(invoiceData({
+            customer: { ...invoiceData().customer, email: 'JOHN@example.com' }
+        }))).not.toBe(key);
+    });
+
+    test('hashes the content when there is no reference', () => {
+        const data = invoiceData({ reference: '' });
+
+        expect(InvoiceStructure.idempotencyKey(data)).toBe(InvoiceStructure.idempotencyKey({ ...data }));
+        expect(InvoiceStructure.idempotencyKey({ ...data, items: [linkInsertion(2)] })).not.toBe(InvoiceStructure.idempotencyKey(data));
+    });
+
+    test('keeps the content hash for the billing period: the invoice date, else the month', () => {
+        const data = invoiceData({ reference: '', invoiceDate: undefined });
+
+        jest.useFakeTimers({ now: new Date('2026-03-02T10:00:00Z') });
+        const key = InvoiceStructure.idempotencyKey(data);
+        jest.setSystemTime(new Date('2026-03-25T09:00:00Z'));
+        const laterKey = InvoiceStructure.idempotencyKey(data);
+        jest.setSystemTime(new Date('2026-04-02T10:00:00Z'));
+        const nextMonthKey = InvoiceStructure.idempotencyKey(data);
+        jest.useRealTimers();
+
+        expect(laterKey).toBe(key);
+        expect(nextMonthKey).not.toBe(key);
+        expect(InvoiceStructure.idempotencyKey({ ...data, invoiceDate: '2026-03-05' })).not.toBe(key);
+        expect(InvoiceStructure.idempotencyKey({ ...data, invoiceDate: '2026-03-05' }))
+            .not.toBe(InvoiceStructure.idempotencyKey({ ...data, invoiceDate: '2026-04-05' }));
+    });
+
+    test('uses an explicit key', () => {
+        expect(InvoiceStructure.idempotencyKey(invoiceData({ idempotencyKey: 'batch-row-7' }))).toBe('batch-row-7');
+    });
+});
@@ -0,0 +1,153 @@
+const InvoiceTotals = require('../src/invoiceTotals');
+const { run } = require('../src/cli');
+
+const item = (name, quantity, value, fields = {}) => ({
+    name,
+    quantity: String(quantity),
+    unit_amount: { currency_code: 'USD', value },
+    ...fields
+});
+
+const invoice = (items, fields = {}) => ({
+    detail: { currency_code: 'USD' },
+    items,
+    ...fields
+});
+
+describe('InvoiceTotals.calculate', () => {
+    test('takes item discounts by amount or percent off each line', () => {
+        const totals = InvoiceTotals.calculate(invoice([
+            item('Guest post', 2, '10.00', { discount: { percent: '10' } }),
+            item('Link insertion', 1, '5.00', { discount: { amount: { currency_code: 'USD', value: '1.00' } } }),
+            item('Free edit', 1, '3.00', { discount: { amount: { currency_code: 'USD', value: '9.00' } } })
+        ]));
+
+        expect(totals.lines.map(line => [line.gross, line.discount, line.discountLabel, line.amount])).toEqual([
+            [2000, 200, '10%', 1800],
+            [500, 100, '', 400],
+            [300, 300, '', 0]
+        ]);
+        expect(totals).toMatchObject({ currency: 'USD', itemTotal: 2800, itemDiscount: 600, subtotal: 2200, total: 2200, paypalTotal: null, paid: null, due: null });
+    });
+
+    test('shares the invoice discount across lines before charging tax on them', () => {
+        const items = [
+            item('Guest post', 2, '10.00', { discount: { percent: '10' }, tax: { name: 'VAT', percent: '10' } }),
+            item('Link insertion', 1, '4.00', { tax: { name: 'VAT', percent: '10' } })
+        ];
+        const amount = { breakdown: { discount: { invoice_discount: { percent: '10' } } } };
+
+        expect(InvoiceTotals.calculate(invoice(items, { amount }))).toMatchObject({
+            subtotal: 2200,
+            invoiceDiscount: 220,
+            taxes: [{ label: 'VAT (10%)', amount: 198 }],
+            total: 2178
+        });
+        expect(InvoiceTotals.calculate(invoice(items, { amount, configuration: { tax_calculated_after_discount: false } }))).toMatchObject({
+            taxes: [{ label: 'VAT (10%)', amount: 240 }],
+            total: 2220
+        });
+    });
+
+    test('shows but does not add tax already included in the prices', () => {
+        const totals = InvoiceTotals.calculate(invoice(
+            [item('Guest post', 1, '11.00', { tax: { name: 'VAT', percent: '10' } })],
+            { configuration: { tax_inclusive: true } }
+        ));
+
+        expect(totals).toMatchObject({ taxInclusive: true, taxes: [{ label: 'Incl. VAT (10%)', amount: 100 }], taxTotal: 100, total: 1100 });
+    });
+
+    test('adds shipping with its own tax and the custom amount last', () => {
+        const totals = InvoiceTotals.calculate(invoice([item('Guest post', 1, '40.00')], {
+            amount: {
+                breakdown: {
+                    discount: { invoice_discount: { amount: { currency_code: 'USD', value: '5.00' } } },
+                    shipping: { amount: { currency_code: 'USD', value: '5.00' }, tax: { name: 'GST', percent: '20' } },
+                    custom: { label: 'Rush fee', amount: { currency_code: 'USD', value: '2.50' } }
+                }
+            }
+        }));
+
+        expect(totals).toMatchObject({
+            invoiceDiscount: 500,
+            shipping: 500,
+            taxes: [{ label: 'GST (20%)', amount: 100 }],
+            custom: { label: 'Rush fee', amount: 250 },
+            total: 4350
+        });
+    });
+
+    test('rounds every line to the currency\'s minor unit', () => {
+        const yen = InvoiceTotals.calculate({
+            detail: { currency_code: 'JPY' },
+            items: [item('Guest post', 3, '1000', { tax: { name: 'Tax', percent: '8' } })]
+        });
+        expect(yen).toMatchObject({ currency: 'JPY', subtotal: 3000, taxTotal: 240, total: 3240 });
+
+        const cents = InvoiceTotals.calculate(invoice([
+            item('Link insertion', 3, '3.33', { tax: { percent: '7.25' } }),
+            item('Link insertion', 3, '3.33', { tax: { percent: '7.25' } })
+        ]));
+        expect(cents.lines.map(line => line.tax)).toEqual([72, 72]);
+        expect(cents).toMatchObject({ taxes: [{ label: 'Tax (7.25%)', amount: 144 }], total: 2142 });
+    });
+
+    test('keeps PayPal\'s own total, paid and due amounts of a fetched invoice', () => {
+        const totals = InvoiceTotals.calculate(invoice([item('Guest post', 1, '40.00')], {
+            amount: { currency_code: 'USD', value: '40.00' },
+            payments: { paid_amount: { currency_code: 'USD', value: '15.00' } },
+            due_amount: { currency_code: 'USD', value: '25.00' }
+        }));
+
+        expect(totals).toMatchObject({ total: 4000, paypalTotal: 4000, paid: 1500, due: 2500 });
+    });
+});
+
+describe('InvoiceTotals.verify', () => {
+    const totals = InvoiceTotals.calculate(invoice([item('Guest post', 1, '40.00')]));
+
+    test('passes totals above zero that match the expected total', () => {
+        expect(InvoiceTotals.verify(totals)).toEqual({ isValid: true, errors: [] });
+        expect(InvoiceTotals.verify(totals, '40')).toEqual({ isValid: true, errors: [] });
+        expect(InvoiceTotals.verify(totals, '')).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('reports a zero total, a different total and an expected total that is not a number', () => {
+        expect(InvoiceTotals.verify(InvoiceTotals.calculate(invoice([]))).errors)
+            .toEqual(['Invoice total must be greater than zero (calculated USD 0.00)']);
+        expect(InvoiceTotals.verify(totals, 39.99).errors)
+            .toEqual(['Invoice total USD 40.00 does not match the expected total USD 39.99']);
+        expect(InvoiceTotals.verify(totals, 'forty').errors).toEqual(['Expected total is not a number: forty']);
+    });
+});
+
+describe('InvoiceTotals.allocate', () => {
+    test('splits an amount in proportion, always adding up to the amount', () => {
+        expect(InvoiceTotals.allocate(100, [1, 1, 1])).toEqual([34, 33, 33]);
+        expect(InvoiceTotals.allocate(220, [1800, 400])).toEqual([180, 40]);
+        expect(InvoiceTotals.allocate(7, [0, 5, 0])).toEqual([0, 7, 0]);
+        expect(InvoiceTotals.allocate(0, [1, 2])).toEqual([0, 0]);
+        expect(InvoiceTotals.allocate(10, [0, 0])).toEqual([0, 0]);
+    });
+});
+
+describe('--expect-total', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        process.exitCode = undefined;
+    });
+
+    const preview = (...args) => run(['node', 'paypal-invoice', 'preview', '--customer', 'sencha', '--price', '40', '--url', 'https://test-media.example/post', ...args]);
+
+    test('fails the preview when the calculated total is different', async () => {
+        expect(await preview('--expect-total', '40')).toBe(0);
+        expect(await preview('--expect-total', '45')).toBe(1);
+        expect(console.error).toHaveBeenCalledWith(expect.any(String), expect.stringContaining('does not match the expected total USD 45.00'));
+    });
+});
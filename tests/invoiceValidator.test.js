@@ -0,0 +1,322 @@
+const InvoiceValidator = require('../src/invoiceValidator');
+
+const customer = (overrides = {}) => ({
+    email: 'jane@example.com',
+    firstName: 'Jane',
+    lastName: 'Doe',
+    ...overrides
+});
+
+const item = (overrides = {}) => ({
+    name: 'Guest Post Publication',
+    quantity: 1,
+    unitAmount: 40,
+    currencyCode: 'USD',
+    ...overrides
+});
+
+const invoice = (overrides = {}) => ({
+    customer: customer(),
+    business: { name: 'Test Media', email: 'billing@test-media.example' },
+    items: [item()],
+    currencyCode: 'USD',
+    ...overrides
+});
+
+describe('InvoiceValidator.validateCustomerInfo', () => {
+    test('accepts a complete customer', () => {
+        expect(InvoiceValidator.validateCustomerInfo(customer())).toEqual({ isValid: true, errors: [] });
+    });
+
+    test.each([
+        ['missing', undefined],
+        ['malformed', 'jane@'],
+        ['empty', '']
+    ])('rejects a %s email', (label, email) => {
+        const result = InvoiceValidator.validateCustomerInfo(customer({ email }));
+        expect(result.isValid).toBe(false);
+        expect(result.errors).toEqual(['Valid customer email is required']);
+    });
+
+    test('requires a first name', () => {
+        expect(InvoiceValidator.validateCustomerInfo(customer({ firstName: '   ' })).errors)
+            .toEqual(['Customer first name is required']);
+    });
+
+    test('requires a last name for a person', () => {
+        expect(InvoiceValidator.validateCustomerInfo(customer({ lastName: '' })).errors)
+            .toEqual(['Customer last name is required']);
+    });
+
+    test('requires a last name for business customers too', () => {
+        const result = InvoiceValidator.validateCustomerInfo(customer({ firstName: 'Acme', lastName: '', businessName: 'Acme' }));
+        expect(result).toEqual({ isValid: false, errors: ['Customer last name is required'] });
+    });
+
+    test('reports every customer error at once', () => {
+        expect(InvoiceValidator.validateCustomerInfo({}).errors).toEqual([
+            'Valid customer email is required',
+            'Customer first name is required',
+            'Customer last name is required'
+        ]);
+    });
+
+    test('checks address field lengths and the country code', () => {
+        const result = InvoiceValidator.validateCustomerInfo(customer({
+            address: { line1: 'x'.repeat(301), city: 'y'.repeat(121), countryCode: 'USA' }
+        }));
+        expect(result.errors).toEqual([
+            'Address line 1 must be less than 300 characters',
+            'City must be less than 120 characters',
+            'Country code must be a valid ISO 3166-1 alpha-2 code'
+        ]);
+    });
+
+    test('accepts a valid address and a null address', () => {
+        expect(InvoiceValidator.validateCustomerInfo(customer({
+            address: { line1: '1 Main St', city: 'Austin', countryCode: 'US' }
+        })).isValid).toBe(true);
+        expect(InvoiceValidator.validateCustomerInfo(customer({ address: null })).isValid).toBe(true);
+    });
+});
+
+describe('InvoiceValidator.validateInvoiceItems', () => {
+    test.each([
+        ['no items', []],
+        ['items that are not an array', { name: 'Guest Post' }],
+        ['undefined items', undefined]
+    ])('requires at least one item (%s)', (label, items) => {
+        expect(InvoiceValidator.validateInvoiceItems(items)).toEqual({
+            isValid: false,
+            errors: ['At least one invoice item is required']
+        });
+    });
+
+    test('accepts numeric-string quantities and amounts', () => {
+        const result = InvoiceValidator.validateInvoiceItems([item({ quantity: '2', unitAmount: '40.50' })]);
+        expect(result).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('accepts fractional quantities', () => {
+        expect(InvoiceValidator.validateInvoiceItems([item({ quantity: '1.5' })]).isValid).toBe(true);
+    });
+
+    test.each([
+        ['zero', 0],
+        ['a negative number', -1],
+        ['a negative string', '-2'],
+        ['a non-numeric string', 'two'],
+        ['missing', undefined]
+    ])('rejects a quantity that is %s', (label, quantity) => {
+        expect(InvoiceValidator.validateInvoiceItems([item({ quantity })]).errors)
+            .toEqual(['Item 1: Valid quantity is required']);
+    });
+
+    test.each([
+        ['zero', 0],
+        ['negative (discounts are not items)', -10],
+        ['a non-numeric string', 'forty'],
+        ['missing', undefined]
+    ])('rejects a unit amount that is %s', (label, unitAmount) => {
+        expect(InvoiceValidator.validateInvoiceItems([item({ unitAmount })]).errors)
+            .toEqual(['Item 1: Valid unit amount is required']);
+    });
+
+    test('requires a name of at most 200 characters', () => {
+        expect(InvoiceValidator.validateInvoiceItems([item({ name: ' ' })]).errors).toEqual(['Item 1: Name is required']);
+        expect(InvoiceValidator.validateInvoiceItems([item({ name: 'x'.repeat(201) })]).errors)
+            .toEqual(['Item 1: Name must be less than 200 characters']);
+    });
+
+    test('requires an ISO 4217 currency code', () => {
+        expect(InvoiceValidator.validateInvoiceItems([item({ currencyCode: 'XXY' })]).errors)
+            .toEqual(['Item 1: Valid currency code is required']);
+        expect(InvoiceValidator.validateInvoiceItems([item({ currencyCode: undefined })]).errors)
+            .toEqual(['Item 1: Valid currency code is required']);
+    });
+
+    test('limits descriptions to 1000 characters', () => {
+        expect(InvoiceValidator.validateInvoiceItems([item({ description: 'x'.repeat(1001) })]).errors)
+            .toEqual(['Item 1: Description must be less than 1000 characters']);
+    });
+
+    test('numbers errors by item position', () => {
+        const result = InvoiceValidator.validateInvoiceItems([item(), item({ quantity: 0 }), item({ name: '' })]);
+        expect(result.errors).toEqual(['Item 2: Valid quantity is required', 'Item 3: Name is required']);
+    });
+
+    test('validates item discounts', () => {
+        expect(InvoiceValidator.validateInvoiceItems([item({ discount: { percent: 10 } })]).isValid).toBe(true);
+        expect(InvoiceValidator.validateInvoiceItems([item({ discount: { amount: -5 } })]).errors)
+            .toEqual(['Item 1: Discount amount must be greater than zero']);
+    });
+});
+
+describe('InvoiceValidator.validateDiscount', () => {
+    test.each([
+        [{ percent: 10 }],
+        [{ percent: '12.5' }],
+        [{ percent: 100 }],
+        [{ amount: 5 }],
+        [{ amount: '7.50' }]
+    ])('accepts %j', discount => {
+        expect(InvoiceValidator.validateDiscount(discount, 'Discount')).toEqual({ isValid: true, errors: [] });
+    });
+
+    test.each([
+        [{ amount: -10 }, 'Discount amount must be greater than zero'],
+        [{ amount: '-10' }, 'Discount amount must be greater than zero'],
+        [{ amount: 0 }, 'Discount amount must be greater than zero'],
+        [{ percent: -5 }, 'Discount percent must be more than 0 and at most 100'],
+        [{ percent: 0 }, 'Discount percent must be more than 0 and at most 100'],
+        [{ percent: 101 }, 'Discount percent must be more than 0 and at most 100'],
+        [{ percent: 'ten' }, 'Discount percent must be more than 0 and at most 100'],
+        [{}, 'Discount must have either a percent or an amount'],
+        [{ percent: '', amount: null }, 'Discount must have either a percent or an amount'],
+        [{ percent: 10, amount: 5 }, 'Discount must have either a percent or an amount']
+    ])('rejects %j', (discount, message) => {
+        expect(InvoiceValidator.validateDiscount(discount, 'Discount')).toEqual({ isValid: false, errors: [message] });
+    });
+});
+
+describe('InvoiceValidator.validateBusinessInfo', () => {
+    test('requires a name and a valid email', () => {
+        expect(InvoiceValidator.validateBusinessInfo({ name: 'Test Media', email: 'a@b.co' }).isValid).toBe(true);
+        expect(InvoiceValidator.validateBusinessInfo({ name: '', email: 'nope' }).errors).toEqual([
+            'Business name is required',
+            'Valid business email is required'
+        ]);
+    });
+});
+
+describe('InvoiceValidator.validateCurrency', () => {
+    test('rejects currencies PayPal cannot invoice in', () => {
+        const result = InvoiceValidator.validateCurrency({ currencyCode: 'ZAR', items: [item({ currencyCode: 'ZAR' })] });
+        expect(result.isValid).toBe(false);
+        expect(result.errors[0]).toMatch(/^PayPal can't invoice in ZAR; use one of .*USD/);
+    });
+
+    test('requires every item in the invoice currency', () => {
+        expect(InvoiceValidator.validateCurrency({ currencyCode: 'EUR', items: [item({ currencyCode: 'usd' })] }).errors)
+            .toEqual(["Item 1: Currency usd doesn't match the invoice currency EUR"]);
+        expect(InvoiceValidator.validateCurrency({ currencyCode: 'EUR', items: [item({ currencyCode: 'eur' })] }).isValid)
+            .toBe(true);
+    });
+
+    test('rejects amounts with more decimals than the currency has', () => {
+        const result = InvoiceValidator.validateCurrency({
+            currencyCode: 'JPY',
+            items: [item({ currencyCode: 'JPY', unitAmount: '1000.5', discount: { amount: '10.25' } })],
+            discount: { amount: 0.5 },
+            customAmount: { amount: 1.5 },
+            shipping: { amount: 2.5 },
+            minimumAmountDue: 100.1,
+            expectedTotal: '999.9'
+        });
+        expect(result.errors).toEqual([
+            'Item 1: Unit amount 1000.5 has too many decimals for JPY (whole amounts only)',
+            'Item 1: Discount amount 10.25 has too many decimals for JPY (whole amounts only)',
+            'Invoice discount amount 0.5 has too many decimals for JPY (whole amounts only)',
+            'Custom amount 1.5 has too many decimals for JPY (whole amounts only)',
+            'Shipping amount 2.5 has too many decimals for JPY (whole amounts only)',
+            'Minimum amount due 100.1 has too many decimals for JPY (whole amounts only)',
+            'Expected total 999.9 has too many decimals for JPY (whole amounts only)'
+        ]);
+    });
+
+    test('allows two decimals for USD but not three', () => {
+        expect(InvoiceValidator.validateCurrency({ currencyCode: 'USD', items: [item({ unitAmount: '40.99' })] }).isValid).toBe(true);
+        expect(InvoiceValidator.validateCurrency({ currencyCode: 'USD', items: [item({ unitAmount: '40.999' })] }).errors)
+            .toEqual(['Item 1: Unit amount 40.999 has too many decimals for USD (at most 2)']);
+    });
+});
+
+describe('InvoiceValidator.validateCompleteInvoice', () => {
+    test('accepts a complete invoice', () => {
+        expect(InvoiceValidator.validateCompleteInvoice(invoice())).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('accepts a percent invoice discount', () => {
+        expect(InvoiceValidator.validateCompleteInvoice(invoice({ discount: { percent: 10 } })).isValid).toBe(true);
+    });
+
+    test('rejects a negative invoice discount', () => {
+        expect(InvoiceValidator.validateCompleteInvoice(invoice({ discount: { amount: -10 } })).errors)
+            .toEqual(['Invoice discount amount must be greater than zero']);
+    });
+
+    test('rejects a discount modelled as a negative-price item', () => {
+        const result = InvoiceValidator.validateCompleteInvoice(invoice({
+            items: [item(), item({ name: 'Discount', unitAmount: -10 })]
+        }));
+        expect(result.errors).toEqual(['Item 2: Valid unit amount is required']);
+    });
+
+    test('collects customer, item, business, discount and currency errors in that order', () => {
+        const result = InvoiceValidator.validateCompleteInvoice({
+            customer: customer({ email: 'bad' }),
+            business: { name: 'Test Media', email: '' },
+            items: [item({ quantity: 0, currencyCode: 'EUR' })],
+            discount: { percent: 150 },
+            currencyCode: 'USD'
+        });
+        expect(result.errors).toEqual([
+            'Valid customer email is required',
+            'Item 1: Valid quantity is required',
+            'Valid business email is required',
+            'Invoice discount percent must be more than 0 and at most 100',
+            "Item 1: Currency EUR doesn't match the invoice currency USD"
+        ]);
+    });
+});
+
+describe('InvoiceValidator payments and refunds', () => {
+    const sentInvoice = {
+        status: 'SENT',
+        amount: { currency_code: 'USD', value: '100.00' },
+        due_amount: { currency_code: 'USD', value: '60.00' }
+    };
+
+    test('accepts a partial payment with an upper-case method', () => {
+        expect(InvoiceValidator.validatePayment({ amount: '20', method: 'BANK_TRANSFER', date: '2026-03-01' }, sentInvoice))
+            .toEqual({ isValid: true, errors: [] });
+    });
+
+    test('rejects payments above the due amount', () => {
+        expect(InvoiceValidator.validatePayment({ amount: 60.01, method: 'CASH' }, sentInvoice).errors)
+            .toEqual(['Payment of 60.01 exceeds the remaining due amount of USD 60.00']);
+    });
+
+    test('rejects payments on invoices that cannot be paid', () => {
+        expect(InvoiceValidator.validatePayment({ amount: 10, method: 'CASH' }, { ...sentInvoice, status: 'DRAFT' }).errors)
+            .toEqual(["Payments can't be recorded on an invoice with status DRAFT"]);
+    });
+
+    test('checks amount, method, date and precision', () => {
+        expect(InvoiceValidator.validatePayment({ amount: 0, method: 'bank_transfer', date: '01/03/2026' }, sentInvoice).errors)
+            .toEqual([
+                'Amount must be greater than 0',
+                `Method must be one of: ${InvoiceValidator.PAYMENT_METHODS.join(', ')}`,
+                'Date must be in YYYY-MM-DD format'
+            ]);
+        expect(InvoiceValidator.validatePayment({ amount: '10.001', method: 'CASH' }, sentInvoice).errors)
+            .toEqual(['Amount 10.001 has too many decimals for USD']);
+    });
+
+    test('limits refunds to what was paid and not yet refunded', () => {
+        const paidInvoice = {
+            ...sentInvoice,
+            status: 'PARTIALLY_REFUNDED',
+            payments: { paid_amount: { currency_code: 'USD', value: '40.00' } },
+            refunds: { refund_amount: { currency_code: 'USD', value: '15.00' } }
+        };
+        expect(InvoiceValidator.validateRefund({ amount: 25, method: 'OTHER' }, paidInvoice).isValid).toBe(true);
+        expect(InvoiceValidator.validateRefund({ amount: 25.01, method: 'OTHER' }, paidInvoice).errors)
+            .toEqual(['Refund of 25.01 exceeds the refundable amount of USD 25.00']);
+    });
+
+    test('rejects refunds on unpaid invoices', () => {
+        expect(InvoiceValidator.validateRefund({ amount: 5, method: 'OTHER' }, sentInvoice).errors)
+            .toEqual(['Invoice has no payments left to refund']);
+    });
+});
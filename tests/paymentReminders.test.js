@@ -0,0 +1,135 @@
+const fs = require('fs');
+const moment = require('moment');
+const PaymentReminders = require('../src/paymentReminders');
+const InvoiceManager = require('../src/invoiceManager');
+const CustomerTemplates = require('../src/customerTemplates');
+const PayPalMockServer = require('../src/paypalMockServer');
+
+const AS_OF = '2026-03-20';
+
+const record = (invoiceNumber, status, dueDate, fields = {}) => ({
+    invoiceId: `INV2-${invoiceNumber}`,
+    invoiceNumber,
+    status,
+    dueDate,
+    customer: { name: 'Jane Doe', businessName: 'Doe Media' },
+    totals: { currency: 'USD', total: '40.00' },
+    ...fields
+});
+
+describe('PaymentReminders.findDue', () => {
+    const numbers = (records, options = {}) => PaymentReminders.findDue(records, { asOf: AS_OF, ...options })
+        .map(candidate => candidate.record.invoiceNumber);
+
+    test('picks sent and partially paid invoices past their due date', () => {
+        const records = [
+            record('LATE', 'SENT', '2026-03-10'),
+            record('PART', 'PARTIALLY_PAID', '2026-03-01'),
+            record('DUE-TODAY', 'SENT', AS_OF),
+            record('PAID', 'PAID', '2026-03-01'),
+            record('DRAFT', 'DRAFT', '2026-03-01'),
+            record('SCHEDULED', 'SCHEDULED', '2026-03-01'),
+            record('NO-DUE-DATE', 'SENT', null)
+        ];
+
+        expect(numbers(records)).toEqual(['LATE', 'PART']);
+        expect(PaymentReminders.findDue(records, { asOf: AS_OF })[0]).toMatchObject({ daysOverdue: 10, lastRemindedAt: null });
+    });
+
+    test('waits the given number of days past the due date', () => {
+        const records = [record('TEN', 'SENT', '2026-03-10'), record('FIVE', 'SENT', '2026-03-15')];
+
+        expect(numbers(records, { overdueDays: 5 })).toEqual(['TEN']);
+        expect(numbers(records, { overdueDays: 10 })).toEqual([]);
+    });
+
+    test('skips invoices reminded within the interval', () => {
+        const records = [
+            record('RECENT', 'SENT', '2026-03-01', { lastRemindedAt: '2026-03-14T18:00:00.000Z' }),
+            record('WEEK-AGO', 'SENT', '2026-03-01', { lastRemindedAt: '2026-03-13T09:00:00.000Z' })
+        ];
+
+        expect(numbers(records)).toEqual(['WEEK-AGO']);
+        expect(numbers(records, { minIntervalDays: 0 })).toEqual(['RECENT', 'WEEK-AGO']);
+    });
+});
+
+describe('PaymentReminders.render', () => {
+    const candidate = { record: record('INV-7', 'SENT', '2026-03-10'), daysOverdue: 10 };
+
+    test('fills the default templates', () => {
+        const { subject, note } = PaymentReminders.render(candidate, {}, 'Test Media');
+
+        expect(subject).toBe('Payment reminder: invoice INV-7 is 10 days overdue');
+        expect(note).toContain('Dear Jane Doe,');
+        expect(note).toContain('invoice INV-7 for USD 40.00 was due on 2026-03-10');
+        expect(note).toMatch(/Test Media$/);
+    });
+
+    test('uses the due amount and custom templates, leaving unknown placeholders visible', () => {
+        const partial = { ...candidate, record: { ...candidate.record, dueAmount: { currency: 'USD', value: '15.00' } } };
+
+        expect(PaymentReminders.render(partial, { subject: '{currency} {amount} left on {invoiceNumber}', note: 'Hi {firstName}' }))
+            .toEqual({ subject: 'USD 15.00 left on INV-7', note: 'Hi {firstName}' });
+    });
+});
+
+describe('InvoiceManager.remindOverdueInvoices', () => {
+    const mock = new PayPalMockServer({ clientId: process.env.PAYPAL_CLIENT_ID, clientSecret: process.env.PAYPAL_CLIENT_SECRET });
+    const asOf = moment().add(5, 'days').format('YYYY-MM-DD');
+    let manager;
+
+    beforeAll(async () => {
+        process.env.PAYPAL_API_BASE_URL = await mock.start();
+    });
+
+    afterAll(() => mock.stop());
+
+    beforeEach(async () => {
+        mock.reset();
+        fs.rmSync(process.env.INVOICE_LEDGER_FILE, { force: true });
+        fs.rmSync(process.env.INVOICE_NUMBERS_FILE, { force: true });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        manager = new InvoiceManager();
+        const created = await manager.createInvoice({
+            ...CustomerTemplates.createGuestPostInvoice(
+                { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', address: { countryCode: 'US' } },
+                { price: 40, url: 'https://test-media.example/article' }
+            ),
+            taxRules: false
+        });
+        await manager.sendInvoice(created.invoiceId);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('lists who would be reminded on a dry run without calling PayPal', async () => {
+        const result = await manager.remindOverdueInvoices({ asOf, dryRun: true });
+
+        expect(result).toMatchObject({ success: true, dryRun: true, reminded: 0 });
+        expect(result.candidates).toHaveLength(1);
+        expect(result.candidates[0].subject).toMatch(/^Payment reminder: invoice .* is \d+ days overdue$/);
+        expect(mock.requests.some(request => request.path.endsWith('/remind'))).toBe(false);
+    });
+
+    test('reminds overdue invoices once per interval', async () => {
+        const result = await manager.remindOverdueInvoices({ asOf, templates: { subject: 'Reminder for {invoiceNumber}' } });
+
+        expect(result).toMatchObject({ success: true, reminded: 1, failed: 0 });
+        const remind = mock.requests.find(request => request.path.endsWith('/remind'));
+        expect(remind.body.subject).toBe(`Reminder for ${result.candidates[0].record.invoiceNumber}`);
+        expect(manager.ledger.getInvoice(result.candidates[0].record.invoiceId)).toMatchObject({ reminderCount: 1 });
+
+        expect(await manager.remindOverdueInvoices({ asOf })).toMatchObject({ candidates: [], reminded: 0 });
+    });
+
+    test('counts reminders PayPal rejects as failed', async () => {
+        mock.injectFault({ status: 422, method: 'POST', path: '/remind' });
+
+        expect(await manager.remindOverdueInvoices({ asOf })).toMatchObject({ success: false, reminded: 0, failed: 1 });
+    });
+});
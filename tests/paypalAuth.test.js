@@ -0,0 +1,231 @@
+const PayPalAuth = require('../src/paypalAuth');
+const PayPalMockServer = require('../src/paypalMockServer');
+const { PayPalApiError, AuthError, ValidationError, RateLimitedError } = require('../src/paypalErrors');
+
+const mock = new PayPalMockServer({ clientId: process.env.PAYPAL_CLIENT_ID, clientSecret: process.env.PAYPAL_CLIENT_SECRET });
+
+const INVOICES = '/v2/invoicing/invoices';
+
+let sleep;
+
+beforeAll(async () => {
+    process.env.PAYPAL_API_BASE_URL = await mock.start();
+});
+
+afterAll(() => mock.stop());
+
+beforeEach(() => {
+    mock.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    sleep = jest.spyOn(PayPalAuth, 'sleep').mockResolvedValue();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+/**
+ * Client with short timeouts (PAYPAL_MAX_RETRIES is 2 in tests/setup.js)
+ */
+const client = (http = {}) => new PayPalAuth({}, { timeout: 1000, ...http });
+
+const calls = path => mock.requests.filter(request => request.path.startsWith(path));
+
+describe('settings', () => {
+    test('come from the constructor, else the environment, else the defaults', () => {
+        expect(new PayPalAuth().http).toEqual({ ...PayPalAuth.HTTP_DEFAULTS, timeout: 5000, maxRetries: 2 });
+        expect(new PayPalAuth({}, { maxRetries: 0, timeout: undefined }).http).toMatchObject({ maxRetries: 0, timeout: 5000 });
+    });
+
+    test('ignore invalid environment values', () => {
+        const saved = { timeout: process.env.PAYPAL_TIMEOUT_MS, retries: process.env.PAYPAL_MAX_RETRIES };
+        process.env.PAYPAL_TIMEOUT_MS = '0';
+        process.env.PAYPAL_MAX_RETRIES = 'many';
+
+        expect(PayPalAuth.httpSettingsFromEnv()).toEqual({});
+
+        process.env.PAYPAL_TIMEOUT_MS = saved.timeout;
+        process.env.PAYPAL_MAX_RETRIES = saved.retries;
+    });
+
+    test('point at the environment\'s API unless given a base URL', () => {
+        const saved = process.env.PAYPAL_API_BASE_URL;
+        process.env.PAYPAL_API_BASE_URL = '';
+
+        expect(new PayPalAuth().getBaseURL()).toBe('https://api-m.sandbox.paypal.com');
+        expect(new PayPalAuth({ environment: 'PRODUCTION' }).getBaseURL()).toBe('https://api-m.paypal.com');
+        expect(new PayPalAuth({ apiBaseUrl: 'http://127.0.0.1:4010/' }).getBaseURL()).toBe('http://127.0.0.1:4010');
+
+        process.env.PAYPAL_API_BASE_URL = saved;
+    });
+});
+
+describe('access tokens', () => {
+    test('are cached until five minutes before they expire', async () => {
+        const auth = client();
+        const before = Date.now();
+
+        const token = await auth.getAccessToken();
+        await auth.makeAuthenticatedRequest('GET', INVOICES);
+
+        expect(calls('/v1/oauth2/token')).toHaveLength(1);
+        expect(calls(INVOICES)[0].headers.authorization).toBe(`Bearer ${token}`);
+        expect(auth.tokenExpiry).toBeGreaterThanOrEqual(before + (32400 - 300) * 1000);
+        expect(auth.tokenExpiry).toBeLessThanOrEqual(Date.now() + (32400 - 300) * 1000);
+    });
+
+    test('are requested once for concurrent requests', async () => {
+        const auth = client();
+
+        await Promise.all([1, 2, 3].map(() => auth.makeAuthenticatedRequest('GET', INVOICES)));
+
+        expect(calls('/v1/oauth2/token')).toHaveLength(1);
+        expect(calls(INVOICES)).toHaveLength(3);
+    });
+
+    test('are refreshed once when PayPal revokes them early', async () => {
+        const auth = client();
+        await auth.getAccessToken();
+        mock.revokeTokens();
+
+        await expect(auth.makeAuthenticatedRequest('GET', INVOICES)).resolves.toMatchObject({ items: [] });
+        expect(calls('/v1/oauth2/token')).toHaveLength(2);
+        expect(sleep).not.toHaveBeenCalled();
+
+        mock.injectFault({ status: 401, path: INVOICES, times: 2 });
+        await expect(auth.makeAuthenticatedRequest('GET', INVOICES)).rejects.toBeInstanceOf(AuthError);
+        expect(calls('/v1/oauth2/token')).toHaveLength(3);
+    });
+
+    test('fail with an AuthError for rejected credentials', async () => {
+        const auth = new PayPalAuth({ clientId: 'wrong', clientSecret: 'nope' });
+
+        const error = await auth.getAccessToken().catch(caught => caught);
+
+        expect(error).toBeInstanceOf(AuthError);
+        expect(error.message).toBe('Failed to authenticate with PayPal API: PayPal 401 invalid_client: Client Authentication failed');
+        expect(error.suggestion).toContain('PAYPAL_CLIENT_ID');
+    });
+});
+
+describe('PayPal-Request-Id', () => {
+    test('is added to every POST and kept across retries', async () => {
+        mock.injectFault({ status: 503, method: 'POST', path: '/v2/invoicing/search-invoices' });
+        const auth = client();
+
+        await auth.makeAuthenticatedRequest('POST', '/v2/invoicing/search-invoices', {});
+        await auth.makeAuthenticatedRequest('GET', INVOICES);
+
+        const [first, retry] = calls('/v2/invoicing/search-invoices');
+        expect(first.headers['paypal-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+        expect(retry.headers['paypal-request-id']).toBe(first.headers['paypal-request-id']);
+        expect(calls(INVOICES)[0].headers['paypal-request-id']).toBeUndefined();
+    });
+
+    test('is the one given', async () => {
+        await client().makeAuthenticatedRequest('POST', '/v2/invoicing/search-invoices', {}, { requestId: 'inv-key-1' });
+
+        expect(calls('/v2/invoicing/search-invoices')[0].headers['paypal-request-id']).toBe('inv-key-1');
+    });
+});
+
+describe('retries', () => {
+    test('repeat server errors, dropped connections and timeouts with backoff', async () => {
+        mock.injectFault({ status: 500, path: INVOICES });
+        mock.injectFault({ reset: true, path: INVOICES });
+        const auth = client({ retryBaseDelay: 100 });
+
+        await expect(auth.makeAuthenticatedRequest('GET', INVOICES)).resolves.toMatchObject({ items: [] });
+
+        expect(calls(INVOICES)).toHaveLength(3);
+        expect(sleep).toHaveBeenCalledTimes(2);
+        expect(sleep.mock.calls[0][0]).toBeGreaterThanOrEqual(50);
+        expect(sleep.mock.calls[0][0]).toBeLessThanOrEqual(100);
+        expect(sleep.mock.calls[1][0]).toBeGreaterThanOrEqual(100);
+        expect(sleep.mock.calls[1][0]).toBeLessThanOrEqual(200);
+
+        mock.injectFault({ delay: 300, path: INVOICES });
+        await expect(client({ timeout: 50 }).makeAuthenticatedRequest('GET', INVOICES)).resolves.toMatchObject({ items: [] });
+    });
+
+    test('wait as long as Retry-After asks', async () => {
+        mock.injectFault({ status: 429, path: INVOICES, retryAfter: 2 });
+
+        await client().makeAuthenticatedRequest('GET', INVOICES);
+
+        expect(sleep).toHaveBeenCalledWith(2000);
+    });
+
+    test('give up after the configured retries', async () => {
+        mock.injectFault({ status: 429, path: INVOICES, times: 3, retryAfter: 7 });
+
+        const error = await client().makeAuthenticatedRequest('GET', INVOICES).catch(caught => caught);
+
+        expect(error).toBeInstanceOf(RateLimitedError);
+        expect(error).toMatchObject({ status: 429, attempts: 3, retryAfter: 7, method: 'GET', endpoint: INVOICES });
+        expect(calls(INVOICES)).toHaveLength(3);
+    });
+
+    test('report requests that never get an answer as network errors', async () => {
+        mock.injectFault({ delay: 300, path: INVOICES, times: 2 });
+
+        const error = await client({ timeout: 50, maxRetries: 1 }).makeAuthenticatedRequest('GET', INVOICES).catch(caught => caught);
+
+        expect(error).toBeInstanceOf(PayPalApiError);
+        expect(error.message).toBe(`PayPal request GET ${INVOICES} timed out`);
+        expect(error).toMatchObject({ isNetworkError: true, code: 'ECONNABORTED', attempts: 2 });
+    });
+
+    test('never repeat requests PayPal rejected', async () => {
+        mock.injectFault({ status: 422, method: 'POST', path: INVOICES });
+
+        const error = await client().makeAuthenticatedRequest('POST', INVOICES, {}).catch(caught => caught);
+
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.attempts).toBe(1);
+        expect(sleep).not.toHaveBeenCalled();
+    });
+});
+
+describe('PayPalAuth.isRetryable', () => {
+    test.each([
+        [{ response: { status: 500 } }, true],
+        [{ response: { status: 503 } }, true],
+        [{ response: { status: 429 } }, true],
+        [{ response: { status: 409 } }, false],
+        [{ response: { status: 404 } }, false],
+        [{ code: 'ECONNRESET' }, true],
+        [{ code: 'ECONNABORTED' }, true],
+        [{ code: 'ERR_BAD_OPTION' }, false]
+    ])('%j is %s', (error, retryable) => {
+        expect(PayPalAuth.isRetryable(error)).toBe(retryable);
+    });
+});
+
+describe('PayPalAuth.retryDelay', () => {
+    const auth = new PayPalAuth({}, { retryBaseDelay: 500, retryMaxDelay: 4000 });
+
+    test('doubles the backoff ceiling every attempt up to the maximum, with jitter', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(1);
+        expect([1, 2, 3, 4, 5].map(attempt => auth.retryDelay(attempt))).toEqual([500, 1000, 2000, 4000, 4000]);
+
+        Math.random.mockReturnValue(0);
+        expect([1, 2, 3].map(attempt => auth.retryDelay(attempt))).toEqual([250, 500, 1000]);
+    });
+
+    test('follows Retry-After in seconds or as a date, capped at the maximum', () => {
+        expect(auth.retryDelay(1, '3')).toBe(3000);
+        expect(auth.retryDelay(1, '120')).toBe(4000);
+        expect(auth.retryDelay(1, new Date(Date.now() - 1000).toUTCString())).toBe(0);
+
+        const delay = auth.retryDelay(1, new Date(Date.now() + 3000).toUTCString());
+        expect(delay).toBeGreaterThan(1000);
+        expect(delay).toBeLessThanOrEqual(3000);
+    });
+
+    test('falls back to backoff for a Retry-After it can\'t read', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(1);
+
+        expect(auth.retryDelay(2, 'later')).toBe(1000);
+    });
+});
@@ -0,0 +1,212 @@
+const {
+    PayPalApiError,
+    AuthError,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    RateLimitedError
+} = require('../src/paypalErrors');
+const PayPalMockServer = require('../src/paypalMockServer');
+const { run } = require('../src/cli');
+
+/**
+ * axios-style error for a PayPal response
+ */
+const axiosError = (status, data, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    code: 'ERR_BAD_RESPONSE',
+    response: { status, data, headers }
+});
+
+const UNPROCESSABLE = {
+    name: 'UNPROCESSABLE_ENTITY',
+    message: 'The requested action could not be performed.',
+    debug_id: 'dbg-422',
+    details: [
+        { field: '/items/1/unit_amount/currency_code', value: 'ZAR', issue: 'CURRENCY_NOT_SUPPORTED', description: 'Currency is not supported.' },
+        { field: '/primary_recipients/0/billing_info/address/postal_code', issue: 'MISSING_REQUIRED_PARAMETER', description: 'A required field is missing.' }
+    ]
+};
+
+describe('PayPalApiError.fromAxiosError', () => {
+    test.each([
+        [400, ValidationError],
+        [401, AuthError],
+        [403, AuthError],
+        [404, NotFoundError],
+        [409, ConflictError],
+        [422, ValidationError],
+        [429, RateLimitedError],
+        [500, PayPalApiError],
+        [503, PayPalApiError]
+    ])('throws a %i as %p', (status, ErrorClass) => {
+        const error = PayPalApiError.fromAxiosError(axiosError(status, { name: 'ANY' }));
+
+        expect(error).toBeInstanceOf(ErrorClass);
+        expect(error).toBeInstanceOf(PayPalApiError);
+        expect(error.name).toBe(ErrorClass.name);
+    });
+
+    test('keeps what PayPal said and the request it was about', () => {
+        const cause = axiosError(422, UNPROCESSABLE, { 'paypal-debug-id': 'dbg-header' });
+        const error = PayPalApiError.fromAxiosError(cause, { method: 'POST', endpoint: '/v2/invoicing/invoices', attempts: 2 });
+
+        expect(error).toMatchObject({
+            status: 422,
+            method: 'POST',
+            endpoint: '/v2/invoicing/invoices',
+            attempts: 2,
+            errorName: 'UNPROCESSABLE_ENTITY',
+            debugId: 'dbg-422',
+            details: UNPROCESSABLE.details,
+            response: { status: 422, data: UNPROCESSABLE, headers: { 'paypal-debug-id': 'dbg-header' } },
+            isNetworkError: false
+        });
+        expect(error.cause).toBe(cause);
+        expect(error.message).toBe('PayPal 422 UNPROCESSABLE_ENTITY: The requested action could not be performed. '
+            + '(CURRENCY_NOT_SUPPORTED at items[1].currencyCode; MISSING_REQUIRED_PARAMETER at customer.address.postalCode) [debug_id dbg-422]');
+    });
+
+    test('takes the debug ID from the header when the body has none', () => {
+        expect(PayPalApiError.fromAxiosError(axiosError(500, '<html>Bad gateway</html>', { 'paypal-debug-id': 'dbg-500' })))
+            .toMatchObject({ debugId: 'dbg-500', errorName: null, issues: [], message: 'PayPal returned 500: <html>Bad gateway</html>' });
+        expect(PayPalApiError.fromAxiosError(axiosError(502, '')).message).toBe('PayPal returned 502');
+    });
+
+    test('reads OAuth error bodies', () => {
+        const error = PayPalApiError.fromAxiosError(axiosError(401, { error: 'invalid_client', error_description: 'Client Authentication failed' }));
+
+        expect(error.message).toBe('PayPal 401 invalid_client: Client Authentication failed');
+        expect(error.errorName).toBe('invalid_client');
+    });
+
+    test('reports requests without a response as network errors', () => {
+        const timeout = PayPalApiError.fromAxiosError(Object.assign(new Error('timeout of 50ms exceeded'), { code: 'ECONNABORTED' }), { method: 'GET', endpoint: '/v2/invoicing/invoices' });
+        const refused = PayPalApiError.fromAxiosError(Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:1'), { code: 'ECONNREFUSED' }));
+
+        expect(timeout).toMatchObject({ message: 'PayPal request GET /v2/invoicing/invoices timed out', code: 'ECONNABORTED', status: undefined, response: undefined, isNetworkError: true });
+        expect(refused.message).toBe('PayPal request failed: connect ECONNREFUSED 127.0.0.1:1');
+        expect(refused.constructor).toBe(PayPalApiError);
+    });
+});
+
+describe('PayPalApiError.fieldPath', () => {
+    test.each([
+        ['/detail/invoice_number', 'invoiceNumber'],
+        ['/detail/payment_term/due_date', 'dueDate'],
+        ['/invoicer/address/country_code', 'business.address.countryCode'],
+        ['/invoicer/business_name', 'business.legalName'],
+        ['/primary_recipients/0/billing_info/email_address', 'customer.email'],
+        ['/primary_recipients/0/billing_info/address/admin_area_2', 'customer.address.city'],
+        ['/primary_recipients/0/billing_info/phones/0/national_number', 'customer.phone'],
+        ['/items/0/unit_amount/value', 'items[0].unitAmount'],
+        ['/items/3/unit_amount', 'items[3].unitAmount'],
+        ['/items/2/tax/percent', 'items[2].tax'],
+        ['/items/2', 'items[2]'],
+        ['/amount/breakdown/discount/invoice_discount/percent', 'discount'],
+        ['/configuration/partial_payment/minimum_amount_due/value', 'minimumAmountDue'],
+        ['items[0].unit_amount.value', 'items[0].unitAmount'],
+        ['detail.currency_code', 'currencyCode']
+    ])('maps %s to %s', (pointer, path) => {
+        expect(PayPalApiError.fieldPath(pointer)).toBe(path);
+    });
+
+    test('knows nothing of other fields', () => {
+        expect(PayPalApiError.fieldPath('/detail/metadata/create_time')).toBeNull();
+        expect(PayPalApiError.fieldPath(undefined)).toBeNull();
+    });
+});
+
+describe('issues and suggestions', () => {
+    test('name the invoice data field in each issue\'s fix', () => {
+        const error = PayPalApiError.fromAxiosError(axiosError(422, UNPROCESSABLE));
+
+        expect(error.issues).toEqual([
+            {
+                issue: 'CURRENCY_NOT_SUPPORTED',
+                description: 'Currency is not supported.',
+                field: '/items/1/unit_amount/currency_code',
+                path: 'items[1].currencyCode',
+                value: 'ZAR',
+                suggestion: 'PayPal does not invoice in this currency; pick another for items[1].currencyCode.'
+            },
+            expect.objectContaining({ path: 'customer.address.postalCode', suggestion: 'Set customer.address.postalCode; it is required by PayPal.' })
+        ]);
+        expect(error.suggestion).toBe(error.issues[0].suggestion);
+    });
+
+    test('fall back to the raw field, then to the error type', () => {
+        expect(PayPalApiError.toIssue({ field: '/detail/metadata', issue: 'MISSING_REQUIRED_PARAMETER' }).suggestion)
+            .toBe('Set /detail/metadata; it is required by PayPal.');
+        expect(PayPalApiError.toIssue({ issue: 'INVALID_PARAMETER_VALUE' }).suggestion)
+            .toBe('Check the value of the field; PayPal does not accept it.');
+        expect(PayPalApiError.toIssue({ issue: 'SOMETHING_NEW' })).toEqual({ issue: 'SOMETHING_NEW', description: null, field: null, path: null, value: undefined, suggestion: null });
+
+        expect(PayPalApiError.fromAxiosError(axiosError(404, { name: 'RESOURCE_NOT_FOUND' })).suggestion).toContain('Check the invoice ID');
+        expect(PayPalApiError.fromAxiosError(axiosError(422, { name: 'UNPROCESSABLE_ENTITY', details: [{ issue: 'SOMETHING_NEW' }] })).suggestion)
+            .toContain('`paypal-invoice preview`');
+        expect(PayPalApiError.fromAxiosError(axiosError(500, { name: 'INTERNAL_SERVER_ERROR' })).suggestion).toBeNull();
+    });
+
+    test('read Retry-After from rate limit responses', () => {
+        expect(PayPalApiError.fromAxiosError(axiosError(429, {}, { 'retry-after': '30' })).retryAfter).toBe(30);
+        expect(PayPalApiError.fromAxiosError(axiosError(429, {})).retryAfter).toBeNull();
+    });
+
+    test('go into failure results', () => {
+        const error = PayPalApiError.fromAxiosError(axiosError(422, UNPROCESSABLE));
+
+        expect(error.toResult()).toEqual({
+            errorType: 'ValidationError',
+            status: 422,
+            debugId: 'dbg-422',
+            issues: error.issues,
+            suggestion: error.suggestion,
+            details: UNPROCESSABLE
+        });
+        expect(new PayPalApiError('PayPal request failed: socket hang up').toResult()).toMatchObject({ errorType: 'PayPalApiError', status: undefined, details: null });
+    });
+});
+
+describe('PayPal errors on the command line', () => {
+    const mock = new PayPalMockServer({ clientId: process.env.PAYPAL_CLIENT_ID, clientSecret: process.env.PAYPAL_CLIENT_SECRET });
+
+    beforeAll(async () => {
+        process.env.PAYPAL_API_BASE_URL = await mock.start();
+    });
+
+    afterAll(() => mock.stop());
+
+    beforeEach(() => {
+        mock.reset();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        process.exitCode = undefined;
+    });
+
+    test('print the error type, debug ID and suggested fix with --json', async () => {
+        const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+        const code = await run(['node', 'paypal-invoice', 'get', 'INV2-NOPE-NOPE-NOPE-NOPE', '--json']);
+        const result = JSON.parse(stdout.mock.calls.map(([chunk]) => chunk).join(''));
+
+        expect(code).toBe(1);
+        expect(result).toMatchObject({
+            success: false,
+            errorType: 'NotFoundError',
+            status: 404,
+            debugId: expect.any(String),
+            suggestion: expect.stringContaining('Check the invoice ID')
+        });
+    });
+
+    test('print the suggested fix without --json', async () => {
+        mock.injectFault({ status: 403, method: 'GET', path: '/v2/invoicing/invoices' });
+
+        expect(await run(['node', 'paypal-invoice', 'list'])).toBe(1);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Check PAYPAL_CLIENT_ID'));
+    });
+});
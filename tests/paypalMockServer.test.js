@@ -0,0 +1,340 @@
+const axios = require('axios');
+const PayPalMockServer = require('../src/paypalMockServer');
+
+const CREDENTIALS = { clientId: 'mock-client', clientSecret: 'mock-secret' };
+
+const mock = new PayPalMockServer(CREDENTIALS);
+
+let baseUrl;
+let token;
+
+beforeAll(async () => {
+    baseUrl = await mock.start();
+});
+
+afterAll(() => mock.stop());
+
+beforeEach(async () => {
+    mock.reset();
+    token = (await requestToken()).data.access_token;
+});
+
+/**
+ * Raw request to the mock, resolving with the response whatever its status
+ */
+const request = (method, path, data, headers = {}) => axios({
+    method,
+    url: `${baseUrl}${path}`,
+    data,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    validateStatus: () => true
+});
+
+const requestToken = (clientId = CREDENTIALS.clientId, clientSecret = CREDENTIALS.clientSecret) => request('POST', '/v1/oauth2/token', 'grant_type=client_credentials', {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
+});
+
+const api = (method, path, data, headers = {}) => request(method, path, data, { Authorization: `Bearer ${token}`, ...headers });
+
+const payload = (fields = {}) => ({
+    detail: { currency_code: 'USD', invoice_date: '2026-10-01', payment_term: { term_type: 'NET_30' }, ...fields.detail },
+    primary_recipients: [{ billing_info: { email_address: 'jane@example.com' } }],
+    items: fields.items || [{ name: 'Guest post', quantity: '2', unit_amount: { currency_code: 'USD', value: '40.00' } }]
+});
+
+const createInvoice = async (fields, headers = {}) => {
+    const response = await api('POST', '/v2/invoicing/invoices', payload(fields), { Prefer: 'return=representation', ...headers });
+    expect(response.status).toBe(201);
+    return response.data;
+};
+
+describe('OAuth2 tokens', () => {
+    test('are issued for the configured credentials only', async () => {
+        const issued = await requestToken();
+        expect(issued.status).toBe(200);
+        expect(issued.data).toMatchObject({ token_type: 'Bearer', access_token: expect.stringMatching(/^A21AA/), expires_in: 32400 });
+
+        expect((await requestToken('mock-client', 'wrong')).data).toEqual({ error: 'invalid_client', error_description: 'Client Authentication failed' });
+        expect((await request('POST', '/v1/oauth2/token', 'grant_type=client_credentials')).status).toBe(401);
+    });
+
+    test('are required for the API, and stop working once revoked', async () => {
+        expect((await api('GET', '/v2/invoicing/invoices')).status).toBe(200);
+        expect((await request('GET', '/v2/invoicing/invoices')).status).toBe(401);
+
+        mock.revokeTokens();
+        expect((await api('GET', '/v2/invoicing/invoices')).data).toEqual({ error: 'invalid_token', error_description: 'Access Token not found in cache' });
+    });
+});
+
+describe('creating invoices', () => {
+    test('answers with a link unless the representation is asked for', async () => {
+        const linked = await api('POST', '/v2/invoicing/invoices', payload());
+
+        expect(linked.status).toBe(201);
+        expect(linked.data).toEqual({ rel: 'self', href: `${baseUrl}/v2/invoicing/invoices/INV2-MOCK-0000-0000-0001`, method: 'GET' });
+        expect((await api('GET', '/v2/invoicing/invoices/INV2-MOCK-0000-0000-0001')).data.id).toBe('INV2-MOCK-0000-0000-0001');
+    });
+
+    test('returns the invoice with PayPal\'s number, due date and totals', async () => {
+        const invoice = await createInvoice({ items: [
+            { name: 'Guest post', quantity: '2', unit_amount: { currency_code: 'USD', value: '40.00' }, tax: { name: 'VAT', percent: '10' } }
+        ] });
+
+        expect(invoice).toMatchObject({
+            id: 'INV2-MOCK-0000-0000-0001',
+            status: 'DRAFT',
+            detail: { invoice_number: '0001', payment_term: { term_type: 'NET_30', due_date: '2026-10-31' } },
+            amount: { currency_code: 'USD', value: '88.00', breakdown: { item_total: { value: '80.00' }, tax_total: { value: '8.00' } } },
+            due_amount: { currency_code: 'USD', value: '88.00' }
+        });
+        expect((await createInvoice()).detail.invoice_number).toBe('0002');
+    });
+
+    test('always returns the representation when configured to', async () => {
+        const representing = new PayPalMockServer({ returnRepresentation: true });
+        const url = await representing.start();
+        const login = await axios.post(`${url}/v1/oauth2/token`, 'grant_type=client_credentials', { auth: { username: 'any', password: 'any' } });
+
+        const created = await axios.post(`${url}/v2/invoicing/invoices`, payload(), { headers: { Authorization: `Bearer ${login.data.access_token}` } });
+
+        expect(created.data).toMatchObject({ id: 'INV2-MOCK-0000-0000-0001', status: 'DRAFT' });
+        await representing.stop();
+    });
+
+    test('rejects the payloads PayPal rejects', async () => {
+        await createInvoice({ detail: { invoice_number: 'A-1' } });
+
+        const rejected = await api('POST', '/v2/invoicing/invoices', payload({
+            detail: { invoice_number: 'A-1', payment_term: { term_type: 'DUE_ON_DATE_SPECIFIED', due_date: '2026-09-30' } },
+            items: [
+                { quantity: '0', unit_amount: { currency_code: 'EUR', value: '-1' } }
+            ]
+        }));
+
+        expect(rejected.status).toBe(422);
+        expect(rejected.headers['paypal-debug-id']).toBe(rejected.data.debug_id);
+        expect(rejected.data).toMatchObject({ name: 'UNPROCESSABLE_ENTITY', debug_id: expect.stringMatching(/^[0-9a-f]{14}$/) });
+        expect(rejected.data.details.map(detail => [detail.field, detail.issue])).toEqual([
+            ['/detail/invoice_number', 'DUPLICATE_INVOICE_NUMBER'],
+            ['/items/0/name', 'MISSING_REQUIRED_PARAMETER'],
+            ['/items/0/quantity', 'INVALID_PARAMETER_VALUE'],
+            ['/items/0/unit_amount/value', 'INVALID_PARAMETER_VALUE'],
+            ['/items/0/unit_amount/currency_code', 'CURRENCY_MISMATCH'],
+            ['/detail/payment_term/due_date', 'INVALID_DUE_DATE']
+        ]);
+
+        const currency = await api('POST', '/v2/invoicing/invoices', payload({ detail: { currency_code: 'ZAR' }, items: [] }));
+        expect(currency.data.details).toEqual([expect.objectContaining({ field: '/detail/currency_code', issue: 'CURRENCY_NOT_SUPPORTED' })]);
+    });
+
+    test('answers a repeated PayPal-Request-Id with the first response', async () => {
+        const headers = { 'PayPal-Request-Id': 'create-1' };
+
+        const first = await api('POST', '/v2/invoicing/invoices', payload(), headers);
+        const repeat = await api('POST', '/v2/invoicing/invoices', payload({ detail: { invoice_number: 'OTHER' } }), headers);
+
+        expect(repeat.data).toEqual(first.data);
+        expect(mock.invoices.size).toBe(1);
+        expect((await api('POST', '/v2/invoicing/invoices', payload(), { 'PayPal-Request-Id': 'create-2' })).data).not.toEqual(first.data);
+    });
+
+    test('doesn\'t remember rejected requests', async () => {
+        const headers = { 'PayPal-Request-Id': 'create-1' };
+
+        expect((await api('POST', '/v2/invoicing/invoices', payload({ detail: { currency_code: 'ZAR' }, items: [] }), headers)).status).toBe(422);
+        expect((await api('POST', '/v2/invoicing/invoices', payload(), headers)).status).toBe(201);
+    });
+});
+
+describe('invoice lifecycle', () => {
+    const action = (invoice, name, body = {}) => api('POST', `/v2/invoicing/invoices/${invoice.id}/${name}`, body);
+
+    test('sends, reminds and cancels in the statuses PayPal allows', async () => {
+        const invoice = await createInvoice();
+
+        expect((await action(invoice, 'remind')).data.details[0]).toMatchObject({ issue: 'INVALID_INVOICE_STATUS', description: 'Cannot remind an invoice with status DRAFT.' });
+        expect((await action(invoice, 'cancel')).status).toBe(422);
+
+        const sent = await action(invoice, 'send', { subject: 'Invoice', send_to_invoicer: true });
+        expect(sent.data).toEqual({ rel: 'payer-view', href: `https://www.sandbox.paypal.com/invoice/p/#${invoice.id}`, method: 'GET' });
+        expect(mock.invoices.get(invoice.id)).toMatchObject({ status: 'SENT', last_notification: { subject: 'Invoice', note: '', send_to_invoicer: true } });
+        expect((await action(invoice, 'send')).status).toBe(422);
+
+        expect((await action(invoice, 'remind')).status).toBe(204);
+        expect((await action(invoice, 'cancel')).status).toBe(204);
+        expect(mock.invoices.get(invoice.id).status).toBe('CANCELLED');
+    });
+
+    test('records payments up to the amount due, then refunds up to the amount paid', async () => {
+        const invoice = await createInvoice();
+        await action(invoice, 'send');
+
+        expect((await action(invoice, 'payments', { method: 'BANK_TRANSFER', amount: { value: '30.00' } })).data.payment_id).toMatch(/^EXTR-/);
+        expect(mock.invoices.get(invoice.id)).toMatchObject({ status: 'PARTIALLY_PAID', due_amount: { value: '50.00' }, payments: { paid_amount: { value: '30.00' } } });
+
+        const overpaid = await action(invoice, 'payments', { amount: { value: '50.01' } });
+        expect(overpaid.data.details[0]).toMatchObject({ issue: 'INVALID_PAYMENT_AMOUNT', description: 'Amount must be more than 0 and at most the due amount of 50.00.' });
+
+        await action(invoice, 'payments', { amount: { value: '50.00' } });
+        expect(mock.invoices.get(invoice.id)).toMatchObject({ status: 'MARKED_AS_PAID', due_amount: { value: '0.00' } });
+        expect(mock.invoices.get(invoice.id).payments.transactions.map(transaction => transaction.method)).toEqual(['BANK_TRANSFER', 'OTHER']);
+
+        await action(invoice, 'refunds', { amount: { value: '20.00' } });
+        expect(mock.invoices.get(invoice.id)).toMatchObject({ status: 'PARTIALLY_REFUNDED', refunds: { refund_amount: { value: '20.00' } } });
+        expect((await action(invoice, 'refunds', { amount: { value: '60.01' } })).data.details[0].issue).toBe('INVALID_REFUND_AMOUNT');
+
+        await action(invoice, 'refunds', { amount: { value: '60.00' } });
+        expect(mock.invoices.get(invoice.id).status).toBe('MARKED_AS_REFUNDED');
+    });
+
+    test('updates invoices, keeping their status and number, until they are paid', async () => {
+        const invoice = await createInvoice();
+        await action(invoice, 'send');
+        const update = payload({
+            detail: { payment_term: { term_type: 'DUE_ON_DATE_SPECIFIED', due_date: '2026-11-15' } },
+            items: [{ name: 'Guest post', quantity: '3', unit_amount: { currency_code: 'USD', value: '40.00' } }]
+        });
+
+        expect((await api('PUT', `/v2/invoicing/invoices/${invoice.id}`, update)).data).toMatchObject({
+            status: 'SENT',
+            detail: { invoice_number: '0001', payment_term: { due_date: '2026-11-15' } },
+            amount: { value: '120.00' },
+            due_amount: { value: '120.00' }
+        });
+
+        await action(invoice, 'payments', { amount: { value: '30.00' } });
+        expect((await api('PUT', `/v2/invoicing/invoices/${invoice.id}`, update)).data.details[0].description)
+            .toBe('Cannot update an invoice with status PARTIALLY_PAID.');
+    });
+
+    test('answers unknown invoices and endpoints with 404', async () => {
+        expect((await api('GET', '/v2/invoicing/invoices/INV2-NOPE')).data).toMatchObject({ name: 'RESOURCE_NOT_FOUND' });
+        expect((await api('DELETE', '/v2/invoicing/templates')).data).toMatchObject({ name: 'RESOURCE_NOT_FOUND', message: 'No mock for DELETE /v2/invoicing/templates' });
+    });
+});
+
+describe('listing and searching', () => {
+    beforeEach(async () => {
+        await createInvoice({ detail: { invoice_number: 'A-0007' } });
+        await createInvoice({ detail: { currency_code: 'EUR' }, items: [{ name: 'Guest post', quantity: '1', unit_amount: { currency_code: 'EUR', value: '40.00' } }] });
+        await createInvoice();
+    });
+
+    test('pages through invoices, newest first', async () => {
+        const first = await api('GET', '/v2/invoicing/invoices?page=1&page_size=2&total_required=true');
+        const second = await api('GET', '/v2/invoicing/invoices?page=2&page_size=2');
+
+        expect(first.data).toMatchObject({ total_items: 3, total_pages: 2 });
+        expect(first.data.items.map(invoice => invoice.detail.invoice_number)).toEqual(['0009', '0008']);
+        expect(second.data.items.map(invoice => invoice.detail.invoice_number)).toEqual(['A-0007']);
+        expect(second.data.total_items).toBeUndefined();
+    });
+
+    test('searches by number, recipient, status and currency', async () => {
+        const search = async criteria => (await api('POST', '/v2/invoicing/search-invoices', criteria)).data;
+
+        expect((await search({ invoice_number: 'A-0007' })).items).toHaveLength(1);
+        expect(await search({ currency_code: 'EUR' })).toMatchObject({ total_items: 1 });
+        expect((await search({ recipient_email: 'jane@example.com', status: ['DRAFT'] })).items).toHaveLength(3);
+        expect((await search({ status: ['PAID'] })).items).toEqual([]);
+    });
+
+    test('suggests the number after the highest one in use', async () => {
+        expect((await api('POST', '/v2/invoicing/generate-next-invoice-number')).data).toEqual({ invoice_number: '0010' });
+    });
+});
+
+describe('faults', () => {
+    test('fail the next matching requests', async () => {
+        mock.injectFault({ status: 500, method: 'get', path: '/v2/invoicing/invoices', times: 2 });
+
+        expect((await api('POST', '/v2/invoicing/search-invoices', {})).status).toBe(200);
+        expect((await api('GET', '/v2/invoicing/invoices')).status).toBe(500);
+        expect((await api('GET', '/v2/invoicing/invoices/INV2-NOPE')).data).toMatchObject({ name: 'INTERNAL_SERVER_ERROR' });
+        expect((await api('GET', '/v2/invoicing/invoices')).status).toBe(200);
+        expect(mock.faults).toEqual([]);
+    });
+
+    test('answer like PayPal, with Retry-After on rate limits', async () => {
+        mock.injectFault({ status: 429 });
+        mock.injectFault({ status: 503, retryAfter: 5 });
+        mock.injectFault({ status: 422, body: { name: 'CUSTOM', details: [] } });
+        mock.injectFault({ status: 401, path: '/v1/oauth2/token' });
+
+        const limited = await api('GET', '/v2/invoicing/invoices');
+        expect(limited.data).toMatchObject({ name: 'RATE_LIMIT_REACHED', debug_id: expect.any(String) });
+        expect(limited.headers['retry-after']).toBe('1');
+        expect((await api('GET', '/v2/invoicing/invoices')).headers['retry-after']).toBe('5');
+        expect((await api('GET', '/v2/invoicing/invoices')).data).toEqual({ name: 'CUSTOM', details: [], debug_id: expect.any(String) });
+        expect((await requestToken()).data).toEqual({ error: 'invalid_client', error_description: 'Client Authentication failed' });
+    });
+
+    test('drop the connection or delay the answer', async () => {
+        mock.injectFault({ reset: true, path: '/v2/invoicing/invoices' });
+        mock.injectFault({ delay: 200, path: '/v2/invoicing/invoices' });
+
+        await expect(api('GET', '/v2/invoicing/invoices')).rejects.toMatchObject({ code: 'ECONNRESET' });
+
+        const started = Date.now();
+        expect((await api('GET', '/v2/invoicing/invoices')).status).toBe(200);
+        expect(Date.now() - started).toBeGreaterThanOrEqual(190);
+    });
+
+    test('need a status, reset or delay', () => {
+        expect(() => mock.injectFault({ path: '/send' })).toThrow('A fault needs a status, reset or delay');
+    });
+
+    test('can be given from the start', () => {
+        const faulty = new PayPalMockServer({ faults: [{ status: 503, path: '/v1/oauth2/token' }] });
+
+        expect(faulty.faults).toEqual([{ status: 503, path: '/v1/oauth2/token', times: 1, method: undefined }]);
+    });
+
+    test.each([
+        ['429:POST:/v2/invoicing/invoices:2', { status: 429, method: 'POST', path: '/v2/invoicing/invoices', times: 2 }],
+        ['500', { status: 500, method: undefined, path: undefined, times: 1 }],
+        ['reset::/send', { reset: true, method: undefined, path: '/send', times: 1 }]
+    ])('are parsed from %s', (spec, fault) => {
+        expect(PayPalMockServer.parseFault(spec)).toEqual(fault);
+    });
+
+    test('reject unreadable specs', () => {
+        expect(() => PayPalMockServer.parseFault('slow:GET')).toThrow('Invalid fault "slow:GET" (expected STATUS[:METHOD[:PATH[:TIMES]]], e.g. 429:POST:/v2/invoicing/invoices:2)');
+    });
+});
+
+describe('control endpoints', () => {
+    test('inject and clear faults', async () => {
+        const injected = await request('POST', '/__mock/faults', [{ status: 500, path: '/send' }, { status: 429, times: 2 }]);
+
+        expect(injected.status).toBe(201);
+        expect(injected.data.faults).toHaveLength(2);
+        expect((await request('POST', '/__mock/faults', { path: '/send' })).data).toEqual({ error: 'A fault needs a status, reset or delay' });
+
+        expect((await request('DELETE', '/__mock/faults')).status).toBe(204);
+        expect(mock.faults).toEqual([]);
+    });
+
+    test('show the state without logging themselves', async () => {
+        await createInvoice();
+
+        const state = await request('GET', '/__mock/state');
+
+        expect(state.data.invoices).toHaveLength(1);
+        expect(state.data.requests.map(logged => `${logged.method} ${logged.path}`)).toEqual(['POST /v1/oauth2/token', 'POST /v2/invoicing/invoices']);
+    });
+
+    test('revoke tokens and reset everything', async () => {
+        await createInvoice();
+
+        expect((await request('POST', '/__mock/revoke-tokens')).status).toBe(204);
+        expect((await api('GET', '/v2/invoicing/invoices')).status).toBe(401);
+
+        expect((await request('POST', '/__mock/reset')).status).toBe(204);
+        expect(mock.invoices.size).toBe(0);
+        expect(mock.requests).toEqual([]);
+        expect((await request('GET', '/__mock/nothing')).status).toBe(404);
+    });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const Reconciliation = require('../src/reconciliation');
+const InvoiceLedger = require('../src/invoiceLedger');
+const { run } = require('../src/cli');
+
+const AS_OF = '2026-03-10';
+
+const record = (invoiceNumber, status, fields = {}) => ({
+    invoiceId: `INV2-${invoiceNumber}`,
+    invoiceNumber,
+    status,
+    customer: { email: `${invoiceNumber.toLowerCase()}@example.com` },
+    totals: { currency: 'USD', total: '100.00' },
+    ...fields
+});
+
+const paypalInvoice = (id, status, dueAmount, paidAmount) => ({
+    id,
+    status,
+    detail: { invoice_number: 'EXT-1', invoice_date: '2026-03-01', payment_term: { due_date: '2026-03-08' } },
+    primary_recipients: [{ billing_info: { email_address: 'ext@example.com', name: { given_name: 'Ext', surname: 'Ernal' } } }],
+    amount: { currency_code: 'EUR', value: '80.00' },
+    due_amount: { currency_code: 'EUR', value: dueAmount },
+    payments: paidAmount ? {
+        paid_amount: { currency_code: 'EUR', value: paidAmount },
+        transactions: [{ payment_id: 'PAY-1', method: 'BANK_TRANSFER', payment_date: '2026-03-05', amount: { currency_code: 'EUR', value: paidAmount } }]
+    } : undefined
+});
+
+describe('Reconciliation.buildReport', () => {
+    const report = Reconciliation.buildReport([
+        record('PAID', 'PAID'),
+        record('MARKED', 'MARKED_AS_PAID'),
+        record('PART', 'PARTIALLY_PAID', { dueDate: '2026-03-01', dueAmount: { currency: 'USD', value: '60.00' } }),
+        record('LATE', 'SENT', { dueDate: '2026-03-09' }),
+        record('TODAY', 'SENT', { dueDate: AS_OF, totals: { currency: 'EUR', total: '50.00' } }),
+        record('DRAFT', 'DRAFT', { dueDate: '2026-03-01' }),
+        record('VOID', 'CANCELLED', { dueDate: '2026-03-01' })
+    ], AS_OF);
+
+    const numbers = records => records.map(entry => entry.invoiceNumber);
+
+    test('groups paid, partially paid, overdue, open and cancelled invoices', () => {
+        expect(numbers(report.paid)).toEqual(['PAID', 'MARKED']);
+        expect(numbers(report.partiallyPaid)).toEqual(['PART']);
+        expect(numbers(report.overdue)).toEqual(['PART', 'LATE']);
+        expect(numbers(report.open)).toEqual(['TODAY']);
+        expect(numbers(report.cancelled)).toEqual(['VOID']);
+    });
+
+    test('sums what is outstanding per currency from the due amount, else the total', () => {
+        expect(report.outstanding).toEqual({ USD: 160, EUR: 50 });
+        expect(report.overdueOutstanding).toEqual({ USD: 160 });
+    });
+
+    test('formats every group and the outstanding totals', () => {
+        const text = Reconciliation.formatReport(report);
+
+        expect(text).toContain(`RECONCILIATION REPORT (${AS_OF})`);
+        expect(text).toMatch(/OVERDUE \(2\)/);
+        expect(text).toContain('USD 160.00');
+        expect(text).toContain('(overdue: USD 160.00)');
+        expect(Reconciliation.formatReport(Reconciliation.buildReport([], AS_OF))).toContain('Nothing outstanding');
+    });
+});
+
+describe('recording synced invoices', () => {
+    let ledger;
+
+    beforeEach(() => {
+        fs.rmSync(process.env.INVOICE_LEDGER_FILE, { force: true });
+        ledger = new InvoiceLedger();
+    });
+
+    test('adds invoices created outside this tool with their customer and totals', () => {
+        ledger.recordSync(paypalInvoice('INV2-EXT', 'SENT', '80.00'), { environment: 'SANDBOX', profile: 'default' });
+
+        expect(ledger.getInvoice('INV2-EXT')).toMatchObject({
+            invoiceNumber: 'EXT-1',
+            status: 'SENT',
+            dueDate: '2026-03-08',
+            customer: { email: 'ext@example.com', name: 'Ext Ernal' },
+            totals: { currency: 'EUR', total: '80.00' },
+            dueAmount: { currency: 'EUR', value: '80.00' }
+        });
+    });
+
+    test('only appends when the status, due amount or payments changed', () => {
+        const context = { environment: 'SANDBOX', profile: 'default' };
+
+        expect(ledger.recordSync(paypalInvoice('INV2-EXT', 'SENT', '80.00'), context)).not.toBeNull();
+        expect(ledger.recordSync(paypalInvoice('INV2-EXT', 'SENT', '80.00'), context)).toBeNull();
+        expect(ledger.recordSync(paypalInvoice('INV2-EXT', 'PARTIALLY_PAID', '30.00', '50.00'), context)).not.toBeNull();
+
+        expect(ledger.getInvoice('INV2-EXT')).toMatchObject({
+            status: 'PARTIALLY_PAID',
+            paidAmount: { value: '50.00' },
+            payments: [{ paymentId: 'PAY-1', method: 'BANK_TRANSFER', date: '2026-03-05', amount: { currency: 'EUR', value: '50.00' } }]
+        });
+        expect(ledger.readEvents()).toHaveLength(2);
+    });
+
+    test('sync --report-only reports from the ledger without calling PayPal', async () => {
+        ledger.recordSync(paypalInvoice('INV2-EXT', 'SENT', '80.00'), { environment: 'SANDBOX', profile: 'default' });
+        const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await run(['node', 'paypal-invoice', 'sync', '--report-only', '--json'])).toBe(0);
+        jest.restoreAllMocks();
+
+        const result = JSON.parse(stdout.mock.calls.map(([chunk]) => chunk).join(''));
+        expect(result).toMatchObject({ success: true, sync: null, report: { outstanding: { EUR: 80 } } });
+        expect(result.report.overdue.map(entry => entry.invoiceId)).toEqual(['INV2-EXT']);
+    });
+});
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const RecurringSchedules = require('../src/recurringSchedules');
+const PayPalMockServer = require('../src/paypalMockServer');
+const { run } = require('../src/cli');
+
+const schedule = (fields = {}) => ({
+    id: 'example-monthly',
+    customerId: 'example',
+    cadence: 'monthly',
+    startDate: '2026-08-01',
+    invoice: {
+        services: [{ type: 'guest_post', price: 40, quantity: 2, title: 'Guest posts ({period})' }],
+        memo: 'Retainer {date}'
+    },
+    ...fields
+});
+
+const writeSchedules = contents => fs.writeFileSync(process.env.SCHEDULES_FILE, JSON.stringify(contents));
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    process.exitCode = undefined;
+    fs.rmSync(process.env.SCHEDULES_FILE, { force: true });
+});
+
+describe('RecurringSchedules.validate', () => {
+    test('accepts a complete schedule', () => {
+        expect(RecurringSchedules.validate(schedule({ interval: 2, endDate: '2026-12-31' }))).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('reports every problem', () => {
+        expect(RecurringSchedules.validate({ id: 'bad id', cadence: 'yearly', interval: 0, startDate: '2026-13-01', invoice: { services: [] } }).errors).toEqual([
+            'id is required (letters, numbers, - and _)',
+            'customerId (or customer) is required',
+            'invoice.services must list at least one service',
+            'cadence must be one of: monthly, weekly, days',
+            'interval must be a whole number above 0',
+            'startDate is required (YYYY-MM-DD)'
+        ]);
+        expect(RecurringSchedules.validate(schedule({ endDate: '2026-07-31' })).errors).toEqual(['endDate is before startDate']);
+        expect(RecurringSchedules.validate(schedule({ endDate: 'soon' })).errors).toEqual(['endDate must be a date (YYYY-MM-DD)']);
+    });
+});
+
+describe('RecurringSchedules.load', () => {
+    test('reads the example schedules', () => {
+        const schedules = new RecurringSchedules({ filePath: path.join(global.EXAMPLES_DIR, 'schedules.example.json') }).load();
+
+        expect(schedules.map(entry => entry.id)).toEqual(['sencha-monthly', 'example-fortnightly']);
+    });
+
+    test('accepts a plain array and rejects invalid or duplicate schedules', () => {
+        writeSchedules([schedule()]);
+        expect(new RecurringSchedules().load()).toHaveLength(1);
+
+        writeSchedules({ schedules: [schedule(), schedule({ cadence: 'hourly' })] });
+        expect(() => new RecurringSchedules().load()).toThrow([
+            `Invalid schedules in ${process.env.SCHEDULES_FILE}:`,
+            'Schedule example-monthly: cadence must be one of: monthly, weekly, days',
+            'Schedule ID used more than once: example-monthly'
+        ].join('\n'));
+
+        writeSchedules({ rows: [] });
+        expect(() => new RecurringSchedules().load()).toThrow('Schedules JSON must be an array of schedules (or {"schedules": [...]})');
+    });
+
+    test('fails when the file does not exist', () => {
+        expect(() => new RecurringSchedules().load()).toThrow(`Schedules file not found: ${process.env.SCHEDULES_FILE} (set SCHEDULES_FILE)`);
+    });
+});
+
+describe('occurrences', () => {
+    test('count months from the start date, keeping month-end schedules at the month end', () => {
+        const monthEnd = schedule({ startDate: '2026-01-31' });
+
+        expect(RecurringSchedules.occurrences(monthEnd, '2026-04-30')).toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+    });
+
+    test('repeat every interval until the end date', () => {
+        const fortnightly = schedule({ cadence: 'days', interval: 14, startDate: '2026-09-07', endDate: '2026-10-10' });
+
+        expect(RecurringSchedules.occurrences(fortnightly, '2026-12-31')).toEqual(['2026-09-07', '2026-09-21', '2026-10-05']);
+        expect(RecurringSchedules.occurrences(fortnightly, '2026-09-01')).toEqual([]);
+        expect(RecurringSchedules.nextOccurrence(fortnightly, '2026-09-07')).toBe('2026-09-21');
+        expect(RecurringSchedules.nextOccurrence(fortnightly, '2026-10-05')).toBeNull();
+    });
+
+    test('are labelled with their billing period', () => {
+        expect(RecurringSchedules.periodLabel(schedule(), '2026-10-01')).toBe('October 2026');
+        expect(RecurringSchedules.periodLabel(schedule({ cadence: 'weekly', interval: 2 }), '2026-10-05')).toBe('5 Oct 2026 - 18 Oct 2026');
+        expect(RecurringSchedules.periodLabel(schedule({ interval: 3 }), '2026-10-01')).toBe('1 Oct 2026 - 31 Dec 2026');
+    });
+});
+
+describe('RecurringSchedules.buildInvoiceData', () => {
+    test('fills in the period and date and ties the invoice to its occurrence', () => {
+        const invoiceData = new RecurringSchedules().buildInvoiceData(schedule(), '2026-10-01');
+
+        expect(invoiceData.items[0]).toMatchObject({ quantity: 2, unitAmount: 40, description: expect.stringContaining('Guest posts (October 2026)') });
+        expect(invoiceData).toMatchObject({
+            memo: 'Retainer 2026-10-01',
+            reference: 'example-monthly 2026-10-01',
+            idempotencyKey: 'schedule-example-monthly-2026-10-01',
+            schedule: { id: 'example-monthly', occurrence: '2026-10-01' }
+        });
+    });
+});
+
+describe('billing due occurrences', () => {
+    const mock = new PayPalMockServer({ clientId: process.env.PAYPAL_CLIENT_ID, clientSecret: process.env.PAYPAL_CLIENT_SECRET });
+    const lockFile = path.join(path.dirname(process.env.INVOICE_LEDGER_FILE), 'run-due.lock');
+
+    beforeAll(async () => {
+        process.env.PAYPAL_API_BASE_URL = await mock.start();
+    });
+
+    afterAll(() => mock.stop());
+
+    beforeEach(() => {
+        mock.reset();
+        fs.rmSync(process.env.INVOICE_LEDGER_FILE, { force: true });
+        fs.rmSync(process.env.INVOICE_NUMBERS_FILE, { force: true });
+        fs.rmSync(lockFile, { force: true });
+    });
+
+    const dueDates = (recurring, schedules, asOf) => recurring.findDue(schedules, { asOf }).map(entry => entry.date);
+
+    test('bills every missed occurrence once', async () => {
+        const recurring = new RecurringSchedules();
+        const schedules = [schedule()];
+
+        expect(dueDates(recurring, schedules, '2026-10-15')).toEqual(['2026-08-01', '2026-09-01', '2026-10-01']);
+
+        const results = await recurring.run(recurring.findDue(schedules, { asOf: '2026-10-15' }));
+
+        expect(results.map(result => [result.occurrence, result.status, result.total])).toEqual([
+            ['2026-08-01', 'created', 'USD 80.00'],
+            ['2026-09-01', 'created', 'USD 80.00'],
+            ['2026-10-01', 'created', 'USD 80.00']
+        ]);
+        expect(mock.invoices.size).toBe(3);
+        expect(dueDates(recurring, schedules, '2026-10-15')).toEqual([]);
+        expect(dueDates(recurring, schedules, '2026-11-01')).toEqual(['2026-11-01']);
+        expect(fs.existsSync(lockFile)).toBe(false);
+    });
+
+    test('sends autoSend occurrences left as drafts on the next run', async () => {
+        const recurring = new RecurringSchedules();
+        await recurring.run(recurring.findDue([schedule()], { asOf: '2026-08-15' }));
+
+        const due = recurring.findDue([schedule({ autoSend: true })], { asOf: '2026-08-15' });
+        expect(due).toEqual([expect.objectContaining({ date: '2026-08-01', invoiceId: expect.stringMatching(/^INV2-/) })]);
+
+        const [result] = await recurring.run(due);
+        expect(result).toMatchObject({ status: 'sent', invoiceId: due[0].invoiceId });
+        expect(mock.invoices.size).toBe(1);
+        expect(recurring.findDue([schedule({ autoSend: true })], { asOf: '2026-08-15' })).toEqual([]);
+    });
+
+    test('reports occurrences PayPal rejects as failed', async () => {
+        mock.injectFault({ status: 422, method: 'POST', path: '/v2/invoicing/invoices' });
+        const recurring = new RecurringSchedules();
+
+        const [result] = await recurring.run(recurring.findDue([schedule()], { asOf: '2026-08-01' }));
+
+        expect(result).toMatchObject({ occurrence: '2026-08-01', status: 'failed', errors: [expect.any(String)] });
+        expect(dueDates(recurring, [schedule()], '2026-08-01')).toEqual(['2026-08-01']);
+    });
+
+    test('never runs while another run holds the lock, unless the lock is stale', async () => {
+        const recurring = new RecurringSchedules();
+        fs.writeFileSync(lockFile, '12345');
+
+        await expect(recurring.run([])).rejects.toThrow(`Another run-due is in progress (lock file: ${lockFile})`);
+
+        const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+        fs.utimesSync(lockFile, old, old);
+        expect(await recurring.run([])).toEqual([]);
+        expect(fs.existsSync(lockFile)).toBe(false);
+    });
+
+    describe('schedules commands', () => {
+        const cliJson = async (...args) => {
+            const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+            const code = await run(['node', 'paypal-invoice', 'schedules', ...args, '--json']);
+            const result = JSON.parse(stdout.mock.calls.map(([chunk]) => chunk).join(''));
+            stdout.mockRestore();
+            return { code, result };
+        };
+
+        beforeEach(() => {
+            writeSchedules({ schedules: [schedule(), schedule({ id: 'ended', startDate: '2026-01-01', endDate: '2026-01-31' })] });
+        });
+
+        test('list what is due and the next occurrence', async () => {
+            const { code, result } = await cliJson('list', '--as-of', '2026-09-15');
+
+            expect(code).toBe(0);
+            expect(result.schedules).toEqual([
+                expect.objectContaining({ id: 'example-monthly', due: ['2026-08-01', '2026-09-01'], nextOccurrence: '2026-10-01' }),
+                expect.objectContaining({ id: 'ended', due: ['2026-01-01'], nextOccurrence: null })
+            ]);
+        });
+
+        test('run-due --dry-run validates without calling PayPal, then run-due bills', async () => {
+            const dryRun = await cliJson('run-due', '--id', 'example-monthly', '--as-of', '2026-09-15', '--dry-run');
+            expect(dryRun.result.results.map(result => result.status)).toEqual(['due', 'due']);
+            expect(mock.invoices.size).toBe(0);
+
+            const { code, result } = await cliJson('run-due', '--id', 'example-monthly', '--as-of', '2026-09-15', '--yes');
+            expect(code).toBe(0);
+            expect(result.results.map(entry => entry.status)).toEqual(['created', 'created']);
+
+            expect((await cliJson('run-due', '--id', 'example-monthly', '--as-of', '2026-09-15', '--yes')).result).toEqual({ success: true, results: [] });
+        });
+
+        test('run-due fails for an unknown schedule', async () => {
+            expect(await run(['node', 'paypal-invoice', 'schedules', 'run-due', '--id', 'nobody'])).toBe(2);
+        });
+    });
+});
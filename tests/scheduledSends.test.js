@@ -0,0 +1,224 @@
+const fs = require('fs');
+const moment = require('moment');
+const ScheduledSends = require('../src/scheduledSends');
+const InvoiceManager = require('../src/invoiceManager');
+const CustomerTemplates = require('../src/customerTemplates');
+const PayPalMockServer = require('../src/paypalMockServer');
+const { run } = require('../src/cli');
+
+const pendingRecord = (invoiceId, at, fields = {}) => ({ invoiceId, status: 'DRAFT', scheduledSend: { at, dueInDays: 14 }, ...fields });
+
+describe('ScheduledSends.parseSendAt', () => {
+    test('reads dates as local midnight and date-times as local time', () => {
+        expect(ScheduledSends.parseSendAt('2026-11-02')).toBe(moment('2026-11-02 00:00', 'YYYY-MM-DD HH:mm').toISOString());
+        expect(ScheduledSends.parseSendAt(' 2026-11-02 09:30 ')).toBe(moment('2026-11-02 09:30', 'YYYY-MM-DD HH:mm').toISOString());
+        expect(ScheduledSends.parseSendAt('2026-11-02T09:30')).toBe(moment('2026-11-02 09:30', 'YYYY-MM-DD HH:mm').toISOString());
+    });
+
+    test('keeps the offset of ISO timestamps', () => {
+        expect(ScheduledSends.parseSendAt('2026-11-02T09:30:00+05:30')).toBe('2026-11-02T04:00:00.000Z');
+        expect(ScheduledSends.parseSendAt('2026-11-02T09:30:00Z')).toBe('2026-11-02T09:30:00.000Z');
+    });
+
+    test.each(['', 'tomorrow', '2026-13-01', '02/11/2026', undefined])('rejects %p', value => {
+        expect(() => ScheduledSends.parseSendAt(value)).toThrow(`Invalid send time: ${value} (expected YYYY-MM-DD, "YYYY-MM-DD HH:mm" or an ISO timestamp)`);
+    });
+});
+
+describe('payment terms of scheduled sends', () => {
+    test('are the days from the invoice date to the due date', () => {
+        const invoice = (invoiceDate, dueDate) => ({ detail: { invoice_date: invoiceDate, payment_term: dueDate ? { due_date: dueDate } : undefined } });
+
+        expect(ScheduledSends.paymentTermDays(invoice('2026-10-01', '2026-10-31'))).toBe(30);
+        expect(ScheduledSends.paymentTermDays(invoice('2026-10-01', '2026-09-30'))).toBe(0);
+        expect(ScheduledSends.paymentTermDays(invoice('2026-10-01'))).toBeNull();
+        expect(ScheduledSends.paymentTermDays({})).toBeNull();
+    });
+
+    test('date the due date from the send', () => {
+        expect(ScheduledSends.dueDateFor({ dueInDays: 14 }, '2026-11-02T09:00:00')).toBe('2026-11-16');
+        expect(ScheduledSends.dueDateFor({ dueInDays: 0 }, '2026-11-02T09:00:00')).toBe('2026-11-02');
+        expect(ScheduledSends.dueDateFor({ dueInDays: null }, '2026-11-02T09:00:00')).toBeNull();
+    });
+});
+
+describe('pending and due sends', () => {
+    const records = [
+        pendingRecord('INV2-LATE', '2026-11-05T09:00:00.000Z'),
+        pendingRecord('INV2-SOON', '2026-11-01T09:00:00.000Z'),
+        pendingRecord('INV2-SENT', '2026-10-01T09:00:00.000Z', { status: 'UNPAID' }),
+        { invoiceId: 'INV2-PLAIN', status: 'DRAFT' }
+    ];
+
+    test('are drafts with a send time, soonest first', () => {
+        expect(ScheduledSends.isPending(records[2])).toBe(false);
+        expect(ScheduledSends.isPending(records[3])).toBe(false);
+        expect(ScheduledSends.pending(records).map(record => record.invoiceId)).toEqual(['INV2-SOON', 'INV2-LATE']);
+    });
+
+    test('are due once their time has come', () => {
+        expect(ScheduledSends.findDue(records, '2026-10-31T00:00:00.000Z')).toEqual([]);
+        expect(ScheduledSends.findDue(records, '2026-11-01T09:00:00.000Z').map(record => record.invoiceId)).toEqual(['INV2-SOON']);
+        expect(ScheduledSends.findDue(records, new Date('2026-12-01')).map(record => record.invoiceId)).toEqual(['INV2-SOON', 'INV2-LATE']);
+    });
+});
+
+describe('scheduling and dispatching drafts', () => {
+    const mock = new PayPalMockServer({ clientId: process.env.PAYPAL_CLIENT_ID, clientSecret: process.env.PAYPAL_CLIENT_SECRET });
+
+    beforeAll(async () => {
+        process.env.PAYPAL_API_BASE_URL = await mock.start();
+    });
+
+    afterAll(() => mock.stop());
+
+    beforeEach(() => {
+        mock.reset();
+        fs.rmSync(process.env.INVOICE_LEDGER_FILE, { force: true });
+        fs.rmSync(process.env.INVOICE_NUMBERS_FILE, { force: true });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        process.exitCode = undefined;
+    });
+
+    const createDraft = async (manager, reference = 'PO-1') => {
+        const result = await manager.createInvoice({
+            ...CustomerTemplates.createGuestPostInvoice(
+                { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', address: { countryCode: 'US' } },
+                { price: 40, url: 'https://test-media.example/article' }
+            ),
+            reference,
+            invoiceDate: '2026-10-01',
+            dueDate: '2026-10-15'
+        });
+        expect(result.success).toBe(true);
+        return result.invoiceId;
+    };
+
+    const sends = () => mock.requests.filter(request => request.method === 'POST' && request.path.endsWith('/send'));
+
+    test('keeps the draft\'s payment term with the schedule', async () => {
+        const manager = new InvoiceManager();
+        const invoiceId = await createDraft(manager);
+
+        const result = await manager.scheduleSend(invoiceId, '2026-11-02 09:00', { subject: 'Your invoice', sendToInvoicer: true });
+
+        expect(result).toEqual({ success: true, invoiceId, sendAt: ScheduledSends.parseSendAt('2026-11-02 09:00') });
+        expect(manager.ledger.getInvoice(invoiceId).scheduledSend).toEqual({
+            at: result.sendAt,
+            subject: 'Your invoice',
+            note: '',
+            sendToInvoicer: true,
+            dueInDays: 14
+        });
+    });
+
+    test('refuses invoices that are no longer drafts', async () => {
+        const manager = new InvoiceManager();
+        const invoiceId = await createDraft(manager);
+        await manager.sendInvoice(invoiceId);
+
+        expect(await manager.scheduleSend(invoiceId, '2026-11-02')).toMatchObject({ success: false, error: expect.stringContaining('Only draft invoices can be scheduled') });
+        expect(await manager.scheduleSend(invoiceId, 'soon')).toMatchObject({ success: false, error: expect.stringContaining('Invalid send time: soon') });
+    });
+
+    test('dispatch moves the due date, sends due drafts once and leaves the rest queued', async () => {
+        const manager = new InvoiceManager();
+        const dueNow = await createDraft(manager);
+        const later = await createDraft(manager, 'PO-2');
+        await manager.scheduleSend(dueNow, '2026-11-02 09:00', { subject: 'Your invoice' });
+        await manager.scheduleSend(later, '2026-12-01 09:00');
+
+        expect(await manager.dispatchScheduledSends({ now: '2026-11-02T12:00:00', dryRun: true })).toMatchObject({ dryRun: true, due: [expect.objectContaining({ record: expect.objectContaining({ invoiceId: dueNow }) })], sent: 0 });
+        expect(sends()).toEqual([]);
+
+        const result = await manager.dispatchScheduledSends({ now: '2026-11-02T12:00:00' });
+
+        expect(result).toMatchObject({ success: true, sent: 1, failed: 0 });
+        expect(mock.invoices.get(dueNow).detail.payment_term).toEqual({ term_type: 'DUE_ON_DATE_SPECIFIED', due_date: '2026-11-16' });
+        expect(mock.invoices.get(dueNow).status).not.toBe('DRAFT');
+        expect(sends()).toEqual([expect.objectContaining({ path: `/v2/invoicing/invoices/${dueNow}/send`, body: expect.objectContaining({ subject: 'Your invoice' }) })]);
+        expect(ScheduledSends.pending(manager.ledger.query({})).map(record => record.invoiceId)).toEqual([later]);
+
+        expect(await manager.dispatchScheduledSends({ now: '2026-11-02T12:00:00' })).toMatchObject({ success: true, due: [], sent: 0 });
+    });
+
+    test('dispatch keeps failed sends queued for the next run', async () => {
+        const manager = new InvoiceManager();
+        const invoiceId = await createDraft(manager);
+        await manager.scheduleSend(invoiceId, '2026-11-02 09:00');
+        mock.injectFault({ status: 422, method: 'POST', path: `/v2/invoicing/invoices/${invoiceId}/send` });
+
+        expect(await manager.dispatchScheduledSends({ now: '2026-11-02T12:00:00' })).toMatchObject({ success: false, sent: 0, failed: 1 });
+        expect(ScheduledSends.findDue(manager.ledger.query({}), '2026-11-02T12:00:00').map(record => record.invoiceId)).toEqual([invoiceId]);
+
+        expect(await manager.dispatchScheduledSends({ now: '2026-11-02T12:00:00' })).toMatchObject({ success: true, sent: 1 });
+    });
+
+    test('cancelling a send keeps the draft', async () => {
+        const manager = new InvoiceManager();
+        const invoiceId = await createDraft(manager);
+        await manager.scheduleSend(invoiceId, '2026-11-02 09:00');
+
+        expect(manager.unscheduleSend(invoiceId)).toEqual({ success: true, invoiceId });
+        expect(manager.ledger.getInvoice(invoiceId)).toMatchObject({ status: 'DRAFT', scheduledSend: null });
+        expect(manager.unscheduleSend(invoiceId)).toMatchObject({ success: false, error: `No pending send for invoice ${invoiceId}` });
+    });
+
+    describe('sends commands', () => {
+        const cliJson = async (...args) => {
+            const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+            const code = await run(['node', 'paypal-invoice', ...args, '--json']);
+            const result = JSON.parse(stdout.mock.calls.map(([chunk]) => chunk).join(''));
+            stdout.mockRestore();
+            return { code, result };
+        };
+
+        test('schedule, list and cancel a send', async () => {
+            const invoiceId = await createDraft(new InvoiceManager());
+
+            const scheduled = await cliJson('sends', 'schedule', invoiceId, '--at', '2026-11-02 09:00', '--subject', 'October posts');
+            expect(scheduled).toEqual({ code: 0, result: { success: true, invoiceId, sendAt: ScheduledSends.parseSendAt('2026-11-02 09:00') } });
+
+            // Rescheduling keeps the earlier email text
+            await cliJson('sends', 'reschedule', invoiceId, '--at', '2026-11-03');
+            const { result } = await cliJson('sends', 'list');
+            expect(result.sends).toEqual([expect.objectContaining({ invoiceId, sendAt: ScheduledSends.parseSendAt('2026-11-03'), subject: 'October posts' })]);
+
+            expect((await cliJson('sends', 'cancel', invoiceId)).code).toBe(0);
+            expect((await cliJson('sends', 'list')).result).toEqual({ success: true, sends: [] });
+        });
+
+        test('schedule rejects an invalid time as a usage error', async () => {
+            jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+
+            expect(await run(['node', 'paypal-invoice', 'sends', 'schedule', 'INV2-ANY', '--at', 'next week'])).toBe(2);
+        });
+
+        test('dispatch --dry-run lists due sends and dispatch --yes sends them', async () => {
+            const invoiceId = await createDraft(new InvoiceManager());
+            await cliJson('sends', 'schedule', invoiceId, '--at', '2026-01-01');
+
+            const dryRun = await cliJson('dispatch', '--dry-run');
+            expect(dryRun.result).toMatchObject({ dryRun: true, due: [expect.objectContaining({ invoiceId, sent: false })] });
+            expect(sends()).toEqual([]);
+
+            const { code, result } = await cliJson('dispatch', '--yes');
+            expect(code).toBe(0);
+            expect(result).toMatchObject({ success: true, sent: 1, due: [expect.objectContaining({ invoiceId, sent: true })] });
+        });
+
+        test('dispatch needs --yes without a terminal', async () => {
+            const invoiceId = await createDraft(new InvoiceManager());
+            await cliJson('sends', 'schedule', invoiceId, '--at', '2026-01-01');
+
+            expect(await run(['node', 'paypal-invoice', 'dispatch'])).toBe(2);
+            expect(sends()).toEqual([]);
+        });
+    });
+});
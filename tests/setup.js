@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Test environment
+ * 
+ * Every test file gets its own temporary ledger and numbering files, the example
+ * customer directory and the default business profile built from the BUSINESS_*
+ * values below. Variables are set (even to '') before any module loads dotenv,
+ * so a developer's .env never leaks into the tests
+ */
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'paypal-invoice-test-'));
+const examplesDir = path.join(__dirname, '..', 'examples');
+
+Object.assign(process.env, {
+    PAYPAL_CLIENT_ID: 'test-client-id',
+    PAYPAL_CLIENT_SECRET: 'test-client-secret',
+    PAYPAL_ENVIRONMENT: 'SANDBOX',
+    PAYPAL_API_BASE_URL: '',
+    PAYPAL_WEBHOOK_ID: '',
+    PAYPAL_TIMEOUT_MS: '5000',
+    PAYPAL_MAX_RETRIES: '2',
+    BUSINESS_PROFILE: '',
+    BUSINESS_PROFILES_FILE: path.join(tempDir, 'profiles.json'),
+    BUSINESS_NAME: 'Test Media',
+    BUSINESS_LEGAL_NAME: '',
+    BUSINESS_EMAIL: 'billing@test-media.example',
+    BUSINESS_PHONE: '',
+    BUSINESS_WEBSITE: 'https://test-media.example',
+    BUSINESS_TAX_ID: '',
+    BUSINESS_LOGO_URL: '',
+    BUSINESS_LOGO_PATH: '',
+    BUSINESS_ADDRESS_LINE_1: '1 Test Street',
+    BUSINESS_ADDRESS_LINE_2: '',
+    BUSINESS_CITY: 'Pune',
+    BUSINESS_STATE: 'MH',
+    BUSINESS_POSTAL_CODE: '411001',
+    BUSINESS_COUNTRY: 'IN',
+    INVOICE_NUMBER_PATTERN: '',
+    DEFAULT_CURRENCY: '',
+    HOME_CURRENCY: '',
+    CUSTOMERS_FILE: path.join(examplesDir, 'customers.example.json'),
+    TAX_RULES_FILE: path.join(tempDir, 'tax-rules.json'),
+    EXCHANGE_RATES_FILE: path.join(tempDir, 'exchange-rates.json'),
+    INVOICE_LEDGER_FILE: path.join(tempDir, 'ledger.jsonl'),
+    INVOICE_NUMBERS_FILE: path.join(tempDir, 'invoice-numbers.json'),
+    SCHEDULES_FILE: path.join(tempDir, 'schedules.json'),
+    WEBHOOK_HOOKS_FILE: path.join(tempDir, 'webhook-hooks.json')
+});
+
+global.TEST_TEMP_DIR = tempDir;
+global.EXAMPLES_DIR = examplesDir;
+
+afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
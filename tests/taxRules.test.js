@@ -0,0 +1,126 @@
+const fs = require('fs');
+const TaxRules = require('../src/taxRules');
+const InvoiceStructure = require('../src/invoiceStructure');
+const InvoiceManager = require('../src/invoiceManager');
+const CustomerTemplates = require('../src/customerTemplates');
+
+const decide = (invoicerCountry, customerCountry, vatNumber) => new TaxRules().decide({ invoicerCountry, customerCountry, vatNumber, invoicerTaxId: 'DE123456789' });
+
+const writeRules = contents => fs.writeFileSync(process.env.TAX_RULES_FILE, JSON.stringify(contents));
+
+afterEach(() => {
+    fs.rmSync(process.env.TAX_RULES_FILE, { force: true });
+    jest.restoreAllMocks();
+});
+
+describe('TaxRules.decide with the built-in rules', () => {
+    test('charges an EU invoicer\'s VAT at home and reverse-charges EU businesses', () => {
+        expect(decide('DE', 'DE')).toEqual({ regime: 'domestic', tax: { name: 'VAT', percent: 19 }, note: '', term: '', warning: null });
+
+        const reverseCharge = decide('DE', 'FR', 'FR12345678901');
+        expect(reverseCharge).toMatchObject({ regime: 'reverse_charge', tax: null });
+        expect(reverseCharge.note).toMatch(/^Reverse charge: .* Customer VAT number: FR12345678901\.$/);
+    });
+
+    test('charges EU consumers their own country\'s VAT and nothing outside the EU', () => {
+        expect(decide('DE', 'fr')).toMatchObject({ regime: 'eu_consumer', tax: { name: 'VAT', percent: 20 } });
+        expect(decide('DE', 'FR', '  ')).toMatchObject({ regime: 'eu_consumer' });
+        expect(decide('DE', 'US')).toMatchObject({ regime: 'export', tax: null, note: TaxRules.DEFAULT_CONFIG.notes.euExport });
+    });
+
+    test('charges UK VAT and Indian GST at home only', () => {
+        expect(decide('GB', 'GB')).toMatchObject({ regime: 'domestic', tax: { name: 'VAT', percent: 20 } });
+        expect(decide('GB', 'DE', 'DE123')).toMatchObject({ regime: 'export', tax: null, note: TaxRules.DEFAULT_CONFIG.notes.ukExport });
+        expect(decide('IN', 'IN')).toMatchObject({ regime: 'domestic', tax: { name: 'GST', percent: 18 } });
+        expect(decide('IN', 'US')).toMatchObject({ regime: 'export', tax: null, note: TaxRules.DEFAULT_CONFIG.notes.indiaExport });
+    });
+
+    test('adds no tax for other invoicers', () => {
+        expect(decide('US', 'US')).toEqual({ regime: 'none', tax: null, note: '', term: '', warning: null });
+    });
+
+    test('warns when a taxed invoicer\'s customer has no country', () => {
+        expect(decide('IN', undefined)).toMatchObject({ regime: 'unknown', tax: null, warning: expect.stringContaining('address.countryCode') });
+        expect(decide('US', '')).toMatchObject({ regime: 'unknown', warning: null });
+    });
+});
+
+describe('TaxRules with a rules file', () => {
+    test('overrides rates and notes, keeping the other built-in settings', () => {
+        writeRules({ vatRates: { DE: 7 }, euConsumerVat: 'invoicer', notes: { euExport: 'Export from {invoicerTaxId}.' } });
+
+        expect(decide('DE', 'DE').tax).toEqual({ name: 'VAT', percent: 7 });
+        expect(decide('DE', 'FR').tax).toEqual({ name: 'VAT', percent: 7 });
+        expect(decide('DE', 'US').note).toBe('Export from DE123456789.');
+        expect(decide('IN', 'IN').tax.percent).toBe(18);
+        expect(new TaxRules().load().notes.reverseCharge).toBe(TaxRules.DEFAULT_CONFIG.notes.reverseCharge);
+    });
+
+    test('checks extra rules first, by country, "EU", "*" and b2b', () => {
+        writeRules({
+            rules: [
+                { invoicerCountry: 'US', customerCountry: 'US', tax: { name: 'Sales Tax', percent: '8.25' }, note: 'Texas sales tax.' },
+                { invoicerCountry: 'US', customerCountry: 'EU', b2b: true, tax: null, term: 'Reverse charge for {customerVatNumber}' },
+                { invoicerCountry: 'us', customerCountry: '*', tax: { percent: 2 } }
+            ]
+        });
+
+        expect(decide('US', 'US')).toEqual({ regime: 'custom', tax: { name: 'Sales Tax', percent: 8.25 }, note: 'Texas sales tax.', term: '', warning: null });
+        expect(decide('US', 'DE', 'DE999')).toMatchObject({ regime: 'custom', tax: null, term: 'Reverse charge for DE999' });
+        expect(decide('US', 'DE')).toMatchObject({ regime: 'custom', tax: { name: 'Tax', percent: 2 } });
+        expect(decide('DE', 'DE')).toMatchObject({ regime: 'domestic' });
+    });
+
+    test('is read from the path given to the constructor', () => {
+        expect(new TaxRules('/nonexistent/tax-rules.json').load()).toBe(TaxRules.DEFAULT_CONFIG);
+    });
+});
+
+describe('TaxRules helpers', () => {
+    test('vat fails for a country without a rate', () => {
+        expect(TaxRules.vat(TaxRules.DEFAULT_CONFIG, 'GB')).toEqual({ name: 'VAT', percent: 20 });
+        expect(() => TaxRules.vat({ vatRates: {} }, 'DE')).toThrow('No VAT rate configured for DE; add it to vatRates in the tax rules file');
+    });
+
+    test('isEU knows the member states', () => {
+        expect(TaxRules.isEU('ie')).toBe(true);
+        expect(TaxRules.isEU('GB')).toBe(false);
+        expect(TaxRules.isEU(undefined)).toBe(false);
+    });
+});
+
+describe('tax rules on invoices', () => {
+    // The test business (see tests/setup.js) is in India
+    const invoiceData = (countryCode, fields = {}) => ({
+        ...CustomerTemplates.createGuestPostInvoice(
+            { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe', address: countryCode ? { countryCode } : undefined },
+            { price: 40, url: 'https://test-media.example/article' }
+        ),
+        invoiceNumber: 'INV-TAX-0001',
+        ...fields
+    });
+
+    test('add the tax to items without one and the legal note to the invoice', () => {
+        const domestic = InvoiceStructure.createPayPalInvoicePayload(invoiceData('IN'));
+        const exported = InvoiceStructure.createPayPalInvoicePayload(invoiceData('US'));
+
+        expect(domestic.items[0].tax).toEqual({ name: 'GST', percent: '18' });
+        expect(exported.items[0].tax).toBeUndefined();
+        expect(exported.detail.note).toContain(TaxRules.DEFAULT_CONFIG.notes.indiaExport);
+    });
+
+    test('are skipped with taxRules: false', () => {
+        const payload = InvoiceStructure.createPayPalInvoicePayload(invoiceData('IN', { taxRules: false }));
+
+        expect(payload.items[0].tax).toBeUndefined();
+        expect(InvoiceStructure.decideTax(invoiceData('IN', { taxRules: false }))).toBeNull();
+    });
+
+    test('warn on preview when the customer has no country', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(await new InvoiceManager().previewInvoice(invoiceData(null))).toMatchObject({ success: true });
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining("set the customer's address.countryCode"));
+    });
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const VolumeDiscounts = require('../src/volumeDiscounts');
+const BusinessProfiles = require('../src/businessProfiles');
+const InvoiceStructure = require('../src/invoiceStructure');
+const InvoiceTotals = require('../src/invoiceTotals');
+
+const RULES = VolumeDiscounts.normalizeRules([
+    { service: 'link_insertion', minQuantity: 5, percent: 10 },
+    { service: 'link_insertion', minQuantity: 10, percent: 15 },
+    { minQuantity: 8, percent: 5 },
+    { service: 'guest_post', minQuantity: 3, percent: '7.5' }
+], 'test');
+
+const item = (serviceType, quantity, fields = {}) => ({ name: serviceType, quantity, unitAmount: 20, currencyCode: 'USD', serviceType, ...fields });
+
+describe('VolumeDiscounts.normalizeRules', () => {
+    test('fills in defaults and converts numbers', () => {
+        expect(RULES).toEqual([
+            { service: 'link_insertion', minQuantity: 5, percent: 10, amount: undefined },
+            { service: 'link_insertion', minQuantity: 10, percent: 15, amount: undefined },
+            { service: '', minQuantity: 8, percent: 5, amount: undefined },
+            { service: 'guest_post', minQuantity: 3, percent: 7.5, amount: undefined }
+        ]);
+        expect(VolumeDiscounts.normalizeRules(undefined, 'test')).toEqual([]);
+        expect(VolumeDiscounts.normalizeRules([{ minQuantity: '4', amount: '25' }], 'test'))
+            .toEqual([{ service: '', minQuantity: 4, percent: undefined, amount: 25 }]);
+    });
+
+    test.each([
+        ['not an array', { minQuantity: 5, percent: 10 }, 'Business profile "test": volumeDiscounts must be an array'],
+        ['a fractional minimum', [{ minQuantity: 2.5, percent: 10 }], 'Business profile "test", volume discount 1: minQuantity must be a whole number of at least 1'],
+        ['a minimum of zero', [{ minQuantity: 0, percent: 10 }], 'Business profile "test", volume discount 1: minQuantity must be a whole number of at least 1'],
+        ['neither percent nor amount', [{ minQuantity: 5 }], 'Business profile "test", volume discount 1: set either percent or amount'],
+        ['both percent and amount', [{ minQuantity: 5, percent: 10, amount: 5 }], 'Business profile "test", volume discount 1: set either percent or amount'],
+        ['a percent over 100', [{ minQuantity: 5, percent: 120 }], 'Business profile "test", volume discount 1: percent must be more than 0 and at most 100'],
+        ['a negative amount', [{ minQuantity: 5, amount: -5 }], 'Business profile "test", volume discount 1: amount must be greater than zero'],
+        ['an amount for one service', [{ service: 'link_insertion', minQuantity: 5, amount: 5 }], 'Business profile "test", volume discount 1: rules for one service must use percent (amounts apply to the whole invoice)']
+    ])('rejects %s', (_, rules, message) => {
+        expect(() => VolumeDiscounts.normalizeRules(rules, 'test')).toThrow(message);
+    });
+});
+
+describe('VolumeDiscounts.select', () => {
+    const selected = items => VolumeDiscounts.select(items, RULES).map(rule => [rule.service, rule.percent]);
+
+    test('picks the highest tier each service reaches', () => {
+        expect(selected([item('link_insertion', 4)])).toEqual([]);
+        expect(selected([item('link_insertion', 5)])).toEqual([['link_insertion', 10]]);
+        expect(selected([item('link_insertion', 6), item('link_insertion', 6)])).toEqual([['link_insertion', 15], ['', 5]]);
+    });
+
+    test('counts every service for rules without one', () => {
+        expect(selected([item('link_insertion', 4), item('guest_post', 4)])).toEqual([['', 5], ['guest_post', 7.5]]);
+        expect(VolumeDiscounts.select([item('link_insertion', 10)], undefined)).toEqual([]);
+    });
+});
+
+describe('VolumeDiscounts.forItem and forInvoice', () => {
+    test('turn service rules into item discounts and the others into the invoice discount', () => {
+        const applicable = VolumeDiscounts.select([item('link_insertion', 10)], RULES);
+
+        expect(VolumeDiscounts.forItem(item('link_insertion', 10), applicable)).toEqual({ percent: 15 });
+        expect(VolumeDiscounts.forItem(item('guest_post', 1), applicable)).toBeNull();
+        expect(VolumeDiscounts.forInvoice(applicable)).toEqual({ percent: 5 });
+        expect(VolumeDiscounts.forInvoice([{ service: '', minQuantity: 1, amount: 25 }])).toEqual({ amount: 25 });
+        expect(VolumeDiscounts.forInvoice([])).toBeNull();
+    });
+});
+
+describe('volume discounts of a business profile', () => {
+    beforeEach(() => {
+        fs.writeFileSync(process.env.BUSINESS_PROFILES_FILE, JSON.stringify({
+            defaultProfile: 'bulk',
+            profiles: [{
+                id: 'bulk',
+                name: 'Bulk Links',
+                email: 'billing@bulk-links.example',
+                address: { countryCode: 'US' },
+                volumeDiscounts: [
+                    { service: 'link_insertion', minQuantity: 5, percent: 10 },
+                    { minQuantity: 6, amount: 10 }
+                ]
+            }]
+        }));
+    });
+
+    afterEach(() => {
+        fs.rmSync(process.env.BUSINESS_PROFILES_FILE, { force: true });
+    });
+
+    const invoiceData = (items, fields = {}) => ({
+        invoiceNumber: 'INV-VOL-0001',
+        customer: { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe' },
+        business: BusinessProfiles.toBusinessInfo(new BusinessProfiles().get('bulk')),
+        items,
+        currencyCode: 'USD',
+        taxRules: false,
+        ...fields
+    });
+
+    test('discount matching items and the invoice, leaving items with their own discount alone', () => {
+        const payload = InvoiceStructure.createPayPalInvoicePayload(invoiceData([
+            item('link_insertion', 4),
+            item('link_insertion', 1, { discount: { percent: 50 } }),
+            item('guest_post', 1)
+        ]));
+
+        expect(payload.items.map(entry => entry.discount?.percent)).toEqual(['10', '50', undefined]);
+        expect(payload.amount.breakdown.discount.invoice_discount.amount).toEqual({ currency_code: 'USD', value: '10.00' });
+        // 72 + 10 + 20 = 102, less 10
+        expect(InvoiceTotals.calculate(payload).total).toBe(9200);
+    });
+
+    test('reject a profile with invalid rules', () => {
+        fs.writeFileSync(process.env.BUSINESS_PROFILES_FILE, JSON.stringify({
+            profiles: [{ id: 'bulk', name: 'Bulk Links', email: 'billing@bulk-links.example', volumeDiscounts: [{ minQuantity: 5 }] }]
+        }));
+
+        expect(() => new BusinessProfiles().get('bulk')).toThrow('Business profile "bulk", volume discount 1: set either percent or amount');
+    });
+});
@@ -0,0 +1,269 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const axios = require('axios');
+const InvoiceManager = require('../src/invoiceManager');
+const PayPalMockServer = require('../src/paypalMockServer');
+const WebhookHooks = require('../src/webhookHooks');
+const WebhookReceiver = require('../src/webhookReceiver');
+const { run } = require('../src/cli');
+
+const SAMPLE_EVENTS = ['invoice-paid.json', 'invoice-refunded.json']
+    .map(file => path.join(global.EXAMPLES_DIR, 'webhooks', file));
+
+const hookLog = path.join(global.TEST_TEMP_DIR, 'hooks.log');
+
+const paidEvent = () => JSON.parse(fs.readFileSync(SAMPLE_EVENTS[0], 'utf8'));
+
+const SIGNATURE = {
+    'paypal-auth-algo': 'SHA256withRSA',
+    'paypal-cert-url': 'https://api.sandbox.paypal.com/v1/notifications/certs/CERT-360caa42',
+    'paypal-transmission-id': '69cd13f0-d67a-11e5-baa3-778b53f4ae55',
+    'paypal-transmission-sig': 'lmI95Jx3Y9nhR5SJWlHVIWpg4AgFk7n9bCHSRxbrd8A9zrhdu2rMyFrmz+Zjh3s3boXB07VXCXUZy/UFzUlnGJn0wDugt7FlSvdKeIJenLRemUxYCPVoEZzg9VFNqOa48gMkvF+XTpxBeUx==',
+    'paypal-transmission-time': '2026-10-12T16:03:12Z'
+};
+
+/**
+ * A port nothing is listening on
+ */
+const freePort = () => new Promise(resolve => {
+    const server = net.createServer().listen(0, () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    });
+});
+
+/**
+ * Run the paypal-invoice CLI and return its exit code
+ */
+const cli = (...args) => run(['node', 'paypal-invoice', ...args]);
+
+beforeEach(() => {
+    fs.rmSync(process.env.INVOICE_LEDGER_FILE, { force: true });
+    fs.rmSync(hookLog, { force: true });
+    fs.writeFileSync(process.env.WEBHOOK_HOOKS_FILE, JSON.stringify({
+        hooks: [{ events: ['*'], type: 'log', file: hookLog, format: '{eventType} {invoiceId}' }]
+    }));
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    process.exitCode = undefined;
+});
+
+describe('webhooks replay', () => {
+    test('records sample events in a scratch ledger and only prints them', async () => {
+        expect(await cli('webhooks', 'replay', ...SAMPLE_EVENTS)).toBe(0);
+
+        expect(fs.existsSync(process.env.INVOICE_LEDGER_FILE)).toBe(false);
+        expect(fs.existsSync(hookLog)).toBe(false);
+        expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^Recorded in .*paypal-webhooks-replay-.*ledger\.jsonl; hooks only printed/));
+    });
+
+    test('writes to the ledger and hooks given', async () => {
+        const ledgerFile = path.join(global.TEST_TEMP_DIR, 'replay-ledger.jsonl');
+
+        expect(await cli('webhooks', 'replay', SAMPLE_EVENTS[0], '--ledger', ledgerFile, '--hooks', process.env.WEBHOOK_HOOKS_FILE)).toBe(0);
+
+        expect(fs.readFileSync(ledgerFile, 'utf8')).toContain('INV2-EXAM-PLE0-WEBH-OOK1');
+        expect(fs.readFileSync(hookLog, 'utf8')).toBe('INVOICING.INVOICE.PAID INV2-EXAM-PLE0-WEBH-OOK1\n');
+        fs.rmSync(ledgerFile);
+    });
+
+    test('uses the configured ledger and hooks with --live', async () => {
+        expect(await cli('webhooks', 'replay', SAMPLE_EVENTS[0], '--live')).toBe(0);
+
+        expect(fs.readFileSync(process.env.INVOICE_LEDGER_FILE, 'utf8')).toContain('INV2-EXAM-PLE0-WEBH-OOK1');
+        expect(fs.existsSync(hookLog)).toBe(true);
+    });
+
+    test('rejects --live together with --ledger', async () => {
+        expect(await cli('webhooks', 'replay', SAMPLE_EVENTS[0], '--live', '--ledger', 'x.jsonl')).toBe(2);
+    });
+});
+
+describe('WebhookHooks', () => {
+    const hooksFile = contents => {
+        fs.writeFileSync(process.env.WEBHOOK_HOOKS_FILE, JSON.stringify(contents));
+        return new WebhookHooks();
+    };
+
+    const summary = { eventId: 'WH-1', eventType: 'INVOICING.INVOICE.PAID', invoiceId: 'INV2-1', invoiceNumber: 'A-1', status: 'PAID', customerEmail: 'jane@example.com' };
+
+    test('match event types with "*" as a wildcard', () => {
+        expect(WebhookHooks.matches({ events: ['INVOICING.INVOICE.*'] }, 'INVOICING.INVOICE.PAID')).toBe(true);
+        expect(WebhookHooks.matches({ events: ['INVOICING.INVOICE.PAID'] }, 'INVOICING.INVOICE.PAID.EXTRA')).toBe(false);
+        expect(WebhookHooks.matches({ events: ['INVOICING.INVOICE.REFUNDED', 'INVOICING.INVOICE.PAID'] }, 'INVOICING.INVOICE.PAID')).toBe(true);
+        expect(WebhookHooks.matches({}, 'PAYMENT.SALE.COMPLETED')).toBe(true);
+    });
+
+    test('print every event without a hooks file', () => {
+        fs.rmSync(process.env.WEBHOOK_HOOKS_FILE);
+
+        expect(new WebhookHooks().load()).toEqual([{ events: ['*'], type: 'log' }]);
+    });
+
+    test('reject unknown hook types and hooks missing their setting', () => {
+        expect(() => hooksFile({ hooks: [{ type: 'email' }] }).load()).toThrow('Webhook hook 1: type must be one of command, http, log');
+        expect(() => hooksFile([{ type: 'log' }, { type: 'http' }]).load()).toThrow('Webhook hook 2: "url" is required for http hooks');
+        expect(() => hooksFile({ rows: [] }).load()).toThrow('Webhook hooks JSON must be an array of hooks (or {"hooks": [...]})');
+    });
+
+    test('give commands the summary as PAYPAL_* variables and the event on stdin', async () => {
+        const output = path.join(global.TEST_TEMP_DIR, 'command-hook.txt');
+        const hooks = hooksFile([{ type: 'command', command: `echo "$PAYPAL_INVOICE_NUMBER $PAYPAL_CUSTOMER_EMAIL" > "${output}"; cat >> "${output}"` }]);
+
+        expect(await hooks.run(summary, { id: 'WH-1' })).toEqual([{ type: 'command', success: true }]);
+        expect(fs.readFileSync(output, 'utf8')).toBe('A-1 jane@example.com\n{"id":"WH-1"}');
+    });
+
+    test('post the summary and event to HTTP hooks', async () => {
+        const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 204 });
+        const hooks = hooksFile([{ type: 'http', url: 'https://hooks.example/paypal', headers: { Authorization: 'Bearer t' } }]);
+
+        await hooks.run(summary, { id: 'WH-1' });
+
+        expect(post).toHaveBeenCalledWith('https://hooks.example/paypal', { ...summary, event: { id: 'WH-1' } }, expect.objectContaining({
+            headers: { 'Content-Type': 'application/json', Authorization: 'Bearer t' }
+        }));
+    });
+
+    test('keep running the other hooks when one fails, and skip hooks for other events', async () => {
+        const hooks = hooksFile([
+            { type: 'command', command: 'exit 3' },
+            { events: ['INVOICING.INVOICE.CANCELLED'], type: 'log', file: hookLog },
+            { events: ['INVOICING.INVOICE.*'], type: 'log', file: hookLog, format: '{invoiceNumber} {status} {missing}' }
+        ]);
+
+        const results = await hooks.run(summary, {});
+
+        expect(results).toEqual([{ type: 'command', success: false, error: expect.any(String) }, { type: 'log', success: true }]);
+        expect(fs.readFileSync(hookLog, 'utf8')).toBe('A-1 PAID {missing}\n');
+    });
+});
+
+describe('WebhookReceiver', () => {
+    const mock = new PayPalMockServer({ clientId: process.env.PAYPAL_CLIENT_ID, clientSecret: process.env.PAYPAL_CLIENT_SECRET });
+
+    beforeAll(async () => {
+        process.env.PAYPAL_API_BASE_URL = await mock.start();
+    });
+
+    afterAll(() => mock.stop());
+
+    beforeEach(() => {
+        mock.reset();
+        process.env.PAYPAL_WEBHOOK_ID = 'WH-ID-TEST';
+    });
+
+    afterEach(() => {
+        process.env.PAYPAL_WEBHOOK_ID = '';
+    });
+
+    const verifications = () => mock.requests.filter(request => request.path === '/v1/notifications/verify-webhook-signature');
+
+    test('verifies a delivery with PayPal, records the invoice and runs the hooks', async () => {
+        const manager = new InvoiceManager();
+        const result = await new WebhookReceiver(manager).receive(SIGNATURE, paidEvent());
+
+        expect(result).toMatchObject({
+            success: true,
+            statusCode: 200,
+            summary: { eventType: 'INVOICING.INVOICE.PAID', invoiceId: 'INV2-EXAM-PLE0-WEBH-OOK1', invoiceNumber: 'INV-2024-0042', status: 'PAID', amount: '150.00', customerEmail: 'billing@example.com' },
+            hooks: [{ type: 'log', success: true }]
+        });
+        expect(verifications()[0].body).toMatchObject({ webhook_id: 'WH-ID-TEST', transmission_id: SIGNATURE['paypal-transmission-id'], webhook_event: { id: paidEvent().id } });
+        expect(manager.ledger.getInvoice('INV2-EXAM-PLE0-WEBH-OOK1')).toMatchObject({
+            status: 'PAID',
+            invoiceNumber: 'INV-2024-0042',
+            customer: { email: 'billing@example.com', businessName: 'Example Media LLC' }
+        });
+        expect(fs.readFileSync(hookLog, 'utf8')).toBe('INVOICING.INVOICE.PAID INV2-EXAM-PLE0-WEBH-OOK1\n');
+    });
+
+    test('rejects deliveries PayPal doesn\'t verify without recording them', async () => {
+        const manager = new InvoiceManager();
+        const receiver = new WebhookReceiver(manager);
+
+        expect(await receiver.receive({ ...SIGNATURE, 'paypal-transmission-sig': 'invalid' }, paidEvent()))
+            .toEqual({ success: false, statusCode: 400, error: 'Signature not verified' });
+        expect(await receiver.receive({ ...SIGNATURE, 'paypal-cert-url': undefined }, paidEvent()))
+            .toEqual({ success: false, statusCode: 400, error: 'Verification failed: Missing paypal-cert-url header' });
+
+        process.env.PAYPAL_WEBHOOK_ID = '';
+        expect(await new WebhookReceiver(new InvoiceManager()).receive(SIGNATURE, paidEvent()))
+            .toMatchObject({ statusCode: 400, error: expect.stringContaining('No webhook ID configured') });
+
+        expect(manager.ledger.getInvoice('INV2-EXAM-PLE0-WEBH-OOK1')).toBeNull();
+        expect(fs.existsSync(hookLog)).toBe(false);
+    });
+
+    test('acknowledges redeliveries without recording or hooking them twice', async () => {
+        const receiver = new WebhookReceiver(new InvoiceManager(), { verifier: async () => true });
+
+        await receiver.receive({}, paidEvent());
+        expect(await receiver.receive({}, paidEvent())).toMatchObject({ success: true, statusCode: 200, duplicate: true });
+
+        expect(fs.readFileSync(hookLog, 'utf8').trim().split('\n')).toHaveLength(1);
+        expect(fs.readFileSync(process.env.INVOICE_LEDGER_FILE, 'utf8').trim().split('\n')).toHaveLength(1);
+    });
+
+    test('ignores events without an invoice and rejects bodies that aren\'t events', async () => {
+        const receiver = new WebhookReceiver(new InvoiceManager(), { skipVerify: true });
+
+        expect(await receiver.receive({}, { id: 'WH-2', event_type: 'PAYMENT.SALE.COMPLETED', resource: { id: 'SALE-1' } }))
+            .toMatchObject({ success: true, statusCode: 200, ignored: true });
+        expect(await receiver.receive({}, { resource: {} }))
+            .toMatchObject({ success: false, statusCode: 400 });
+        expect(verifications()).toEqual([]);
+    });
+
+    test('replays captured deliveries, verifying them only when asked', async () => {
+        const verifier = jest.fn(async headers => headers['paypal-transmission-sig'] === 'good');
+        const receiver = new WebhookReceiver(new InvoiceManager(), { verifier });
+        const capture = { headers: { 'PAYPAL-TRANSMISSION-SIG': 'good' }, body: paidEvent() };
+
+        expect(await receiver.replay(capture, { verify: true })).toMatchObject({ success: true, statusCode: 200 });
+        expect(verifier).toHaveBeenCalledWith({ 'paypal-transmission-sig': 'good' }, capture.body);
+        expect(await receiver.replay(JSON.parse(fs.readFileSync(SAMPLE_EVENTS[1], 'utf8')))).toMatchObject({ success: true });
+        expect(verifier).toHaveBeenCalledTimes(1);
+    });
+
+    describe('over HTTP', () => {
+        let server;
+        let url;
+
+        beforeEach(async () => {
+            const port = await freePort();
+            server = await new WebhookReceiver(new InvoiceManager()).listen({ port, host: '127.0.0.1' });
+            url = `http://127.0.0.1:${port}`;
+        });
+
+        afterEach(done => {
+            server.close(done);
+        });
+
+        const post = (requestPath, body, headers = SIGNATURE) => axios.post(`${url}${requestPath}`, body, {
+            headers: { 'Content-Type': 'application/json', ...headers },
+            validateStatus: () => true
+        });
+
+        test('answers deliveries with the status PayPal should see', async () => {
+            const accepted = await post('/webhooks/paypal', paidEvent());
+            expect(accepted.status).toBe(200);
+            expect(accepted.data).toMatchObject({ success: true, summary: { status: 'PAID' } });
+
+            expect((await post('/webhooks/paypal', paidEvent(), { ...SIGNATURE, 'paypal-transmission-sig': 'invalid' })).status).toBe(400);
+            expect((await post('/webhooks/paypal', Buffer.from('{not json'), {})).data).toMatchObject({ success: false, error: expect.stringContaining('Invalid request body') });
+        });
+
+        test('answers health checks, other paths and other methods', async () => {
+            expect((await axios.get(`${url}/health`)).data).toEqual({ success: true });
+            expect((await post('/elsewhere', paidEvent())).status).toBe(404);
+            expect((await axios.get(`${url}/webhooks/paypal`, { validateStatus: () => true })).status).toBe(405);
+        });
+    });
+});